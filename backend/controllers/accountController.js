@@ -0,0 +1,263 @@
+/**
+ * Account Controller
+ * Customer accounts (companies) with their leads, deals and activity rolled up.
+ * Any user can create accounts; the owner, the creator of an unowned account
+ * or an admin can change one; deletion is admin-only.
+ */
+
+const { body, query } = require('express-validator');
+const Account = require('../models/Account');
+const Lead = require('../models/Lead');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const accountService = require('../services/accountService');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const accountFieldRules = [
+    body('domain').optional({ values: 'falsy' }).trim().isLength({ max: 253 }).withMessage('Domain is too long'),
+    body('industry').optional().trim().isLength({ max: 60 }).withMessage('Industry cannot exceed 60 characters'),
+    body('size').optional({ values: 'falsy' }).isIn(Account.ACCOUNT_SIZES).withMessage('Invalid company size'),
+    body('parent').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid parent account'),
+    body('owner').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid owner'),
+    body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+];
+
+exports.getAccountsValidation = [
+    query('size').optional({ values: 'falsy' }).isIn(Account.ACCOUNT_SIZES).withMessage('Invalid company size'),
+    query('owner').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid owner'),
+    query('parent').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid parent account'),
+];
+
+exports.createAccountValidation = [
+    body('name').trim().notEmpty().withMessage('Account name is required'),
+    ...accountFieldRules,
+];
+
+exports.updateAccountValidation = [
+    body('name').optional().trim().notEmpty().withMessage('Account name cannot be empty'),
+    ...accountFieldRules,
+];
+
+exports.autoLinkValidation = [
+    body('createMissing').optional().isBoolean(),
+];
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const ACCOUNT_FIELDS = ['name', 'domain', 'industry', 'size', 'parent', 'owner', 'description'];
+
+const pickAccountData = (reqBody) => {
+    const data = {};
+    ACCOUNT_FIELDS.forEach((field) => {
+        if (reqBody[field] !== undefined) data[field] = reqBody[field] === '' ? null : reqBody[field];
+    });
+    return data;
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const canEdit = (account, user) =>
+    user.role === 'admin' ||
+    String(account.owner) === String(user._id) ||
+    (!account.owner && String(account.createdBy) === String(user._id));
+
+/**
+ * Check the parent and owner references. The parent may not be the account
+ * itself or one of its descendants.
+ * @returns {Promise<string|null>} Error message
+ */
+const checkReferences = async (data, account = null) => {
+    if (data.parent) {
+        if (!(await Account.exists({ _id: data.parent }))) return 'Parent account not found.';
+        if (account) {
+            const treeIds = await Account.treeIds(account._id);
+            if (treeIds.some((id) => String(id) === String(data.parent))) {
+                return 'An account cannot be placed under itself or one of its child accounts.';
+            }
+        }
+    }
+    if (data.owner && !(await User.exists({ _id: data.owner, isActive: true }))) {
+        return 'Owner must be an active user.';
+    }
+    return null;
+};
+
+// ─── List Accounts ────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/accounts
+ * Query: search, industry, size, owner, parent, page, limit.
+ * Lead counts respect the caller's lead visibility.
+ */
+exports.getAccounts = asyncHandler(async (req, res) => {
+    const { search, industry, size, owner, parent, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (search) {
+        // Prefix-friendly so the list doubles as an account picker
+        const pattern = { $regex: escapeRegex(String(search).trim()), $options: 'i' };
+        filter.$or = [{ name: pattern }, { domain: pattern }];
+    }
+    if (industry) filter.industry = industry;
+    if (size) filter.size = size;
+    if (owner) filter.owner = owner;
+    if (parent) filter.parent = parent;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [accounts, total] = await Promise.all([
+        Account.find(filter)
+            .populate('owner', 'name email')
+            .populate('parent', 'name')
+            .sort({ name: 1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean(),
+        Account.countDocuments(filter),
+    ]);
+
+    const leadMatch = { account: { $in: accounts.map((a) => a._id) }, isArchived: false };
+    if (req.user.role === 'sales') leadMatch.assignedTo = req.user._id;
+    const counts = await Lead.aggregate([
+        { $match: leadMatch },
+        { $group: { _id: '$account', count: { $sum: 1 } } },
+    ]);
+    const countById = Object.fromEntries(counts.map((c) => [String(c._id), c.count]));
+
+    res.status(200).json({
+        success: true,
+        count: accounts.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        accounts: accounts.map((a) => ({ ...a, leadCount: countById[String(a._id)] || 0 })),
+        sizes: Account.ACCOUNT_SIZES,
+    });
+});
+
+// ─── Get Single Account ───────────────────────────────────────────────────────
+
+/**
+ * GET /api/accounts/:id
+ * The account with its child accounts, rollup totals and combined activity timeline.
+ * Leads and deals are listed through GET /api/leads and /api/deals with `accountId`.
+ */
+exports.getAccount = asyncHandler(async (req, res) => {
+    const account = await Account.findById(req.params.id)
+        .populate('owner', 'name email')
+        .populate('parent', 'name')
+        .populate('createdBy', 'name');
+
+    if (!account) {
+        return res.status(404).json({ success: false, message: 'Account not found.' });
+    }
+
+    const [children, rollup] = await Promise.all([
+        Account.find({ parent: account._id }).select('name domain industry').sort({ name: 1 }).lean(),
+        accountService.getRollup(account, req.user),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        account,
+        children,
+        stats: rollup.stats,
+        activities: rollup.activities,
+        canEdit: canEdit({ owner: account.owner?._id, createdBy: account.createdBy?._id }, req.user),
+    });
+});
+
+// ─── Create Account ───────────────────────────────────────────────────────────
+
+/**
+ * POST /api/accounts
+ * Existing leads matching the new account's domain or name are linked to it.
+ */
+exports.createAccount = asyncHandler(async (req, res) => {
+    const data = pickAccountData(req.body);
+
+    const problem = await checkReferences(data);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    const account = await Account.create({ ...data, createdBy: req.user._id });
+    const linkedLeads = await accountService.linkMatchingLeads(account);
+
+    res.status(201).json({ success: true, account, linkedLeads });
+});
+
+// ─── Update Account ───────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/accounts/:id
+ * A new name or domain links any further matching leads.
+ */
+exports.updateAccount = asyncHandler(async (req, res) => {
+    const account = await Account.findById(req.params.id);
+    if (!account) {
+        return res.status(404).json({ success: false, message: 'Account not found.' });
+    }
+    if (!canEdit(account, req.user)) {
+        return res.status(403).json({ success: false, message: 'Only the account owner or an admin can edit this account.' });
+    }
+
+    const data = pickAccountData(req.body);
+    const problem = await checkReferences(data, account);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    account.set(data);
+    const rematch = account.isModified('name') || account.isModified('domain');
+    await account.save();
+
+    const linkedLeads = rematch ? await accountService.linkMatchingLeads(account) : 0;
+
+    res.status(200).json({ success: true, account, linkedLeads });
+});
+
+// ─── Delete Account ───────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/accounts/:id
+ * Leads are unlinked (not deleted); child accounts move up to this account's parent.
+ * Accounts with contacts cannot be deleted.
+ */
+exports.deleteAccount = asyncHandler(async (req, res) => {
+    const account = await Account.findById(req.params.id);
+    if (!account) {
+        return res.status(404).json({ success: false, message: 'Account not found.' });
+    }
+
+    const contacts = await Contact.countDocuments({ account: account._id });
+    if (contacts) {
+        return res.status(400).json({ success: false, message: `This account has ${contacts} contact(s) and cannot be deleted.` });
+    }
+
+    await Promise.all([
+        Lead.updateMany({ account: account._id }, { account: null }),
+        Account.updateMany({ parent: account._id }, { parent: account.parent }),
+        account.deleteOne(),
+    ]);
+
+    res.status(200).json({ success: true, message: 'Account deleted.' });
+});
+
+// ─── Auto-link Leads ──────────────────────────────────────────────────────────
+
+/**
+ * POST /api/accounts/auto-link
+ * Body: { createMissing }
+ * Links every unlinked lead to the account matching its email domain or company;
+ * with `createMissing`, companies without an account get one.
+ */
+exports.autoLinkAccounts = asyncHandler(async (req, res) => {
+    const { linked, created } = await accountService.autoLinkLeads(req.user, {
+        createMissing: req.body.createMissing === true,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Linked ${linked} lead(s)${created ? ` and created ${created} account(s)` : ''}.`,
+        linked,
+        created,
+    });
+});
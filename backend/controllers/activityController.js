@@ -0,0 +1,202 @@
+/**
+ * Activity Controller
+ * Cross-lead activity endpoints: paginated listing, the team feed, edit,
+ * soft delete and history, the edit window setting, and exports.
+ * Lead-scoped activity creation lives in the lead controller.
+ */
+
+const { body, query } = require('express-validator');
+const Activity = require('../models/Activity');
+const Lead = require('../models/Lead');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { streamExport, EXPORT_FORMATS } = require('../utils/exportFile');
+const activityService = require('../services/activityService');
+
+const { EDITABLE_TYPES } = Activity;
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const OUTCOMES = ['positive', 'neutral', 'negative'];
+
+const filterRules = () => [
+    query('leadId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid lead'),
+    query('dealId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid deal'),
+    query('userId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid user'),
+    query('type').optional({ values: 'falsy' }).isIn(Activity.schema.path('type').enumValues).withMessage('Invalid activity type'),
+    query('outcome').optional({ values: 'falsy' }).isIn(OUTCOMES).withMessage('Invalid outcome'),
+    query('from').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid from date'),
+    query('to').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid to date'),
+];
+
+exports.getActivitiesValidation = filterRules();
+
+exports.getFeedValidation = [
+    ...filterRules(),
+    query('cursor').optional({ values: 'falsy' }).custom((value) => {
+        if (!activityService.decodeCursor(value)) throw new Error('Invalid cursor');
+        return true;
+    }),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+];
+
+exports.updateActivityValidation = [
+    body('type').optional().isIn(EDITABLE_TYPES).withMessage(`Type must be one of: ${EDITABLE_TYPES.join(', ')}`),
+    body('note').optional().trim().notEmpty().withMessage('Note cannot be empty')
+        .isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters'),
+    body('outcome').optional({ values: 'null' }).isIn(OUTCOMES).withMessage('Invalid outcome'),
+    body('date').optional().isISO8601().toDate().withMessage('Valid date required'),
+    body('nextFollowUp').optional({ values: 'null' }).isISO8601().toDate().withMessage('Valid follow-up date required'),
+];
+
+exports.editWindowValidation = [
+    body('editWindowMinutes').isInt({ min: 0, max: 525600 })
+        .withMessage('Edit window must be 0-525600 minutes (0 removes the limit)'),
+];
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build the Mongo filter for an activity query.
+ * Sales users only see activities on leads assigned to them.
+ */
+const buildActivityFilter = async (query, user) => {
+    const { leadId, dealId, type, outcome, userId, from, to } = query;
+    const filter = {};
+
+    if (leadId) filter.leadId = leadId;
+    if (dealId) filter.dealId = dealId;
+    if (type) filter.type = type;
+    if (outcome) filter.outcome = outcome;
+    if (userId) filter.userId = userId;
+
+    if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = new Date(from);
+        if (to) filter.date.$lte = new Date(to);
+    }
+
+    if (user.role === 'sales') {
+        const ownLeadIds = await Lead.distinct('_id', { assignedTo: user._id });
+        filter.leadId = leadId
+            ? { $in: ownLeadIds.filter((id) => String(id) === String(leadId)) }
+            : { $in: ownLeadIds };
+    }
+
+    return filter;
+};
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/activities?leadId=&dealId=&type=&userId=&from=&to=&page=1&limit=20
+ */
+exports.getActivities = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const filter = await buildActivityFilter(req.query, req.user);
+    const result = await activityService.listActivities(filter, { page, limit });
+
+    res.status(200).json({ success: true, count: result.activities.length, ...result });
+});
+
+// ─── Feed ─────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/activities/feed?cursor=&limit=25
+ * Filters: userId, type, outcome, leadId, dealId, from, to
+ * Pass the returned nextCursor to get the next page; it is null on the last one.
+ */
+exports.getFeed = asyncHandler(async (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const filter = await buildActivityFilter(req.query, req.user);
+    const { activities, nextCursor } = await activityService.getFeed(filter, { cursor: req.query.cursor, limit });
+
+    res.status(200).json({ success: true, count: activities.length, activities, nextCursor });
+});
+
+// ─── Edit & Delete ────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/activities/:id
+ * Body: any of type, note, outcome, date, nextFollowUp.
+ * The author may edit within the edit window; admins any time.
+ */
+exports.updateActivity = asyncHandler(async (req, res) => {
+    const activity = await activityService.updateActivity(req.params.id, req.body, req.user);
+    res.status(200).json({ success: true, message: 'Activity updated.', activity });
+});
+
+/**
+ * DELETE /api/activities/:id
+ * Moves the activity to the recycle bin.
+ */
+exports.deleteActivity = asyncHandler(async (req, res) => {
+    await activityService.deleteActivity(req.params.id, req.user);
+    res.status(200).json({ success: true, message: 'Activity deleted.' });
+});
+
+/**
+ * GET /api/activities/:id/history
+ * Admin only: the activity's edits, deletes and restores.
+ */
+exports.getActivityHistory = asyncHandler(async (req, res) => {
+    const history = await activityService.getHistory(req.params.id);
+    res.status(200).json({ success: true, history });
+});
+
+// ─── Edit Window Setting ──────────────────────────────────────────────────────
+
+/**
+ * GET /api/activities/settings
+ */
+exports.getEditWindow = asyncHandler(async (req, res) => {
+    const editWindowMinutes = await activityService.getEditWindowMinutes();
+    res.status(200).json({ success: true, editWindowMinutes });
+});
+
+/**
+ * PUT /api/activities/settings
+ * Body: { editWindowMinutes } — 0 lets authors edit their activities any time.
+ */
+exports.updateEditWindow = asyncHandler(async (req, res) => {
+    const editWindowMinutes = parseInt(req.body.editWindowMinutes, 10);
+    await activityService.setEditWindowMinutes(editWindowMinutes, req.user);
+    res.status(200).json({ success: true, message: 'Edit window updated.', editWindowMinutes });
+});
+
+// ─── Export Activities ────────────────────────────────────────────────────────
+
+const ACTIVITY_EXPORT_COLUMNS = [
+    { header: 'Date', value: (a) => a.date },
+    { header: 'Type', value: (a) => a.type },
+    { header: 'Note', value: (a) => a.note, width: 50 },
+    { header: 'Outcome', value: (a) => a.outcome },
+    { header: 'Lead', value: (a) => a.leadId?.name, width: 24 },
+    { header: 'Company', value: (a) => a.leadId?.company, width: 24 },
+    { header: 'Deal', value: (a) => a.dealId?.title, width: 24 },
+    { header: 'User', value: (a) => a.userId?.name },
+    { header: 'Next Follow Up', value: (a) => a.nextFollowUp },
+];
+
+/**
+ * GET /api/activities/export?format=csv|xlsx
+ * Filters: leadId, dealId, type, outcome, userId, from, to
+ */
+exports.exportActivities = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, message: 'Format must be csv or xlsx.' });
+    }
+
+    const filter = await buildActivityFilter(req.query, req.user);
+    const cursor = Activity.find({ ...filter, deletedAt: null })
+        .populate('leadId', 'name company')
+        .populate('dealId', 'title')
+        .populate('userId', 'name')
+        .sort({ date: -1 })
+        .lean()
+        .cursor();
+
+    await streamExport(res, { format, fileName: 'activities', columns: ACTIVITY_EXPORT_COLUMNS, cursor });
+});
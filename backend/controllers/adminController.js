@@ -9,20 +9,32 @@ const Lead = require('../models/Lead');
 const Deal = require('../models/Deal');
 const Activity = require('../models/Activity');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { body } = require('express-validator');
+const stageService = require('../services/stageService');
+const stageHistoryService = require('../services/stageHistoryService');
+const { TRANSITION_ENTITIES } = require('../models/StageTransition');
+const { body, query } = require('express-validator');
 const { sendVerificationEmail } = require('../utils/sendEmail');
 
 // ─── Get Dashboard Stats ──────────────────────────────────────────────────────
 
 /**
- * GET /api/admin/stats
- * Returns high-level CRM metrics for the admin dashboard.
+ * GET /api/admin/stats?pipeline=<id>
+ * Returns high-level CRM metrics for the admin dashboard. Lead and deal
+ * figures cover one pipeline when given, otherwise all of them.
  */
 exports.getDashboardStats = asyncHandler(async (req, res) => {
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const startOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
     const endOfLastMonth = new Date(now.getFullYear(), now.getMonth(), 0);
+    const pipeline = stageService.toPipelineId(req.query.pipeline);
+    const inPipeline = pipeline ? { pipeline } : {};
+    const [all, won, isWon] = await Promise.all([
+        stageService.getStageOrder(pipeline),
+        stageService.outcomeFilter(['won'], 'stage', pipeline),
+        stageService.outcomeExpr(['won'], 'stage', pipeline),
+    ]);
+    const inPipelineOrder = [{ $addFields: { order: { $indexOfArray: [all, '$_id'] } } }, { $sort: { order: 1 } }];
 
     const [
         totalLeads,
@@ -35,30 +47,33 @@ exports.getDashboardStats = asyncHandler(async (req, res) => {
         topPerformers,
     ] = await Promise.all([
         // Total active leads
-        Lead.countDocuments({ isArchived: false }),
+        Lead.countDocuments({ isArchived: false, ...inPipeline }),
 
         // New leads this month
-        Lead.countDocuments({ isArchived: false, createdAt: { $gte: startOfMonth } }),
+        Lead.countDocuments({ isArchived: false, ...inPipeline, createdAt: { $gte: startOfMonth } }),
 
         // Total active users
         User.countDocuments({ isActive: true }),
 
         // Leads by pipeline stage
         Lead.aggregate([
-            { $match: { isArchived: false } },
+            { $match: { isArchived: false, ...inPipeline } },
             { $group: { _id: '$status', count: { $sum: 1 } } },
+            ...inPipelineOrder,
         ]),
 
         // Deal stage breakdown with revenue
         Deal.aggregate([
-            { $match: { isActive: true } },
+            { $match: { isActive: true, ...inPipeline } },
             {
                 $group: {
                     _id: '$stage',
                     count: { $sum: 1 },
                     revenue: { $sum: '$value' },
+                    wonRevenue: { $sum: { $cond: [isWon, '$value', 0] } },
                 },
             },
+            ...inPipelineOrder,
         ]),
 
         // Monthly revenue trend (last 6 months)
@@ -66,7 +81,8 @@ exports.getDashboardStats = asyncHandler(async (req, res) => {
             {
                 $match: {
                     isActive: true,
-                    stage: 'Won',
+                    ...inPipeline,
+                    ...won,
                     createdAt: { $gte: new Date(now.getFullYear(), now.getMonth() - 5, 1) },
                 },
             },
@@ -84,16 +100,16 @@ exports.getDashboardStats = asyncHandler(async (req, res) => {
         ]),
 
         // Recent activities (last 10)
-        Activity.find()
+        Activity.find({ deletedAt: null })
             .populate('userId', 'name email')
             .populate('leadId', 'name company')
             .sort({ date: -1 })
             .limit(10)
             .lean(),
 
-        // Top performers (most Won deals)
+        // Top performers (most won deals)
         Deal.aggregate([
-            { $match: { isActive: true, stage: 'Won' } },
+            { $match: { isActive: true, ...inPipeline, ...won } },
             {
                 $group: {
                     _id: '$createdBy',
@@ -125,9 +141,8 @@ exports.getDashboardStats = asyncHandler(async (req, res) => {
         ]),
     ]);
 
-    // Compute total won revenue
-    const wonDeal = dealStats.find((d) => d._id === 'Won');
-    const totalWonRevenue = wonDeal ? wonDeal.revenue : 0;
+    // Compute total won revenue across every won stage
+    const totalWonRevenue = dealStats.reduce((acc, d) => acc + d.wonRevenue, 0);
     const totalDeals = dealStats.reduce((acc, d) => acc + d.count, 0);
 
     res.status(200).json({
@@ -241,6 +256,12 @@ exports.updateUser = asyncHandler(async (req, res) => {
         if (req.body[field] !== undefined) updates[field] = req.body[field];
     });
 
+    // Deactivated accounts are listed in the recycle bin with who/when
+    if (updates.isActive !== undefined) {
+        updates.deactivatedAt = updates.isActive ? null : new Date();
+        updates.deactivatedBy = updates.isActive ? null : req.user._id;
+    }
+
     const user = await User.findByIdAndUpdate(req.params.id, updates, {
         new: true,
         runValidators: true,
@@ -264,7 +285,7 @@ exports.deleteUser = asyncHandler(async (req, res) => {
 
     const user = await User.findByIdAndUpdate(
         req.params.id,
-        { isActive: false },
+        { isActive: false, deactivatedAt: new Date(), deactivatedBy: req.user._id },
         { new: true }
     );
 
@@ -286,7 +307,7 @@ exports.assignLead = asyncHandler(async (req, res) => {
 
     const lead = await Lead.findByIdAndUpdate(
         req.params.id,
-        { assignedTo: userId },
+        { assignedTo: userId, assignmentRule: null },
         { new: true }
     ).populate('assignedTo', 'name email');
 
@@ -304,42 +325,55 @@ exports.assignLead = asyncHandler(async (req, res) => {
 
 // ─── Performance Analytics ────────────────────────────────────────────────────
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isConverted = { $gt: ['$convertedAt', null] };
+
+const percent = (part, total) => (total > 0 ? parseFloat(((part / total) * 100).toFixed(1)) : 0);
+
 /**
- * GET /api/admin/analytics
+ * GET /api/admin/analytics?period=30&pipeline=<id>
+ * Lead conversion rates count every lead ever created except merged duplicates.
+ * Lead and deal figures cover one pipeline when given, otherwise all of them.
  */
 exports.getAnalytics = asyncHandler(async (req, res) => {
     const { period = '30' } = req.query;
     const daysAgo = new Date();
     daysAgo.setDate(daysAgo.getDate() - parseInt(period));
+    const pipeline = stageService.toPipelineId(req.query.pipeline);
+    const inPipeline = pipeline ? { pipeline } : {};
+    const [won, isWon] = await Promise.all([
+        stageService.outcomeFilter(['won'], 'stage', pipeline),
+        stageService.outcomeExpr(['won'], 'stage', pipeline),
+    ]);
 
-    const [activityByType, leadsBySource, conversionRate, revenueTrend] = await Promise.all([
+    const [activityByType, leadsBySource, conversionRate, revenueTrend, conversionBySource, conversionTrend] = await Promise.all([
         // Activity breakdown by type
         Activity.aggregate([
-            { $match: { date: { $gte: daysAgo } } },
+            { $match: { date: { $gte: daysAgo }, deletedAt: null } },
             { $group: { _id: '$type', count: { $sum: 1 } } },
         ]),
 
         // Leads by source
         Lead.aggregate([
-            { $match: { isArchived: false } },
+            { $match: { isArchived: false, ...inPipeline } },
             { $group: { _id: '$source', count: { $sum: 1 } } },
         ]),
 
         // Win rate
         Deal.aggregate([
-            { $match: { isActive: true } },
+            { $match: { isActive: true, ...inPipeline } },
             {
                 $group: {
                     _id: null,
                     total: { $sum: 1 },
-                    won: { $sum: { $cond: [{ $eq: ['$stage', 'Won'] }, 1, 0] } },
+                    won: { $sum: { $cond: [isWon, 1, 0] } },
                 },
             },
         ]),
 
         // Daily revenue for the period
         Deal.aggregate([
-            { $match: { isActive: true, stage: 'Won', updatedAt: { $gte: daysAgo } } },
+            { $match: { isActive: true, ...inPipeline, ...won, updatedAt: { $gte: daysAgo } } },
             {
                 $group: {
                     _id: { $dateToString: { format: '%Y-%m-%d', date: '$updatedAt' } },
@@ -349,6 +383,34 @@ exports.getAnalytics = asyncHandler(async (req, res) => {
             },
             { $sort: { _id: 1 } },
         ]),
+
+        // Lead → contact conversion by source
+        Lead.aggregate([
+            { $match: { mergedInto: null, ...inPipeline } },
+            {
+                $group: {
+                    _id: '$source',
+                    total: { $sum: 1 },
+                    converted: { $sum: { $cond: [isConverted, 1, 0] } },
+                    totalDaysToConvert: {
+                        $sum: { $cond: [isConverted, { $divide: [{ $subtract: ['$convertedAt', '$createdAt'] }, DAY_MS] }, 0] },
+                    },
+                },
+            },
+            { $sort: { total: -1 } },
+        ]),
+
+        // Daily conversions for the period
+        Lead.aggregate([
+            { $match: { convertedAt: { $gte: daysAgo }, ...inPipeline } },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$convertedAt' } },
+                    count: { $sum: 1 },
+                },
+            },
+            { $sort: { _id: 1 } },
+        ]),
     ]);
 
     const conversion = conversionRate[0] || { total: 0, won: 0 };
@@ -356,11 +418,56 @@ exports.getAnalytics = asyncHandler(async (req, res) => {
         ? ((conversion.won / conversion.total) * 100).toFixed(1)
         : 0;
 
+    const leadTotals = conversionBySource.reduce(
+        (acc, s) => ({
+            total: acc.total + s.total,
+            converted: acc.converted + s.converted,
+            days: acc.days + s.totalDaysToConvert,
+        }),
+        { total: 0, converted: 0, days: 0 }
+    );
+
     res.status(200).json({
         success: true,
         activityByType,
         leadsBySource,
         winRate: parseFloat(winRate),
         revenueTrend,
+        leadConversion: {
+            total: leadTotals.total,
+            converted: leadTotals.converted,
+            rate: percent(leadTotals.converted, leadTotals.total),
+            avgDaysToConvert: leadTotals.converted ? parseFloat((leadTotals.days / leadTotals.converted).toFixed(1)) : null,
+            convertedThisPeriod: conversionTrend.reduce((acc, d) => acc + d.count, 0),
+            bySource: conversionBySource.map((s) => ({
+                source: s._id,
+                total: s.total,
+                converted: s.converted,
+                rate: percent(s.converted, s.total),
+            })),
+            trend: conversionTrend,
+        },
     });
 });
+
+// ─── Stage Analytics ──────────────────────────────────────────────────────────
+
+exports.stageAnalyticsValidation = [
+    query('entity').optional().isIn(TRANSITION_ENTITIES).withMessage(`Entity must be one of: ${TRANSITION_ENTITIES.join(', ')}`),
+    query('period').optional().isInt({ min: 1, max: 3650 }).withMessage('Period must be a number of days'),
+    query('pipeline').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid pipeline'),
+];
+
+/**
+ * GET /api/admin/analytics/stages?entity=lead|deal&period=30&pipeline=<id>
+ * Time in stage, stage-to-stage conversion and per-rep velocity, from the
+ * stage transitions recorded during the period.
+ */
+exports.getStageAnalytics = asyncHandler(async (req, res) => {
+    const { entity = 'lead', period = '30' } = req.query;
+    const since = new Date();
+    since.setDate(since.getDate() - parseInt(period));
+
+    const analytics = await stageHistoryService.getStageAnalytics({ entity, pipeline: req.query.pipeline, since });
+    res.status(200).json({ success: true, entity, ...analytics });
+});
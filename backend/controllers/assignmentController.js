@@ -0,0 +1,151 @@
+/**
+ * Assignment Controller
+ * Restricted to 'admin' role only.
+ * Manages automatic lead assignment rules and reports their distribution.
+ */
+
+const { body } = require('express-validator');
+const AssignmentRule = require('../models/AssignmentRule');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+exports.assignmentRuleValidation = [
+    body('name').trim().notEmpty().withMessage('Rule name is required'),
+    body('strategy').optional().isIn(['round-robin', 'weighted']).withMessage('Invalid strategy'),
+    body('order').optional().isInt().withMessage('Order must be a whole number'),
+    body('members').isArray({ min: 1 }).withMessage('At least one member is required'),
+    body('members.*.user').isMongoId().withMessage('Invalid member'),
+    body('members.*.weight').optional().isInt({ min: 1, max: 100 }).withMessage('Weight must be between 1 and 100'),
+    body('conditions.sources').optional().isArray(),
+    body('conditions.tags').optional().isArray(),
+    body('conditions.minValue').optional({ values: 'null' }).isNumeric().withMessage('Minimum value must be numeric'),
+    body('conditions.maxValue').optional({ values: 'null' }).isNumeric().withMessage('Maximum value must be numeric'),
+    body('isActive').optional().isBoolean(),
+];
+
+/**
+ * Ensure every member is an active sales user. Returns an error message or null.
+ */
+const checkMembers = async (members) => {
+    const ids = members.map((m) => m.user);
+    if (new Set(ids.map(String)).size !== ids.length) return 'A user can only be listed once per rule.';
+
+    const count = await User.countDocuments({ _id: { $in: ids }, role: 'sales', isActive: true });
+    return count === ids.length ? null : 'Members must be active sales users.';
+};
+
+const buildRuleData = ({ name, order, strategy, conditions = {}, members, isActive }) => ({
+    name,
+    order: order ?? 0,
+    strategy: strategy || 'round-robin',
+    isActive: isActive !== false,
+    conditions: {
+        sources: conditions.sources || [],
+        tags: conditions.tags || [],
+        minValue: conditions.minValue ?? null,
+        maxValue: conditions.maxValue ?? null,
+    },
+    members: members.map((m) => ({ user: m.user, weight: m.weight || 1 })),
+});
+
+// ─── List Rules ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/assignment-rules
+ */
+exports.getAssignmentRules = asyncHandler(async (req, res) => {
+    const rules = await AssignmentRule.find()
+        .populate('members.user', 'name email isActive')
+        .sort({ order: 1, createdAt: 1 })
+        .lean();
+
+    res.status(200).json({ success: true, count: rules.length, rules });
+});
+
+// ─── Create Rule ──────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/admin/assignment-rules
+ */
+exports.createAssignmentRule = asyncHandler(async (req, res) => {
+    const memberError = await checkMembers(req.body.members);
+    if (memberError) return res.status(400).json({ success: false, message: memberError });
+
+    const rule = await AssignmentRule.create({ ...buildRuleData(req.body), createdBy: req.user._id });
+
+    res.status(201).json({ success: true, rule });
+});
+
+// ─── Update Rule ──────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/admin/assignment-rules/:id
+ * Changing the member list restarts the rotation and weighted counters.
+ */
+exports.updateAssignmentRule = asyncHandler(async (req, res) => {
+    const rule = await AssignmentRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: 'Assignment rule not found.' });
+
+    const memberError = await checkMembers(req.body.members);
+    if (memberError) return res.status(400).json({ success: false, message: memberError });
+
+    const data = buildRuleData(req.body);
+    const sameMembers = JSON.stringify(rule.members.map((m) => [String(m.user), m.weight])) ===
+        JSON.stringify(data.members.map((m) => [String(m.user), m.weight]));
+
+    if (sameMembers) {
+        data.members = rule.members; // keep counters
+    } else {
+        rule.cursor = 0;
+    }
+
+    rule.set(data);
+    await rule.save();
+
+    res.status(200).json({ success: true, rule });
+});
+
+// ─── Delete Rule ──────────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/admin/assignment-rules/:id
+ */
+exports.deleteAssignmentRule = asyncHandler(async (req, res) => {
+    const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: 'Assignment rule not found.' });
+
+    res.status(200).json({ success: true, message: 'Assignment rule deleted.' });
+});
+
+// ─── Distribution Stats ───────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/assignment-rules/stats?days=30
+ * Leads assigned by each rule per user over the period, plus unassigned leads.
+ */
+exports.getAssignmentStats = asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [distribution, unassigned] = await Promise.all([
+        Lead.aggregate([
+            { $match: { assignmentRule: { $ne: null }, createdAt: { $gte: since } } },
+            { $group: { _id: { rule: '$assignmentRule', user: '$assignedTo' }, count: { $sum: 1 } } },
+            { $lookup: { from: 'users', localField: '_id.user', foreignField: '_id', as: 'user' } },
+            { $unwind: '$user' },
+            {
+                $group: {
+                    _id: '$_id.rule',
+                    total: { $sum: '$count' },
+                    users: { $push: { _id: '$user._id', name: '$user.name', count: '$count' } },
+                },
+            },
+        ]),
+        Lead.countDocuments({ isArchived: false, assignedTo: null }),
+    ]);
+
+    res.status(200).json({ success: true, days, distribution, unassigned });
+});
@@ -258,14 +258,20 @@ exports.resetPassword = asyncHandler(async (req, res) => {
 
 /**
  * PUT /api/auth/update-profile
- * Updates the authenticated user's own name/email.
+ * Updates the authenticated user's own name/email, reminder preference and
+ * sender details for emails to leads.
  */
 exports.updateProfile = asyncHandler(async (req, res) => {
-    const { name, email } = req.body;
+    const { name, email, reminders, emailSettings } = req.body;
+    const update = { name, email };
+    if (reminders?.mode !== undefined) update['reminders.mode'] = reminders.mode;
+    ['fromName', 'replyTo'].forEach((field) => {
+        if (emailSettings?.[field] !== undefined) update[`emailSettings.${field}`] = emailSettings[field] || null;
+    });
 
     const user = await User.findByIdAndUpdate(
         req.user._id,
-        { name, email },
+        update,
         { new: true, runValidators: true }
     );
 
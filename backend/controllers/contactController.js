@@ -0,0 +1,70 @@
+/**
+ * Contact Controller
+ * Contacts created by lead conversion. Sales users see the contacts they own.
+ */
+
+const Contact = require('../models/Contact');
+const Account = require('../models/Account');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const contactScope = (user) => (user.role === 'sales' ? { owner: user._id } : {});
+
+// ─── List Contacts ────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/contacts
+ * Query: accountId (includes child accounts), search, page, limit.
+ */
+exports.getContacts = asyncHandler(async (req, res) => {
+    const { accountId, search, page = 1, limit = 20 } = req.query;
+
+    const filter = contactScope(req.user);
+    if (accountId) filter.account = { $in: await Account.treeIds(accountId) };
+    if (search) {
+        const pattern = { $regex: escapeRegex(String(search).trim()), $options: 'i' };
+        filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [contacts, total] = await Promise.all([
+        Contact.find(filter)
+            .populate('account', 'name')
+            .populate('owner', 'name email')
+            .populate('sourceLead', 'name')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean(),
+        Contact.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        count: contacts.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        contacts,
+    });
+});
+
+// ─── Get Single Contact ───────────────────────────────────────────────────────
+
+/**
+ * GET /api/contacts/:id
+ */
+exports.getContact = asyncHandler(async (req, res) => {
+    const contact = await Contact.findOne({ _id: req.params.id, ...contactScope(req.user) })
+        .populate('account', 'name domain')
+        .populate('owner', 'name email')
+        .populate('sourceLead', 'name status convertedAt')
+        .lean();
+
+    if (!contact) {
+        return res.status(404).json({ success: false, message: 'Contact not found.' });
+    }
+
+    res.status(200).json({ success: true, contact });
+});
@@ -0,0 +1,117 @@
+/**
+ * Custom Field Controller
+ * Any authenticated user can read definitions (to render forms);
+ * creating, editing and deleting them is admin-only.
+ */
+
+const { body } = require('express-validator');
+const CustomField = require('../models/CustomField');
+const { CUSTOM_FIELD_TYPES } = require('../models/CustomField');
+const Lead = require('../models/Lead');
+const Deal = require('../models/Deal');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const ENTITY_MODELS = { lead: Lead, deal: Deal };
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+exports.createCustomFieldValidation = [
+    body('entity').isIn(['lead', 'deal']).withMessage('Entity must be lead or deal'),
+    body('key')
+        .trim()
+        .matches(/^[a-z][a-z0-9_]{0,39}$/)
+        .withMessage('Key must start with a letter and use lowercase letters, digits or underscores'),
+    body('label').trim().notEmpty().withMessage('Label is required'),
+    body('type').isIn(CUSTOM_FIELD_TYPES).withMessage('Invalid field type'),
+    body('required').optional().isBoolean(),
+    body('options').optional().isArray().withMessage('Options must be a list'),
+    body('order').optional().isInt(),
+];
+
+exports.updateCustomFieldValidation = [
+    body('label').optional().trim().notEmpty().withMessage('Label cannot be empty'),
+    body('required').optional().isBoolean(),
+    body('options').optional().isArray().withMessage('Options must be a list'),
+    body('order').optional().isInt(),
+    body('isActive').optional().isBoolean(),
+];
+
+const cleanOptions = (options) => [...new Set((options || []).map((o) => String(o).trim()).filter(Boolean))];
+
+// ─── List Fields ──────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/custom-fields?entity=lead|deal&includeInactive=true
+ * Inactive fields are only returned to admins who ask for them.
+ */
+exports.getCustomFields = asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.entity) filter.entity = req.query.entity;
+    if (!(req.user.role === 'admin' && req.query.includeInactive === 'true')) filter.isActive = true;
+
+    const fields = await CustomField.find(filter).sort({ entity: 1, order: 1, createdAt: 1 }).lean();
+
+    res.status(200).json({ success: true, count: fields.length, fields, types: CUSTOM_FIELD_TYPES });
+});
+
+// ─── Create Field ─────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/custom-fields
+ */
+exports.createCustomField = asyncHandler(async (req, res) => {
+    const { entity, key, label, type, required, options, order } = req.body;
+
+    const existing = await CustomField.findOne({ entity, key });
+    if (existing) {
+        return res.status(409).json({ success: false, message: `A ${entity} field with key "${key}" already exists.` });
+    }
+
+    const field = await CustomField.create({
+        entity, key, label, type, required, order,
+        options: cleanOptions(options),
+    });
+
+    res.status(201).json({ success: true, field });
+});
+
+// ─── Update Field ─────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/custom-fields/:id
+ * Entity, key and type are fixed once created so stored values stay consistent.
+ */
+exports.updateCustomField = asyncHandler(async (req, res) => {
+    const field = await CustomField.findById(req.params.id);
+    if (!field) return res.status(404).json({ success: false, message: 'Custom field not found.' });
+
+    ['label', 'required', 'order', 'isActive'].forEach((prop) => {
+        if (req.body[prop] !== undefined) field[prop] = req.body[prop];
+    });
+    if (req.body.options !== undefined) field.options = cleanOptions(req.body.options);
+
+    await field.save();
+
+    res.status(200).json({ success: true, field });
+});
+
+// ─── Delete Field ─────────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/custom-fields/:id
+ * Removes the definition and its stored values from every lead or deal.
+ */
+exports.deleteCustomField = asyncHandler(async (req, res) => {
+    const field = await CustomField.findByIdAndDelete(req.params.id);
+    if (!field) return res.status(404).json({ success: false, message: 'Custom field not found.' });
+
+    const { modifiedCount } = await ENTITY_MODELS[field.entity].updateMany(
+        { [`customFields.${field.key}`]: { $exists: true } },
+        { $unset: { [`customFields.${field.key}`]: '' } }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: `Custom field deleted and cleared from ${modifiedCount} ${field.entity}(s).`,
+    });
+});
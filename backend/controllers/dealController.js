@@ -9,6 +9,22 @@ const Deal = require('../models/Deal');
 const Lead = require('../models/Lead');
 const Activity = require('../models/Activity');
 const { asyncHandler } = require('../middleware/errorHandler');
+const dealService = require('../services/dealService');
+const customFieldService = require('../services/customFieldService');
+const stageService = require('../services/stageService');
+const pipelineService = require('../services/pipelineService');
+const transitionService = require('../services/transitionService');
+const stageHistoryService = require('../services/stageHistoryService');
+const { streamExport, EXPORT_FORMATS } = require('../utils/exportFile');
+
+// Fields PUT /api/deals/:id may change. Owner and recycle-bin fields are never
+// set here, and pipeline moves have their own endpoint.
+const UPDATABLE_FIELDS = [
+    'title', 'leadId', 'value', 'currency', 'pipeline', 'stage', 'probability', 'closeDate', 'description', 'lossReason', 'customFields',
+];
+
+const pickUpdatableFields = (data) =>
+    Object.fromEntries(UPDATABLE_FIELDS.filter((f) => data[f] !== undefined).map((f) => [f, data[f]]));
 
 // ─── Validation Rules ─────────────────────────────────────────────────────────
 
@@ -17,18 +33,24 @@ exports.createDealValidation = [
     body('leadId').isMongoId().withMessage('Valid lead ID is required'),
     body('value').isNumeric().isFloat({ min: 0 }).withMessage('Valid deal value required'),
     body('closeDate').isISO8601().toDate().withMessage('Valid close date required'),
-    body('stage')
-        .optional()
-        .isIn(['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost'])
-        .withMessage('Invalid deal stage'),
+    body('pipeline').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid pipeline'),
+    body('stage').optional().custom(stageService.assertStage),
     body('probability').optional().isInt({ min: 0, max: 100 }),
+    body('lossReason').optional().trim().isLength({ max: 300 }).withMessage('Loss reason cannot exceed 300 characters'),
 ];
 
 exports.updateDealValidation = [
     body('value').optional().isNumeric().isFloat({ min: 0 }),
-    body('stage').optional().isIn(['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost']),
+    body('pipeline').optional().isMongoId().withMessage('Invalid pipeline'),
+    body('stage').optional().custom(stageService.assertStage),
     body('probability').optional().isInt({ min: 0, max: 100 }),
     body('closeDate').optional().isISO8601().toDate(),
+    body('lossReason').optional().trim().isLength({ max: 300 }).withMessage('Loss reason cannot exceed 300 characters'),
+];
+
+exports.moveDealValidation = [
+    body('pipeline').isMongoId().withMessage('Choose a pipeline to move the deal to'),
+    body('stage').optional({ values: 'falsy' }).isString().trim(),
 ];
 
 // ─── Create Deal ──────────────────────────────────────────────────────────────
@@ -43,7 +65,28 @@ exports.createDeal = asyncHandler(async (req, res) => {
         return res.status(404).json({ success: false, message: 'Lead not found.' });
     }
 
-    const deal = await Deal.create({ ...req.body, createdBy: req.user._id });
+    const { values, errors } = await customFieldService.validateCustomFields('deal', req.body.customFields);
+    if (errors.length) {
+        return res.status(422).json({ success: false, message: 'Validation failed', errors });
+    }
+
+    // Deals start in the lead's pipeline unless one is chosen
+    const pipeline = req.body.pipeline || lead.pipeline;
+
+    // Without an explicit probability the deal takes its stage's default
+    const stage = await stageService.getStage(pipeline, req.body.stage || (await stageService.getDefaultStage(pipeline)));
+    const probability = req.body.probability ?? stage?.probability;
+
+    // Starting in a later stage is a move from the first one: that stage's rules apply
+    if (req.body.stage) {
+        const start = { pipeline, stage: await stageService.getDefaultStage(pipeline) };
+        const transitionErrors = await transitionService.checkTransition('deal', start, { ...req.body, pipeline }, req.user);
+        if (transitionErrors.length) {
+            return res.status(422).json({ success: false, message: 'Validation failed', errors: transitionErrors });
+        }
+    }
+
+    const deal = await Deal.create({ ...req.body, pipeline, probability, customFields: values, createdBy: req.user._id });
 
     // Log activity
     await Activity.create({
@@ -68,15 +111,12 @@ exports.createDeal = asyncHandler(async (req, res) => {
  * GET /api/deals
  */
 exports.getDeals = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, stage, leadId, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
-
-    const filter = { isActive: true };
-    if (req.user.role === 'sales') filter.createdBy = req.user._id;
-    if (stage) filter.stage = stage;
-    if (leadId) filter.leadId = leadId;
+    const { page = 1, limit = 10 } = req.query;
 
+    // Filter/sort semantics are shared with the export endpoint
+    const filter = await dealService.buildDealFilter(req.query, req.user);
+    const sort = dealService.buildDealSort(req.query);
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
 
     const [deals, total] = await Promise.all([
         Deal.find(filter)
@@ -99,6 +139,45 @@ exports.getDeals = asyncHandler(async (req, res) => {
     });
 });
 
+// ─── Export Deals ─────────────────────────────────────────────────────────────
+
+const DEAL_EXPORT_COLUMNS = [
+    { header: 'Title', value: (d) => d.title, width: 28 },
+    { header: 'Lead', value: (d) => d.leadId?.name, width: 24 },
+    { header: 'Lead Email', value: (d) => d.leadId?.email, width: 28 },
+    { header: 'Company', value: (d) => d.leadId?.company, width: 24 },
+    { header: 'Value', value: (d) => d.value },
+    { header: 'Currency', value: (d) => d.currency },
+    { header: 'Stage', value: (d) => d.stage },
+    { header: 'Probability (%)', value: (d) => d.probability },
+    { header: 'Weighted Value', value: (d) => d.weightedValue },
+    { header: 'Close Date', value: (d) => d.closeDate },
+    { header: 'Created By', value: (d) => d.createdBy?.name },
+    { header: 'Creator Email', value: (d) => d.createdBy?.email, width: 28 },
+    { header: 'Description', value: (d) => d.description, width: 40 },
+    { header: 'Created At', value: (d) => d.createdAt },
+];
+
+/**
+ * GET /api/deals/export?format=csv|xlsx
+ * Streams every deal matching the same filters and sort as GET /api/deals (no page limit).
+ * Documents are not lean so the weightedValue virtual is available.
+ */
+exports.exportDeals = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, message: 'Format must be csv or xlsx.' });
+    }
+
+    const cursor = Deal.find(await dealService.buildDealFilter(req.query, req.user))
+        .populate('leadId', 'name email company')
+        .populate('createdBy', 'name email')
+        .sort(dealService.buildDealSort(req.query))
+        .cursor();
+
+    await streamExport(res, { format, fileName: 'deals', columns: DEAL_EXPORT_COLUMNS, cursor });
+});
+
 // ─── Get Single Deal ──────────────────────────────────────────────────────────
 
 /**
@@ -136,24 +215,105 @@ exports.updateDeal = asyncHandler(async (req, res) => {
         return res.status(403).json({ success: false, message: 'Access denied.' });
     }
 
+    req.body = pickUpdatableFields(req.body);
+
+    // Supplied custom field values are merged over the stored ones
+    if (req.body.customFields !== undefined) {
+        const { values, errors } = await customFieldService.validateCustomFields('deal', req.body.customFields, {
+            existing: deal.customFields || {},
+        });
+        if (errors.length) {
+            return res.status(422).json({ success: false, message: 'Validation failed', errors });
+        }
+        req.body.customFields = values;
+    }
+
+    // Pipeline moves go through PUT /api/deals/:id/pipeline
+    if (req.body.pipeline && String(req.body.pipeline) !== String(deal.pipeline)) {
+        return res.status(422).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ field: 'pipeline', message: 'Use the move endpoint to change a deal\'s pipeline' }],
+        });
+    }
+    delete req.body.pipeline;
+
+    // findByIdAndUpdate skips the model's stage check, so it is done here
     const previousStage = deal.stage;
+    if (req.body.stage && req.body.stage !== previousStage) {
+        const stage = await stageService.getStage(deal.pipeline, req.body.stage);
+        if (!stage) {
+            return res.status(422).json({
+                success: false,
+                message: 'Validation failed',
+                errors: [{ field: 'stage', message: `"${req.body.stage}" is not a stage of this deal's pipeline` }],
+            });
+        }
+        if (req.body.probability === undefined) req.body.probability = stage.probability;
+    }
+
+    // Admin-defined rules for entering the new stage
+    const transitionErrors = await transitionService.checkTransition('deal', deal, req.body, req.user);
+    if (transitionErrors.length) {
+        return res.status(422).json({ success: false, message: 'Validation failed', errors: transitionErrors });
+    }
+
     deal = await Deal.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
         .populate('leadId', 'name email company')
         .populate('createdBy', 'name email');
 
     // Log stage change
     if (req.body.stage && req.body.stage !== previousStage) {
-        await Activity.create({
-            userId: req.user._id,
-            leadId: deal.leadId._id,
-            dealId: deal._id,
-            type: 'stage-change',
-            note: `Deal stage changed from "${previousStage}" to "${req.body.stage}"`,
-        });
+        await stageHistoryService.logStageChange('deal', deal, previousStage, req.user);
+
+        // Keep lead status in sync with deal stage while both share a pipeline,
+        // unless the lead's own rules for that stage are not met
+        const lead = await Lead.findOne({ _id: deal.leadId._id, pipeline: deal.pipeline, status: { $ne: req.body.stage } }).lean();
+        const leadErrors = lead ? await transitionService.checkTransition('lead', lead, { status: req.body.stage }, req.user) : [];
+        if (lead && !leadErrors.length) {
+            const moved = await Lead.updateOne({ _id: lead._id, status: lead.status }, { status: req.body.stage });
+            if (moved.modifiedCount) {
+                await stageHistoryService.recordTransition({
+                    entity: 'lead', record: lead._id, pipeline: lead.pipeline, from: lead.status, to: req.body.stage, user: req.user._id,
+                });
+            }
+        }
+    }
+
+    res.status(200).json({ success: true, deal });
+});
+
+// ─── Move Deal to Pipeline ────────────────────────────────────────────────────
+
+/**
+ * PUT /api/deals/:id/pipeline
+ * Body: { pipeline, stage } - without a stage, the deal's current stage is
+ * mapped onto the new pipeline (same name, else same outcome and position).
+ */
+exports.moveDeal = asyncHandler(async (req, res) => {
+    let deal = await Deal.findOne({ _id: req.params.id, isActive: true });
 
-        // Keep lead status in sync with deal stage
-        await Lead.findByIdAndUpdate(deal.leadId._id, { status: req.body.stage });
+    if (!deal) {
+        return res.status(404).json({ success: false, message: 'Deal not found.' });
+    }
+
+    if (req.user.role === 'sales' && String(deal.createdBy) !== String(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'Access denied.' });
+    }
+
+    try {
+        deal = await pipelineService.moveDeal(deal, req.body.pipeline, req.body.stage || null, req.user);
+    } catch (err) {
+        // Transition rules of the target stage
+        if (err.statusCode === 422 && err.errors) {
+            return res.status(422).json({ success: false, message: err.message, errors: err.errors });
+        }
+        throw err;
     }
+    await deal.populate([
+        { path: 'leadId', select: 'name email company' },
+        { path: 'createdBy', select: 'name email' },
+    ]);
 
     res.status(200).json({ success: true, deal });
 });
@@ -170,7 +330,8 @@ exports.deleteDeal = asyncHandler(async (req, res) => {
         return res.status(404).json({ success: false, message: 'Deal not found.' });
     }
 
-    deal.isActive = false;
+    // Soft delete; restorable from the recycle bin
+    deal.set({ isActive: false, deletedAt: new Date(), deletedBy: req.user._id, deletedWithLead: false });
     await deal.save();
 
     res.status(200).json({ success: true, message: 'Deal deleted successfully.' });
@@ -179,13 +340,23 @@ exports.deleteDeal = asyncHandler(async (req, res) => {
 // ─── Revenue Metrics ──────────────────────────────────────────────────────────
 
 /**
- * GET /api/deals/metrics
- * Returns total, won, and pipeline revenue by stage.
+ * GET /api/deals/metrics?pipeline=<id>
+ * Returns total, won, and pipeline revenue by stage, in pipeline order.
+ * Won and lost totals cover every stage with that outcome. Without a
+ * pipeline, every pipeline is included.
  */
 exports.getDealMetrics = asyncHandler(async (req, res) => {
+    const pipeline = stageService.toPipelineId(req.query.pipeline);
     const matchStage = req.user.role === 'sales'
         ? { isActive: true, createdBy: req.user._id }
         : { isActive: true };
+    if (pipeline) matchStage.pipeline = pipeline;
+
+    const [all, isWon, isLost] = await Promise.all([
+        stageService.getStageOrder(pipeline),
+        stageService.outcomeExpr(['won'], 'stage', pipeline),
+        stageService.outcomeExpr(['lost'], 'stage', pipeline),
+    ]);
 
     const [stageSummary, totals] = await Promise.all([
         Deal.aggregate([
@@ -198,7 +369,9 @@ exports.getDealMetrics = asyncHandler(async (req, res) => {
                     avgValue: { $avg: '$value' },
                 },
             },
-            { $sort: { _id: 1 } },
+            // Pipeline order rather than alphabetical
+            { $addFields: { order: { $indexOfArray: [all, '$_id'] } } },
+            { $sort: { order: 1 } },
         ]),
         Deal.aggregate([
             { $match: matchStage },
@@ -206,10 +379,10 @@ exports.getDealMetrics = asyncHandler(async (req, res) => {
                 $group: {
                     _id: null,
                     totalRevenue: { $sum: '$value' },
-                    wonRevenue: { $sum: { $cond: [{ $eq: ['$stage', 'Won'] }, '$value', 0] } },
-                    lostRevenue: { $sum: { $cond: [{ $eq: ['$stage', 'Lost'] }, '$value', 0] } },
+                    wonRevenue: { $sum: { $cond: [isWon, '$value', 0] } },
+                    lostRevenue: { $sum: { $cond: [isLost, '$value', 0] } },
                     totalDeals: { $sum: 1 },
-                    wonDeals: { $sum: { $cond: [{ $eq: ['$stage', 'Won'] }, 1, 0] } },
+                    wonDeals: { $sum: { $cond: [isWon, 1, 0] } },
                 },
             },
         ]),
@@ -0,0 +1,49 @@
+/**
+ * Duplicate Controller
+ * Restricted to 'admin' role only.
+ * Lists likely duplicate leads and merges them.
+ */
+
+const { body } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const duplicateService = require('../services/duplicateService');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+exports.mergeLeadsValidation = [
+    body('survivorId').isMongoId().withMessage('Valid surviving lead ID is required'),
+    body('loserId').isMongoId().withMessage('Valid duplicate lead ID is required'),
+    body('fields').optional().isObject().withMessage('Fields must be an object'),
+];
+
+// ─── Get Duplicate Groups ─────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/duplicates
+ * Returns clusters of active leads matching on email, phone digits or name + company.
+ */
+exports.getDuplicates = asyncHandler(async (req, res) => {
+    const groups = await duplicateService.findDuplicateGroups();
+
+    res.status(200).json({
+        success: true,
+        count: groups.length,
+        groups,
+        mergeFields: duplicateService.MERGE_FIELDS,
+    });
+});
+
+// ─── Merge Leads ──────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/admin/duplicates/merge
+ * Body: { survivorId, loserId, fields: { [field]: 'survivor' | 'loser' } }
+ */
+exports.mergeDuplicates = asyncHandler(async (req, res) => {
+    const { survivorId, loserId, fields } = req.body;
+
+    const lead = await duplicateService.mergeLeads({ survivorId, loserId, fields, user: req.user });
+    await lead.populate('assignedTo', 'name email');
+
+    res.status(200).json({ success: true, message: 'Leads merged successfully.', lead });
+});
@@ -0,0 +1,84 @@
+/**
+ * Email Controller
+ * Compose and send emails to leads from the CRM, and work the outbox:
+ * list sent, queued and failed messages, retry or cancel them.
+ * Sales users email their own leads (or about their own deals).
+ */
+
+const { body, query } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const emailService = require('../services/emailService');
+const { EMAIL_STATUSES } = require('../models/EmailMessage');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const recipientsRule = (field) => [
+    body(field).optional().isArray({ max: 20 }).withMessage(`${field} must be a list of up to 20 addresses`),
+    body(`${field}.*`).trim().isEmail().withMessage('Please enter valid email addresses'),
+];
+
+exports.sendEmailValidation = [
+    body('leadId').if((value, { req }) => !req.body.dealId).isMongoId().withMessage('A lead or deal is required'),
+    body('dealId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid deal'),
+    ...recipientsRule('to'),
+    ...recipientsRule('cc'),
+    body('subject').trim().notEmpty().withMessage('Subject is required')
+        .isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+    body('body').trim().notEmpty().withMessage('Message body is required')
+        .isLength({ max: 20000 }).withMessage('Message cannot exceed 20000 characters'),
+];
+
+exports.getEmailsValidation = [
+    query('leadId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid lead'),
+    query('dealId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid deal'),
+    query('status').optional({ values: 'falsy' }).isIn(EMAIL_STATUSES)
+        .withMessage(`Status must be one of: ${EMAIL_STATUSES.join(', ')}`),
+];
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/emails?leadId=&dealId=&status=queued|sending|sent|failed&page=1&limit=20
+ */
+exports.getEmails = asyncHandler(async (req, res) => {
+    const { emails, total, page, pages } = await emailService.listEmails(req.query, req.user);
+    res.status(200).json({ success: true, count: emails.length, total, page, pages, emails });
+});
+
+// ─── Send ─────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/emails
+ * Body: { leadId | dealId, to, cc, subject, body } - `to` defaults to the lead's email.
+ * 201 when sent; 202 when delivery failed and the message waits in the outbox for a retry.
+ */
+exports.sendEmail = asyncHandler(async (req, res) => {
+    const { leadId, dealId, to, cc, subject, body: text } = req.body;
+    const email = await emailService.queueEmail({ leadId, dealId, to, cc, subject, body: text }, req.user);
+
+    const sent = email.status === 'sent';
+    res.status(sent ? 201 : 202).json({
+        success: true,
+        message: sent ? 'Email sent.' : 'Email could not be sent yet; it will be retried from the outbox.',
+        email,
+    });
+});
+
+/**
+ * POST /api/emails/:id/retry
+ * Sends a queued or failed message now.
+ */
+exports.retryEmail = asyncHandler(async (req, res) => {
+    const email = await emailService.retryEmail(req.params.id, req.user);
+    const sent = email.status === 'sent';
+    res.status(200).json({ success: true, message: sent ? 'Email sent.' : 'Sending failed again; it will be retried.', email });
+});
+
+/**
+ * DELETE /api/emails/:id
+ * Cancels a queued or failed message.
+ */
+exports.cancelEmail = asyncHandler(async (req, res) => {
+    await emailService.cancelEmail(req.params.id, req.user);
+    res.status(200).json({ success: true, message: 'Email cancelled.' });
+});
@@ -0,0 +1,464 @@
+/**
+ * Import Controller
+ * CSV lead import: upload → column mapping → dry-run → commit, with batch rollback.
+ */
+
+const { validationResult } = require('express-validator');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const ImportBatch = require('../models/ImportBatch');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { createLeadValidation } = require('./leadController');
+const leadService = require('../services/leadService');
+const scoringService = require('../services/scoringService');
+const recycleBinService = require('../services/recycleBinService');
+const tagService = require('../services/tagService');
+const { parseCSV } = require('../utils/csv');
+
+// Lead fields that can be mapped to CSV columns
+const IMPORT_FIELDS = ['name', 'email', 'phone', 'company', 'source', 'tags', 'expectedValue', 'assignedTo'];
+
+// Alternative header spellings used for the suggested mapping
+const FIELD_ALIASES = {
+    name: ['name', 'fullname', 'contact', 'contactname'],
+    email: ['email', 'emailaddress', 'mail'],
+    phone: ['phone', 'phonenumber', 'mobile', 'tel', 'telephone'],
+    company: ['company', 'companyname', 'organization', 'organisation', 'account'],
+    source: ['source', 'leadsource'],
+    tags: ['tags', 'labels'],
+    expectedValue: ['expectedvalue', 'value', 'dealvalue', 'amount'],
+    assignedTo: ['assignedto', 'owner', 'salesrep', 'rep'],
+};
+
+const MAX_ROWS = 5000;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const suggestMapping = (headers) => {
+    const mapping = {};
+    IMPORT_FIELDS.forEach((field) => {
+        const match = headers.find((h) => FIELD_ALIASES[field].includes(normalizeHeader(h)));
+        if (match) mapping[field] = match;
+    });
+    return mapping;
+};
+
+/**
+ * Turn a CSV row into lead data using the field → header mapping.
+ */
+const mapRow = (row, headers, mapping) => {
+    const data = {};
+    IMPORT_FIELDS.forEach((field) => {
+        const column = headers.indexOf(mapping[field]);
+        if (column === -1) return;
+        const value = (row[column] || '').trim();
+        if (value === '') return;
+
+        if (field === 'tags') {
+            data.tags = value.split(/[;,]/).map((t) => t.trim()).filter(Boolean);
+        } else if (field === 'source') {
+            data.source = value.toLowerCase();
+        } else {
+            data[field] = value;
+        }
+    });
+    return data;
+};
+
+/**
+ * Validate a mapped row with the same rules as POST /api/leads,
+ * followed by the Lead schema validators (enums, phone format).
+ * Returns the sanitized data and field-level errors.
+ */
+const validateRow = async (data, usersByKey, user) => {
+    const req = { body: { ...data } };
+    await Promise.all(createLeadValidation.map((chain) => chain.run(req)));
+
+    const errors = validationResult(req).array().map((err) => ({
+        field: err.path,
+        message: err.msg,
+    }));
+    const leadData = req.body;
+
+    // Resolve assignee by email or name (sales imports are always self-assigned)
+    if (leadData.assignedTo && user.role !== 'sales') {
+        const assignee = usersByKey.get(String(leadData.assignedTo).toLowerCase());
+        if (assignee) {
+            leadData.assignedTo = assignee._id;
+        } else {
+            errors.push({ field: 'assignedTo', message: `Unknown or inactive user "${leadData.assignedTo}"` });
+            delete leadData.assignedTo;
+        }
+    } else {
+        delete leadData.assignedTo;
+    }
+
+    // Registered spellings; new tags are only registered when the row is imported
+    if (leadData.tags) {
+        const { tags, errors: tagErrors } = await tagService.resolveTags(leadData.tags, user, { create: false });
+        leadData.tags = tags;
+        errors.push(...tagErrors);
+    }
+
+    const schemaError = new Lead(leadData).validateSync();
+    if (schemaError) {
+        Object.values(schemaError.errors).forEach((err) => {
+            if (!errors.some((e) => e.field === err.path)) {
+                errors.push({ field: err.path, message: err.message });
+            }
+        });
+    }
+
+    return { leadData, errors };
+};
+
+const loadActiveUsers = async () => {
+    const users = await User.find({ isActive: true }).select('name email').lean();
+    const byKey = new Map();
+    users.forEach((u) => {
+        byKey.set(u.email.toLowerCase(), u);
+        byKey.set(u.name.toLowerCase(), u);
+    });
+    return byKey;
+};
+
+// A commit still 'importing' after this long was cut off (e.g. by a restart)
+const IMPORT_STALE_MS = 30 * 60 * 1000;
+
+/**
+ * Mark imports that were cut off mid-commit as failed, so they can be rolled back.
+ */
+const failStaleImports = (filter = {}) =>
+    ImportBatch.updateMany(
+        { ...filter, status: 'importing', importStartedAt: { $lt: new Date(Date.now() - IMPORT_STALE_MS) } },
+        { $set: { status: 'failed', completedAt: new Date() } }
+    );
+
+/**
+ * Load a batch the current user may work with (admins see all batches).
+ */
+const findBatch = async (req, withRows = false) => {
+    await failStaleImports({ _id: req.params.id });
+    const query = ImportBatch.findById(req.params.id);
+    if (withRows) query.select('+rows');
+    const batch = await query;
+
+    if (!batch) return { error: [404, 'Import batch not found.'] };
+    if (req.user.role !== 'admin' && String(batch.createdBy) !== String(req.user._id)) {
+        return { error: [403, 'Access denied.'] };
+    }
+    return { batch };
+};
+
+const checkMapping = (mapping, headers) => {
+    if (!mapping || !mapping.name || !mapping.email) {
+        return 'Both "name" and "email" must be mapped to a column.';
+    }
+    const unknown = Object.entries(mapping).find(
+        ([field, header]) => header && (!IMPORT_FIELDS.includes(field) || !headers.includes(header))
+    );
+    if (unknown) return `Invalid mapping for "${unknown[0]}".`;
+    return null;
+};
+
+/**
+ * Validate every row and classify it against existing leads by email.
+ */
+const analyzeRows = async (batch, mapping, user) => {
+    const usersByKey = await loadActiveUsers();
+    const results = [];
+
+    for (let i = 0; i < batch.rows.length; i++) {
+        const data = mapRow(batch.rows[i], batch.headers, mapping);
+        const { leadData, errors } = await validateRow(data, usersByKey, user);
+        results.push({ row: i + 2, leadData, errors }); // +2: header row and 1-based numbering
+    }
+
+    // Existing leads sharing an email with the file
+    const emails = results.filter((r) => r.errors.length === 0).map((r) => r.leadData.email);
+    const existing = await Lead.find({ email: { $in: emails }, isArchived: false })
+        .select('email name assignedTo')
+        .lean();
+    const existingByEmail = new Map(existing.map((l) => [l.email, l]));
+
+    const seen = new Map();
+    results.forEach((r) => {
+        if (r.errors.length > 0) return;
+        r.existing = existingByEmail.get(r.leadData.email) || null;
+        r.duplicateOfRow = seen.get(r.leadData.email) || null;
+        if (!seen.has(r.leadData.email)) seen.set(r.leadData.email, r.row);
+    });
+
+    return results;
+};
+
+// ─── Upload CSV ───────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/leads/import
+ * Body: raw CSV (Content-Type: text/csv). Query: fileName.
+ * Stores the rows and returns headers, a preview and a suggested mapping.
+ */
+exports.uploadImport = asyncHandler(async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({ success: false, message: 'CSV file is empty or missing.' });
+    }
+
+    const [headerRow, ...rows] = parseCSV(req.body);
+    if (!headerRow || rows.length === 0) {
+        return res.status(400).json({ success: false, message: 'CSV must contain a header row and at least one data row.' });
+    }
+    if (rows.length > MAX_ROWS) {
+        return res.status(400).json({ success: false, message: `CSV cannot exceed ${MAX_ROWS} rows.` });
+    }
+
+    const headers = headerRow.map((h) => h.trim());
+    if (new Set(headers).size !== headers.length) {
+        return res.status(400).json({ success: false, message: 'CSV column headers must be unique.' });
+    }
+
+    const batch = await ImportBatch.create({
+        createdBy: req.user._id,
+        fileName: req.query.fileName,
+        headers,
+        rows,
+        mapping: suggestMapping(headers),
+        summary: { total: rows.length },
+    });
+
+    res.status(201).json({
+        success: true,
+        batch: {
+            _id: batch._id,
+            fileName: batch.fileName,
+            headers,
+            mapping: batch.mapping,
+            total: rows.length,
+        },
+        fields: IMPORT_FIELDS,
+        preview: rows.slice(0, 5),
+    });
+});
+
+// ─── List Import Batches ──────────────────────────────────────────────────────
+
+/**
+ * GET /api/leads/import
+ * Recent import batches (sales users only see their own).
+ */
+exports.getImports = asyncHandler(async (req, res) => {
+    const filter = req.user.role === 'sales' ? { createdBy: req.user._id } : {};
+    await failStaleImports(filter);
+
+    const batches = await ImportBatch.find(filter)
+        .select('-updatedLeads')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(req.query.limit) || 20)
+        .lean();
+
+    res.status(200).json({ success: true, batches });
+});
+
+// ─── Dry Run ──────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/leads/import/:id/dry-run
+ * Body: { mapping }
+ * Validates every row without writing anything.
+ */
+exports.dryRunImport = asyncHandler(async (req, res) => {
+    const { batch, error } = await findBatch(req, true);
+    if (error) return res.status(error[0]).json({ success: false, message: error[1] });
+
+    if (batch.status !== 'uploaded') {
+        return res.status(400).json({ success: false, message: 'This batch has already been imported.' });
+    }
+
+    const mapping = req.body.mapping || batch.mapping;
+    const mappingError = checkMapping(mapping, batch.headers);
+    if (mappingError) return res.status(400).json({ success: false, message: mappingError });
+
+    const results = await analyzeRows(batch, mapping, req.user);
+
+    batch.mapping = mapping;
+    batch.markModified('mapping');
+    await batch.save();
+
+    const invalid = results.filter((r) => r.errors.length > 0);
+    const valid = results.filter((r) => r.errors.length === 0);
+
+    res.status(200).json({
+        success: true,
+        summary: {
+            total: results.length,
+            valid: valid.length,
+            invalid: invalid.length,
+            existing: valid.filter((r) => r.existing).length,
+            duplicatesInFile: valid.filter((r) => r.duplicateOfRow).length,
+        },
+        rows: results.map((r) => ({
+            row: r.row,
+            name: r.leadData.name,
+            email: r.leadData.email,
+            errors: r.errors,
+            existingLeadId: r.existing?._id || null,
+            duplicateOfRow: r.duplicateOfRow,
+        })),
+    });
+});
+
+// ─── Commit Import ────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/leads/import/:id/commit
+ * Body: { mapping, duplicateStrategy: 'skip' | 'update' | 'create' }
+ * Invalid rows are skipped and reported; valid rows are written one by one.
+ * The batch ends 'completed', or 'failed' if the commit breaks off; either
+ * can be rolled back.
+ */
+exports.commitImport = asyncHandler(async (req, res) => {
+    const { batch, error } = await findBatch(req, true);
+    if (error) return res.status(error[0]).json({ success: false, message: error[1] });
+
+    if (batch.status !== 'uploaded') {
+        return res.status(400).json({ success: false, message: 'This batch has already been imported.' });
+    }
+
+    const mapping = req.body.mapping || batch.mapping;
+    const mappingError = checkMapping(mapping, batch.headers);
+    if (mappingError) return res.status(400).json({ success: false, message: mappingError });
+
+    const duplicateStrategy = req.body.duplicateStrategy || batch.duplicateStrategy;
+    if (!['skip', 'update', 'create'].includes(duplicateStrategy)) {
+        return res.status(400).json({ success: false, message: 'Invalid duplicate strategy.' });
+    }
+
+    // Claim the batch so a repeated or concurrent commit cannot import it twice
+    const claimed = await ImportBatch.updateOne(
+        { _id: batch._id, status: 'uploaded' },
+        { $set: { status: 'importing', importStartedAt: new Date() } }
+    );
+    if (!claimed.modifiedCount) {
+        return res.status(409).json({ success: false, message: 'This batch is already being imported.' });
+    }
+
+    let results;
+    try {
+        results = await analyzeRows(batch, mapping, req.user);
+    } catch (err) {
+        // Nothing was written yet; the batch can be committed again
+        await ImportBatch.updateOne({ _id: batch._id }, { $set: { status: 'uploaded' } });
+        throw err;
+    }
+    const summary = { total: results.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+    const report = [];
+
+    let finished = false;
+    try {
+        for (const r of results) {
+            if (r.errors.length > 0) {
+                summary.failed++;
+                report.push({ row: r.row, action: 'failed', errors: r.errors });
+                continue;
+            }
+
+            try {
+                if (r.leadData.tags) r.leadData.tags = (await tagService.resolveTags(r.leadData.tags, req.user)).tags;
+
+                // Re-check at write time so earlier rows of this file count as existing
+                const existing = duplicateStrategy === 'create'
+                    ? null
+                    : await Lead.findOne({ email: r.leadData.email, isArchived: false });
+
+                if (existing && duplicateStrategy === 'skip') {
+                    summary.skipped++;
+                    report.push({ row: r.row, action: 'skipped', lead: existing._id });
+                } else if (existing) {
+                    if (req.user.role === 'sales' && String(existing.assignedTo) !== String(req.user._id)) {
+                        summary.failed++;
+                        report.push({ row: r.row, action: 'failed', errors: [{ field: 'email', message: 'Existing lead belongs to another user' }] });
+                        continue;
+                    }
+
+                    const snapshot = existing.toObject();
+                    const previous = {};
+                    Object.keys(r.leadData).forEach((field) => { previous[field] = snapshot[field] ?? null; });
+                    // Saved before the write so a rollback can restore it even if the commit breaks off
+                    await ImportBatch.updateOne({ _id: batch._id }, { $push: { updatedLeads: { lead: existing._id, previous } } });
+                    existing.set(r.leadData);
+                    await existing.save();
+
+                    await Activity.create({
+                        userId: req.user._id,
+                        leadId: existing._id,
+                        type: 'note',
+                        note: `Lead updated by ${req.user.name} from import "${batch.fileName}"`,
+                        importBatch: batch._id,
+                    });
+                    await scoringService.scoreLead(existing);
+
+                    summary.updated++;
+                    report.push({ row: r.row, action: 'updated', lead: existing._id });
+                } else {
+                    const lead = await leadService.createLead(r.leadData, req.user, { importBatch: batch._id });
+                    summary.created++;
+                    report.push({ row: r.row, action: 'created', lead: lead._id });
+                }
+            } catch (err) {
+                summary.failed++;
+                report.push({ row: r.row, action: 'failed', errors: [{ field: null, message: err.message }] });
+            }
+        }
+        finished = true;
+    } finally {
+        await ImportBatch.updateOne({ _id: batch._id }, {
+            $set: { mapping, duplicateStrategy, summary, status: finished ? 'completed' : 'failed', completedAt: new Date() },
+            $unset: { rows: 1 }, // Raw data is no longer needed
+        });
+    }
+
+    res.status(200).json({ success: true, batchId: batch._id, summary, rows: report });
+});
+
+// ─── Roll Back Import ─────────────────────────────────────────────────────────
+
+/**
+ * POST /api/leads/import/:id/rollback
+ * Archives leads created by the batch (found through their tagged
+ * "Lead created" activities) and restores the previous values of updated leads.
+ */
+exports.rollbackImport = asyncHandler(async (req, res) => {
+    const { batch, error } = await findBatch(req);
+    if (error) return res.status(error[0]).json({ success: false, message: error[1] });
+
+    if (!['completed', 'failed'].includes(batch.status)) {
+        return res.status(400).json({ success: false, message: 'Only completed or failed imports can be rolled back.' });
+    }
+
+    const updatedIds = batch.updatedLeads.map((u) => String(u.lead));
+    const taggedLeadIds = await Activity.distinct('leadId', { importBatch: batch._id });
+    const createdIds = taggedLeadIds.filter((id) => !updatedIds.includes(String(id)));
+
+    const archived = await recycleBinService.archiveLeads(createdIds, req.user);
+
+    for (const { lead, previous } of batch.updatedLeads) {
+        await Lead.findByIdAndUpdate(lead, previous, { runValidators: true });
+        await scoringService.scoreLead(lead);
+    }
+
+    batch.status = 'rolled-back';
+    batch.rolledBackAt = new Date();
+    batch.rolledBackBy = req.user._id;
+    await batch.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Import rolled back successfully.',
+        archived,
+        restored: batch.updatedLeads.length,
+    });
+});
@@ -6,7 +6,32 @@
 const { body, query } = require('express-validator');
 const Lead = require('../models/Lead');
 const Activity = require('../models/Activity');
+const User = require('../models/User');
+const Account = require('../models/Account');
 const { asyncHandler } = require('../middleware/errorHandler');
+const leadService = require('../services/leadService');
+const duplicateService = require('../services/duplicateService');
+const scoringService = require('../services/scoringService');
+const customFieldService = require('../services/customFieldService');
+const recycleBinService = require('../services/recycleBinService');
+const accountService = require('../services/accountService');
+const conversionService = require('../services/conversionService');
+const stageService = require('../services/stageService');
+const transitionService = require('../services/transitionService');
+const tagService = require('../services/tagService');
+const stageHistoryService = require('../services/stageHistoryService');
+const reminderService = require('../services/reminderService');
+const { streamExport, EXPORT_FORMATS } = require('../utils/exportFile');
+
+// Fields PUT /api/leads/:id may change. Conversion, merge, archive, scoring and
+// assignment-rule fields only change through their own endpoints.
+const UPDATABLE_FIELDS = [
+    'name', 'email', 'phone', 'company', 'account', 'website', 'source', 'pipeline', 'status', 'priority',
+    'assignedTo', 'description', 'followUpDate', 'expectedValue', 'lossReason', 'tags', 'customFields',
+];
+
+const pickUpdatableFields = (data) =>
+    Object.fromEntries(UPDATABLE_FIELDS.filter((f) => data[f] !== undefined).map((f) => [f, data[f]]));
 
 // ─── Validation Rules ─────────────────────────────────────────────────────────
 
@@ -15,22 +40,29 @@ exports.createLeadValidation = [
     body('email').trim().isEmail().withMessage('Valid email is required').normalizeEmail(),
     body('phone').optional().trim(),
     body('company').optional().trim(),
-    body('status')
-        .optional()
-        .isIn(['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost'])
-        .withMessage('Invalid status'),
+    body('account').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid account'),
+    body('pipeline').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid pipeline'),
+    body('status').optional().custom(stageService.assertStage),
     body('priority')
         .optional()
         .isIn(['low', 'medium', 'high'])
         .withMessage('Invalid priority'),
     body('expectedValue').optional().isNumeric().withMessage('Value must be numeric'),
+    body('lossReason').optional().trim().isLength({ max: 300 }).withMessage('Loss reason cannot exceed 300 characters'),
+    body('tags').optional().isArray().withMessage('Tags must be a list'),
+    body('tags.*').isString().trim().isLength({ max: 40 }).withMessage('Tags cannot exceed 40 characters'),
 ];
 
 exports.updateLeadValidation = [
     body('name').optional().trim().notEmpty(),
     body('email').optional().trim().isEmail().normalizeEmail(),
-    body('status').optional().isIn(['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost']),
+    body('pipeline').optional().isMongoId().withMessage('Invalid pipeline'),
+    body('status').optional().custom(stageService.assertStage),
     body('priority').optional().isIn(['low', 'medium', 'high']),
+    body('account').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid account'),
+    body('lossReason').optional().trim().isLength({ max: 300 }).withMessage('Loss reason cannot exceed 300 characters'),
+    body('tags').optional().isArray().withMessage('Tags must be a list'),
+    body('tags.*').isString().trim().isLength({ max: 40 }).withMessage('Tags cannot exceed 40 characters'),
 ];
 
 // ─── Create Lead ──────────────────────────────────────────────────────────────
@@ -38,26 +70,46 @@ exports.updateLeadValidation = [
 /**
  * POST /api/leads
  * Creates a new lead. Admin can assign to any user; sales can only assign to themselves.
+ * Likely duplicates are returned alongside the lead as a warning.
  */
 exports.createLead = asyncHandler(async (req, res) => {
-    const leadData = { ...req.body };
+    const { values, errors } = await customFieldService.validateCustomFields('lead', req.body.customFields);
+    if (errors.length) {
+        return res.status(422).json({ success: false, message: 'Validation failed', errors });
+    }
+    const { tags, errors: tagErrors } = await tagService.resolveTags(req.body.tags, req.user);
+    if (tagErrors.length) {
+        return res.status(422).json({ success: false, message: 'Validation failed', errors: tagErrors });
+    }
+    req.body.tags = tags;
+    if (req.body.account && !(await Account.exists({ _id: req.body.account }))) {
+        return res.status(404).json({ success: false, message: 'Account not found.' });
+    }
 
-    // Sales can only assign to themselves
-    if (req.user.role === 'sales') {
-        leadData.assignedTo = req.user._id;
+    // Starting in a later stage is a move from the first one: that stage's rules apply
+    if (req.body.status) {
+        const pipeline = req.body.pipeline || (await stageService.getDefaultPipeline())?._id;
+        const start = { _id: null, pipeline, status: await stageService.getDefaultStage(pipeline) };
+        const transitionErrors = await transitionService.checkTransition('lead', start, req.body, req.user);
+        if (transitionErrors.length) {
+            return res.status(422).json({ success: false, message: 'Validation failed', errors: transitionErrors });
+        }
     }
 
-    const lead = await Lead.create(leadData);
+    // Sales self-assignment and the "Lead created" activity live in the lead service
+    const lead = await leadService.createLead({ ...req.body, customFields: values }, req.user);
 
-    // Log activity
-    await Activity.create({
-        userId: req.user._id,
-        leadId: lead._id,
-        type: 'note',
-        note: `Lead created by ${req.user.name}`,
-    });
+    // Warn (but don't block) when the lead looks like one we already have
+    const duplicates = await duplicateService.findLikelyDuplicates(lead, { excludeId: lead._id });
 
-    res.status(201).json({ success: true, lead });
+    res.status(201).json({
+        success: true,
+        lead,
+        duplicates,
+        ...(duplicates.length > 0 && {
+            warning: `This lead may duplicate ${duplicates.length} existing lead(s).`,
+        }),
+    });
 });
 
 // ─── Get All Leads ────────────────────────────────────────────────────────────
@@ -68,45 +120,17 @@ exports.createLead = asyncHandler(async (req, res) => {
  * Sales users only see their own leads.
  */
 exports.getLeads = asyncHandler(async (req, res) => {
-    const {
-        page = 1,
-        limit = 10,
-        status,
-        priority,
-        assignedTo,
-        search,
-        sortBy = 'createdAt',
-        sortOrder = 'desc',
-    } = req.query;
-
-    // Build filter
-    const filter = { isArchived: false };
-
-    // RBAC: Sales only see their own leads
-    if (req.user.role === 'sales') {
-        filter.assignedTo = req.user._id;
-    } else if (assignedTo) {
-        filter.assignedTo = assignedTo;
-    }
-
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-
-    // Text search on name, email, or company
-    if (search) {
-        filter.$or = [
-            { name: { $regex: search, $options: 'i' } },
-            { email: { $regex: search, $options: 'i' } },
-            { company: { $regex: search, $options: 'i' } },
-        ];
-    }
+    const { page = 1, limit = 10 } = req.query;
 
+    // Filter/sort semantics are shared with the export endpoint
+    const filter = await leadService.buildLeadFilter(req.query, req.user);
+    const sort = leadService.buildLeadSort(req.query);
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
 
     const [leads, total] = await Promise.all([
         Lead.find(filter)
             .populate('assignedTo', 'name email avatar')
+            .populate('account', 'name')
             .sort(sort)
             .skip(skip)
             .limit(parseInt(limit))
@@ -124,6 +148,46 @@ exports.getLeads = asyncHandler(async (req, res) => {
     });
 });
 
+// ─── Export Leads ─────────────────────────────────────────────────────────────
+
+const LEAD_EXPORT_COLUMNS = [
+    { header: 'Name', value: (l) => l.name, width: 24 },
+    { header: 'Email', value: (l) => l.email, width: 28 },
+    { header: 'Phone', value: (l) => l.phone },
+    { header: 'Company', value: (l) => l.company, width: 24 },
+    { header: 'Website', value: (l) => l.website },
+    { header: 'Source', value: (l) => l.source },
+    { header: 'Stage', value: (l) => l.status },
+    { header: 'Priority', value: (l) => l.priority },
+    { header: 'Expected Value', value: (l) => l.expectedValue },
+    { header: 'Score', value: (l) => l.score },
+    { header: 'Assigned To', value: (l) => l.assignedTo?.name },
+    { header: 'Assignee Email', value: (l) => l.assignedTo?.email, width: 28 },
+    { header: 'Tags', value: (l) => (l.tags || []).join('; ') },
+    { header: 'Follow Up', value: (l) => l.followUpDate },
+    { header: 'Description', value: (l) => l.description, width: 40 },
+    { header: 'Created At', value: (l) => l.createdAt },
+];
+
+/**
+ * GET /api/leads/export?format=csv|xlsx
+ * Streams every lead matching the same filters and sort as GET /api/leads (no page limit).
+ */
+exports.exportLeads = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, message: 'Format must be csv or xlsx.' });
+    }
+
+    const cursor = Lead.find(await leadService.buildLeadFilter(req.query, req.user))
+        .populate('assignedTo', 'name email')
+        .sort(leadService.buildLeadSort(req.query))
+        .lean()
+        .cursor();
+
+    await streamExport(res, { format, fileName: 'leads', columns: LEAD_EXPORT_COLUMNS, cursor });
+});
+
 // ─── Get Single Lead ──────────────────────────────────────────────────────────
 
 /**
@@ -132,6 +196,11 @@ exports.getLeads = asyncHandler(async (req, res) => {
 exports.getLead = asyncHandler(async (req, res) => {
     const lead = await Lead.findById(req.params.id)
         .populate('assignedTo', 'name email')
+        .populate('account', 'name domain')
+        .populate('webForm', 'name')
+        .populate('contact', 'name email')
+        .populate('convertedDeal', 'title value stage')
+        .populate('convertedBy', 'name')
         .lean();
 
     if (!lead) {
@@ -144,8 +213,9 @@ exports.getLead = asyncHandler(async (req, res) => {
     }
 
     // Fetch activities for this lead
-    const activities = await Activity.find({ leadId: lead._id })
+    const activities = await Activity.find({ leadId: lead._id, deletedAt: null })
         .populate('userId', 'name')
+        .populate('assignedTo', 'name')
         .sort({ date: -1 })
         .limit(20)
         .lean();
@@ -170,22 +240,74 @@ exports.updateLead = asyncHandler(async (req, res) => {
         return res.status(403).json({ success: false, message: 'Access denied.' });
     }
 
+    req.body = pickUpdatableFields(req.body);
+
+    // Supplied custom field values are merged over the stored ones
+    if (req.body.customFields !== undefined) {
+        const { values, errors } = await customFieldService.validateCustomFields('lead', req.body.customFields, {
+            existing: lead.customFields || {},
+        });
+        if (errors.length) {
+            return res.status(422).json({ success: false, message: 'Validation failed', errors });
+        }
+        req.body.customFields = values;
+    }
+
+    // Typed tags take the registered spelling
+    if (req.body.tags !== undefined) {
+        const { tags, errors } = await tagService.resolveTags(req.body.tags, req.user);
+        if (errors.length) {
+            return res.status(422).json({ success: false, message: 'Validation failed', errors });
+        }
+        req.body.tags = tags;
+    }
+
+    if (req.body.account === '') req.body.account = null;
+    if (req.body.account && !(await Account.exists({ _id: req.body.account }))) {
+        return res.status(404).json({ success: false, message: 'Account not found.' });
+    }
+
+    // A new pipeline without a status maps the current one across; the status
+    // is checked here because findByIdAndUpdate skips the model's stage check
+    const pipeline = req.body.pipeline || lead.pipeline;
+    if (req.body.pipeline && String(req.body.pipeline) !== String(lead.pipeline) && !req.body.status) {
+        if (!(await stageService.getPipeline(pipeline))) {
+            return res.status(404).json({ success: false, message: 'Pipeline not found.' });
+        }
+        req.body.status = await stageService.mapStage(lead.status, lead.pipeline, pipeline);
+    }
+    if (req.body.status && !(await stageService.getStage(pipeline, req.body.status))) {
+        return res.status(422).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ field: 'status', message: `"${req.body.status}" is not a stage of this lead's pipeline` }],
+        });
+    }
+
+    // Admin-defined rules for entering the new stage
+    const transitionErrors = await transitionService.checkTransition('lead', lead, req.body, req.user);
+    if (transitionErrors.length) {
+        return res.status(422).json({ success: false, message: 'Validation failed', errors: transitionErrors });
+    }
+
     const previousStatus = lead.status;
     lead = await Lead.findByIdAndUpdate(req.params.id, req.body, {
         new: true,
         runValidators: true,
     }).populate('assignedTo', 'name email');
 
-    // Log stage change activity
+    // Log stage change activity and history
     if (req.body.status && req.body.status !== previousStatus) {
-        await Activity.create({
-            userId: req.user._id,
-            leadId: lead._id,
-            type: 'stage-change',
-            note: `Stage changed from "${previousStatus}" to "${req.body.status}"`,
-        });
+        await stageHistoryService.logStageChange('lead', lead, previousStatus, req.user);
+    }
+
+    // An unlinked lead (or one whose contact details changed) is matched to an account
+    if (['account', 'email', 'website', 'company'].some((f) => req.body[f] !== undefined)) {
+        await accountService.matchLead(lead);
     }
 
+    await scoringService.scoreLead(lead);
+
     res.status(200).json({ success: true, lead });
 });
 
@@ -202,13 +324,213 @@ exports.deleteLead = asyncHandler(async (req, res) => {
         return res.status(404).json({ success: false, message: 'Lead not found.' });
     }
 
-    // Archive instead of hard delete for audit trail
-    lead.isArchived = true;
-    await lead.save();
+    // Archive instead of hard delete for audit trail; restorable from the recycle bin
+    await recycleBinService.archiveLeads([lead._id], req.user);
 
     res.status(200).json({ success: true, message: 'Lead archived successfully.' });
 });
 
+// ─── Convert Lead ─────────────────────────────────────────────────────────────
+
+exports.convertLeadValidation = [
+    body('accountId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid account'),
+    body('accountName').optional().trim().isLength({ max: 100 }).withMessage('Account name cannot exceed 100 characters'),
+    body('jobTitle').optional().trim().isLength({ max: 100 }).withMessage('Job title cannot exceed 100 characters'),
+    body('createDeal').optional().isBoolean(),
+    body('deal.title').optional().trim().isLength({ max: 120 }).withMessage('Title cannot exceed 120 characters'),
+    body('deal.value').optional().isFloat({ min: 0 }).withMessage('Valid deal value required').toFloat(),
+    body('deal.pipeline').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid pipeline'),
+    body('deal.stage').optional({ values: 'falsy' }).custom(stageService.assertStage),
+    body('deal.probability').optional().isInt({ min: 0, max: 100 }).toInt(),
+    body('deal.closeDate').optional({ values: 'falsy' }).isISO8601().toDate().withMessage('Valid close date required'),
+];
+
+/**
+ * POST /api/leads/:id/convert
+ * Body: { accountId | accountName, jobTitle, createDeal, deal: { title, value, pipeline, stage, probability, closeDate, customFields } }
+ * Creates or links the account, creates the contact and (optionally) a deal
+ * prefilled from the lead, all in one transaction. Sales can convert their own leads.
+ */
+exports.convertLead = asyncHandler(async (req, res) => {
+    const { accountId, accountName, jobTitle, createDeal, deal = {} } = req.body;
+
+    let dealData = null;
+    if (createDeal) {
+        const { values, errors } = await customFieldService.validateCustomFields('deal', deal.customFields);
+        if (errors.length) {
+            return res.status(422).json({ success: false, message: 'Validation failed', errors });
+        }
+        dealData = { ...deal, customFields: values };
+    }
+
+    const result = await conversionService.convertLead(req.params.id, req.user, {
+        accountId,
+        accountName,
+        jobTitle,
+        deal: dealData,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Lead converted${result.deal ? ' with a new deal' : ''}.`,
+        ...result,
+    });
+});
+
+// ─── Bulk Operations ──────────────────────────────────────────────────────────
+
+const BULK_OPERATIONS = ['status', 'priority', 'assign', 'addTags', 'removeTags', 'followUp', 'archive'];
+const MAX_BULK_LEADS = 1000;
+
+exports.bulkLeadsValidation = [
+    body('operation').isIn(BULK_OPERATIONS).withMessage('Invalid bulk operation'),
+    body('ids').optional().isArray({ min: 1, max: 500 }).withMessage('Provide between 1 and 500 lead IDs'),
+    body('ids.*').isMongoId().withMessage('Invalid lead ID'),
+    body('filter').optional().isObject().withMessage('Filter must be an object'),
+    body('value')
+        .if(body('operation').equals('status'))
+        .custom(stageService.assertStage),
+    body('value')
+        .if(body('operation').equals('priority'))
+        .isIn(['low', 'medium', 'high']).withMessage('Invalid priority'),
+    body('value')
+        .if(body('operation').equals('assign'))
+        .isMongoId().withMessage('Valid user ID is required'),
+    body('value')
+        .if(body('operation').isIn(['addTags', 'removeTags']))
+        .isArray({ min: 1 }).withMessage('At least one tag is required'),
+    body('value')
+        .if(body('operation').equals('followUp'))
+        .optional({ values: 'null' }).isISO8601().withMessage('Valid follow-up date is required'),
+];
+
+/**
+ * POST /api/leads/bulk
+ * Body: { operation, value, ids: [...] } or { operation, value, filter: { ...GET /api/leads query } }
+ * Applies one operation to many leads with the same RBAC as single updates:
+ * sales only touch their own leads; assign and archive are admin-only.
+ * Returns a per-lead result so partial failures are visible.
+ */
+exports.bulkLeads = asyncHandler(async (req, res) => {
+    const { operation, value, ids, filter } = req.body;
+
+    if (!ids && !filter) {
+        return res.status(400).json({ success: false, message: 'Provide lead IDs or a filter.' });
+    }
+    if (['assign', 'archive'].includes(operation) && req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Only admins can assign or archive leads.' });
+    }
+
+    let assignee = null;
+    if (operation === 'assign') {
+        assignee = await User.findOne({ _id: value, isActive: true });
+        if (!assignee) return res.status(404).json({ success: false, message: 'User not found.' });
+    }
+
+    // Resolve the target leads: explicit IDs, or everything matching the list filter
+    const query = ids
+        ? { _id: { $in: ids }, isArchived: false }
+        : await leadService.buildLeadFilter(filter, req.user);
+    const leads = await Lead.find(query).limit(MAX_BULK_LEADS + 1);
+
+    if (leads.length > MAX_BULK_LEADS) {
+        return res.status(400).json({
+            success: false,
+            message: `Bulk operations are limited to ${MAX_BULK_LEADS} leads. Narrow the filter.`,
+        });
+    }
+
+    let tags = Array.isArray(value) ? value.map((t) => String(t).trim()).filter(Boolean) : [];
+    if (operation === 'addTags') {
+        const resolved = await tagService.resolveTags(tags, req.user);
+        if (resolved.errors.length) {
+            return res.status(422).json({ success: false, message: 'Validation failed', errors: resolved.errors });
+        }
+        tags = resolved.tags;
+    }
+    const results = [];
+
+    for (const lead of leads) {
+        // Sales can only update their own leads
+        if (req.user.role === 'sales' && String(lead.assignedTo) !== String(req.user._id)) {
+            results.push({ id: lead._id, success: false, message: 'Access denied.' });
+            continue;
+        }
+
+        if (operation === 'status') {
+            const errors = await transitionService.checkTransition('lead', lead, { status: value }, req.user);
+            if (errors.length) {
+                results.push({ id: lead._id, success: false, message: errors.map((e) => e.message).join('; ') });
+                continue;
+            }
+        }
+
+        try {
+            const previousStatus = lead.status;
+
+            switch (operation) {
+                case 'status': lead.status = value; break;
+                case 'priority': lead.priority = value; break;
+                case 'assign':
+                    lead.assignedTo = assignee._id;
+                    lead.assignmentRule = null;
+                    break;
+                case 'addTags': {
+                    const existing = new Set(lead.tags.map((t) => t.toLowerCase()));
+                    lead.tags.push(...tags.filter((t) => !existing.has(t.toLowerCase())));
+                    break;
+                }
+                case 'removeTags': {
+                    const removed = new Set(tags.map((t) => t.toLowerCase()));
+                    lead.tags = lead.tags.filter((t) => !removed.has(t.toLowerCase()));
+                    break;
+                }
+                case 'followUp': lead.followUpDate = value || null; break;
+                case 'archive': break;
+            }
+
+            if (operation === 'archive') await recycleBinService.archiveLeads([lead._id], req.user);
+            else await lead.save();
+
+            // Same activity trail as the single-lead endpoints
+            if (operation === 'status' && value !== previousStatus) {
+                await stageHistoryService.logStageChange('lead', lead, previousStatus, req.user);
+            } else if (operation === 'assign') {
+                await Activity.create({
+                    userId: req.user._id,
+                    leadId: lead._id,
+                    type: 'note',
+                    note: `Lead assigned to ${assignee.name} by ${req.user.name}`,
+                });
+            }
+
+            if (operation !== 'archive') await scoringService.scoreLead(lead);
+
+            results.push({ id: lead._id, success: true });
+        } catch (err) {
+            results.push({ id: lead._id, success: false, message: err.message });
+        }
+    }
+
+    // Requested IDs that are missing or archived
+    if (ids) {
+        const found = new Set(leads.map((l) => String(l._id)));
+        ids.filter((id) => !found.has(String(id)))
+            .forEach((id) => results.push({ id, success: false, message: 'Lead not found.' }));
+    }
+
+    const succeeded = results.filter((r) => r.success).length;
+
+    res.status(200).json({
+        success: true,
+        operation,
+        matched: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+    });
+});
+
 // ─── Add Activity to Lead ─────────────────────────────────────────────────────
 
 /**
@@ -236,21 +558,40 @@ exports.addActivity = asyncHandler(async (req, res) => {
         await lead.save();
     }
 
+    // Activity-based scoring rules depend on the new activity
+    await scoringService.scoreLead(lead);
+
     await activity.populate('userId', 'name');
 
     res.status(201).json({ success: true, activity });
 });
 
+// ─── Follow-ups ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/leads/follow-ups
+ * The current user's open follow-ups (lead follow-up dates and activity next
+ * follow-ups) that are overdue or due today.
+ */
+exports.getFollowUps = asyncHandler(async (req, res) => {
+    const { overdue, dueToday } = await reminderService.getFollowUps(req.user._id);
+    res.status(200).json({ success: true, overdue, dueToday });
+});
+
 // ─── Pipeline Summary ─────────────────────────────────────────────────────────
 
 /**
- * GET /api/leads/pipeline
- * Returns lead counts grouped by pipeline stage.
+ * GET /api/leads/pipeline?pipeline=<id>
+ * Returns lead counts grouped by pipeline stage, in pipeline order, for one
+ * pipeline or (without one) all of them.
  */
 exports.getPipelineSummary = asyncHandler(async (req, res) => {
+    const pipelineId = stageService.toPipelineId(req.query.pipeline);
+    const all = await stageService.getStageOrder(pipelineId);
     const matchStage = req.user.role === 'sales'
-        ? { isArchived: false, assignedTo: req.user._id }
-        : { isArchived: false };
+        ? { isArchived: false, convertedAt: null, assignedTo: req.user._id }
+        : { isArchived: false, convertedAt: null };
+    if (pipelineId) matchStage.pipeline = pipelineId;
 
     const pipeline = await Lead.aggregate([
         { $match: matchStage },
@@ -261,7 +602,8 @@ exports.getPipelineSummary = asyncHandler(async (req, res) => {
                 totalValue: { $sum: '$expectedValue' },
             },
         },
-        { $sort: { _id: 1 } },
+        { $addFields: { order: { $indexOfArray: [all, '$_id'] } } },
+        { $sort: { order: 1 } },
     ]);
 
     res.status(200).json({ success: true, pipeline });
@@ -0,0 +1,109 @@
+/**
+ * Pipeline Controller
+ * Any authenticated user can list the pipelines and their stages; creating,
+ * editing and deleting pipelines is admin-only.
+ */
+
+const { body } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const stageService = require('../services/stageService');
+const pipelineService = require('../services/pipelineService');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const pipelineFieldRules = [
+    body('description').optional().trim().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false').toBoolean(),
+];
+
+exports.createPipelineValidation = [
+    body('name').trim().notEmpty().withMessage('Pipeline name is required')
+        .isLength({ max: 60 }).withMessage('Pipeline name cannot exceed 60 characters'),
+    body('copyFrom').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid pipeline to copy stages from'),
+    ...pipelineFieldRules,
+];
+
+exports.updatePipelineValidation = [
+    body('name').optional().trim().notEmpty().withMessage('Pipeline name cannot be empty')
+        .isLength({ max: 60 }).withMessage('Pipeline name cannot exceed 60 characters'),
+    body('order').optional().isInt().toInt(),
+    ...pipelineFieldRules,
+];
+
+exports.deletePipelineValidation = [
+    body('moveTo').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid pipeline to move records to'),
+    body('stageMap').optional().isObject().withMessage('stageMap must map stage names to stage names'),
+];
+
+// ─── List Pipelines ───────────────────────────────────────────────────────────
+
+/**
+ * GET /api/pipelines?counts=true
+ * Pipelines in order, each with its stages. Admins can ask for the number of
+ * leads and deals in each pipeline (archived and deleted records included).
+ */
+exports.getPipelines = asyncHandler(async (req, res) => {
+    let pipelines = await stageService.getPipelines();
+
+    if (req.user.role === 'admin' && req.query.counts === 'true') {
+        const counts = await pipelineService.countRecords();
+        pipelines = pipelines.map((p) => ({ ...p, records: counts[p._id] || { leads: 0, deals: 0 } }));
+    }
+
+    res.status(200).json({ success: true, count: pipelines.length, pipelines });
+});
+
+// ─── Create Pipeline ──────────────────────────────────────────────────────────
+
+/**
+ * POST /api/pipelines
+ * Body: { name, description, isDefault, copyFrom } - stages are copied from
+ * `copyFrom`, or the standard stage set is used.
+ */
+exports.createPipeline = asyncHandler(async (req, res) => {
+    const { name, description, isDefault, copyFrom } = req.body;
+    const pipeline = await pipelineService.createPipeline({ name, description, isDefault, copyFrom });
+
+    res.status(201).json({ success: true, pipeline });
+});
+
+// ─── Update Pipeline ──────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/pipelines/:id
+ */
+exports.updatePipeline = asyncHandler(async (req, res) => {
+    const { name, description, isDefault, order } = req.body;
+    const pipeline = await pipelineService.updatePipeline(req.params.id, { name, description, isDefault, order });
+
+    res.status(200).json({ success: true, pipeline });
+});
+
+// ─── Delete Pipeline ──────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/pipelines/:id
+ * Body: { moveTo, stageMap } - a pipeline that still has leads or deals is
+ * only deleted when `moveTo` names the pipeline they should move to; stages
+ * missing from `stageMap` map to the closest matching stage. Without
+ * `moveTo`, 409 with the record counts.
+ */
+exports.deletePipeline = asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await pipelineService.deletePipeline(req.params.id, req.body.moveTo || null, req.body.stageMap || {});
+    } catch (err) {
+        if (err.statusCode === 409 && err.counts) {
+            return res.status(409).json({ success: false, message: err.message, records: err.counts });
+        }
+        throw err;
+    }
+
+    const { pipeline, moved } = result;
+    res.status(200).json({
+        success: true,
+        message: moved.leads || moved.deals
+            ? `Pipeline "${pipeline.name}" deleted; ${moved.leads} lead(s) and ${moved.deals} deal(s) moved.`
+            : `Pipeline "${pipeline.name}" deleted.`,
+    });
+});
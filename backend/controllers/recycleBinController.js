@@ -0,0 +1,110 @@
+/**
+ * Recycle Bin Controller
+ * Restricted to 'admin' role only.
+ * Lists archived leads, deleted deals, deactivated users and deleted activities;
+ * restores or purges them.
+ */
+
+const { body, param, query } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const recycleBinService = require('../services/recycleBinService');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const typeValidation = param('type').isIn(recycleBinService.BIN_TYPES).withMessage(`Type must be one of: ${recycleBinService.BIN_TYPES.join(', ')}`);
+
+exports.getRecycleBinValidation = [
+    query('type').isIn(recycleBinService.BIN_TYPES).withMessage(`Type must be one of: ${recycleBinService.BIN_TYPES.join(', ')}`),
+];
+
+exports.binItemValidation = [
+    typeValidation,
+    param('id').isMongoId().withMessage('Invalid ID'),
+];
+
+exports.retentionValidation = [
+    body('retentionDays').isInt({ min: 0, max: 3650 }).withMessage('Retention must be 0-3650 days (0 keeps items forever)'),
+];
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/recycle-bin?type=lead|deal|user|activity&page=1&limit=20
+ */
+exports.getRecycleBin = asyncHandler(async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const { items, total, retentionDays } = await recycleBinService.listBin(req.query.type, { page, limit });
+
+    res.status(200).json({
+        success: true,
+        count: items.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        retentionDays,
+        items,
+    });
+});
+
+// ─── Restore ──────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/admin/recycle-bin/:type/:id/restore
+ */
+exports.restoreItem = asyncHandler(async (req, res) => {
+    const { restoredDeals } = await recycleBinService.restore(req.params.type, req.params.id, req.user);
+
+    const message = restoredDeals
+        ? `Restored with ${restoredDeals} related deal${restoredDeals === 1 ? '' : 's'}.`
+        : 'Restored successfully.';
+    res.status(200).json({ success: true, message, restoredDeals });
+});
+
+// ─── Purge ────────────────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/admin/recycle-bin/:type/:id
+ * Permanently deletes the item and its dependent activities (a user's
+ * activities are kept without an author).
+ */
+exports.purgeItem = asyncHandler(async (req, res) => {
+    const deleted = await recycleBinService.purge(req.params.type, req.params.id);
+
+    res.status(200).json({ success: true, message: 'Permanently deleted.', deleted });
+});
+
+/**
+ * POST /api/admin/recycle-bin/purge-expired
+ * Runs the retention purge now instead of waiting for the daily job.
+ */
+exports.purgeExpired = asyncHandler(async (req, res) => {
+    const deleted = await recycleBinService.purgeExpired();
+
+    res.status(200).json({
+        success: true,
+        message: deleted ? 'Expired items purged.' : 'Retention is off; nothing was purged.',
+        deleted,
+    });
+});
+
+// ─── Retention Settings ───────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/recycle-bin/settings
+ */
+exports.getRetention = asyncHandler(async (req, res) => {
+    const retentionDays = await recycleBinService.getRetentionDays();
+    res.status(200).json({ success: true, retentionDays });
+});
+
+/**
+ * PUT /api/admin/recycle-bin/settings
+ * Body: { retentionDays } — 0 disables auto-purge.
+ */
+exports.updateRetention = asyncHandler(async (req, res) => {
+    const retentionDays = parseInt(req.body.retentionDays, 10);
+    await recycleBinService.setRetentionDays(retentionDays, req.user);
+    res.status(200).json({ success: true, message: 'Retention period updated.', retentionDays });
+});
@@ -0,0 +1,177 @@
+/**
+ * Saved View Controller
+ * Per-user saved filters for the Leads and Deals lists.
+ * Users see their own views plus shared ones; only the owner or an admin can change a view.
+ */
+
+const { body, query } = require('express-validator');
+const SavedView = require('../models/SavedView');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Pagination is not part of a view
+const NON_VIEW_PARAMS = ['page', 'limit', 'format'];
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+exports.getViewsValidation = [
+    query('entity').isIn(['lead', 'deal']).withMessage('Entity must be lead or deal'),
+];
+
+exports.createViewValidation = [
+    body('name').trim().notEmpty().withMessage('View name is required'),
+    body('entity').isIn(['lead', 'deal']).withMessage('Entity must be lead or deal'),
+    body('query').optional().isObject().withMessage('Query must be an object'),
+    body('columns').optional().isArray().withMessage('Columns must be a list'),
+    body('isShared').optional().isBoolean(),
+    body('isDefault').optional().isBoolean(),
+];
+
+exports.updateViewValidation = [
+    body('name').optional().trim().notEmpty().withMessage('View name cannot be empty'),
+    body('query').optional().isObject().withMessage('Query must be an object'),
+    body('columns').optional().isArray().withMessage('Columns must be a list'),
+    body('isShared').optional().isBoolean(),
+];
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const cleanQuery = (raw = {}) =>
+    Object.fromEntries(
+        Object.entries(raw).filter(([key, value]) => !NON_VIEW_PARAMS.includes(key) && value !== '' && value != null)
+    );
+
+const canEdit = (view, user) => user.role === 'admin' || String(view.owner) === String(user._id);
+
+/**
+ * Shape a view for the current user (`isDefault`/`isOwn` are per-user).
+ */
+const present = (view, user) => {
+    const { defaultFor = [], ...rest } = view.toObject ? view.toObject() : view;
+    const ownerId = rest.owner?._id || rest.owner;
+    return {
+        ...rest,
+        isDefault: defaultFor.some((id) => String(id) === String(user._id)),
+        isOwn: String(ownerId) === String(user._id),
+    };
+};
+
+/**
+ * Make `viewId` the user's only default view for the entity.
+ */
+const setDefault = async (entity, viewId, userId) => {
+    await SavedView.updateMany({ entity, defaultFor: userId }, { $pull: { defaultFor: userId } });
+    if (viewId) await SavedView.updateOne({ _id: viewId }, { $addToSet: { defaultFor: userId } });
+};
+
+// ─── List Views ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/saved-views?entity=lead|deal
+ * Own views first, then views shared by others.
+ */
+exports.getViews = asyncHandler(async (req, res) => {
+    const views = await SavedView.find({
+        entity: req.query.entity,
+        $or: [{ owner: req.user._id }, { isShared: true }],
+    })
+        .populate('owner', 'name')
+        .sort({ name: 1 })
+        .lean();
+
+    const presented = views.map((v) => present(v, req.user)).sort((a, b) => b.isOwn - a.isOwn);
+
+    res.status(200).json({ success: true, count: presented.length, views: presented });
+});
+
+// ─── Create View ──────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/saved-views
+ */
+exports.createView = asyncHandler(async (req, res) => {
+    const { name, entity, query: viewQuery, columns, isShared, isDefault } = req.body;
+
+    const view = await SavedView.create({
+        name,
+        entity,
+        owner: req.user._id,
+        query: cleanQuery(viewQuery),
+        columns: columns || [],
+        isShared: !!isShared,
+    });
+
+    if (isDefault) {
+        await setDefault(entity, view._id, req.user._id);
+        view.defaultFor = [req.user._id];
+    }
+
+    res.status(201).json({ success: true, view: present(view, req.user) });
+});
+
+// ─── Update View ──────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/saved-views/:id
+ */
+exports.updateView = asyncHandler(async (req, res) => {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) return res.status(404).json({ success: false, message: 'View not found.' });
+    if (!canEdit(view, req.user)) {
+        return res.status(403).json({ success: false, message: 'Only the owner can change this view.' });
+    }
+
+    const { name, query: viewQuery, columns, isShared } = req.body;
+    if (name !== undefined) view.name = name;
+    if (viewQuery !== undefined) {
+        view.query = cleanQuery(viewQuery);
+        view.markModified('query');
+    }
+    if (columns !== undefined) view.columns = columns;
+    if (isShared !== undefined) {
+        view.isShared = isShared;
+        // Others can no longer open an unshared view by default
+        if (!isShared) view.defaultFor = view.defaultFor.filter((id) => String(id) === String(view.owner));
+    }
+
+    await view.save();
+
+    res.status(200).json({ success: true, view: present(view, req.user) });
+});
+
+// ─── Set Default View ─────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/saved-views/:id/default
+ * Body: { isDefault: boolean } — sets or clears the user's default view for the entity.
+ */
+exports.setDefaultView = asyncHandler(async (req, res) => {
+    const view = await SavedView.findById(req.params.id);
+    if (!view || (!view.isShared && String(view.owner) !== String(req.user._id))) {
+        return res.status(404).json({ success: false, message: 'View not found.' });
+    }
+
+    if (req.body.isDefault === false) {
+        await SavedView.updateOne({ _id: view._id }, { $pull: { defaultFor: req.user._id } });
+    } else {
+        await setDefault(view.entity, view._id, req.user._id);
+    }
+
+    res.status(200).json({ success: true, message: 'Default view updated.' });
+});
+
+// ─── Delete View ──────────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/saved-views/:id
+ */
+exports.deleteView = asyncHandler(async (req, res) => {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) return res.status(404).json({ success: false, message: 'View not found.' });
+    if (!canEdit(view, req.user)) {
+        return res.status(403).json({ success: false, message: 'Only the owner can delete this view.' });
+    }
+
+    await view.deleteOne();
+
+    res.status(200).json({ success: true, message: 'View deleted.' });
+});
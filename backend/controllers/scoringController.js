@@ -0,0 +1,107 @@
+/**
+ * Scoring Controller
+ * Restricted to 'admin' role only.
+ * Manages lead scoring rules and recalculates lead scores.
+ */
+
+const { body } = require('express-validator');
+const ScoringRule = require('../models/ScoringRule');
+const { SCORING_FIELDS, SCORING_OPERATORS } = require('../models/ScoringRule');
+const { asyncHandler } = require('../middleware/errorHandler');
+const scoringService = require('../services/scoringService');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+exports.scoringRuleValidation = [
+    body('name').trim().notEmpty().withMessage('Rule name is required'),
+    body('kind').isIn(['field', 'activity', 'inactivity']).withMessage('Invalid rule kind'),
+    body('points').isInt({ min: -1000, max: 1000 }).withMessage('Points must be a whole number between -1000 and 1000'),
+    body('field').optional({ values: 'null' }).isIn(SCORING_FIELDS).withMessage('Invalid field'),
+    body('operator').optional({ values: 'null' }).isIn(SCORING_OPERATORS).withMessage('Invalid operator'),
+    body('withinDays').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Days must be a positive number'),
+    body('isActive').optional().isBoolean(),
+];
+
+// Fields an admin may set on a rule
+const RULE_FIELDS = ['name', 'kind', 'points', 'field', 'operator', 'value', 'valueTo', 'activityType', 'outcome', 'withinDays', 'isActive'];
+
+const pickRuleFields = (data) =>
+    Object.fromEntries(RULE_FIELDS.filter((f) => data[f] !== undefined).map((f) => [f, data[f]]));
+
+// ─── List Rules ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/scoring-rules
+ */
+exports.getScoringRules = asyncHandler(async (req, res) => {
+    const rules = await ScoringRule.find().sort({ createdAt: 1 }).lean();
+
+    res.status(200).json({
+        success: true,
+        count: rules.length,
+        rules,
+        fields: SCORING_FIELDS,
+        operators: SCORING_OPERATORS,
+    });
+});
+
+// ─── Create Rule ──────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/admin/scoring-rules
+ * Creates a rule and rescores all active leads.
+ */
+exports.createScoringRule = asyncHandler(async (req, res) => {
+    const rule = await ScoringRule.create({ ...pickRuleFields(req.body), createdBy: req.user._id });
+    const rescored = await scoringService.rescoreAllLeads();
+
+    res.status(201).json({ success: true, rule, rescored });
+});
+
+// ─── Update Rule ──────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/admin/scoring-rules/:id
+ */
+exports.updateScoringRule = asyncHandler(async (req, res) => {
+    const rule = await ScoringRule.findById(req.params.id);
+
+    if (!rule) {
+        return res.status(404).json({ success: false, message: 'Scoring rule not found.' });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+    const rescored = await scoringService.rescoreAllLeads();
+
+    res.status(200).json({ success: true, rule, rescored });
+});
+
+// ─── Delete Rule ──────────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/admin/scoring-rules/:id
+ */
+exports.deleteScoringRule = asyncHandler(async (req, res) => {
+    const rule = await ScoringRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+        return res.status(404).json({ success: false, message: 'Scoring rule not found.' });
+    }
+
+    const rescored = await scoringService.rescoreAllLeads();
+
+    res.status(200).json({ success: true, message: 'Scoring rule deleted.', rescored });
+});
+
+// ─── Recalculate Scores ───────────────────────────────────────────────────────
+
+/**
+ * POST /api/admin/scoring-rules/recalculate
+ * Refreshes every active lead's score (time-based rules drift without new activity).
+ */
+exports.recalculateScores = asyncHandler(async (req, res) => {
+    const rescored = await scoringService.rescoreAllLeads();
+
+    res.status(200).json({ success: true, message: `Rescored ${rescored} leads.`, rescored });
+});
@@ -0,0 +1,36 @@
+/**
+ * Search Controller
+ * Global full-text search across leads, deals and activity notes.
+ */
+
+const { query } = require('express-validator');
+const searchService = require('../services/searchService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+exports.searchValidation = [
+    query('q').trim().isLength({ min: 2, max: 200 }).withMessage('Search text must be 2-200 characters'),
+    query('types')
+        .optional()
+        .custom((value) => String(value).split(',').every((t) => searchService.SEARCH_TYPES.includes(t)))
+        .withMessage(`Types must be a comma-separated subset of: ${searchService.SEARCH_TYPES.join(', ')}`),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50'),
+];
+
+// ─── Search ───────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/search?q=&types=lead,deal,activity&limit=5
+ * Results are ranked by text relevance and grouped by entity type.
+ */
+exports.search = asyncHandler(async (req, res) => {
+    const { q, types, limit } = req.query;
+
+    const results = await searchService.search(q, req.user, {
+        types: types ? String(types).split(',') : undefined,
+        limit: parseInt(limit, 10) || 5,
+    });
+
+    res.status(200).json({ success: true, query: q, results });
+});
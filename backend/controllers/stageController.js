@@ -0,0 +1,157 @@
+/**
+ * Stage Controller
+ * Any authenticated user can read a pipeline's stages (to render forms and
+ * boards); creating, editing, reordering and deleting them is admin-only.
+ * Requests without a pipeline work on the default pipeline.
+ */
+
+const { body, query } = require('express-validator');
+const { STAGE_OUTCOMES, STAGE_REQUIREMENTS } = require('../models/Stage');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const stageService = require('../services/stageService');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const stageFieldRules = [
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3b82f6'),
+    body('icon').optional().trim().isLength({ max: 8 }).withMessage('Icon cannot exceed 8 characters'),
+    body('probability').optional().isInt({ min: 0, max: 100 }).withMessage('Probability must be between 0 and 100').toInt(),
+    body('outcome').optional().isIn(STAGE_OUTCOMES).withMessage('Outcome must be open, won or lost'),
+    body('allowedFrom').optional().isArray().withMessage('Previous stages must be a list of stage names'),
+    body('allowedFrom.*').isString().trim().notEmpty().withMessage('Previous stage names cannot be empty'),
+    body('requiredFields').optional().isArray().withMessage('Required fields must be a list'),
+    body('requiredFields.*').isIn(Object.keys(STAGE_REQUIREMENTS)).withMessage('Unknown required field'),
+    body('bypassRoles').optional().isArray().withMessage('Bypass roles must be a list'),
+    body('bypassRoles.*').custom((role) => User.schema.path('role').enumValues.includes(role)).withMessage('Unknown role'),
+];
+
+// Admin-editable stage properties
+const STAGE_PROPS = ['name', 'color', 'icon', 'probability', 'outcome', 'allowedFrom', 'requiredFields', 'bypassRoles'];
+const pickStageProps = (body) => Object.fromEntries(STAGE_PROPS.filter((p) => body[p] !== undefined).map((p) => [p, body[p]]));
+
+exports.createStageValidation = [
+    body('pipeline').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid pipeline'),
+    body('name').trim().notEmpty().withMessage('Stage name is required')
+        .isLength({ max: 40 }).withMessage('Stage name cannot exceed 40 characters'),
+    body('order').optional().isInt().toInt(),
+    ...stageFieldRules,
+];
+
+exports.updateStageValidation = [
+    body('name').optional().trim().notEmpty().withMessage('Stage name cannot be empty')
+        .isLength({ max: 40 }).withMessage('Stage name cannot exceed 40 characters'),
+    ...stageFieldRules,
+];
+
+exports.reorderStagesValidation = [
+    body('pipeline').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid pipeline'),
+    body('ids').isArray({ min: 1 }).withMessage('Provide the stage IDs in their new order'),
+    body('ids.*').isMongoId().withMessage('Invalid stage ID'),
+];
+
+exports.deleteStageValidation = [
+    query('moveTo').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid stage to move records to'),
+];
+
+// ─── List Stages ──────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/stages?pipeline=<id>&counts=true
+ * A pipeline's stages in order, with their transition rules. Admins can ask
+ * for the number of leads and deals in each stage (archived and deleted
+ * records included).
+ */
+exports.getStages = asyncHandler(async (req, res) => {
+    const pipeline = await stageService.getPipeline(stageService.toPipelineId(req.query.pipeline));
+    if (!pipeline) {
+        return res.status(404).json({ success: false, message: 'Pipeline not found' });
+    }
+    let { stages } = pipeline;
+
+    if (req.user.role === 'admin' && req.query.counts === 'true') {
+        const counts = await stageService.countRecords(pipeline._id);
+        stages = stages.map((s) => ({ ...s, records: counts[s.name] || { leads: 0, deals: 0 } }));
+    }
+
+    res.status(200).json({
+        success: true,
+        count: stages.length,
+        pipeline: pipeline._id,
+        stages,
+        outcomes: STAGE_OUTCOMES,
+        requirements: Object.fromEntries(Object.entries(STAGE_REQUIREMENTS).map(([key, r]) => [key, r.label])),
+        roles: User.schema.path('role').enumValues,
+    });
+});
+
+// ─── Create Stage ─────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/stages
+ */
+exports.createStage = asyncHandler(async (req, res) => {
+    const { pipeline, order } = req.body;
+    const stage = await stageService.createStage({ ...pickStageProps(req.body), pipeline, order });
+
+    res.status(201).json({ success: true, stage });
+});
+
+// ─── Update Stage ─────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/stages/:id
+ * Renaming moves the pipeline's leads, deals and saved views (and scoring
+ * rules) to the new name.
+ */
+exports.updateStage = asyncHandler(async (req, res) => {
+    const { stage, moved } = await stageService.updateStage(req.params.id, pickStageProps(req.body));
+
+    res.status(200).json({
+        success: true,
+        message: moved.leads || moved.deals
+            ? `Stage renamed; ${moved.leads} lead(s) and ${moved.deals} deal(s) updated.`
+            : 'Stage updated.',
+        stage,
+    });
+});
+
+// ─── Reorder Stages ───────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/stages/reorder
+ * Body: { pipeline, ids } - every stage ID of the pipeline in the new order
+ */
+exports.reorderStages = asyncHandler(async (req, res) => {
+    const stages = await stageService.reorderStages(req.body.pipeline || null, req.body.ids);
+
+    res.status(200).json({ success: true, stages });
+});
+
+// ─── Delete Stage ─────────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/stages/:id?moveTo=<stageId>
+ * A stage that still has leads or deals is only deleted when `moveTo` names
+ * the stage (in the same pipeline) they should move to; otherwise 409 with
+ * the record counts.
+ */
+exports.deleteStage = asyncHandler(async (req, res) => {
+    let result;
+    try {
+        result = await stageService.deleteStage(req.params.id, req.query.moveTo || null);
+    } catch (err) {
+        if (err.statusCode === 409 && err.counts) {
+            return res.status(409).json({ success: false, message: err.message, records: err.counts });
+        }
+        throw err;
+    }
+
+    const { stage, moved } = result;
+    res.status(200).json({
+        success: true,
+        message: moved.leads || moved.deals
+            ? `Stage "${stage.name}" deleted; ${moved.leads} lead(s) and ${moved.deals} deal(s) moved.`
+            : `Stage "${stage.name}" deleted.`,
+    });
+});
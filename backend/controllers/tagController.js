@@ -0,0 +1,128 @@
+/**
+ * Tag Controller
+ * Any authenticated user can list tags (for autocomplete and filters);
+ * creating, renaming, merging and deleting them is admin-only.
+ */
+
+const { body } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const tagService = require('../services/tagService');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const colorRule = body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #6366f1');
+
+exports.createTagValidation = [
+    body('name').trim().notEmpty().withMessage('Tag name is required')
+        .isLength({ max: 40 }).withMessage('Tag name cannot exceed 40 characters'),
+    colorRule,
+];
+
+exports.updateTagValidation = [
+    body('name').optional().trim().notEmpty().withMessage('Tag name cannot be empty')
+        .isLength({ max: 40 }).withMessage('Tag name cannot exceed 40 characters'),
+    colorRule,
+];
+
+exports.mergeTagsValidation = [
+    body('sourceIds').isArray({ min: 1 }).withMessage('Choose the tags to merge'),
+    body('sourceIds.*').isMongoId().withMessage('Invalid tag ID'),
+    body('targetId').isMongoId().withMessage('Choose the tag to merge into'),
+];
+
+exports.tagSettingsValidation = [
+    body('adminOnlyCreate').isBoolean().withMessage('adminOnlyCreate must be true or false').toBoolean(),
+];
+
+// ─── List Tags ────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/tags
+ * Tags by name with the number of active leads using each, and whether
+ * new tags are limited to admins.
+ */
+exports.getTags = asyncHandler(async (req, res) => {
+    const [tags, adminOnlyCreate] = await Promise.all([
+        tagService.listTags(),
+        tagService.isCreationRestricted(),
+    ]);
+
+    res.status(200).json({ success: true, count: tags.length, tags, adminOnlyCreate });
+});
+
+// ─── Create Tag ───────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/tags
+ * Body: { name, color }
+ */
+exports.createTag = asyncHandler(async (req, res) => {
+    const tag = await tagService.createTag({ name: req.body.name, color: req.body.color }, req.user);
+
+    res.status(201).json({ success: true, tag });
+});
+
+// ─── Update Tag ───────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/tags/:id
+ * Body: { name, color } - a rename is applied to every lead with the tag.
+ */
+exports.updateTag = asyncHandler(async (req, res) => {
+    const { tag, leads } = await tagService.updateTag(req.params.id, { name: req.body.name, color: req.body.color });
+
+    res.status(200).json({
+        success: true,
+        message: leads ? `Tag updated; ${leads} lead(s) renamed.` : 'Tag updated.',
+        tag,
+    });
+});
+
+// ─── Merge Tags ───────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/tags/merge
+ * Body: { sourceIds, targetId } - leads with a source tag get the target
+ * tag instead; the source tags are deleted.
+ */
+exports.mergeTags = asyncHandler(async (req, res) => {
+    const { tag, merged, leads } = await tagService.mergeTags(req.body.sourceIds, req.body.targetId);
+
+    res.status(200).json({
+        success: true,
+        message: `${merged} tag(s) merged into "${tag.name}"; ${leads} lead(s) updated.`,
+        tag,
+    });
+});
+
+// ─── Delete Tag ───────────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/tags/:id
+ * Removes the tag from every lead.
+ */
+exports.deleteTag = asyncHandler(async (req, res) => {
+    const { tag, leads } = await tagService.deleteTag(req.params.id);
+
+    res.status(200).json({
+        success: true,
+        message: `Tag "${tag.name}" deleted${leads ? ` and removed from ${leads} lead(s)` : ''}.`,
+    });
+});
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/tags/settings
+ * Body: { adminOnlyCreate } - when true, only admins can add tags that are
+ * not registered yet.
+ */
+exports.updateTagSettings = asyncHandler(async (req, res) => {
+    await tagService.setCreationRestricted(req.body.adminOnlyCreate, req.user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Tag settings updated.',
+        adminOnlyCreate: req.body.adminOnlyCreate,
+    });
+});
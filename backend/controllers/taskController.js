@@ -0,0 +1,122 @@
+/**
+ * Task Controller
+ * To-dos against a lead or deal (Activities of type 'task'): list views with
+ * counts, create, edit and reassign, complete/reopen and reschedule.
+ * Sales users work with the tasks assigned to them or that they created.
+ */
+
+const { body, query } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const taskService = require('../services/taskService');
+const { TASK_PRIORITIES } = require('../models/Activity');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const noteRule = () => body('note').trim().notEmpty().withMessage('Task description is required')
+    .isLength({ max: 1000 }).withMessage('Task description cannot exceed 1000 characters');
+const priorityRule = body('priority').optional().isIn(TASK_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+const assigneeRule = body('assignedTo').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid assignee');
+
+exports.getTasksValidation = [
+    query('view').optional().isIn(taskService.TASK_VIEWS)
+        .withMessage(`View must be one of: ${taskService.TASK_VIEWS.join(', ')}`),
+    query('assignee').optional().custom((value, { req }) => {
+        if (value === 'me' || value === 'all') return true;
+        if (req.user.role !== 'admin') throw new Error('Only admins can list other users\' tasks');
+        if (!/^[0-9a-fA-F]{24}$/.test(value)) throw new Error('Invalid assignee');
+        return true;
+    }),
+    query('leadId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid lead'),
+    query('dealId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid deal'),
+    query('priority').optional({ values: 'falsy' }).isIn(TASK_PRIORITIES).withMessage('Invalid priority'),
+];
+
+exports.createTaskValidation = [
+    noteRule(),
+    body('leadId').if((value, { req }) => !req.body.dealId).isMongoId().withMessage('A lead or deal is required'),
+    body('dealId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid deal'),
+    body('dueDate').optional({ values: 'falsy' }).isISO8601().toDate().withMessage('Valid due date required'),
+    priorityRule,
+    assigneeRule,
+];
+
+exports.updateTaskValidation = [
+    noteRule().optional(),
+    body('dueDate').optional({ values: 'falsy' }).isISO8601().toDate().withMessage('Valid due date required'),
+    priorityRule,
+    assigneeRule,
+];
+
+exports.rescheduleTaskValidation = [
+    body('dueDate').isISO8601().toDate().withMessage('Valid due date required'),
+];
+
+// ─── List Tasks ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/tasks?view=mine|overdue|today|upcoming|completed|all&assignee=me|all|<id>
+ * Also: leadId, dealId, priority, page, limit
+ */
+exports.getTasks = asyncHandler(async (req, res) => {
+    const { tasks, total, page, pages } = await taskService.listTasks(req.query, req.user);
+    res.status(200).json({ success: true, count: tasks.length, total, page, pages, tasks });
+});
+
+/**
+ * GET /api/tasks/counts
+ * The current user's open tasks: overdue, due today, upcoming and in total.
+ */
+exports.getTaskCounts = asyncHandler(async (req, res) => {
+    const counts = await taskService.getTaskCounts(req.user);
+    res.status(200).json({ success: true, counts });
+});
+
+// ─── Create Task ──────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/tasks
+ * Body: { note, leadId | dealId, dueDate, assignedTo, priority }
+ */
+exports.createTask = asyncHandler(async (req, res) => {
+    const { note, leadId, dealId, dueDate, assignedTo, priority } = req.body;
+    const task = await taskService.createTask({ note, leadId, dealId, dueDate, assignedTo, priority }, req.user);
+    res.status(201).json({ success: true, task });
+});
+
+// ─── Update Task ──────────────────────────────────────────────────────────────
+
+/**
+ * PUT /api/tasks/:id
+ * Body: { note, dueDate, priority, assignedTo } - any of them
+ */
+exports.updateTask = asyncHandler(async (req, res) => {
+    const { note, dueDate, priority, assignedTo } = req.body;
+    const task = await taskService.updateTask(req.params.id, { note, dueDate, priority, assignedTo }, req.user);
+    res.status(200).json({ success: true, task });
+});
+
+/**
+ * PUT /api/tasks/:id/complete
+ */
+exports.completeTask = asyncHandler(async (req, res) => {
+    const task = await taskService.setCompleted(req.params.id, true, req.user);
+    res.status(200).json({ success: true, message: 'Task completed.', task });
+});
+
+/**
+ * PUT /api/tasks/:id/reopen
+ */
+exports.reopenTask = asyncHandler(async (req, res) => {
+    const task = await taskService.setCompleted(req.params.id, false, req.user);
+    res.status(200).json({ success: true, message: 'Task reopened.', task });
+});
+
+/**
+ * PUT /api/tasks/:id/reschedule
+ * Body: { dueDate }
+ */
+exports.rescheduleTask = asyncHandler(async (req, res) => {
+    const task = await taskService.rescheduleTask(req.params.id, req.body.dueDate, req.user);
+    res.status(200).json({ success: true, message: 'Task rescheduled.', task });
+});
@@ -0,0 +1,137 @@
+/**
+ * Template Controller
+ * The email template library: shared and personal templates with merge
+ * fields, previews against a real lead, and admin overrides of the built-in
+ * verification, password reset and welcome emails.
+ */
+
+const { body, param } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const templateService = require('../services/templateService');
+const { SYSTEM_TEMPLATE_KEYS } = require('../models/EmailTemplate');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+const contentRules = (optional = false) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('subject').trim().notEmpty().withMessage('Subject is required')
+            .isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+        field('body').trim().notEmpty().withMessage('Template body is required')
+            .isLength({ max: 20000 }).withMessage('Template body cannot exceed 20000 characters'),
+    ];
+};
+
+exports.createTemplateValidation = [
+    body('name').trim().notEmpty().withMessage('Template name is required')
+        .isLength({ max: 100 }).withMessage('Template name cannot exceed 100 characters'),
+    body('scope').optional().isIn(['shared', 'personal']).withMessage('Scope must be shared or personal'),
+    ...contentRules(),
+];
+
+exports.updateTemplateValidation = [
+    body('name').optional().trim().notEmpty().withMessage('Template name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Template name cannot exceed 100 characters'),
+    ...contentRules(true),
+];
+
+exports.systemTemplateValidation = [
+    param('key').isIn(SYSTEM_TEMPLATE_KEYS).withMessage(`Key must be one of: ${SYSTEM_TEMPLATE_KEYS.join(', ')}`),
+    ...contentRules(),
+];
+
+exports.systemKeyValidation = [
+    param('key').isIn(SYSTEM_TEMPLATE_KEYS).withMessage(`Key must be one of: ${SYSTEM_TEMPLATE_KEYS.join(', ')}`),
+];
+
+exports.previewValidation = [
+    body('templateId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid template'),
+    body('subject').if((value, { req }) => !req.body.templateId).isString().withMessage('Subject or a template is required'),
+    body('body').if((value, { req }) => !req.body.templateId).isString().withMessage('Body or a template is required'),
+    body('systemKey').optional({ values: 'falsy' }).isIn(SYSTEM_TEMPLATE_KEYS).withMessage('Invalid system email'),
+    body('leadId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid lead'),
+    body('dealId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid deal'),
+];
+
+// ─── Library ──────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/email-templates
+ * Shared templates and your personal ones.
+ */
+exports.getTemplates = asyncHandler(async (req, res) => {
+    const templates = await templateService.listTemplates(req.user);
+    res.status(200).json({ success: true, count: templates.length, templates });
+});
+
+/**
+ * GET /api/email-templates/merge-fields
+ */
+exports.getMergeFields = asyncHandler(async (req, res) => {
+    res.status(200).json({ success: true, fields: templateService.getMergeFields() });
+});
+
+/**
+ * POST /api/email-templates
+ * Body: { name, subject, body, scope: 'shared' | 'personal' } - shared templates are admin-only.
+ */
+exports.createTemplate = asyncHandler(async (req, res) => {
+    const { name, subject, body: text, scope } = req.body;
+    const template = await templateService.createTemplate({ name, subject, body: text, scope }, req.user);
+    res.status(201).json({ success: true, message: 'Template created.', template });
+});
+
+/**
+ * PUT /api/email-templates/:id
+ */
+exports.updateTemplate = asyncHandler(async (req, res) => {
+    const { name, subject, body: text } = req.body;
+    const template = await templateService.updateTemplate(req.params.id, { name, subject, body: text }, req.user);
+    res.status(200).json({ success: true, message: 'Template updated.', template });
+});
+
+/**
+ * DELETE /api/email-templates/:id
+ */
+exports.deleteTemplate = asyncHandler(async (req, res) => {
+    await templateService.deleteTemplate(req.params.id, req.user);
+    res.status(200).json({ success: true, message: 'Template deleted.' });
+});
+
+/**
+ * POST /api/email-templates/preview
+ * Body: { templateId | subject, body[, systemKey], leadId, dealId }
+ */
+exports.previewTemplate = asyncHandler(async (req, res) => {
+    const { templateId, subject, body: text, systemKey, leadId, dealId } = req.body;
+    const preview = await templateService.previewTemplate({ templateId, subject, body: text, systemKey, leadId, dealId }, req.user);
+    res.status(200).json({ success: true, preview });
+});
+
+// ─── System Emails ────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/email-templates/system
+ */
+exports.getSystemTemplates = asyncHandler(async (req, res) => {
+    const templates = await templateService.listSystemTemplates();
+    res.status(200).json({ success: true, templates });
+});
+
+/**
+ * PUT /api/email-templates/system/:key
+ * Body: { subject, body } - HTML body; `{{user.name}}`, `{{user.email}}` and `{{link}}` are filled in.
+ */
+exports.saveSystemTemplate = asyncHandler(async (req, res) => {
+    const template = await templateService.saveSystemTemplate(req.params.key, req.body, req.user);
+    res.status(200).json({ success: true, message: 'System email updated.', template });
+});
+
+/**
+ * DELETE /api/email-templates/system/:key
+ * Goes back to the built-in email.
+ */
+exports.resetSystemTemplate = asyncHandler(async (req, res) => {
+    const reset = await templateService.resetSystemTemplate(req.params.key);
+    res.status(200).json({ success: true, message: reset ? 'System email reset to the default.' : 'System email already uses the default.' });
+});
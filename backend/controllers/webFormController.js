@@ -0,0 +1,177 @@
+/**
+ * Web Form Controller
+ * Admin management of web-to-lead forms, plus the public submission endpoint
+ * (authenticated by the form key instead of a user JWT).
+ */
+
+const { body } = require('express-validator');
+const WebForm = require('../models/WebForm');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const webFormService = require('../services/webFormService');
+const tagService = require('../services/tagService');
+
+// ─── Validation Rules ─────────────────────────────────────────────────────────
+
+exports.webFormValidation = [
+    body('name').trim().notEmpty().withMessage('Form name is required'),
+    body('fieldMap').optional().isArray({ max: 30 }).withMessage('Field map must be a list of up to 30 fields'),
+    body('fieldMap.*.field').trim().notEmpty().withMessage('Form field name is required'),
+    body('fieldMap.*.target').trim().notEmpty().withMessage('Lead field is required'),
+    body('defaults.tags').optional().isArray().withMessage('Tags must be a list'),
+    body('defaults.assignedTo').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid assignee'),
+    body('redirectUrl').optional({ values: 'falsy' }).isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Redirect URL must start with http:// or https://'),
+    body('thankYouMessage').optional().trim().isLength({ max: 300 }).withMessage('Message cannot exceed 300 characters'),
+    body('isActive').optional().isBoolean(),
+];
+
+const FORM_FIELDS = ['name', 'fieldMap', 'defaults', 'redirectUrl', 'thankYouMessage', 'isActive'];
+
+const pickFormData = (reqBody) => {
+    const data = {};
+    FORM_FIELDS.forEach((field) => {
+        if (reqBody[field] !== undefined) data[field] = reqBody[field];
+    });
+    if (data.defaults?.assignedTo === '') data.defaults = { ...data.defaults, assignedTo: null };
+    return data;
+};
+
+// ─── Admin: List Forms ────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/web-forms
+ */
+exports.getWebForms = asyncHandler(async (req, res) => {
+    const forms = await WebForm.find()
+        .populate('defaults.assignedTo', 'name email')
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        count: forms.length,
+        forms,
+        targets: WebForm.WEB_FORM_TARGETS,
+        honeypotField: webFormService.HONEYPOT_FIELD,
+    });
+});
+
+// ─── Admin: Create / Update / Delete ──────────────────────────────────────────
+
+const checkAssignee = async (defaults = {}) => {
+    if (!defaults.assignedTo) return true;
+    return !!(await User.exists({ _id: defaults.assignedTo, isActive: true }));
+};
+
+// Default tags take the registered spelling (admins may add new ones)
+const resolveDefaultTags = async (data, user) => {
+    if (data.defaults?.tags) data.defaults.tags = (await tagService.resolveTags(data.defaults.tags, user)).tags;
+    return data;
+};
+
+/**
+ * POST /api/admin/web-forms
+ */
+exports.createWebForm = asyncHandler(async (req, res) => {
+    if (!(await checkAssignee(req.body.defaults))) {
+        return res.status(400).json({ success: false, message: 'Default assignee must be an active user.' });
+    }
+
+    const data = await resolveDefaultTags(pickFormData(req.body), req.user);
+    const form = await WebForm.create({ ...data, createdBy: req.user._id });
+
+    res.status(201).json({ success: true, form });
+});
+
+/**
+ * PUT /api/admin/web-forms/:id
+ */
+exports.updateWebForm = asyncHandler(async (req, res) => {
+    const form = await WebForm.findById(req.params.id);
+    if (!form) return res.status(404).json({ success: false, message: 'Web form not found.' });
+
+    if (!(await checkAssignee(req.body.defaults))) {
+        return res.status(400).json({ success: false, message: 'Default assignee must be an active user.' });
+    }
+
+    // Partial `defaults` updates keep the other defaults
+    const data = await resolveDefaultTags(pickFormData(req.body), req.user);
+    if (data.defaults) data.defaults = { ...form.toObject().defaults, ...data.defaults };
+    form.set(data);
+    await form.save();
+
+    res.status(200).json({ success: true, form });
+});
+
+/**
+ * POST /api/admin/web-forms/:id/rotate-key
+ * Issues a new key; embeds using the old key stop working.
+ */
+exports.rotateWebFormKey = asyncHandler(async (req, res) => {
+    const form = await WebForm.findByIdAndUpdate(req.params.id, { key: WebForm.generateKey() }, { new: true });
+    if (!form) return res.status(404).json({ success: false, message: 'Web form not found.' });
+
+    res.status(200).json({ success: true, message: 'Form key rotated. Update your embedded forms.', form });
+});
+
+/**
+ * DELETE /api/admin/web-forms/:id
+ * Leads already captured keep their attribution.
+ */
+exports.deleteWebForm = asyncHandler(async (req, res) => {
+    const form = await WebForm.findByIdAndDelete(req.params.id);
+    if (!form) return res.status(404).json({ success: false, message: 'Web form not found.' });
+
+    res.status(200).json({ success: true, message: 'Web form deleted.' });
+});
+
+// ─── Public: Submit ───────────────────────────────────────────────────────────
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Plain HTML form posts get a page or a redirect; fetch/XHR callers get JSON
+const wantsHtml = (req) => !req.is('application/json') && req.accepts(['json', 'html']) === 'html';
+
+const htmlPage = (message) =>
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(message)}</title></head>` +
+    `<body style="font-family:sans-serif;text-align:center;padding:3rem"><p>${escapeHtml(message)}</p></body></html>`;
+
+const respond = (req, res, form, status, payload) => {
+    if (!wantsHtml(req)) return res.status(status).json(payload);
+    if (payload.success && form?.redirectUrl) return res.redirect(303, form.redirectUrl);
+    const message = payload.errors ? payload.errors.map((e) => e.message).join('. ') : payload.message;
+    return res.status(status).type('html').send(htmlPage(message));
+};
+
+/**
+ * POST /api/public/forms/:key
+ * Body: the form's fields (JSON or urlencoded), optional utm_* and referrer fields.
+ */
+exports.submitWebForm = asyncHandler(async (req, res) => {
+    const form = await WebForm.findOne({ key: String(req.params.key), isActive: true });
+    if (!form) {
+        return respond(req, res, null, 404, { success: false, message: 'Form not found.' });
+    }
+
+    const thanks = { success: true, message: form.thankYouMessage };
+
+    // Bots get the normal thank-you so they don't learn about the honeypot
+    if (webFormService.isSpam(req.body)) return respond(req, res, form, 201, thanks);
+
+    try {
+        await webFormService.submit(form, { body: req.body, query: req.query, referrer: req.get('referer') });
+    } catch (err) {
+        if (err.statusCode === 422 && err.errors) {
+            return respond(req, res, form, 422, { success: false, message: 'Validation failed', errors: err.errors });
+        }
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+            return respond(req, res, form, 422, { success: false, message: 'Validation failed', errors });
+        }
+        throw err;
+    }
+
+    respond(req, res, form, 201, thanks);
+});
@@ -0,0 +1,114 @@
+/**
+ * Account Model
+ * A customer organisation. Leads link to an account so that all people,
+ * deals and activity at one company can be seen (and rolled up) together.
+ */
+
+const mongoose = require('mongoose');
+
+const ACCOUNT_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5000+'];
+
+// Lowercase, single-spaced, without punctuation or a trailing legal suffix,
+// so "Acme, Inc." and "acme" match the same account
+const LEGAL_SUFFIX = /\s+(inc|incorporated|llc|ltd|limited|corp|corporation|co|gmbh|plc|sa|ag|bv|pty)$/;
+const normalizeName = (name) =>
+    (name || '').toLowerCase().replace(/[.,'"&()]/g, ' ').replace(/\s+/g, ' ').trim().replace(LEGAL_SUFFIX, '');
+
+// "https://www.Acme.com/about" → "acme.com"
+const normalizeDomain = (value) =>
+    (value || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split(/[/?#:]/)[0] || null;
+
+const AccountSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Account name is required'],
+            trim: true,
+            maxlength: [100, 'Account name cannot exceed 100 characters'],
+        },
+        // Derived from `name`; used to match leads by company name
+        nameKey: {
+            type: String,
+            index: true,
+        },
+        // Email/website domain, e.g. "acme.com"
+        domain: {
+            type: String,
+            set: normalizeDomain,
+            default: null,
+            match: [/^[a-z0-9-]+(\.[a-z0-9-]+)+$/, 'Please enter a valid domain, e.g. acme.com'],
+        },
+        industry: {
+            type: String,
+            trim: true,
+            maxlength: [60, 'Industry cannot exceed 60 characters'],
+        },
+        size: {
+            type: String,
+            enum: { values: [...ACCOUNT_SIZES, null], message: 'Invalid company size' },
+            default: null,
+        },
+        parent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        description: {
+            type: String,
+            maxlength: [500, 'Description cannot exceed 500 characters'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+AccountSchema.index({ domain: 1 }, { unique: true, partialFilterExpression: { domain: { $type: 'string' } } });
+AccountSchema.index({ parent: 1 });
+AccountSchema.index({ name: 1 });
+
+// ─── Hooks ───────────────────────────────────────────────────────────────────
+AccountSchema.pre('validate', function (next) {
+    if (this.isModified('name')) this.nameKey = normalizeName(this.name);
+    if (this.parent && this.parent.equals(this._id)) {
+        this.invalidate('parent', 'An account cannot be its own parent');
+    }
+    next();
+});
+
+// ─── Statics ─────────────────────────────────────────────────────────────────
+
+/**
+ * IDs of an account and every account below it (the account itself first).
+ */
+AccountSchema.statics.treeIds = async function (accountId) {
+    if (!mongoose.isValidObjectId(accountId)) return [];
+    const [root] = await this.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(String(accountId)) } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parent',
+                as: 'descendants',
+            },
+        },
+        { $project: { 'descendants._id': 1 } },
+    ]);
+    return root ? [root._id, ...root.descendants.map((a) => a._id)] : [];
+};
+
+module.exports = mongoose.model('Account', AccountSchema);
+module.exports.ACCOUNT_SIZES = ACCOUNT_SIZES;
+module.exports.normalizeName = normalizeName;
+module.exports.normalizeDomain = normalizeDomain;
@@ -1,16 +1,52 @@
 /**
  * Activity Model
  * Logs all CRM activities (calls, emails, notes, meetings) tied to leads.
+ * Activities of type 'task' are also to-dos with an assignee, due date and
+ * priority (see taskService). Activities users log can be edited and
+ * soft-deleted (see activityService); `history` keeps the audit trail.
  */
 
 const mongoose = require('mongoose');
 
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+// Types users log themselves; stage changes and conversions are system records
+const EDITABLE_TYPES = ['note', 'call', 'email', 'meeting', 'task'];
+
+// One edit, delete or restore, with the values from before it
+const RevisionSchema = new mongoose.Schema(
+    {
+        action: {
+            type: String,
+            enum: ['edit', 'delete', 'restore'],
+            required: true,
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        at: {
+            type: Date,
+            default: Date.now,
+        },
+        previous: {
+            type: { type: String },
+            note: String,
+            outcome: String,
+            date: Date,
+            nextFollowUp: Date,
+        },
+    },
+    { _id: false }
+);
+
 const ActivitySchema = new mongoose.Schema(
     {
+        // Author; null once their account is purged from the recycle bin
         userId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true,
+            required: [function () { return this.isNew; }, 'Activity author is required'],
         },
         leadId: {
             type: mongoose.Schema.Types.ObjectId,
@@ -24,7 +60,7 @@ const ActivitySchema = new mongoose.Schema(
         },
         type: {
             type: String,
-            enum: ['note', 'call', 'email', 'meeting', 'task', 'stage-change'],
+            enum: ['note', 'call', 'email', 'meeting', 'task', 'stage-change', 'conversion'],
             required: [true, 'Activity type is required'],
         },
         note: {
@@ -46,10 +82,73 @@ const ActivitySchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // The follow-up date a reminder was last sent for
+        followUpRemindedFor: {
+            type: Date,
+            default: null,
+        },
         isCompleted: {
             type: Boolean,
             default: false,
         },
+        // Task fields (type 'task')
+        assignedTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        dueDate: {
+            type: Date,
+            default: null,
+        },
+        priority: {
+            type: String,
+            enum: {
+                values: [...TASK_PRIORITIES, null],
+                message: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`,
+            },
+            default: null,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+        completedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        editedAt: {
+            type: Date,
+            default: null,
+        },
+        // Soft delete: deleted activities wait in the recycle bin
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        history: {
+            type: [RevisionSchema],
+            default: [],
+            select: false,
+        },
+        // Set when the activity was written by a CSV import
+        importBatch: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ImportBatch',
+            default: null,
+        },
+        // Set on the email activity logged when a message is sent from the CRM
+        emailMessage: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EmailMessage',
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -60,7 +159,25 @@ const ActivitySchema = new mongoose.Schema(
 
 // ─── Indexes ─────────────────────────────────────────────────────────────────
 ActivitySchema.index({ leadId: 1, date: -1 });
+ActivitySchema.index({ deletedAt: 1 });
 ActivitySchema.index({ userId: 1 });
 ActivitySchema.index({ date: -1 });
+ActivitySchema.index({ importBatch: 1 });
+ActivitySchema.index({ nextFollowUp: 1, isCompleted: 1 });
+ActivitySchema.index({ type: 1, assignedTo: 1, isCompleted: 1, dueDate: 1 });
+ActivitySchema.index({ note: 'text' }, { name: 'activity_text' });
+
+// ─── Hooks ───────────────────────────────────────────────────────────────────
+// A task logged from a lead's timeline is the author's, due at its follow-up
+ActivitySchema.pre('validate', function (next) {
+    if (this.type === 'task') {
+        if (!this.assignedTo) this.assignedTo = this.userId;
+        if (!this.dueDate && this.nextFollowUp) this.dueDate = this.nextFollowUp;
+        if (!this.priority) this.priority = 'medium';
+    }
+    next();
+});
 
 module.exports = mongoose.model('Activity', ActivitySchema);
+module.exports.TASK_PRIORITIES = TASK_PRIORITIES;
+module.exports.EDITABLE_TYPES = EDITABLE_TYPES;
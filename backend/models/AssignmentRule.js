@@ -0,0 +1,69 @@
+/**
+ * Assignment Rule Model
+ * Routes new unassigned leads to sales users.
+ * Rules are evaluated in ascending `order`; the first active rule whose
+ * conditions match the lead picks an assignee from its members.
+ *
+ * Strategies:
+ *  - round-robin: members take turns
+ *  - weighted:    members receive leads in proportion to their weight
+ */
+
+const mongoose = require('mongoose');
+
+const AssignmentRuleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Rule name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+        // Empty conditions match every lead
+        conditions: {
+            sources: [{ type: String, trim: true }],
+            tags: [{ type: String, trim: true }],
+            minValue: { type: Number, default: null },
+            maxValue: { type: Number, default: null },
+        },
+        strategy: {
+            type: String,
+            enum: ['round-robin', 'weighted'],
+            default: 'round-robin',
+        },
+        members: [
+            {
+                _id: false,
+                user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+                weight: { type: Number, min: 1, max: 100, default: 1 },
+                // Leads handed out by this rule (drives weighted distribution)
+                assignedCount: { type: Number, default: 0 },
+            },
+        ],
+        // Round-robin position; incremented atomically per assignment
+        cursor: {
+            type: Number,
+            default: 0,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+AssignmentRuleSchema.index({ isActive: 1, order: 1 });
+
+module.exports = mongoose.model('AssignmentRule', AssignmentRuleSchema);
@@ -0,0 +1,65 @@
+/**
+ * Contact Model
+ * A person at a customer account, created when a qualified lead is converted.
+ * The source lead is kept (out of the active queue) so its history stays reachable.
+ */
+
+const mongoose = require('mongoose');
+
+const ContactSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Contact name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            lowercase: true,
+            trim: true,
+            match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
+        },
+        phone: {
+            type: String,
+            trim: true,
+        },
+        jobTitle: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Job title cannot exceed 100 characters'],
+        },
+        account: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            required: [true, 'Account is required'],
+        },
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // The lead this contact was converted from
+        sourceLead: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lead',
+            default: null,
+        },
+        tags: [{ type: String, trim: true }],
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+ContactSchema.index({ account: 1 });
+ContactSchema.index({ owner: 1 });
+ContactSchema.index({ email: 1 });
+ContactSchema.index({ sourceLead: 1 });
+
+module.exports = mongoose.model('Contact', ContactSchema);
@@ -0,0 +1,70 @@
+/**
+ * Custom Field Model
+ * Admin-declared extra field on leads or deals.
+ * Values live in the entity's `customFields` object under the field's `key`.
+ */
+
+const mongoose = require('mongoose');
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi-select', 'boolean'];
+
+const CustomFieldSchema = new mongoose.Schema(
+    {
+        entity: {
+            type: String,
+            enum: ['lead', 'deal'],
+            required: [true, 'Entity is required'],
+        },
+        // Storage key, e.g. "employee_count"; fixed once created
+        key: {
+            type: String,
+            required: [true, 'Key is required'],
+            trim: true,
+            match: [/^[a-z][a-z0-9_]{0,39}$/, 'Key must be lowercase letters, digits or underscores'],
+        },
+        label: {
+            type: String,
+            required: [true, 'Label is required'],
+            trim: true,
+            maxlength: [60, 'Label cannot exceed 60 characters'],
+        },
+        type: {
+            type: String,
+            enum: CUSTOM_FIELD_TYPES,
+            required: [true, 'Field type is required'],
+        },
+        required: {
+            type: Boolean,
+            default: false,
+        },
+        // Choices for select / multi-select fields
+        options: [{ type: String, trim: true }],
+        order: {
+            type: Number,
+            default: 0,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+CustomFieldSchema.pre('validate', function (next) {
+    if (['select', 'multi-select'].includes(this.type) && this.options.length === 0) {
+        this.invalidate('options', 'Select fields need at least one option');
+    }
+    next();
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+CustomFieldSchema.index({ entity: 1, key: 1 }, { unique: true });
+
+const CustomField = mongoose.model('CustomField', CustomFieldSchema);
+
+module.exports = CustomField;
+module.exports.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
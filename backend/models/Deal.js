@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const stageService = require('../services/stageService');
 
 const DealSchema = new mongoose.Schema(
     {
@@ -34,10 +35,15 @@ const DealSchema = new mongoose.Schema(
             default: 'USD',
             uppercase: true,
         },
+        // Pipeline whose stages `stage` comes from; defaults to the default pipeline
+        pipeline: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Pipeline',
+        },
+        // Name of a Stage in the deal's pipeline; defaults to its first open stage
         stage: {
             type: String,
-            enum: ['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost'],
-            default: 'New',
+            trim: true,
         },
         probability: {
             type: Number,
@@ -53,10 +59,36 @@ const DealSchema = new mongoose.Schema(
             type: String,
             maxlength: [500, 'Description cannot exceed 500 characters'],
         },
+        // Why the deal was lost; stages can require it
+        lossReason: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Loss reason cannot exceed 300 characters'],
+        },
+        // Values for admin-defined CustomFields, keyed by field key
+        customFields: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
         isActive: {
             type: Boolean,
             default: true,
         },
+        // Recycle bin: who deleted the deal and when
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Deleted because its lead was archived; restored with the lead
+        deletedWithLead: {
+            type: Boolean,
+            default: false,
+        },
     },
     {
         timestamps: true,
@@ -69,7 +101,15 @@ const DealSchema = new mongoose.Schema(
 DealSchema.index({ leadId: 1 });
 DealSchema.index({ createdBy: 1 });
 DealSchema.index({ stage: 1 });
+DealSchema.index({ pipeline: 1, stage: 1 });
 DealSchema.index({ closeDate: 1 });
+DealSchema.index({ isActive: 1, deletedAt: 1 });
+DealSchema.index({ title: 'text', description: 'text' }, { name: 'deal_text', weights: { title: 10, description: 3 } });
+
+// ─── Stage Validation ────────────────────────────────────────────────────────
+DealSchema.pre('validate', async function () {
+    await stageService.validateRecordStage(this);
+});
 
 // ─── Virtual: Weighted Value ──────────────────────────────────────────────────
 DealSchema.virtual('weightedValue').get(function () {
@@ -0,0 +1,109 @@
+/**
+ * EmailMessage Model
+ * An email a user sends to a lead from the CRM. Messages wait in the outbox
+ * ('queued') until delivered; failed deliveries are retried with backoff
+ * until they run out of attempts ('failed'). Once sent, the message is
+ * logged as an email Activity on the lead (see emailService).
+ */
+
+const mongoose = require('mongoose');
+
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+const recipients = {
+    type: [{ type: String, lowercase: true, trim: true, match: [EMAIL_PATTERN, 'Please enter a valid email'] }],
+    default: [],
+};
+
+const EmailMessageSchema = new mongoose.Schema(
+    {
+        // Sender; null once their account is purged from the recycle bin
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [function () { return this.isNew; }, 'Sender is required'],
+        },
+        leadId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lead',
+            required: true,
+        },
+        dealId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Deal',
+            default: null,
+        },
+        from: {
+            type: String,
+            required: true,
+        },
+        replyTo: {
+            type: String,
+            default: null,
+        },
+        to: {
+            ...recipients,
+            validate: [(v) => v.length > 0, 'At least one recipient is required'],
+        },
+        cc: recipients,
+        subject: {
+            type: String,
+            required: [true, 'Subject is required'],
+            trim: true,
+            maxlength: [200, 'Subject cannot exceed 200 characters'],
+        },
+        // Plain text as written; the HTML part is derived from it when sending
+        body: {
+            type: String,
+            required: [true, 'Message body is required'],
+            maxlength: [20000, 'Message cannot exceed 20000 characters'],
+        },
+        status: {
+            type: String,
+            enum: EMAIL_STATUSES,
+            default: 'queued',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        // When a queued message is next tried
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // When delivery of a 'sending' message started
+        lockedAt: {
+            type: Date,
+            default: null,
+        },
+        lastError: {
+            type: String,
+            default: null,
+        },
+        messageId: {
+            type: String,
+            default: null,
+        },
+        sentAt: {
+            type: Date,
+            default: null,
+        },
+        // The email Activity logged once sent
+        activity: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Activity',
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailMessageSchema.index({ leadId: 1, createdAt: -1 });
+EmailMessageSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', EmailMessageSchema);
+module.exports.EMAIL_STATUSES = EMAIL_STATUSES;
@@ -0,0 +1,71 @@
+/**
+ * EmailTemplate Model
+ * Reusable emails with merge fields (`{{lead.name}}`, `{{deal.value}}`,
+ * `{{user.name}}`, ...). Shared templates are available to everyone and
+ * managed by admins; personal ones belong to the user who wrote them.
+ * System templates override the built-in verification, password reset and
+ * welcome emails (their body is HTML); deleting one restores the built-in.
+ */
+
+const mongoose = require('mongoose');
+
+const TEMPLATE_SCOPES = ['shared', 'personal', 'system'];
+const SYSTEM_TEMPLATE_KEYS = ['verification', 'password-reset', 'welcome'];
+
+const EmailTemplateSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Template name is required'],
+            trim: true,
+            maxlength: [100, 'Template name cannot exceed 100 characters'],
+        },
+        scope: {
+            type: String,
+            enum: TEMPLATE_SCOPES,
+            default: 'personal',
+        },
+        // Owner of a personal template
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Which built-in email a system template replaces
+        systemKey: {
+            type: String,
+            enum: [...SYSTEM_TEMPLATE_KEYS, null],
+            default: null,
+        },
+        subject: {
+            type: String,
+            required: [true, 'Subject is required'],
+            trim: true,
+            maxlength: [200, 'Subject cannot exceed 200 characters'],
+        },
+        body: {
+            type: String,
+            required: [true, 'Template body is required'],
+            maxlength: [20000, 'Template body cannot exceed 20000 characters'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+EmailTemplateSchema.index({ scope: 1, owner: 1, name: 1 });
+EmailTemplateSchema.index({ systemKey: 1 }, { unique: true, partialFilterExpression: { systemKey: { $type: 'string' } } });
+
+module.exports = mongoose.model('EmailTemplate', EmailTemplateSchema);
+module.exports.TEMPLATE_SCOPES = TEMPLATE_SCOPES;
+module.exports.SYSTEM_TEMPLATE_KEYS = SYSTEM_TEMPLATE_KEYS;
@@ -0,0 +1,73 @@
+/**
+ * Import Batch Model
+ * Holds an uploaded CSV file while it is mapped, dry-run and committed.
+ * Imported leads are traced back to their batch through tagged Activities.
+ */
+
+const mongoose = require('mongoose');
+
+const ImportBatchSchema = new mongoose.Schema(
+    {
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        fileName: {
+            type: String,
+            trim: true,
+            default: 'import.csv',
+        },
+        headers: [{ type: String }],
+        rows: {
+            type: [[String]],
+            select: false, // Raw data is only needed while processing
+        },
+        // Lead field → CSV header
+        mapping: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        duplicateStrategy: {
+            type: String,
+            enum: ['skip', 'update', 'create'],
+            default: 'skip',
+        },
+        // 'importing' while a commit is writing rows (claimed atomically);
+        // 'failed' when the commit broke off partway
+        status: {
+            type: String,
+            enum: ['uploaded', 'importing', 'completed', 'failed', 'rolled-back'],
+            default: 'uploaded',
+        },
+        importStartedAt: { type: Date },
+        summary: {
+            total: { type: Number, default: 0 },
+            created: { type: Number, default: 0 },
+            updated: { type: Number, default: 0 },
+            skipped: { type: Number, default: 0 },
+            failed: { type: Number, default: 0 },
+        },
+        // Previous values of leads overwritten by the "update" strategy
+        updatedLeads: [
+            {
+                lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+                previous: { type: mongoose.Schema.Types.Mixed },
+            },
+        ],
+        completedAt: Date,
+        rolledBackAt: Date,
+        rolledBackBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+ImportBatchSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', ImportBatchSchema);
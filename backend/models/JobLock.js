@@ -0,0 +1,67 @@
+/**
+ * JobLock Model
+ * Lease on a scheduled job so that, with several server instances running,
+ * only one of them runs it at a time. A lease that is not released (the
+ * instance died mid-run) expires after its TTL.
+ */
+
+const mongoose = require('mongoose');
+const os = require('os');
+
+// Identifies this server process as a lock owner
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+const JobLockSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+        },
+        owner: {
+            type: String,
+            default: null,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        lastRunAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Statics ─────────────────────────────────────────────────────────────────
+
+/**
+ * Take the lease on a job for `ttlMs`.
+ * @returns {Promise<boolean>} False when another instance holds it
+ */
+JobLockSchema.statics.acquire = async function (name, ttlMs) {
+    const now = new Date();
+    try {
+        const lock = await this.findOneAndUpdate(
+            { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }, { owner: OWNER }] },
+            { owner: OWNER, lockedUntil: new Date(now.getTime() + ttlMs) },
+            { upsert: true, new: true }
+        );
+        return lock.owner === OWNER;
+    } catch (err) {
+        // The upsert lost to an instance holding a live lease
+        if (err.code === 11000) return false;
+        throw err;
+    }
+};
+
+/**
+ * Give the lease back, recording the run.
+ */
+JobLockSchema.statics.release = function (name) {
+    return this.updateOne({ name, owner: OWNER }, { lockedUntil: null, lastRunAt: new Date() });
+};
+
+module.exports = mongoose.model('JobLock', JobLockSchema);
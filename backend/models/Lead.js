@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const stageService = require('../services/stageService');
 
 const LeadSchema = new mongoose.Schema(
     {
@@ -31,6 +32,12 @@ const LeadSchema = new mongoose.Schema(
             trim: true,
             maxlength: [100, 'Company name cannot exceed 100 characters'],
         },
+        // Customer account the lead works at (matched from company or email domain)
+        account: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Account',
+            default: null,
+        },
         website: {
             type: String,
             trim: true,
@@ -40,11 +47,16 @@ const LeadSchema = new mongoose.Schema(
             enum: ['website', 'referral', 'cold-call', 'email', 'social-media', 'other'],
             default: 'other',
         },
+        // Pipeline whose stages `status` comes from; defaults to the default pipeline
+        pipeline: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Pipeline',
+        },
         // Sales pipeline stage
+        // Name of a Stage in the lead's pipeline; defaults to its first open stage
         status: {
             type: String,
-            enum: ['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost'],
-            default: 'New',
+            trim: true,
         },
         priority: {
             type: String,
@@ -57,6 +69,12 @@ const LeadSchema = new mongoose.Schema(
             ref: 'User',
             default: null,
         },
+        // Set when an assignment rule picked the assignee
+        assignmentRule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AssignmentRule',
+            default: null,
+        },
         // Notes for the lead
         description: {
             type: String,
@@ -67,16 +85,104 @@ const LeadSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+        // The follow-up date a reminder was last sent for
+        followUpRemindedFor: {
+            type: Date,
+            default: null,
+        },
         expectedValue: {
             type: Number,
             min: [0, 'Value cannot be negative'],
             default: 0,
         },
+        // Why the lead was lost; stages can require it
+        lossReason: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Loss reason cannot exceed 300 characters'],
+        },
         tags: [{ type: String, trim: true }],
+        // Values for admin-defined CustomFields, keyed by field key
+        customFields: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        // Computed by the scoring service from the active ScoringRules
+        score: {
+            type: Number,
+            default: 0,
+        },
+        scoreBreakdown: [
+            {
+                _id: false,
+                rule: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringRule' },
+                name: String,
+                points: Number,
+            },
+        ],
+        scoredAt: {
+            type: Date,
+            default: null,
+        },
         isArchived: {
             type: Boolean,
             default: false,
         },
+        // Web-to-lead capture: originating form and campaign attribution
+        webForm: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WebForm',
+            default: null,
+        },
+        utm: {
+            source: { type: String, trim: true },
+            medium: { type: String, trim: true },
+            campaign: { type: String, trim: true },
+            term: { type: String, trim: true },
+            content: { type: String, trim: true },
+            referrer: { type: String, trim: true },
+        },
+        // Recycle bin: who archived the lead and when
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+        archivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Conversion into a contact (and optionally a deal); converted leads
+        // leave the active queue but stay readable
+        convertedAt: {
+            type: Date,
+            default: null,
+        },
+        convertedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        contact: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Contact',
+            default: null,
+        },
+        convertedDeal: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Deal',
+            default: null,
+        },
+        // Set when this lead was merged into another (the lead is archived)
+        mergedInto: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Lead',
+            default: null,
+        },
+        mergedAt: {
+            type: Date,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -87,9 +193,26 @@ const LeadSchema = new mongoose.Schema(
 
 // ─── Indexes ─────────────────────────────────────────────────────────────────
 LeadSchema.index({ status: 1 });
+LeadSchema.index({ pipeline: 1, status: 1 });
 LeadSchema.index({ assignedTo: 1 });
+LeadSchema.index({ account: 1 });
 LeadSchema.index({ email: 1 });
 LeadSchema.index({ createdAt: -1 });
+LeadSchema.index({ score: -1 });
+LeadSchema.index({ assignmentRule: 1, assignedTo: 1 });
+LeadSchema.index({ isArchived: 1, archivedAt: 1 });
+LeadSchema.index({ convertedAt: 1 });
+LeadSchema.index({ assignedTo: 1, followUpDate: 1 });
+// Full-text search (GET /api/search and the leads list search box)
+LeadSchema.index(
+    { name: 'text', email: 'text', company: 'text', tags: 'text', description: 'text' },
+    { name: 'lead_text', weights: { name: 10, email: 8, company: 6, tags: 4, description: 2 } }
+);
+
+// ─── Stage Validation ────────────────────────────────────────────────────────
+LeadSchema.pre('validate', async function () {
+    await stageService.validateRecordStage(this);
+});
 
 // ─── Virtual: Days Since Created ─────────────────────────────────────────────
 LeadSchema.virtual('daysSinceCreated').get(function () {
@@ -0,0 +1,39 @@
+/**
+ * Pipeline Model
+ * A named sales process (e.g. new business, renewals) with its own ordered
+ * Stage list. Every deal and lead belongs to one pipeline; exactly one
+ * pipeline is the default for records created without one.
+ */
+
+const mongoose = require('mongoose');
+
+const PipelineSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Pipeline name is required'],
+            unique: true,
+            trim: true,
+            maxlength: [60, 'Pipeline name cannot exceed 60 characters'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Description cannot exceed 300 characters'],
+        },
+        isDefault: {
+            type: Boolean,
+            default: false,
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+PipelineSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Pipeline', PipelineSchema);
@@ -0,0 +1,50 @@
+/**
+ * Saved View Model
+ * A named filter/sort/column set for the Leads or Deals list.
+ * `query` holds the list endpoint's query params; shared views are visible to everyone.
+ */
+
+const mongoose = require('mongoose');
+
+const SavedViewSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'View name is required'],
+            trim: true,
+            maxlength: [60, 'Name cannot exceed 60 characters'],
+        },
+        entity: {
+            type: String,
+            enum: ['lead', 'deal'],
+            required: [true, 'Entity is required'],
+        },
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // GET /api/leads or /api/deals query params (filters + sortBy/sortOrder)
+        query: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        // Visible list columns, in order
+        columns: [{ type: String, trim: true }],
+        isShared: {
+            type: Boolean,
+            default: false,
+        },
+        // Users who open this view by default
+        defaultFor: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+SavedViewSchema.index({ entity: 1, owner: 1 });
+SavedViewSchema.index({ entity: 1, isShared: 1 });
+
+module.exports = mongoose.model('SavedView', SavedViewSchema);
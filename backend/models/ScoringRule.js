@@ -0,0 +1,112 @@
+/**
+ * Scoring Rule Model
+ * Admin-defined rule that adds (or subtracts) points from a lead's score.
+ *
+ * Kinds:
+ *  - field:      compares a lead field (e.g. source equals "referral", expectedValue between 5000 and 20000)
+ *  - activity:   matches when the lead has an activity of the given type/outcome in the last N days
+ *  - inactivity: matches when the lead has had no activity at all in the last N days
+ */
+
+const mongoose = require('mongoose');
+
+const SCORING_FIELDS = [
+    'source', 'status', 'priority', 'company', 'phone', 'website',
+    'tags', 'expectedValue', 'assignedTo', 'followUpDate',
+];
+
+const SCORING_OPERATORS = ['equals', 'notEquals', 'in', 'contains', 'exists', 'notExists', 'gte', 'lte', 'between'];
+
+const ScoringRuleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Rule name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        kind: {
+            type: String,
+            enum: ['field', 'activity', 'inactivity'],
+            required: [true, 'Rule kind is required'],
+        },
+        // Positive or negative points added when the rule matches
+        points: {
+            type: Number,
+            required: [true, 'Points are required'],
+            min: [-1000, 'Points cannot be below -1000'],
+            max: [1000, 'Points cannot exceed 1000'],
+        },
+        // ── field rules ──
+        field: {
+            type: String,
+            enum: [...SCORING_FIELDS, null],
+            default: null,
+        },
+        operator: {
+            type: String,
+            enum: [...SCORING_OPERATORS, null],
+            default: null,
+        },
+        // String, number or array depending on the operator
+        value: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        // Upper bound for the "between" operator
+        valueTo: {
+            type: Number,
+            default: null,
+        },
+        // ── activity / inactivity rules ──
+        activityType: {
+            type: String,
+            enum: ['note', 'call', 'email', 'meeting', 'task', 'stage-change', null],
+            default: null,
+        },
+        outcome: {
+            type: String,
+            enum: ['positive', 'neutral', 'negative', null],
+            default: null,
+        },
+        withinDays: {
+            type: Number,
+            min: [1, 'Window must be at least 1 day'],
+            default: null,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+ScoringRuleSchema.pre('validate', function (next) {
+    if (this.kind === 'field') {
+        if (!this.field) this.invalidate('field', 'Field is required for field rules');
+        if (!this.operator) this.invalidate('operator', 'Operator is required for field rules');
+        if (this.operator === 'between' && (this.value == null || this.valueTo == null)) {
+            this.invalidate('valueTo', 'Between rules need a lower and an upper bound');
+        }
+    } else if (!this.withinDays) {
+        this.invalidate('withinDays', 'Number of days is required for activity rules');
+    }
+    next();
+});
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+ScoringRuleSchema.index({ isActive: 1 });
+
+const ScoringRule = mongoose.model('ScoringRule', ScoringRuleSchema);
+
+module.exports = ScoringRule;
+module.exports.SCORING_FIELDS = SCORING_FIELDS;
+module.exports.SCORING_OPERATORS = SCORING_OPERATORS;
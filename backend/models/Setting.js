@@ -0,0 +1,52 @@
+/**
+ * Setting Model
+ * Admin-configurable application settings stored as key/value pairs.
+ */
+
+const mongoose = require('mongoose');
+
+const SettingSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, 'Setting key is required'],
+            unique: true,
+            trim: true,
+        },
+        value: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ─── Statics ─────────────────────────────────────────────────────────────────
+
+/**
+ * Read a setting, falling back to `defaultValue` when it was never saved.
+ */
+SettingSchema.statics.getValue = async function (key, defaultValue = null) {
+    const setting = await this.findOne({ key }).lean();
+    return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Create or overwrite a setting.
+ */
+SettingSchema.statics.setValue = function (key, value, user = null) {
+    return this.findOneAndUpdate(
+        { key },
+        { value, updatedBy: user?._id || null },
+        { upsert: true, new: true, runValidators: true }
+    );
+};
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -0,0 +1,102 @@
+/**
+ * Stage Model
+ * One step of a Pipeline, used by its leads (`status`) and deals (`stage`).
+ * Records store the stage by name (unique within the pipeline); stageService
+ * keeps them in step when an admin renames or removes a stage. Transition
+ * rules (allowed previous stages, required fields, bypass roles) are checked
+ * by transitionService when a record moves into the stage.
+ */
+
+const mongoose = require('mongoose');
+
+// open: still being worked; won/lost: closed, counted as revenue or a loss
+const STAGE_OUTCOMES = ['open', 'won', 'lost'];
+
+// What a stage can require before a record enters it, with the field checked
+// on leads and on deals. `deal`: a lead needs an active deal with a value and
+// close date; a deal needs both itself.
+const STAGE_REQUIREMENTS = {
+    value: { label: 'Value', lead: 'expectedValue', deal: 'value' },
+    followUpDate: { label: 'Follow-up date', lead: 'followUpDate' },
+    assignedTo: { label: 'Owner', lead: 'assignedTo' },
+    lossReason: { label: 'Loss reason', lead: 'lossReason', deal: 'lossReason' },
+    deal: { label: 'Deal with value and close date', lead: 'deal', deal: 'deal' },
+};
+
+// Seeded into the first pipeline, and into new pipelines unless copied from another
+const DEFAULT_STAGES = [
+    { name: 'New', icon: '🆕', color: '#64748b', probability: 10, outcome: 'open' },
+    { name: 'Contacted', icon: '📞', color: '#3b82f6', probability: 20, outcome: 'open' },
+    { name: 'Demo', icon: '🖥️', color: '#8b5cf6', probability: 40, outcome: 'open' },
+    { name: 'Proposal', icon: '📄', color: '#f59e0b', probability: 60, outcome: 'open' },
+    { name: 'Won', icon: '🏆', color: '#22c55e', probability: 100, outcome: 'won' },
+    { name: 'Lost', icon: '❌', color: '#ef4444', probability: 0, outcome: 'lost' },
+];
+
+const StageSchema = new mongoose.Schema(
+    {
+        pipeline: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Pipeline',
+            required: [true, 'Pipeline is required'],
+        },
+        name: {
+            type: String,
+            required: [true, 'Stage name is required'],
+            trim: true,
+            maxlength: [40, 'Stage name cannot exceed 40 characters'],
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+        color: {
+            type: String,
+            trim: true,
+            default: '#64748b',
+            match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3b82f6'],
+        },
+        icon: {
+            type: String,
+            trim: true,
+            default: '',
+            maxlength: [8, 'Icon cannot exceed 8 characters'],
+        },
+        // Win probability given to deals entering this stage
+        probability: {
+            type: Number,
+            min: [0, 'Probability cannot be below 0'],
+            max: [100, 'Probability cannot exceed 100'],
+            default: 10,
+        },
+        outcome: {
+            type: String,
+            enum: STAGE_OUTCOMES,
+            default: 'open',
+        },
+        // Stages (same pipeline) a record may come from; empty allows any
+        allowedFrom: {
+            type: [String],
+            default: [],
+        },
+        requiredFields: {
+            type: [{ type: String, enum: Object.keys(STAGE_REQUIREMENTS) }],
+            default: [],
+        },
+        // Roles that may skip the transition rules
+        bypassRoles: {
+            type: [String],
+            default: [],
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+StageSchema.index({ pipeline: 1, name: 1 }, { unique: true });
+StageSchema.index({ pipeline: 1, order: 1 });
+
+module.exports = mongoose.model('Stage', StageSchema);
+module.exports.STAGE_OUTCOMES = STAGE_OUTCOMES;
+module.exports.DEFAULT_STAGES = DEFAULT_STAGES;
+module.exports.STAGE_REQUIREMENTS = STAGE_REQUIREMENTS;
@@ -0,0 +1,64 @@
+/**
+ * StageTransition Model
+ * One move of a lead or deal from one stage to another, in a form that can
+ * be aggregated (unlike the stage-change Activity note written alongside it).
+ * Feeds the time-in-stage, conversion and rep velocity analytics.
+ */
+
+const mongoose = require('mongoose');
+
+const TRANSITION_ENTITIES = ['lead', 'deal'];
+
+const StageTransitionSchema = new mongoose.Schema(
+    {
+        entity: {
+            type: String,
+            enum: TRANSITION_ENTITIES,
+            required: true,
+        },
+        // The lead or deal that moved
+        record: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        // Pipeline the record moved into
+        pipeline: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Pipeline',
+            default: null,
+        },
+        from: {
+            type: String,
+            default: null,
+        },
+        to: {
+            type: String,
+            required: true,
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        at: {
+            type: Date,
+            default: Date.now,
+        },
+        // The stage-change Activity this was recorded with (or backfilled from)
+        activity: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Activity',
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+StageTransitionSchema.index({ entity: 1, record: 1, at: 1 });
+StageTransitionSchema.index({ entity: 1, pipeline: 1, at: -1 });
+StageTransitionSchema.index({ user: 1, at: -1 });
+StageTransitionSchema.index({ activity: 1 }, { unique: true, partialFilterExpression: { activity: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('StageTransition', StageTransitionSchema);
+module.exports.TRANSITION_ENTITIES = TRANSITION_ENTITIES;
@@ -0,0 +1,50 @@
+/**
+ * Tag Model
+ * Registry of the tags used on leads. Leads still store tag names as plain
+ * strings; tagService maps whatever is typed onto the registered spelling
+ * (matching ignores case and surrounding spaces) and rewrites every lead when
+ * a tag is renamed, merged or deleted.
+ */
+
+const mongoose = require('mongoose');
+
+// Comparison key: "Enterprise " and "enterprise" are the same tag
+const tagKey = (name) => String(name).trim().toLowerCase();
+
+const TagSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Tag name is required'],
+            trim: true,
+            maxlength: [40, 'Tag name cannot exceed 40 characters'],
+        },
+        key: {
+            type: String,
+            unique: true,
+        },
+        color: {
+            type: String,
+            default: '#6366f1',
+            match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #6366f1'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// ─── Indexes ─────────────────────────────────────────────────────────────────
+TagSchema.index({ name: 1 });
+
+// ─── Hooks ───────────────────────────────────────────────────────────────────
+TagSchema.pre('validate', function (next) {
+    if (this.isModified('name')) this.key = tagKey(this.name);
+    next();
+});
+
+module.exports = mongoose.model('Tag', TagSchema);
+module.exports.tagKey = tagKey;
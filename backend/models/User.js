@@ -8,6 +8,9 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
+// How follow-up reminders reach the user by email
+const REMINDER_MODES = ['instant', 'digest', 'off'];
+
 const UserSchema = new mongoose.Schema(
     {
         name: {
@@ -43,6 +46,16 @@ const UserSchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+        // Recycle bin: who deactivated the account and when
+        deactivatedAt: {
+            type: Date,
+            default: null,
+        },
+        deactivatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
         // Email verification token
         emailVerificationToken: String,
         emailVerificationExpire: Date,
@@ -57,6 +70,40 @@ const UserSchema = new mongoose.Schema(
             select: false,
         },
 
+        // Follow-up reminders: one email as each comes due, a daily digest, or none
+        reminders: {
+            mode: {
+                type: String,
+                enum: {
+                    values: REMINDER_MODES,
+                    message: `Reminder mode must be one of: ${REMINDER_MODES.join(', ')}`,
+                },
+                default: 'instant',
+            },
+            lastDigestAt: {
+                type: Date,
+                default: null,
+            },
+        },
+
+        // Emails sent to leads from the CRM: the sender name shown (the user's
+        // name by default) and where replies go (the user's email by default)
+        emailSettings: {
+            fromName: {
+                type: String,
+                trim: true,
+                maxlength: [60, 'Sender name cannot exceed 60 characters'],
+                default: null,
+            },
+            replyTo: {
+                type: String,
+                lowercase: true,
+                trim: true,
+                match: [/^\S+@\S+\.\S+$/, 'Please enter a valid reply-to email'],
+                default: null,
+            },
+        },
+
         lastLogin: Date,
         avatar: {
             type: String,
@@ -118,3 +165,4 @@ UserSchema.methods.generatePasswordResetToken = function () {
 };
 
 module.exports = mongoose.model('User', UserSchema);
+module.exports.REMINDER_MODES = REMINDER_MODES;
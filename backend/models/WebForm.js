@@ -0,0 +1,108 @@
+/**
+ * Web Form Model
+ * A public web-to-lead capture form. Submissions are authenticated by `key`
+ * (not a user JWT) and create leads through the regular lead service.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Lead fields a form field can be mapped onto (plus `customFields.<key>`)
+const WEB_FORM_TARGETS = ['name', 'email', 'phone', 'company', 'website', 'description'];
+
+const generateKey = () => crypto.randomBytes(24).toString('hex');
+
+const WebFormSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Form name is required'],
+            trim: true,
+            maxlength: [100, 'Name cannot exceed 100 characters'],
+        },
+        key: {
+            type: String,
+            unique: true,
+            default: generateKey,
+        },
+        // Incoming form field name → lead field; empty means fields are named after lead fields
+        fieldMap: [
+            {
+                _id: false,
+                field: { type: String, required: true, trim: true },
+                target: { type: String, required: true, trim: true },
+            },
+        ],
+        // Applied to every lead captured by this form
+        defaults: {
+            source: {
+                type: String,
+                enum: ['website', 'referral', 'cold-call', 'email', 'social-media', 'other'],
+                default: 'website',
+            },
+            priority: {
+                type: String,
+                enum: ['low', 'medium', 'high'],
+                default: 'medium',
+            },
+            tags: [{ type: String, trim: true }],
+            // Skip the assignment rules and give every lead to this user
+            assignedTo: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null,
+            },
+        },
+        // Browser posts are redirected here; otherwise the thank-you message is returned
+        redirectUrl: {
+            type: String,
+            trim: true,
+            default: '',
+            match: [/^(https?:\/\/\S+)?$/, 'Redirect URL must start with http:// or https://'],
+        },
+        thankYouMessage: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Message cannot exceed 300 characters'],
+            default: 'Thanks! We will be in touch shortly.',
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        submissionCount: {
+            type: Number,
+            default: 0,
+        },
+        lastSubmissionAt: {
+            type: Date,
+            default: null,
+        },
+        // Submissions are recorded as this admin's actions
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+WebFormSchema.pre('validate', function (next) {
+    const invalid = this.fieldMap.find(
+        (m) => !WEB_FORM_TARGETS.includes(m.target) && !/^customFields\.[a-z][a-z0-9_]{0,39}$/.test(m.target)
+    );
+    if (invalid) this.invalidate('fieldMap', `Unknown lead field "${invalid.target}"`);
+    next();
+});
+
+// Note: key index is created automatically by `unique: true` in the schema.
+
+const WebForm = mongoose.model('WebForm', WebFormSchema);
+
+module.exports = WebForm;
+module.exports.WEB_FORM_TARGETS = WEB_FORM_TARGETS;
+module.exports.generateKey = generateKey;
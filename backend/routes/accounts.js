@@ -0,0 +1,37 @@
+/**
+ * Account Routes
+ * All routes require authentication; edit rights are checked in the controller.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getAccounts,
+    getAccountsValidation,
+    getAccount,
+    createAccount,
+    createAccountValidation,
+    updateAccount,
+    updateAccountValidation,
+    deleteAccount,
+    autoLinkAccounts,
+    autoLinkValidation,
+} = require('../controllers/accountController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+// Link unlinked leads to accounts by email domain / company name
+router.post('/auto-link', authorize('admin'), autoLinkValidation, validate, autoLinkAccounts);
+
+router.route('/')
+    .get(getAccountsValidation, validate, getAccounts)
+    .post(createAccountValidation, validate, createAccount);
+
+router.route('/:id')
+    .get(getAccount)
+    .put(updateAccountValidation, validate, updateAccount)
+    .delete(authorize('admin'), deleteAccount);
+
+module.exports = router;
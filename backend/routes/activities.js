@@ -0,0 +1,41 @@
+/**
+ * Activity Routes
+ * All routes require authentication.
+ * Role-based access enforced in controllers.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getActivities,
+    getActivitiesValidation,
+    getFeed,
+    getFeedValidation,
+    updateActivity,
+    updateActivityValidation,
+    deleteActivity,
+    getActivityHistory,
+    getEditWindow,
+    updateEditWindow,
+    editWindowValidation,
+    exportActivities,
+} = require('../controllers/activityController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.get('/', getActivitiesValidation, validate, getActivities);
+router.get('/feed', getFeedValidation, validate, getFeed);
+router.get('/export', exportActivities);
+
+router.route('/settings')
+    .get(getEditWindow)
+    .put(authorize('admin'), editWindowValidation, validate, updateEditWindow);
+
+router.route('/:id')
+    .put(updateActivityValidation, validate, updateActivity)
+    .delete(deleteActivity);
+router.get('/:id/history', authorize('admin'), getActivityHistory);
+
+module.exports = router;
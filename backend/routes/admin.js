@@ -15,7 +15,49 @@ const {
     deleteUser,
     assignLead,
     getAnalytics,
+    getStageAnalytics,
+    stageAnalyticsValidation,
 } = require('../controllers/adminController');
+const {
+    getDuplicates,
+    mergeDuplicates,
+    mergeLeadsValidation,
+} = require('../controllers/duplicateController');
+const {
+    getScoringRules,
+    createScoringRule,
+    updateScoringRule,
+    deleteScoringRule,
+    recalculateScores,
+    scoringRuleValidation,
+} = require('../controllers/scoringController');
+const {
+    getAssignmentRules,
+    createAssignmentRule,
+    updateAssignmentRule,
+    deleteAssignmentRule,
+    getAssignmentStats,
+    assignmentRuleValidation,
+} = require('../controllers/assignmentController');
+const {
+    getRecycleBin,
+    getRecycleBinValidation,
+    binItemValidation,
+    restoreItem,
+    purgeItem,
+    purgeExpired,
+    getRetention,
+    updateRetention,
+    retentionValidation,
+} = require('../controllers/recycleBinController');
+const {
+    getWebForms,
+    createWebForm,
+    updateWebForm,
+    deleteWebForm,
+    rotateWebFormKey,
+    webFormValidation,
+} = require('../controllers/webFormController');
 const { protect, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 
@@ -25,6 +67,7 @@ router.use(protect, authorize('admin'));
 // Dashboard & Analytics
 router.get('/stats', getDashboardStats);
 router.get('/analytics', getAnalytics);
+router.get('/analytics/stages', stageAnalyticsValidation, validate, getStageAnalytics);
 
 // User Management
 router.route('/users')
@@ -39,4 +82,44 @@ router.route('/users/:id')
 // Lead Assignment
 router.put('/leads/:id/assign', assignLead);
 
+// Duplicate Leads
+router.get('/duplicates', getDuplicates);
+router.post('/duplicates/merge', mergeLeadsValidation, validate, mergeDuplicates);
+
+// Lead Scoring
+router.route('/scoring-rules')
+    .get(getScoringRules)
+    .post(scoringRuleValidation, validate, createScoringRule);
+router.post('/scoring-rules/recalculate', recalculateScores);
+router.route('/scoring-rules/:id')
+    .put(scoringRuleValidation, validate, updateScoringRule)
+    .delete(deleteScoringRule);
+
+// Automatic Lead Assignment
+router.route('/assignment-rules')
+    .get(getAssignmentRules)
+    .post(assignmentRuleValidation, validate, createAssignmentRule);
+router.get('/assignment-rules/stats', getAssignmentStats);
+router.route('/assignment-rules/:id')
+    .put(assignmentRuleValidation, validate, updateAssignmentRule)
+    .delete(deleteAssignmentRule);
+
+// Recycle Bin
+router.get('/recycle-bin', getRecycleBinValidation, validate, getRecycleBin);
+router.route('/recycle-bin/settings')
+    .get(getRetention)
+    .put(retentionValidation, validate, updateRetention);
+router.post('/recycle-bin/purge-expired', purgeExpired);
+router.post('/recycle-bin/:type/:id/restore', binItemValidation, validate, restoreItem);
+router.delete('/recycle-bin/:type/:id', binItemValidation, validate, purgeItem);
+
+// Web-to-Lead Forms
+router.route('/web-forms')
+    .get(getWebForms)
+    .post(webFormValidation, validate, createWebForm);
+router.route('/web-forms/:id')
+    .put(webFormValidation, validate, updateWebForm)
+    .delete(deleteWebForm);
+router.post('/web-forms/:id/rotate-key', rotateWebFormKey);
+
 module.exports = router;
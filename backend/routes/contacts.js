@@ -0,0 +1,16 @@
+/**
+ * Contact Routes
+ * All routes require authentication; sales visibility is scoped in the controller.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getContacts, getContact } = require('../controllers/contactController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/', getContacts);
+router.get('/:id', getContact);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Custom Field Routes
+ * All routes require authentication; changes are admin-only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getCustomFields,
+    createCustomField,
+    createCustomFieldValidation,
+    updateCustomField,
+    updateCustomFieldValidation,
+    deleteCustomField,
+} = require('../controllers/customFieldController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.route('/')
+    .get(getCustomFields)
+    .post(authorize('admin'), createCustomFieldValidation, validate, createCustomField);
+
+router.route('/:id')
+    .put(authorize('admin'), updateCustomFieldValidation, validate, updateCustomField)
+    .delete(authorize('admin'), deleteCustomField);
+
+module.exports = router;
@@ -13,7 +13,10 @@ const {
     updateDeal,
     updateDealValidation,
     deleteDeal,
+    moveDeal,
+    moveDealValidation,
     getDealMetrics,
+    exportDeals,
 } = require('../controllers/dealController');
 const { protect, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
@@ -23,6 +26,9 @@ router.use(protect);
 // Metrics endpoint
 router.get('/metrics', getDealMetrics);
 
+// Spreadsheet export (same filters as the list)
+router.get('/export', exportDeals);
+
 // Deal CRUD
 router.route('/')
     .get(getDeals)
@@ -33,4 +39,7 @@ router.route('/:id')
     .put(updateDealValidation, validate, updateDeal)
     .delete(authorize('admin'), deleteDeal);
 
+// Move to another pipeline, mapping the stage
+router.put('/:id/pipeline', moveDealValidation, validate, moveDeal);
+
 module.exports = router;
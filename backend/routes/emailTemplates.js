@@ -0,0 +1,46 @@
+/**
+ * Email Template Routes
+ * All routes require authentication; system email overrides are admin-only.
+ * Who may change a shared or personal template is enforced in the template service.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getTemplates,
+    getMergeFields,
+    createTemplate,
+    createTemplateValidation,
+    updateTemplate,
+    updateTemplateValidation,
+    deleteTemplate,
+    previewTemplate,
+    previewValidation,
+    getSystemTemplates,
+    saveSystemTemplate,
+    systemTemplateValidation,
+    resetSystemTemplate,
+    systemKeyValidation,
+} = require('../controllers/templateController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.route('/')
+    .get(getTemplates)
+    .post(createTemplateValidation, validate, createTemplate);
+
+router.get('/merge-fields', getMergeFields);
+router.post('/preview', previewValidation, validate, previewTemplate);
+
+router.get('/system', authorize('admin'), getSystemTemplates);
+router.route('/system/:key')
+    .put(authorize('admin'), systemTemplateValidation, validate, saveSystemTemplate)
+    .delete(authorize('admin'), systemKeyValidation, validate, resetSystemTemplate);
+
+router.route('/:id')
+    .put(updateTemplateValidation, validate, updateTemplate)
+    .delete(deleteTemplate);
+
+module.exports = router;
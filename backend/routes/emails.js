@@ -0,0 +1,29 @@
+/**
+ * Email Routes
+ * All routes require authentication.
+ * Access to leads, deals and messages is enforced in the email service.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getEmails,
+    getEmailsValidation,
+    sendEmail,
+    sendEmailValidation,
+    retryEmail,
+    cancelEmail,
+} = require('../controllers/emailController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.route('/')
+    .get(getEmailsValidation, validate, getEmails)
+    .post(sendEmailValidation, validate, sendEmail);
+
+router.post('/:id/retry', retryEmail);
+router.delete('/:id', cancelEmail);
+
+module.exports = router;
@@ -16,7 +16,20 @@ const {
     deleteLead,
     addActivity,
     getPipelineSummary,
+    getFollowUps,
+    exportLeads,
+    bulkLeads,
+    bulkLeadsValidation,
+    convertLead,
+    convertLeadValidation,
 } = require('../controllers/leadController');
+const {
+    uploadImport,
+    getImports,
+    dryRunImport,
+    commitImport,
+    rollbackImport,
+} = require('../controllers/importController');
 const { protect, authorize } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 
@@ -26,6 +39,23 @@ router.use(protect);
 // Pipeline summary
 router.get('/pipeline', getPipelineSummary);
 
+// Current user's overdue and due-today follow-ups
+router.get('/follow-ups', getFollowUps);
+
+// Spreadsheet export (same filters as the list)
+router.get('/export', exportLeads);
+
+// Bulk operations (RBAC enforced per lead in the controller)
+router.post('/bulk', bulkLeadsValidation, validate, bulkLeads);
+
+// CSV import (raw CSV body; the global JSON parser's 10kb limit does not apply)
+router.route('/import')
+    .get(getImports)
+    .post(express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), uploadImport);
+router.post('/import/:id/dry-run', dryRunImport);
+router.post('/import/:id/commit', commitImport);
+router.post('/import/:id/rollback', rollbackImport);
+
 // Lead CRUD
 router.route('/')
     .get(getLeads)
@@ -39,4 +69,7 @@ router.route('/:id')
 // Activity on a lead
 router.post('/:id/activities', addActivity);
 
+// Convert into a contact (+ account, optional deal)
+router.post('/:id/convert', convertLeadValidation, validate, convertLead);
+
 module.exports = router;
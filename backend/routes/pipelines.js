@@ -0,0 +1,30 @@
+/**
+ * Pipeline Routes
+ * All routes require authentication; changes are admin-only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getPipelines,
+    createPipeline,
+    createPipelineValidation,
+    updatePipeline,
+    updatePipelineValidation,
+    deletePipeline,
+    deletePipelineValidation,
+} = require('../controllers/pipelineController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.route('/')
+    .get(getPipelines)
+    .post(authorize('admin'), createPipelineValidation, validate, createPipeline);
+
+router.route('/:id')
+    .put(authorize('admin'), updatePipelineValidation, validate, updatePipeline)
+    .delete(authorize('admin'), deletePipelineValidation, validate, deletePipeline);
+
+module.exports = router;
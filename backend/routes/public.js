@@ -0,0 +1,36 @@
+/**
+ * Public Routes
+ * Unauthenticated endpoints for embeds on external sites (web-to-lead forms).
+ * Mounted before the app-wide CORS policy: any origin may post, without credentials.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const mongoSanitize = require('express-mongo-sanitize');
+const router = express.Router();
+const { submitWebForm } = require('../controllers/webFormController');
+
+// Per-IP limit on submissions, independent of the global API limit
+const submitLimiter = rateLimit({
+    windowMs: parseInt(process.env.WEB_FORM_RATE_WINDOW_MS) || 60 * 60 * 1000,
+    max: parseInt(process.env.WEB_FORM_RATE_MAX) || 20,
+    message: { success: false, message: 'Too many submissions. Please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const publicCors = cors({ origin: '*', methods: ['POST', 'OPTIONS'], allowedHeaders: ['Content-Type'] });
+
+router.options('/forms/:key', publicCors);
+router.post(
+    '/forms/:key',
+    publicCors,
+    submitLimiter,
+    express.json({ limit: '10kb' }),
+    express.urlencoded({ extended: false, limit: '10kb' }),
+    mongoSanitize(),
+    submitWebForm
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Saved View Routes
+ * All routes require authentication; ownership is checked in the controller.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getViews,
+    getViewsValidation,
+    createView,
+    createViewValidation,
+    updateView,
+    updateViewValidation,
+    setDefaultView,
+    deleteView,
+} = require('../controllers/savedViewController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.route('/')
+    .get(getViewsValidation, validate, getViews)
+    .post(createViewValidation, validate, createView);
+
+router.put('/:id/default', setDefaultView);
+
+router.route('/:id')
+    .put(updateViewValidation, validate, updateView)
+    .delete(deleteView);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+/**
+ * Search Routes
+ * All routes require authentication.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { search, searchValidation } = require('../controllers/searchController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.get('/', searchValidation, validate, search);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Stage Routes
+ * All routes require authentication; changes are admin-only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getStages,
+    createStage,
+    createStageValidation,
+    updateStage,
+    updateStageValidation,
+    reorderStages,
+    reorderStagesValidation,
+    deleteStage,
+    deleteStageValidation,
+} = require('../controllers/stageController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.route('/')
+    .get(getStages)
+    .post(authorize('admin'), createStageValidation, validate, createStage);
+
+// Before /:id so "reorder" is not taken for a stage ID
+router.put('/reorder', authorize('admin'), reorderStagesValidation, validate, reorderStages);
+
+router.route('/:id')
+    .put(authorize('admin'), updateStageValidation, validate, updateStage)
+    .delete(authorize('admin'), deleteStageValidation, validate, deleteStage);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Tag Routes
+ * All routes require authentication; changes are admin-only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getTags,
+    createTag,
+    createTagValidation,
+    updateTag,
+    updateTagValidation,
+    mergeTags,
+    mergeTagsValidation,
+    deleteTag,
+    updateTagSettings,
+    tagSettingsValidation,
+} = require('../controllers/tagController');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+router.route('/')
+    .get(getTags)
+    .post(authorize('admin'), createTagValidation, validate, createTag);
+
+// Before /:id so "merge" and "settings" are not taken for tag IDs
+router.post('/merge', authorize('admin'), mergeTagsValidation, validate, mergeTags);
+router.put('/settings', authorize('admin'), tagSettingsValidation, validate, updateTagSettings);
+
+router.route('/:id')
+    .put(authorize('admin'), updateTagValidation, validate, updateTag)
+    .delete(authorize('admin'), deleteTag);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Task Routes
+ * All routes require authentication.
+ * Access to each task is enforced in the task service.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getTasks,
+    getTasksValidation,
+    getTaskCounts,
+    createTask,
+    createTaskValidation,
+    updateTask,
+    updateTaskValidation,
+    completeTask,
+    reopenTask,
+    rescheduleTask,
+    rescheduleTaskValidation,
+} = require('../controllers/taskController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+router.use(protect);
+
+// Open task counts for the sidebar
+router.get('/counts', getTaskCounts);
+
+router.route('/')
+    .get(getTasksValidation, validate, getTasks)
+    .post(createTaskValidation, validate, createTask);
+
+router.put('/:id', updateTaskValidation, validate, updateTask);
+router.put('/:id/complete', completeTask);
+router.put('/:id/reopen', reopenTask);
+router.put('/:id/reschedule', rescheduleTaskValidation, validate, rescheduleTask);
+
+module.exports = router;
@@ -15,6 +15,7 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const express = require('express');
+const mongoose = require('mongoose');
 const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
@@ -23,12 +24,28 @@ const rateLimit = require('express-rate-limit');
 
 const connectDB = require('./config/db');
 const { errorHandler } = require('./middleware/errorHandler');
+const recycleBinService = require('./services/recycleBinService');
+const reminderService = require('./services/reminderService');
+const emailService = require('./services/emailService');
 
 // ── Route Imports ─────────────────────────────────────────────────────────────
 const authRoutes = require('./routes/auth');
 const leadRoutes = require('./routes/leads');
 const dealRoutes = require('./routes/deals');
 const adminRoutes = require('./routes/admin');
+const activityRoutes = require('./routes/activities');
+const customFieldRoutes = require('./routes/customFields');
+const savedViewRoutes = require('./routes/savedViews');
+const searchRoutes = require('./routes/search');
+const accountRoutes = require('./routes/accounts');
+const contactRoutes = require('./routes/contacts');
+const stageRoutes = require('./routes/stages');
+const pipelineRoutes = require('./routes/pipelines');
+const tagRoutes = require('./routes/tags');
+const taskRoutes = require('./routes/tasks');
+const emailRoutes = require('./routes/emails');
+const emailTemplateRoutes = require('./routes/emailTemplates');
+const publicRoutes = require('./routes/public');
 
 // ── Connect to Database ───────────────────────────────────────────────────────
 connectDB();
@@ -52,6 +69,10 @@ app.use(
     })
 );
 
+// Public embeds (web-to-lead forms) carry their own open CORS policy, body
+// parsing and per-IP rate limit, so they are mounted ahead of the app-wide ones
+app.use('/api/public', publicRoutes);
+
 // 2. CORS: Allow only whitelisted frontend origins
 //    In .env set CLIENT_URL=http://localhost:4000
 //    For multiple origins: CLIENT_URL=http://localhost:4000,https://yourapp.com
@@ -123,6 +144,18 @@ app.use('/api/auth', authRoutes);
 app.use('/api/leads', leadRoutes);
 app.use('/api/deals', dealRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/activities', activityRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/saved-views', savedViewRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/stages', stageRoutes);
+app.use('/api/pipelines', pipelineRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/emails', emailRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
 
 // ── 404 Handler ───────────────────────────────────────────────────────────────
 app.use((req, res) => {
@@ -139,6 +172,34 @@ const server = app.listen(PORT, () => {
     console.log(`📡 Health: http://localhost:${PORT}/api/health\n`);
 });
 
+// ── Scheduled Jobs ────────────────────────────────────────────────────────────
+// Recycle bin retention: purge expired items once connected, then daily
+const purgeRecycleBin = () =>
+    recycleBinService.purgeExpired()
+        .then((deleted) => deleted && console.log('🗑️  Recycle bin retention purge:', JSON.stringify(deleted)))
+        .catch((err) => console.error('🗑️  Recycle bin purge failed:', err.message));
+
+mongoose.connection.once('open', purgeRecycleBin);
+setInterval(purgeRecycleBin, 24 * 60 * 60 * 1000).unref();
+
+// Follow-up reminders: every few minutes; the job lock lets one instance send
+const sendReminders = () =>
+    reminderService.sendReminders()
+        .then((sent) => sent?.emails && console.log('⏰ Follow-up reminders sent:', JSON.stringify(sent)))
+        .catch((err) => console.error('⏰ Follow-up reminders failed:', err.message));
+
+mongoose.connection.once('open', sendReminders);
+setInterval(sendReminders, parseInt(process.env.REMINDER_INTERVAL_MS) || 5 * 60 * 1000).unref();
+
+// Email outbox: retry failed and interrupted deliveries every minute
+const processOutbox = () =>
+    emailService.processOutbox()
+        .then((result) => result && (result.sent || result.failed) && console.log('📤 Email outbox:', JSON.stringify(result)))
+        .catch((err) => console.error('📤 Email outbox failed:', err.message));
+
+mongoose.connection.once('open', processOutbox);
+setInterval(processOutbox, parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 60 * 1000).unref();
+
 // ── Graceful Shutdown ─────────────────────────────────────────────────────────
 process.on('unhandledRejection', (err) => {
     console.error('💥 Unhandled Promise Rejection:', err.message);
@@ -0,0 +1,216 @@
+/**
+ * Account Service
+ * Matches leads to accounts by email domain or company name, and computes the
+ * account rollups: leads, deals, open pipeline, won revenue and the activity timeline.
+ */
+
+const Account = require('../models/Account');
+const Lead = require('../models/Lead');
+const Contact = require('../models/Contact');
+const Deal = require('../models/Deal');
+const Activity = require('../models/Activity');
+const stageService = require('./stageService');
+
+// Shared mailbox providers say nothing about where a person works
+const FREE_EMAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com', 'outlook.com', 'live.com',
+    'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com',
+    'gmx.com', 'gmx.de', 'mail.com', 'yandex.com', 'zoho.com', 'fastmail.com',
+]);
+
+const TIMELINE_LIMIT = 50;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+
+/**
+ * The company domain of an email address, or null for free mail providers.
+ */
+const businessDomain = (email) => {
+    const domain = Account.normalizeDomain((email || '').split('@')[1]);
+    return domain && !FREE_EMAIL_DOMAINS.has(domain) ? domain : null;
+};
+
+/**
+ * A domain and the domains above it: "eu.acme.com" → ["eu.acme.com", "acme.com"].
+ */
+const withParentDomains = (domain) => {
+    const labels = domain.split('.');
+    return labels.slice(0, -1).map((_, i) => labels.slice(i).join('.'));
+};
+
+/**
+ * Find the account a lead belongs to: by email or website domain first, then by company name.
+ * @param {Object} lead - Lead fields (email, website, company)
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Transaction session
+ * @returns {Promise<Object|null>} Account document
+ */
+const findAccountFor = async ({ email, website, company }, { session = null } = {}) => {
+    const domains = [businessDomain(email), Account.normalizeDomain(website)].filter(Boolean).flatMap(withParentDomains);
+    if (domains.length) {
+        const byDomain = await Account.findOne({ domain: { $in: domains } }).session(session);
+        if (byDomain) return byDomain;
+    }
+
+    const nameKey = Account.normalizeName(company);
+    return nameKey ? Account.findOne({ nameKey }).sort({ createdAt: 1 }).session(session) : null;
+};
+
+/**
+ * Link a lead without an account to its matching account, if there is one.
+ * @param {Object} lead - Lead document
+ * @returns {Promise<boolean>} Whether the lead was linked
+ */
+const matchLead = async (lead) => {
+    if (lead.account) return false;
+    const account = await findAccountFor(lead);
+    if (!account) return false;
+    await Lead.updateOne({ _id: lead._id }, { account: account._id });
+    lead.account = account._id;
+    return true;
+};
+
+/**
+ * Link every unlinked lead that matches this account by email domain or company name.
+ * @param {Object} account - Account document
+ * @returns {Promise<number>} Number of leads linked
+ */
+const linkMatchingLeads = async (account) => {
+    const or = [];
+    if (account.domain) {
+        const domain = escapeRegex(account.domain);
+        or.push({ email: { $regex: `[@.]${domain}$`, $options: 'i' } });
+        or.push({ website: { $regex: `^(https?://)?(www\\.)?${domain}([/?#:]|$)`, $options: 'i' } });
+    }
+
+    // Lead company names aren't normalized: narrow by the first word, then compare keys
+    if (account.nameKey) {
+        const firstWord = escapeRegex(account.nameKey.split(' ')[0]);
+        const companies = await Lead.distinct('company', {
+            account: null,
+            company: { $regex: `^\\W*${firstWord}`, $options: 'i' },
+        });
+        const matches = companies.filter((c) => Account.normalizeName(c) === account.nameKey);
+        if (matches.length) or.push({ company: { $in: matches } });
+    }
+
+    if (!or.length) return 0;
+    const result = await Lead.updateMany({ account: null, $or: or }, { account: account._id });
+    return result.modifiedCount;
+};
+
+/**
+ * Link all unlinked leads to matching accounts. With `createMissing`, leads
+ * whose company has no account yet get a new account named after it.
+ * @param {Object} user - Acting user document (creator of new accounts)
+ * @returns {Promise<Object>} { linked, created }
+ */
+const autoLinkLeads = async (user, { createMissing = false } = {}) => {
+    let linked = 0;
+    let created = 0;
+
+    const cursor = Lead.find({ account: null, mergedInto: null }).select('email website company').cursor();
+    for await (const lead of cursor) {
+        let account = await findAccountFor(lead);
+        if (!account && createMissing && Account.normalizeName(lead.company)) {
+            const domain = businessDomain(lead.email);
+            account = await Account.create({
+                name: lead.company,
+                domain: domain && !(await Account.exists({ domain })) ? domain : null,
+                createdBy: user._id,
+            });
+            created += 1;
+        }
+        if (account) {
+            await Lead.updateOne({ _id: lead._id }, { account: account._id });
+            linked += 1;
+        }
+    }
+
+    return { linked, created };
+};
+
+// ─── Rollup ───────────────────────────────────────────────────────────────────
+
+/**
+ * Totals and activity timeline for an account and its child accounts.
+ * Sales users only see their own leads, deals and contacts, as in the list endpoints.
+ * @param {Object} account - Account document
+ * @param {Object} user - Acting user document
+ * @returns {Promise<Object>} { accountIds, stats, activities }
+ */
+const getRollup = async (account, user) => {
+    const accountIds = await Account.treeIds(account._id);
+
+    const leadFilter = { account: { $in: accountIds }, isArchived: false };
+    if (user.role === 'sales') leadFilter.assignedTo = user._id;
+    // Includes converted leads, which still carry their deals and activities
+    const leadIds = await Lead.distinct('_id', leadFilter);
+
+    const dealFilter = { leadId: { $in: leadIds }, isActive: true };
+    if (user.role === 'sales') dealFilter.createdBy = user._id;
+
+    const contactFilter = { account: { $in: accountIds } };
+    if (user.role === 'sales') contactFilter.owner = user._id;
+
+    const [isClosed, isWon] = await Promise.all([
+        stageService.outcomeExpr(['won', 'lost'], 'stage'),
+        stageService.outcomeExpr(['won'], 'stage'),
+    ]);
+    const isOpen = { $not: [isClosed] };
+    const [openLeads, contacts, [dealStats], activities] = await Promise.all([
+        Lead.countDocuments({ ...leadFilter, convertedAt: null }),
+        Contact.countDocuments(contactFilter),
+        Deal.aggregate([
+            { $match: dealFilter },
+            {
+                $group: {
+                    _id: null,
+                    deals: { $sum: 1 },
+                    openDeals: { $sum: { $cond: [isOpen, 1, 0] } },
+                    openPipelineValue: { $sum: { $cond: [isOpen, '$value', 0] } },
+                    weightedPipelineValue: {
+                        $sum: { $cond: [isOpen, { $divide: [{ $multiply: ['$value', '$probability'] }, 100] }, 0] },
+                    },
+                    wonDeals: { $sum: { $cond: [isWon, 1, 0] } },
+                    wonRevenue: { $sum: { $cond: [isWon, '$value', 0] } },
+                },
+            },
+        ]),
+        Activity.find({ leadId: { $in: leadIds }, deletedAt: null })
+            .populate('userId', 'name')
+            .populate('leadId', 'name')
+            .populate('dealId', 'title')
+            .sort({ date: -1 })
+            .limit(TIMELINE_LIMIT)
+            .lean(),
+    ]);
+
+    return {
+        accountIds,
+        stats: {
+            leads: openLeads,
+            contacts,
+            childAccounts: accountIds.length - 1,
+            deals: dealStats?.deals || 0,
+            openDeals: dealStats?.openDeals || 0,
+            openPipelineValue: dealStats?.openPipelineValue || 0,
+            weightedPipelineValue: Math.round(dealStats?.weightedPipelineValue || 0),
+            wonDeals: dealStats?.wonDeals || 0,
+            wonRevenue: dealStats?.wonRevenue || 0,
+        },
+        activities,
+    };
+};
+
+module.exports = {
+    FREE_EMAIL_DOMAINS,
+    businessDomain,
+    findAccountFor,
+    matchLead,
+    linkMatchingLeads,
+    autoLinkLeads,
+    getRollup,
+};
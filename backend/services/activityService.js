@@ -0,0 +1,175 @@
+/**
+ * Activity Service
+ * Paginated activity listing, the team activity feed, and editing and soft-deleting the activities
+ * users log. Authors may change their own activities for a configurable
+ * window after logging them; admins may change any. Stage changes and
+ * conversions are system records and stay as written. Every edit, delete and
+ * restore is kept in the activity's history.
+ */
+
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Setting = require('../models/Setting');
+const scoringService = require('./scoringService');
+const { EDITABLE_TYPES } = Activity;
+
+const EDIT_WINDOW_SETTING = 'activities.editWindowMinutes';
+const DEFAULT_EDIT_WINDOW_MINUTES = 24 * 60;
+const EDITABLE_FIELDS = ['type', 'note', 'outcome', 'date', 'nextFollowUp'];
+
+const ACTIVITY_POPULATE = [
+    { path: 'userId', select: 'name' },
+    { path: 'assignedTo', select: 'name' },
+    { path: 'dealId', select: 'title' },
+];
+
+const FEED_POPULATE = [...ACTIVITY_POPULATE, { path: 'leadId', select: 'name company' }];
+
+const activityError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+/**
+ * Minutes after logging an activity during which its author may edit or
+ * delete it (0 = no limit).
+ */
+const getEditWindowMinutes = () => Setting.getValue(EDIT_WINDOW_SETTING, DEFAULT_EDIT_WINDOW_MINUTES);
+
+const setEditWindowMinutes = (minutes, user) => Setting.setValue(EDIT_WINDOW_SETTING, minutes, user);
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+
+/**
+ * One page of activities matching `filter` (deleted ones left out), latest first.
+ * @returns {Promise<Object>} { activities, total, page, pages }
+ */
+const listActivities = async (filter, { page = 1, limit = 20 } = {}) => {
+    const live = { ...filter, deletedAt: null };
+    const [activities, total] = await Promise.all([
+        Activity.find(live).populate(ACTIVITY_POPULATE).sort({ date: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        Activity.countDocuments(live),
+    ]);
+    return { activities, total, page, pages: Math.ceil(total / limit) };
+};
+
+// ─── Feed ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Feed cursors point just past the last activity returned: its date and ID,
+ * so activities logged while the user scrolls don't shift later pages.
+ */
+const encodeCursor = (activity) =>
+    Buffer.from(`${activity.date.toISOString()}|${activity._id}`).toString('base64url');
+
+/**
+ * @returns {{date: Date, id: string}|null} null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    const [iso, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime()) || !/^[0-9a-f]{24}$/i.test(id || '')) return null;
+    return { date, id };
+};
+
+/**
+ * The next `limit` activities matching `filter` after `cursor`, latest first.
+ * @returns {Promise<Object>} { activities, nextCursor } - nextCursor is null on the last page
+ */
+const getFeed = async (filter, { cursor, limit = 25 } = {}) => {
+    const query = { ...filter, deletedAt: null };
+    const after = cursor && decodeCursor(cursor);
+    if (after) {
+        const id = new mongoose.Types.ObjectId(after.id);
+        query.$and = [{ $or: [{ date: { $lt: after.date } }, { date: after.date, _id: { $lt: id } }] }];
+    }
+
+    const activities = await Activity.find(query).populate(FEED_POPULATE).sort({ date: -1, _id: -1 }).limit(limit + 1).lean();
+    const hasMore = activities.length > limit;
+    if (hasMore) activities.pop();
+    return { activities, nextCursor: hasMore ? encodeCursor(activities[activities.length - 1]) : null };
+};
+
+// ─── Changes ──────────────────────────────────────────────────────────────────
+
+/**
+ * Load an activity the user may change: one users log, not deleted, and
+ * either the user is an admin or its author within the edit window.
+ */
+const getModifiable = async (id, user) => {
+    const activity = await Activity.findOne({ _id: id, deletedAt: null }).select('+history');
+    if (!activity) throw activityError('Activity not found.', 404);
+    if (!EDITABLE_TYPES.includes(activity.type)) {
+        throw activityError('Stage changes and conversions are system records and cannot be changed.', 400);
+    }
+    if (user.role === 'admin') return activity;
+
+    if (String(activity.userId) !== String(user._id)) {
+        throw activityError('Only the author or an admin can change this activity.', 403);
+    }
+    const minutes = await getEditWindowMinutes();
+    if (minutes > 0 && Date.now() - activity.createdAt.getTime() > minutes * 60 * 1000) {
+        throw activityError(`Activities can only be changed within ${minutes} minute(s) of being logged.`, 403);
+    }
+    return activity;
+};
+
+const snapshot = (activity) => EDITABLE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: activity[field] }), {});
+
+// Activity-based scoring rules count the lead's activities
+const rescore = (activity) => scoringService.scoreLead(activity.leadId);
+
+/**
+ * Edit an activity's type, note, outcome, date or next follow-up.
+ * @param {Object} changes - Any of EDITABLE_FIELDS
+ */
+const updateActivity = async (id, changes, user) => {
+    const activity = await getModifiable(id, user);
+    const previous = snapshot(activity);
+    EDITABLE_FIELDS.forEach((field) => {
+        if (changes[field] !== undefined) activity[field] = changes[field];
+    });
+    if (!activity.isModified()) return activity.populate(ACTIVITY_POPULATE);
+
+    activity.editedAt = new Date();
+    activity.history.push({ action: 'edit', by: user._id, previous });
+    await activity.save();
+    await rescore(activity);
+    return activity.populate(ACTIVITY_POPULATE);
+};
+
+/**
+ * Soft-delete an activity into the recycle bin.
+ */
+const deleteActivity = async (id, user) => {
+    const activity = await getModifiable(id, user);
+    activity.deletedAt = new Date();
+    activity.deletedBy = user._id;
+    activity.history.push({ action: 'delete', by: user._id, previous: snapshot(activity) });
+    await activity.save();
+    await rescore(activity);
+    return activity;
+};
+
+/**
+ * An activity's audit trail, oldest first.
+ */
+const getHistory = async (id) => {
+    const activity = await Activity.findById(id).select('+history').populate('history.by', 'name').lean();
+    if (!activity) throw activityError('Activity not found.', 404);
+    return activity.history;
+};
+
+module.exports = {
+    getEditWindowMinutes,
+    setEditWindowMinutes,
+    listActivities,
+    decodeCursor,
+    getFeed,
+    updateActivity,
+    deleteActivity,
+    getHistory,
+};
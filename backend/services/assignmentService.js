@@ -0,0 +1,87 @@
+/**
+ * Assignment Service
+ * Picks an assignee for new unassigned leads from the active AssignmentRules.
+ * Deactivated users are skipped; a rule with no active members is passed over.
+ */
+
+const AssignmentRule = require('../models/AssignmentRule');
+const User = require('../models/User');
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+
+const lower = (list) => (list || []).map((v) => String(v).trim().toLowerCase());
+
+/**
+ * Check a rule's conditions against lead data.
+ * Every set condition must match; tags match if the lead has any of the rule's tags.
+ */
+const matchesConditions = ({ conditions = {} }, lead) => {
+    const { sources, tags, minValue, maxValue } = conditions;
+    const value = Number(lead.expectedValue) || 0;
+
+    if (sources?.length && !lower(sources).includes(String(lead.source || 'other').toLowerCase())) return false;
+    if (tags?.length) {
+        const leadTags = lower(lead.tags);
+        if (!lower(tags).some((t) => leadTags.includes(t))) return false;
+    }
+    if (minValue != null && value < minValue) return false;
+    if (maxValue != null && value > maxValue) return false;
+    return true;
+};
+
+// ─── Selection ────────────────────────────────────────────────────────────────
+
+/**
+ * Take the next round-robin turn. The cursor is incremented atomically so
+ * concurrent lead creation does not hand out the same turn twice.
+ */
+const pickRoundRobin = async (rule, members) => {
+    const previous = await AssignmentRule.findByIdAndUpdate(rule._id, { $inc: { cursor: 1 } }, { new: false })
+        .select('cursor')
+        .lean();
+    return members[(previous?.cursor || 0) % members.length];
+};
+
+/**
+ * Pick the member furthest below their weighted share.
+ */
+const pickWeighted = (members) =>
+    members.reduce((best, m) =>
+        m.assignedCount / m.weight < best.assignedCount / best.weight ? m : best
+    );
+
+/**
+ * Find the assignee for a new lead.
+ * @param {Object} leadData - Lead fields (source, tags, expectedValue)
+ * @returns {Promise<{user: Object, rule: Object}|null>} Chosen user and rule, or null if no rule applies
+ */
+const pickAssignee = async (leadData) => {
+    const rules = await AssignmentRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 }).lean();
+
+    for (const rule of rules) {
+        if (!matchesConditions(rule, leadData)) continue;
+
+        const activeUsers = await User.find({
+            _id: { $in: rule.members.map((m) => m.user) },
+            isActive: true,
+        }).select('name email').lean();
+        const usersById = new Map(activeUsers.map((u) => [String(u._id), u]));
+        const members = rule.members.filter((m) => usersById.has(String(m.user)));
+        if (members.length === 0) continue;
+
+        const member = rule.strategy === 'weighted'
+            ? pickWeighted(members)
+            : await pickRoundRobin(rule, members);
+
+        await AssignmentRule.updateOne(
+            { _id: rule._id, 'members.user': member.user },
+            { $inc: { 'members.$.assignedCount': 1 } }
+        );
+
+        return { user: usersById.get(String(member.user)), rule };
+    }
+
+    return null;
+};
+
+module.exports = { matchesConditions, pickAssignee };
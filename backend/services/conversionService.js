@@ -0,0 +1,149 @@
+/**
+ * Conversion Service
+ * Converts a qualified lead into a contact at an account, optionally with a
+ * deal, in a single transaction where the database supports them. The lead
+ * leaves the active queue but keeps its activities and can still be opened.
+ */
+
+const Lead = require('../models/Lead');
+const Account = require('../models/Account');
+const Contact = require('../models/Contact');
+const Deal = require('../models/Deal');
+const Activity = require('../models/Activity');
+const accountService = require('./accountService');
+const stageService = require('./stageService');
+const { withTransaction } = require('../utils/transaction');
+
+const DEFAULT_CLOSE_DAYS = 30;
+
+const conversionError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+/**
+ * The account to convert into: the one picked, the lead's linked or matching
+ * account, or a new account named after the lead's company.
+ * @returns {Promise<Object>} { account, created }
+ */
+const resolveAccount = async (lead, { accountId, accountName }, user, session) => {
+    if (accountId) {
+        const account = await Account.findById(accountId).session(session);
+        if (!account) throw conversionError('Account not found.', 404);
+        return { account, created: false };
+    }
+
+    if (!accountName) {
+        const existing = lead.account
+            ? await Account.findById(lead.account).session(session)
+            : await accountService.findAccountFor(lead, { session });
+        if (existing) return { account: existing, created: false };
+    }
+
+    const name = (accountName || lead.company || '').trim();
+    if (!name) throw conversionError('This lead has no company. Pick an account or enter an account name.', 422);
+
+    const domain = accountService.businessDomain(lead.email);
+    const domainTaken = domain && (await Account.exists({ domain }).session(session));
+    const [account] = await Account.create(
+        [{ name, domain: domainTaken ? null : domain, owner: lead.assignedTo || null, createdBy: user._id }],
+        { session }
+    );
+    return { account, created: true };
+};
+
+/**
+ * Convert a lead.
+ * @param {string} leadId - Lead ID
+ * @param {Object} user - Acting user document
+ * @param {Object} options
+ * @param {string} [options.accountId] - Existing account to convert into
+ * @param {string} [options.accountName] - Name for a new account
+ * @param {string} [options.jobTitle] - Contact job title
+ * @param {Object} [options.deal] - Deal fields (title, value, stage, probability, closeDate, customFields); omit for no deal
+ * @returns {Promise<Object>} { lead, contact, account, accountCreated, deal }
+ */
+const convertLead = async (leadId, user, options = {}) => {
+    let result;
+
+    await withTransaction(async (session) => {
+        const lead = await Lead.findById(leadId).session(session);
+        if (!lead) throw conversionError('Lead not found.', 404);
+        if (user.role === 'sales' && String(lead.assignedTo) !== String(user._id)) {
+            throw conversionError('Access denied.', 403);
+        }
+        if (lead.isArchived) throw conversionError('Archived leads cannot be converted.', 400);
+        if (lead.convertedAt) throw conversionError('This lead has already been converted.', 409);
+
+        const { account, created } = await resolveAccount(lead, options, user, session);
+
+        const [contact] = await Contact.create(
+            [{
+                name: lead.name,
+                email: lead.email,
+                phone: lead.phone,
+                jobTitle: options.jobTitle,
+                account: account._id,
+                owner: lead.assignedTo || user._id,
+                sourceLead: lead._id,
+                tags: lead.tags,
+                createdBy: user._id,
+            }],
+            { session }
+        );
+
+        let deal = null;
+        if (options.deal) {
+            const closeDate = options.deal.closeDate || new Date(Date.now() + DEFAULT_CLOSE_DAYS * 24 * 60 * 60 * 1000);
+            // The deal goes into the lead's pipeline unless another is chosen
+            const pipeline = options.deal.pipeline || lead.pipeline;
+            const stage = await stageService.getStage(
+                pipeline,
+                options.deal.stage || (await stageService.getDefaultStage(pipeline))
+            );
+            if (!stage) throw conversionError('The deal stage is not part of the chosen pipeline.', 422);
+            [deal] = await Deal.create(
+                [{
+                    title: options.deal.title || `${account.name} — ${lead.name}`,
+                    value: options.deal.value ?? lead.expectedValue ?? 0,
+                    pipeline,
+                    stage: stage.name,
+                    probability: options.deal.probability ?? stage.probability,
+                    closeDate,
+                    customFields: options.deal.customFields,
+                    leadId: lead._id,
+                    createdBy: user._id,
+                }],
+                { session }
+            );
+        }
+
+        lead.set({
+            account: account._id,
+            contact: contact._id,
+            convertedDeal: deal?._id || null,
+            convertedAt: new Date(),
+            convertedBy: user._id,
+        });
+        await lead.save({ session });
+
+        await Activity.create(
+            [{
+                userId: user._id,
+                leadId: lead._id,
+                dealId: deal?._id || null,
+                type: 'conversion',
+                note: `Lead converted to a contact at "${account.name}" by ${user.name}` +
+                    (deal ? ` with deal "${deal.title}" — Value: $${deal.value}` : ''),
+            }],
+            { session }
+        );
+
+        result = { lead, contact, account, accountCreated: created, deal };
+    });
+
+    return result;
+};
+
+module.exports = { convertLead };
@@ -0,0 +1,147 @@
+/**
+ * Custom Field Service
+ * Validates and coerces custom field values against the admin-defined
+ * CustomField definitions, and builds list filters on those values.
+ */
+
+const CustomField = require('../models/CustomField');
+
+const MAX_TEXT_LENGTH = 1000;
+
+const isBlank = (value) =>
+    value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Active field definitions for an entity, in display order.
+ * @param {'lead'|'deal'} entity
+ */
+const getDefinitions = (entity) =>
+    CustomField.find({ entity, isActive: true }).sort({ order: 1, createdAt: 1 }).lean();
+
+// ─── Value Coercion ───────────────────────────────────────────────────────────
+
+/**
+ * Coerce one raw value to the field's type.
+ * @returns {{ value?: any, error?: string }}
+ */
+const coerceValue = (def, raw) => {
+    if (isBlank(raw)) return { value: null };
+
+    switch (def.type) {
+        case 'text': {
+            const value = String(raw).trim();
+            if (value.length > MAX_TEXT_LENGTH) return { error: `${def.label} cannot exceed ${MAX_TEXT_LENGTH} characters` };
+            return { value };
+        }
+        case 'number': {
+            const value = Number(raw);
+            return Number.isFinite(value) ? { value } : { error: `${def.label} must be a number` };
+        }
+        case 'date': {
+            const value = new Date(raw);
+            return isNaN(value) ? { error: `${def.label} must be a valid date` } : { value };
+        }
+        case 'boolean':
+            if (raw === true || raw === 'true') return { value: true };
+            if (raw === false || raw === 'false') return { value: false };
+            return { error: `${def.label} must be true or false` };
+        case 'select':
+            return def.options.includes(String(raw))
+                ? { value: String(raw) }
+                : { error: `${def.label} must be one of: ${def.options.join(', ')}` };
+        case 'multi-select': {
+            const values = (Array.isArray(raw) ? raw : [raw]).map(String);
+            const invalid = values.filter((v) => !def.options.includes(v));
+            return invalid.length
+                ? { error: `${def.label} has invalid option(s): ${invalid.join(', ')}` }
+                : { value: [...new Set(values)] };
+        }
+        default:
+            return { error: `${def.label} has an unknown type` };
+    }
+};
+
+/**
+ * Validate custom field input for an entity.
+ * On create every required field must be present; on update only the supplied
+ * keys are checked (a required field cannot be cleared) and merged over `existing`.
+ * @param {'lead'|'deal'} entity
+ * @param {Object} [input] - Raw `customFields` from the request body
+ * @param {Object} [options]
+ * @param {Object} [options.existing] - Current values (update); omit on create
+ * @returns {Promise<{ values: Object, errors: Array<{field: string, message: string}> }>}
+ */
+const validateCustomFields = async (entity, input, { existing } = {}) => {
+    const isUpdate = existing !== undefined;
+    const errors = [];
+
+    if (input != null && (typeof input !== 'object' || Array.isArray(input))) {
+        return { values: {}, errors: [{ field: 'customFields', message: 'Custom fields must be an object' }] };
+    }
+
+    const definitions = await getDefinitions(entity);
+    const byKey = new Map(definitions.map((d) => [d.key, d]));
+    const raw = input || {};
+    const values = { ...(existing || {}) };
+
+    Object.keys(raw)
+        .filter((key) => !byKey.has(key))
+        .forEach((key) => errors.push({ field: `customFields.${key}`, message: `Unknown custom field "${key}"` }));
+
+    definitions.forEach((def) => {
+        const supplied = Object.prototype.hasOwnProperty.call(raw, def.key);
+        if (isUpdate && !supplied) return;
+
+        const { value, error } = coerceValue(def, raw[def.key]);
+        if (error) {
+            errors.push({ field: `customFields.${def.key}`, message: error });
+        } else if (def.required && isBlank(value)) {
+            errors.push({ field: `customFields.${def.key}`, message: `${def.label} is required` });
+        } else if (value == null) {
+            delete values[def.key];
+        } else {
+            values[def.key] = value;
+        }
+    });
+
+    return { values, errors };
+};
+
+// ─── List Filters ─────────────────────────────────────────────────────────────
+
+/**
+ * Build Mongo conditions from `cf[key]=value` or `cf[key][min]=..&cf[key][max]=..` query params.
+ * Equality matches the string, numeric and boolean forms of the value (and array elements
+ * for multi-select); ranges compare numbers, or dates when the bound is not numeric.
+ * @param {Object} [cf] - Parsed `cf` query object
+ * @returns {Object} Conditions keyed by `customFields.<key>`
+ */
+const buildCustomFieldFilter = (cf) => {
+    const filter = {};
+    if (!cf || typeof cf !== 'object') return filter;
+
+    const parseBound = (v) => (v !== '' && !isNaN(v) ? Number(v) : new Date(v));
+
+    Object.entries(cf).forEach(([key, condition]) => {
+        if (!/^[a-z][a-z0-9_]{0,39}$/.test(key) || isBlank(condition)) return;
+        const path = `customFields.${key}`;
+
+        if (typeof condition === 'object' && !Array.isArray(condition)) {
+            const range = {};
+            if (!isBlank(condition.min)) range.$gte = parseBound(condition.min);
+            if (!isBlank(condition.max)) range.$lte = parseBound(condition.max);
+            if (Object.keys(range).length) filter[path] = range;
+            return;
+        }
+
+        const value = String(condition);
+        const forms = [value];
+        if (!isNaN(value) && value.trim() !== '') forms.push(Number(value));
+        if (value === 'true' || value === 'false') forms.push(value === 'true');
+        filter[path] = { $in: forms };
+    });
+
+    return filter;
+};
+
+module.exports = { getDefinitions, validateCustomFields, buildCustomFieldFilter };
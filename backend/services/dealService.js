@@ -0,0 +1,61 @@
+/**
+ * Deal Service
+ * List filter/sort semantics shared by GET /api/deals and exports.
+ */
+
+const Lead = require('../models/Lead');
+const Account = require('../models/Account');
+const customFieldService = require('./customFieldService');
+const stageService = require('./stageService');
+const { isTrue, numberRange, dateRange } = require('../utils/queryFilters');
+
+/**
+ * Build the Mongo filter for a deal list query.
+ * Sales users are always restricted to deals they created.
+ * @param {Object} query - Request query: pipeline, stage, leadId, accountId (deals on the
+ *   account's leads, including child accounts), minValue/maxValue,
+ *   closeFrom/closeTo, minProbability/maxProbability, closeOverdue, cf
+ * @param {Object} user - Acting user document
+ * @returns {Promise<Object>} Mongo filter
+ */
+const buildDealFilter = async (query, user) => {
+    const { stage, leadId, accountId } = query;
+    const pipeline = stageService.toPipelineId(query.pipeline);
+
+    const filter = { isActive: true };
+    if (user.role === 'sales') filter.createdBy = user._id;
+    if (pipeline) filter.pipeline = pipeline;
+    if (stage) filter.stage = stage;
+    if (leadId) filter.leadId = leadId;
+    if (accountId) {
+        const accountLeadIds = await Lead.distinct('_id', { account: { $in: await Account.treeIds(accountId) } });
+        filter.$and = [{ leadId: { $in: accountLeadIds } }];
+    }
+
+    const value = numberRange(query.minValue, query.maxValue);
+    if (value) filter.value = value;
+    const probability = numberRange(query.minProbability, query.maxProbability);
+    if (probability) filter.probability = probability;
+    const closeDate = dateRange(query.closeFrom, query.closeTo);
+    if (closeDate) filter.closeDate = closeDate;
+
+    // Overdue: expected close date has passed on a deal that is still open
+    if (isTrue(query.closeOverdue)) {
+        filter.closeDate = { ...filter.closeDate, $lt: new Date() };
+        if (!stage) filter.$nor = [await stageService.outcomeFilter(['won', 'lost'], 'stage', pipeline)];
+    }
+
+    // Custom field conditions: cf[key]=value or cf[key][min]/[max]
+    Object.assign(filter, customFieldService.buildCustomFieldFilter(query.cf));
+
+    return filter;
+};
+
+/**
+ * Build the sort spec for a deal list query.
+ */
+const buildDealSort = ({ sortBy = 'createdAt', sortOrder = 'desc' }) => ({
+    [sortBy]: sortOrder === 'asc' ? 1 : -1,
+});
+
+module.exports = { buildDealFilter, buildDealSort };
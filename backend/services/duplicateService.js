@@ -0,0 +1,224 @@
+/**
+ * Duplicate Service
+ * Detects likely duplicate leads (normalized email, phone digits, name + company)
+ * and merges a duplicate into a surviving lead.
+ */
+
+const Lead = require('../models/Lead');
+const Deal = require('../models/Deal');
+const Activity = require('../models/Activity');
+const scoringService = require('./scoringService');
+
+// Fields an admin can pick from either lead when merging
+const MERGE_FIELDS = [
+    'name', 'email', 'phone', 'company', 'website', 'source', 'status',
+    'priority', 'assignedTo', 'description', 'followUpDate', 'expectedValue',
+];
+
+const MIN_PHONE_DIGITS = 7;
+
+// ─── Normalization ────────────────────────────────────────────────────────────
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+const normalizePhone = (phone) => {
+    const digits = (phone || '').replace(/\D/g, '');
+    return digits.length >= MIN_PHONE_DIGITS ? digits : '';
+};
+
+const normalizeText = (value) => (value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const nameCompanyKey = (lead) => {
+    const name = normalizeText(lead.name);
+    const company = normalizeText(lead.company);
+    return name && company ? `${name}|${company}` : '';
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mongo expression stripping the separators the Lead phone validator allows
+const PHONE_DIGITS_EXPR = ['+', ' ', '-', '(', ')', '.'].reduce(
+    (input, find) => ({ $replaceAll: { input, find, replacement: '' } }),
+    { $ifNull: ['$phone', ''] }
+);
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+
+/**
+ * Find active leads that likely duplicate the given lead data.
+ * @param {Object} data - Lead fields (name, email, phone, company)
+ * @param {Object} [options]
+ * @param {string} [options.excludeId] - Lead to leave out (the lead itself)
+ * @returns {Promise<Array>} Matching leads with the reasons they matched
+ */
+const findLikelyDuplicates = async (data, { excludeId } = {}) => {
+    const email = normalizeEmail(data.email);
+    const phone = normalizePhone(data.phone);
+    const name = normalizeText(data.name);
+    const company = normalizeText(data.company);
+
+    const conditions = [];
+    if (email) conditions.push({ email });
+    if (phone) conditions.push({ $expr: { $eq: [PHONE_DIGITS_EXPR, phone] } });
+    if (name && company) {
+        conditions.push({
+            name: { $regex: `^\\s*${escapeRegex(name).replace(/ /g, '\\s+')}\\s*$`, $options: 'i' },
+            company: { $regex: `^\\s*${escapeRegex(company).replace(/ /g, '\\s+')}\\s*$`, $options: 'i' },
+        });
+    }
+    if (conditions.length === 0) return [];
+
+    const filter = { isArchived: false, $or: conditions };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const matches = await Lead.find(filter)
+        .select('name email phone company assignedTo createdAt')
+        .populate('assignedTo', 'name')
+        .limit(10)
+        .lean();
+
+    return matches.map((lead) => ({
+        ...lead,
+        reasons: [
+            email && normalizeEmail(lead.email) === email && 'email',
+            phone && normalizePhone(lead.phone) === phone && 'phone',
+            name && company && nameCompanyKey(lead) === `${name}|${company}` && 'name+company',
+        ].filter(Boolean),
+    }));
+};
+
+/**
+ * Group all active leads into clusters of likely duplicates.
+ * Leads are linked when any normalized key matches (transitively).
+ * @returns {Promise<Array<{leads: Array, reasons: string[]}>>}
+ */
+const findDuplicateGroups = async () => {
+    const leads = await Lead.find({ isArchived: false })
+        .select('name email phone company status assignedTo expectedValue createdAt')
+        .populate('assignedTo', 'name')
+        .lean();
+
+    // Union-find over lead indexes
+    const parent = leads.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const reasonsByRoot = new Map();
+
+    const keyFns = {
+        email: (l) => normalizeEmail(l.email),
+        phone: (l) => normalizePhone(l.phone),
+        'name+company': nameCompanyKey,
+    };
+
+    const links = [];
+    Object.entries(keyFns).forEach(([reason, keyFn]) => {
+        const firstByKey = new Map();
+        leads.forEach((lead, i) => {
+            const key = keyFn(lead);
+            if (!key) return;
+            if (firstByKey.has(key)) {
+                const j = firstByKey.get(key);
+                parent[find(i)] = find(j);
+                links.push([j, reason]);
+            } else {
+                firstByKey.set(key, i);
+            }
+        });
+    });
+
+    links.forEach(([i, reason]) => {
+        const root = find(i);
+        if (!reasonsByRoot.has(root)) reasonsByRoot.set(root, new Set());
+        reasonsByRoot.get(root).add(reason);
+    });
+
+    const groups = new Map();
+    leads.forEach((lead, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(lead);
+    });
+
+    return [...groups.entries()]
+        .filter(([, members]) => members.length > 1)
+        .map(([root, members]) => ({
+            leads: members.sort((a, b) => a.createdAt - b.createdAt),
+            reasons: [...(reasonsByRoot.get(root) || [])],
+        }))
+        .sort((a, b) => b.leads.length - a.leads.length);
+};
+
+// ─── Merge ────────────────────────────────────────────────────────────────────
+
+/**
+ * Merge a duplicate lead into a surviving lead.
+ * - Picks each field from the survivor unless `fields[field] === 'loser'`
+ * - Unions tags
+ * - Repoints all activities and deals to the survivor
+ * - Archives the loser with a "merged into" pointer
+ * @param {Object} params
+ * @param {string} params.survivorId - Lead that is kept
+ * @param {string} params.loserId - Lead that is merged and archived
+ * @param {Object} [params.fields] - Map of field → 'survivor' | 'loser'
+ * @param {Object} params.user - Acting user document
+ * @returns {Promise<Object>} Updated survivor lead
+ */
+const mergeLeads = async ({ survivorId, loserId, fields = {}, user }) => {
+    if (String(survivorId) === String(loserId)) {
+        const err = new Error('Cannot merge a lead into itself.');
+        err.statusCode = 400;
+        throw err;
+    }
+
+    const [survivor, loser] = await Promise.all([Lead.findById(survivorId), Lead.findById(loserId)]);
+    if (!survivor || !loser || survivor.isArchived || loser.isArchived) {
+        const err = new Error('Both leads must exist and be active.');
+        err.statusCode = 404;
+        throw err;
+    }
+
+    MERGE_FIELDS.forEach((field) => {
+        if (fields[field] === 'loser') survivor.set(field, loser.get(field));
+    });
+    if (!survivor.account && loser.account) survivor.account = loser.account;
+
+    // Union tags, ignoring case and surrounding whitespace
+    const seen = new Set();
+    survivor.tags = [...survivor.tags, ...loser.tags].filter((tag) => {
+        const key = normalizeText(tag);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    await survivor.save();
+
+    const [activities, deals] = await Promise.all([
+        Activity.updateMany({ leadId: loser._id }, { leadId: survivor._id }),
+        Deal.updateMany({ leadId: loser._id }, { leadId: survivor._id }),
+    ]);
+
+    loser.isArchived = true;
+    loser.mergedInto = survivor._id;
+    loser.mergedAt = new Date();
+    await loser.save();
+
+    await Activity.create({
+        userId: user._id,
+        leadId: survivor._id,
+        type: 'note',
+        note: `Lead "${loser.name}" <${loser.email}> merged into this lead by ${user.name} ` +
+            `(${activities.modifiedCount} activities, ${deals.modifiedCount} deals moved)`,
+    });
+
+    // The survivor inherited the loser's activities, so its score may change
+    await scoringService.scoreLead(survivor);
+
+    return survivor;
+};
+
+module.exports = {
+    MERGE_FIELDS,
+    findLikelyDuplicates,
+    findDuplicateGroups,
+    mergeLeads,
+};
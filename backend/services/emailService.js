@@ -0,0 +1,263 @@
+/**
+ * Email Service
+ * Emails users send to leads from the CRM. Every message goes through the
+ * outbox: it is stored first, then delivered (right away, and by the outbox
+ * job for retries). A delivered message is logged as an email Activity on
+ * its lead (and deal); failed deliveries are retried with backoff and, once
+ * out of attempts, stay visible as failed until retried or cancelled.
+ */
+
+const EmailMessage = require('../models/EmailMessage');
+const Activity = require('../models/Activity');
+const Lead = require('../models/Lead');
+const Deal = require('../models/Deal');
+const JobLock = require('../models/JobLock');
+const scoringService = require('./scoringService');
+const { sendEmail, systemAddress } = require('../utils/sendEmail');
+const { escapeHtml } = require('../utils/mergeFields');
+
+const JOB = 'email-outbox';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 5;
+// Wait before the 2nd, 3rd, 4th and 5th attempts
+const RETRY_DELAYS_MS = [1, 5, 15, 60].map((min) => min * 60 * 1000);
+// A message 'sending' for this long was interrupted (the server stopped mid-send)
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const NOTE_MAX = 1000;
+
+const EMAIL_POPULATE = [
+    { path: 'userId', select: 'name' },
+    { path: 'leadId', select: 'name company' },
+    { path: 'dealId', select: 'title' },
+];
+
+const emailError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+// ─── Access ───────────────────────────────────────────────────────────────────
+
+// Sales users see the emails they sent and those on leads assigned to them
+const visibleTo = async (user) => {
+    if (user.role !== 'sales') return {};
+    const ownLeadIds = await Lead.distinct('_id', { assignedTo: user._id });
+    return { $or: [{ userId: user._id }, { leadId: { $in: ownLeadIds } }] };
+};
+
+/**
+ * Load a message its sender or an admin may retry or cancel.
+ */
+const getOwnMessage = async (id, user) => {
+    const message = await EmailMessage.findById(id);
+    if (!message) throw emailError('Email not found.', 404);
+    if (user.role !== 'admin' && String(message.userId) !== String(user._id)) {
+        throw emailError('Only the sender or an admin can change this email.', 403);
+    }
+    return message;
+};
+
+// ─── Compose ──────────────────────────────────────────────────────────────────
+
+/**
+ * Sender details: the user's name (or chosen sender name) on the CRM's
+ * mailbox, with replies going to the user.
+ */
+const senderFor = (user) => {
+    const name = (user.emailSettings?.fromName || user.name).replace(/["<>]/g, '');
+    return { from: `"${name}" <${systemAddress()}>`, replyTo: user.emailSettings?.replyTo || user.email };
+};
+
+const toHtml = (body) =>
+    `<div style="font-family: Arial, sans-serif; white-space: pre-wrap;">${escapeHtml(body)}</div>`;
+
+/**
+ * Put an email to a lead (optionally about one of its deals) in the outbox
+ * and try to deliver it straight away.
+ * @param {Object} data - leadId | dealId, to (defaults to the lead's email), cc, subject, body
+ * @returns {Promise<Object>} The EmailMessage, as sent or queued for retry
+ */
+const queueEmail = async ({ leadId, dealId, to, cc, subject, body }, user) => {
+    let deal = null;
+    if (dealId) {
+        deal = await Deal.findOne({ _id: dealId, isActive: true }).select('leadId createdBy');
+        if (!deal) throw emailError('Deal not found.', 404);
+        if (user.role === 'sales' && String(deal.createdBy) !== String(user._id)) {
+            throw emailError('Not authorized to email about this deal.', 403);
+        }
+    }
+
+    const lead = await Lead.findOne({ _id: deal ? deal.leadId : leadId, isArchived: false }).select('email assignedTo');
+    if (!lead) throw emailError('Lead not found.', 404);
+    if (!deal && user.role === 'sales' && String(lead.assignedTo) !== String(user._id)) {
+        throw emailError('Not authorized to email this lead.', 403);
+    }
+
+    const recipients = to?.length ? to : [lead.email].filter(Boolean);
+    if (!recipients.length) throw emailError('This lead has no email address. Enter a recipient.', 400);
+
+    const message = await EmailMessage.create({
+        userId: user._id,
+        leadId: lead._id,
+        dealId: deal?._id || null,
+        ...senderFor(user),
+        to: recipients,
+        cc: cc || [],
+        subject,
+        body,
+    });
+
+    const delivered = await deliver(message._id);
+    return delivered.populate(EMAIL_POPULATE);
+};
+
+// ─── Delivery ─────────────────────────────────────────────────────────────────
+
+/**
+ * Log a sent message on the lead's timeline.
+ */
+const logActivity = async (message) => {
+    const text = `Subject: ${message.subject}\n\n${message.body}`;
+    const activity = await Activity.create({
+        userId: message.userId,
+        leadId: message.leadId,
+        dealId: message.dealId,
+        type: 'email',
+        note: text.length > NOTE_MAX ? `${text.slice(0, NOTE_MAX - 3)}...` : text,
+        date: message.sentAt,
+        emailMessage: message._id,
+    });
+    // Activity-based scoring rules count the email
+    await scoringService.scoreLead(message.leadId);
+    return activity;
+};
+
+/**
+ * Make one delivery attempt for a queued message that is due. The message is
+ * claimed first, so a message is never sent by two deliveries at once.
+ * @returns {Promise<Object>} The EmailMessage after the attempt (as is when not claimable)
+ */
+const deliver = async (id, now = new Date()) => {
+    const message = await EmailMessage.findOneAndUpdate(
+        { _id: id, status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: now, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!message) return EmailMessage.findById(id);
+
+    let info;
+    try {
+        info = await sendEmail({
+            from: message.from,
+            replyTo: message.replyTo,
+            to: message.to,
+            cc: message.cc.length ? message.cc : undefined,
+            subject: message.subject,
+            text: message.body,
+            html: toHtml(message.body),
+        });
+    } catch (err) {
+        const outOfAttempts = message.attempts >= MAX_ATTEMPTS;
+        message.set({
+            status: outOfAttempts ? 'failed' : 'queued',
+            lockedAt: null,
+            lastError: (err.cause || err).message,
+            nextAttemptAt: outOfAttempts ? null : new Date(now.getTime() + RETRY_DELAYS_MS[message.attempts - 1]),
+        });
+        return message.save();
+    }
+
+    message.set({ status: 'sent', sentAt: new Date(), messageId: info.messageId, lockedAt: null, lastError: null, nextAttemptAt: null });
+    await message.save();
+    message.activity = (await logActivity(message))._id;
+    return message.save();
+};
+
+/**
+ * Deliver the queued messages that are due, including retries. Messages left
+ * 'sending' by an interrupted run are queued again. Only the instance holding
+ * the job lock works the outbox.
+ * @returns {Promise<Object|null>} { sent, retrying, failed } - null when another instance is running
+ */
+const processOutbox = async (now = new Date()) => {
+    if (!(await JobLock.acquire(JOB, LOCK_TTL_MS))) return null;
+
+    try {
+        await EmailMessage.updateMany(
+            { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } },
+            { status: 'queued', lockedAt: null, nextAttemptAt: now, lastError: 'Interrupted while sending' }
+        );
+
+        const due = await EmailMessage.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+            .sort({ nextAttemptAt: 1 })
+            .limit(BATCH_SIZE)
+            .select('_id')
+            .lean();
+
+        const result = { sent: 0, retrying: 0, failed: 0 };
+        for (const { _id } of due) {
+            const { status } = await deliver(_id, now);
+            if (status === 'sent') result.sent++;
+            else if (status === 'queued') result.retrying++;
+            else if (status === 'failed') result.failed++;
+        }
+        return result;
+    } finally {
+        await JobLock.release(JOB);
+    }
+};
+
+// ─── Outbox ───────────────────────────────────────────────────────────────────
+
+/**
+ * A page of emails, latest first.
+ * Filters: leadId, dealId, status
+ * @returns {Promise<Object>} { emails, total, page, pages }
+ */
+const listEmails = async (query, user) => {
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+    const filter = await visibleTo(user);
+    if (query.leadId) filter.leadId = query.leadId;
+    if (query.dealId) filter.dealId = query.dealId;
+    if (query.status) filter.status = query.status;
+
+    const [emails, total] = await Promise.all([
+        EmailMessage.find(filter).populate(EMAIL_POPULATE).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        EmailMessage.countDocuments(filter),
+    ]);
+    return { emails, total, page, pages: Math.ceil(total / limit) };
+};
+
+/**
+ * Try a queued or failed message again now, with a fresh set of attempts.
+ */
+const retryEmail = async (id, user) => {
+    const message = await getOwnMessage(id, user);
+    if (!['queued', 'failed'].includes(message.status)) {
+        throw emailError(`This email is ${message.status} and cannot be retried.`, 400);
+    }
+    message.set({ status: 'queued', attempts: 0, nextAttemptAt: new Date() });
+    await message.save();
+    const delivered = await deliver(message._id);
+    return delivered.populate(EMAIL_POPULATE);
+};
+
+/**
+ * Take a queued or failed message out of the outbox without sending it.
+ */
+const cancelEmail = async (id, user) => {
+    const message = await getOwnMessage(id, user);
+    const { deletedCount } = await EmailMessage.deleteOne({ _id: message._id, status: { $in: ['queued', 'failed'] } });
+    if (!deletedCount) throw emailError('This email is being sent or was sent and can no longer be cancelled.', 400);
+};
+
+module.exports = {
+    queueEmail,
+    processOutbox,
+    listEmails,
+    retryEmail,
+    cancelEmail,
+};
@@ -0,0 +1,161 @@
+/**
+ * Lead Service
+ * Shared lead creation path used by the API, CSV imports and other intake channels,
+ * plus the list filter/sort semantics shared by GET /api/leads and exports.
+ */
+
+const Lead = require('../models/Lead');
+const Account = require('../models/Account');
+const Activity = require('../models/Activity');
+const scoringService = require('./scoringService');
+const assignmentService = require('./assignmentService');
+const customFieldService = require('./customFieldService');
+const accountService = require('./accountService');
+const stageService = require('./stageService');
+const tagService = require('./tagService');
+const { isSet, isTrue, numberRange, dateRange, asList } = require('../utils/queryFilters');
+
+/**
+ * Create a lead, log the "Lead created" activity and compute its initial score.
+ * Sales users can only assign leads to themselves; leads created without an
+ * assignee are routed through the assignment rules, and leads without an
+ * account are linked to the account matching their email domain or company.
+ * @param {Object} data - Lead fields
+ * @param {Object} user - Acting user document
+ * @param {Object} [options]
+ * @param {string} [options.importBatch] - Import batch that produced the lead
+ * @param {string} [options.createdNote] - Text of the "Lead created" activity
+ * @returns {Promise<Object>} Created lead document
+ */
+const createLead = async (data, user, { importBatch = null, createdNote = null } = {}) => {
+    const leadData = { ...data };
+
+    let assignment = null;
+    if (user.role === 'sales') {
+        leadData.assignedTo = user._id;
+    } else if (!leadData.assignedTo) {
+        assignment = await assignmentService.pickAssignee(leadData);
+        if (assignment) {
+            leadData.assignedTo = assignment.user._id;
+            leadData.assignmentRule = assignment.rule._id;
+        }
+    }
+
+    if (!leadData.account) {
+        const account = await accountService.findAccountFor(leadData);
+        if (account) leadData.account = account._id;
+    }
+
+    const lead = await Lead.create(leadData);
+
+    await Activity.create({
+        userId: user._id,
+        leadId: lead._id,
+        type: 'note',
+        note: createdNote || `Lead created by ${user.name}`,
+        importBatch,
+    });
+
+    if (assignment) {
+        await Activity.create({
+            userId: user._id,
+            leadId: lead._id,
+            type: 'note',
+            note: `Lead assigned to ${assignment.user.name} by assignment rule "${assignment.rule.name}"`,
+            importBatch,
+        });
+    }
+
+    await scoringService.scoreLead(lead);
+
+    return lead;
+};
+
+/**
+ * Build the Mongo filter for a lead list query.
+ * Sales users are always restricted to their own leads.
+ * @param {Object} query - Request query: pipeline, status, priority, source, assignedTo, unassigned,
+ *   accountId (includes child accounts), converted (true = only converted, all), search, minScore/maxScore, minValue/maxValue, tags + tagMode (any|all),
+ *   createdFrom/createdTo, followUpFrom/followUpTo, followUpOverdue, inactiveDays, cf
+ * @param {Object} user - Acting user document
+ * @returns {Promise<Object>} Mongo filter
+ */
+const buildLeadFilter = async (query, user) => {
+    const { status, priority, source, assignedTo, accountId, search, tags, tagMode, inactiveDays } = query;
+
+    const pipeline = stageService.toPipelineId(query.pipeline);
+
+    const filter = { isArchived: false };
+    if (pipeline) filter.pipeline = pipeline;
+
+    // Converted leads leave the working queue but can still be listed
+    if (isTrue(query.converted)) filter.convertedAt = { $ne: null };
+    else if (query.converted !== 'all') filter.convertedAt = null;
+
+    // RBAC: Sales only see their own leads
+    if (user.role === 'sales') {
+        filter.assignedTo = user._id;
+    } else if (isTrue(query.unassigned)) {
+        filter.assignedTo = null;
+    } else if (assignedTo) {
+        filter.assignedTo = assignedTo;
+    }
+
+    if (status) filter.status = status;
+    if (priority) filter.priority = priority;
+    if (source) filter.source = source;
+    if (accountId) filter.account = { $in: await Account.treeIds(accountId) };
+
+    const score = numberRange(query.minScore, query.maxScore);
+    if (score) filter.score = score;
+    const expectedValue = numberRange(query.minValue, query.maxValue);
+    if (expectedValue) filter.expectedValue = expectedValue;
+    const createdAt = dateRange(query.createdFrom, query.createdTo);
+    if (createdAt) filter.createdAt = createdAt;
+    const followUpDate = dateRange(query.followUpFrom, query.followUpTo);
+    if (followUpDate) filter.followUpDate = followUpDate;
+
+    // Any spelling of a tag matches, as tags typed before the registry may differ in case
+    const tagList = asList(tags).map(tagService.tagMatcher);
+    if (tagList.length) filter.tags = tagMode === 'all' ? { $all: tagList } : { $in: tagList };
+
+    // Overdue: follow-up date has passed on a lead that is still open
+    if (isTrue(query.followUpOverdue)) {
+        filter.followUpDate = { ...filter.followUpDate, $lt: new Date() };
+        // Leads in won or lost stages no longer need follow-ups
+        if (!status) filter.$nor = [await stageService.outcomeFilter(['won', 'lost'], 'status', pipeline)];
+    }
+
+    // Stale: older than N days with no activity logged in that window
+    if (isSet(inactiveDays) && Number(inactiveDays) > 0) {
+        const since = new Date(Date.now() - Number(inactiveDays) * 24 * 60 * 60 * 1000);
+        const activeLeadIds = await Activity.distinct('leadId', { date: { $gte: since }, deletedAt: null });
+        filter._id = { $nin: activeLeadIds };
+        filter.createdAt = { ...filter.createdAt, $lt: since };
+    }
+
+    // Custom field conditions: cf[key]=value or cf[key][min]/[max]
+    Object.assign(filter, customFieldService.buildCustomFieldFilter(query.cf));
+
+    // Full-text search (lead_text index); an email address is matched exactly
+    if (search) {
+        const text = String(search).trim();
+        if (/^\S+@\S+$/.test(text)) filter.email = text.toLowerCase();
+        else filter.$text = { $search: text };
+    }
+
+    return filter;
+};
+
+/**
+ * Build the sort spec for a lead list query.
+ * `sortBy=relevance` ranks by text score and only applies alongside a text search.
+ */
+const buildLeadSort = ({ sortBy = 'createdAt', sortOrder = 'desc', search }) => {
+    if (sortBy === 'relevance') {
+        return search && !String(search).includes('@') ? { rank: { $meta: 'textScore' } } : { createdAt: -1 };
+    }
+    return { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+};
+
+module.exports = { createLead, buildLeadFilter, buildLeadSort };
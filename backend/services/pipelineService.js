@@ -0,0 +1,216 @@
+/**
+ * Pipeline Service
+ * Creates, renames and retires pipelines, and moves deals from one pipeline
+ * to another, mapping each stage onto the target pipeline's stage list.
+ */
+
+const Pipeline = require('../models/Pipeline');
+const Stage = require('../models/Stage');
+const Lead = require('../models/Lead');
+const Deal = require('../models/Deal');
+const stageService = require('./stageService');
+const stageHistoryService = require('./stageHistoryService');
+const transitionService = require('./transitionService');
+const { withTransaction } = require('../utils/transaction');
+
+const pipelineError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+/**
+ * Number of leads and deals (archived and deleted ones included) per pipeline.
+ * @returns {Promise<Object>} { [pipelineId]: { leads, deals } }
+ */
+const countRecords = async () => {
+    const [leads, deals] = await Promise.all([
+        Lead.aggregate([{ $group: { _id: '$pipeline', count: { $sum: 1 } } }]),
+        Deal.aggregate([{ $group: { _id: '$pipeline', count: { $sum: 1 } } }]),
+    ]);
+
+    const counts = {};
+    const entry = (id) => (counts[id] = counts[id] || { leads: 0, deals: 0 });
+    leads.forEach((l) => { entry(l._id).leads = l.count; });
+    deals.forEach((d) => { entry(d._id).deals = d.count; });
+    return counts;
+};
+
+// ─── Changes ──────────────────────────────────────────────────────────────────
+
+// Only one pipeline is the default; records without a pipeline land there
+const makeDefault = (pipelineId, session = null) =>
+    Pipeline.updateMany({ _id: { $ne: pipelineId }, isDefault: true }, { $set: { isDefault: false } }, { session });
+
+/**
+ * Create a pipeline with a copy of another pipeline's stages, or the
+ * standard stage set when `copyFrom` is not given.
+ * @param {Object} data - name, description, isDefault, copyFrom
+ */
+const createPipeline = async ({ name, description, isDefault = false, copyFrom = null }) => {
+    let stages;
+    if (copyFrom) {
+        const source = await stageService.getPipeline(copyFrom);
+        if (!source) throw pipelineError('Pipeline to copy stages from not found.', 404);
+        stages = source.stages;
+    }
+
+    const last = await Pipeline.findOne().sort({ order: -1 }).lean();
+    const pipeline = await Pipeline.create({ name, description, isDefault, order: last ? last.order + 1 : 0 });
+    try {
+        await stageService.seedStages(pipeline._id, stages);
+    } catch (err) {
+        // Don't leave a pipeline without stages behind
+        await Promise.all([Stage.deleteMany({ pipeline: pipeline._id }), Pipeline.deleteOne({ _id: pipeline._id })]);
+        throw err;
+    }
+    if (isDefault) await makeDefault(pipeline._id);
+
+    stageService.invalidate();
+    return stageService.getPipeline(pipeline._id);
+};
+
+/**
+ * Rename or describe a pipeline, or make it the default. The default can
+ * only change by choosing another pipeline as the default.
+ */
+const updatePipeline = async (id, { name, description, isDefault, order }) => {
+    const pipeline = await Pipeline.findById(id);
+    if (!pipeline) throw pipelineError('Pipeline not found.', 404);
+    if (isDefault === false && pipeline.isDefault) {
+        throw pipelineError('Make another pipeline the default instead.', 409);
+    }
+
+    if (name !== undefined) pipeline.name = name;
+    if (description !== undefined) pipeline.description = description;
+    if (order !== undefined) pipeline.order = order;
+    if (isDefault) pipeline.isDefault = true;
+
+    await pipeline.save();
+    if (isDefault) await makeDefault(pipeline._id);
+
+    stageService.invalidate();
+    return stageService.getPipeline(pipeline._id);
+};
+
+/**
+ * Delete a pipeline. Its leads and deals move to `moveTo`, each stage going
+ * to `stageMap[name]` when given or to the closest matching stage; without a
+ * target, a pipeline that still has records is refused. The default pipeline
+ * cannot be deleted.
+ * @param {string} id
+ * @param {string} [moveTo] - Target pipeline ID
+ * @param {Object} [stageMap] - { [stage name]: target stage name }
+ * @returns {Promise<Object>} { pipeline, moved: { leads, deals } }
+ */
+const deletePipeline = async (id, moveTo = null, stageMap = {}) => {
+    const pipeline = await stageService.getPipeline(stageService.toPipelineId(id));
+    if (!pipeline) throw pipelineError('Pipeline not found.', 404);
+    if (pipeline.isDefault) throw pipelineError('The default pipeline cannot be deleted.', 409);
+
+    const [leadCount, dealCount] = await Promise.all([
+        Lead.countDocuments({ pipeline: pipeline._id }),
+        Deal.countDocuments({ pipeline: pipeline._id }),
+    ]);
+
+    let target = null;
+    if (moveTo) {
+        target = await stageService.getPipeline(stageService.toPipelineId(moveTo));
+        if (!target || target._id.equals(pipeline._id)) {
+            throw pipelineError('Choose another pipeline to move records to.', 422);
+        }
+    } else if (leadCount || dealCount) {
+        const err = pipelineError(
+            `"${pipeline.name}" still has ${leadCount} lead(s) and ${dealCount} deal(s). Choose a pipeline to move them to.`,
+            409
+        );
+        err.counts = { leads: leadCount, deals: dealCount };
+        throw err;
+    }
+
+    // Resolve every stage up front so a bad mapping fails before anything moves
+    const targets = {};
+    if (target) {
+        const targetNames = target.stages.map((s) => s.name);
+        for (const stage of pipeline.stages) {
+            const mapped = stageMap[stage.name];
+            if (mapped && !targetNames.includes(mapped)) {
+                throw pipelineError(`"${mapped}" is not a stage of the ${target.name} pipeline.`, 422);
+            }
+            targets[stage.name] = mapped || (await stageService.mapStage(stage.name, pipeline._id, target._id));
+        }
+    }
+
+    let moved;
+    await withTransaction(async (session) => {
+        moved = { leads: 0, deals: 0 };
+        for (const [from, to] of Object.entries(targets)) {
+            // One at a time: a transaction session does not allow parallel operations
+            const leads = await Lead.updateMany({ pipeline: pipeline._id, status: from }, { $set: { pipeline: target._id, status: to } }, { session });
+            const deals = await Deal.updateMany({ pipeline: pipeline._id, stage: from }, { $set: { pipeline: target._id, stage: to } }, { session });
+            moved.leads += leads.modifiedCount;
+            moved.deals += deals.modifiedCount;
+        }
+        if (target) {
+            // Anything left has a stage name the pipeline no longer lists
+            const fallback = await stageService.getDefaultStage(target._id);
+            const leads = await Lead.updateMany({ pipeline: pipeline._id }, { $set: { pipeline: target._id, status: fallback } }, { session });
+            const deals = await Deal.updateMany({ pipeline: pipeline._id }, { $set: { pipeline: target._id, stage: fallback } }, { session });
+            moved.leads += leads.modifiedCount;
+            moved.deals += deals.modifiedCount;
+        }
+        await Stage.deleteMany({ pipeline: pipeline._id }, { session });
+        await Pipeline.deleteOne({ _id: pipeline._id }, { session });
+    });
+
+    stageService.invalidate();
+    return { pipeline, moved };
+};
+
+/**
+ * Move a deal to another pipeline. Without an explicit `stage` the deal's
+ * current stage is mapped onto the target pipeline; either way the target
+ * stage's transition rules apply (422 with `err.errors`), the deal takes its
+ * probability and a stage-change activity is logged.
+ * @param {Object} deal - Deal document
+ * @param {string} toPipelineId
+ * @param {string} [stage] - Stage name in the target pipeline
+ * @param {Object} user - Acting user
+ */
+const moveDeal = async (deal, toPipelineId, stage, user) => {
+    const [from, to] = await Promise.all([
+        stageService.getPipeline(deal.pipeline),
+        stageService.getPipeline(stageService.toPipelineId(toPipelineId)),
+    ]);
+    if (!to) throw pipelineError('Pipeline not found.', 404);
+    if (to._id.equals(deal.pipeline)) throw pipelineError(`The deal is already in the ${to.name} pipeline.`, 409);
+
+    const nextStage = stage || (await stageService.mapStage(deal.stage, deal.pipeline, to._id));
+    const config = to.stages.find((s) => s.name === nextStage);
+    if (!config) throw pipelineError(`"${nextStage}" is not a stage of the ${to.name} pipeline.`, 422);
+
+    const errors = await transitionService.checkTransition('deal', deal, { pipeline: to._id, stage: nextStage }, user);
+    if (errors.length) {
+        const err = pipelineError('Validation failed', 422);
+        err.errors = errors;
+        throw err;
+    }
+
+    const previousStage = deal.stage;
+    deal.set({ pipeline: to._id, stage: nextStage, probability: config.probability });
+    await deal.save();
+
+    await stageHistoryService.logStageChange('deal', deal, previousStage, user, {
+        note: `Deal moved from ${from?.name || 'another'} pipeline ("${previousStage}") to ${to.name} ("${nextStage}")`,
+    });
+
+    return deal;
+};
+
+module.exports = {
+    countRecords,
+    createPipeline,
+    updatePipeline,
+    deletePipeline,
+    moveDeal,
+};
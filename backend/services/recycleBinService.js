@@ -0,0 +1,270 @@
+/**
+ * Recycle Bin Service
+ * Soft-deletes (archived leads, deleted deals, deactivated users, deleted
+ * activities), their restore, permanent purge with dependent records, and retention-based auto-purge.
+ */
+
+const Lead = require('../models/Lead');
+const Account = require('../models/Account');
+const Contact = require('../models/Contact');
+const Deal = require('../models/Deal');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const AssignmentRule = require('../models/AssignmentRule');
+const SavedView = require('../models/SavedView');
+const StageTransition = require('../models/StageTransition');
+const EmailMessage = require('../models/EmailMessage');
+const Setting = require('../models/Setting');
+const scoringService = require('./scoringService');
+
+const BIN_TYPES = ['lead', 'deal', 'user', 'activity'];
+const RETENTION_SETTING = 'recycleBin.retentionDays';
+// Off until an admin sets a retention period
+const DEFAULT_RETENTION_DAYS = 0;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-type: what "in the bin" means and which fields record who/when.
+// Merged leads are kept as merge history and never listed.
+const BIN = {
+    lead: { model: Lead, filter: { isArchived: true, mergedInto: null }, at: 'archivedAt', by: 'archivedBy' },
+    deal: { model: Deal, filter: { isActive: false }, at: 'deletedAt', by: 'deletedBy' },
+    user: { model: User, filter: { isActive: false }, at: 'deactivatedAt', by: 'deactivatedBy' },
+    activity: { model: Activity, filter: { deletedAt: { $ne: null } }, at: 'deletedAt', by: 'deletedBy' },
+};
+
+const notFound = (type) => {
+    const err = new Error(`${type.charAt(0).toUpperCase() + type.slice(1)} not found in the recycle bin.`);
+    err.statusCode = 404;
+    return err;
+};
+
+// ─── Soft Delete ──────────────────────────────────────────────────────────────
+
+/**
+ * Archive leads and take their open deals into the bin with them.
+ * @param {Array} leadIds - Lead IDs
+ * @param {Object} user - Acting user document
+ * @returns {Promise<number>} Number of leads archived
+ */
+const archiveLeads = async (leadIds, user) => {
+    const now = new Date();
+    const result = await Lead.updateMany(
+        { _id: { $in: leadIds }, isArchived: false },
+        { isArchived: true, archivedAt: now, archivedBy: user._id }
+    );
+    await Deal.updateMany(
+        { leadId: { $in: leadIds }, isActive: true },
+        { isActive: false, deletedAt: now, deletedBy: user._id, deletedWithLead: true }
+    );
+    return result.modifiedCount;
+};
+
+// ─── Retention ────────────────────────────────────────────────────────────────
+
+/**
+ * Days items stay in the bin before auto-purge (0 = keep forever).
+ */
+const getRetentionDays = () => Setting.getValue(RETENTION_SETTING, DEFAULT_RETENTION_DAYS);
+
+const setRetentionDays = (days, user) => Setting.setValue(RETENTION_SETTING, days, user);
+
+/**
+ * When an item deleted at `deletedAt` will be auto-purged, or null if never.
+ */
+const expiresAt = (deletedAt, retentionDays) =>
+    retentionDays > 0 && deletedAt ? new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS) : null;
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+
+/**
+ * One page of bin items of a type, most recently deleted first.
+ * Items deleted before the bin existed have no timestamp; `updatedAt` stands in
+ * for display, but they never expire.
+ */
+const listBin = async (type, { page = 1, limit = 20 } = {}) => {
+    const { model, filter, at, by } = BIN[type];
+    const query = model.find(filter)
+        .populate(by, 'name email')
+        .sort({ [at]: -1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+    if (type === 'deal') query.populate('leadId', 'name isArchived');
+    if (type === 'user') query.select('-password');
+    if (type === 'activity') query.populate('leadId', 'name isArchived').populate('userId', 'name');
+
+    const [items, total, retentionDays] = await Promise.all([query, model.countDocuments(filter), getRetentionDays()]);
+
+    return {
+        total,
+        retentionDays,
+        items: items.map((item) => {
+            const deletedAt = item[at] || item.updatedAt;
+            return { ...item, deletedAt, deletedBy: item[by], expiresAt: expiresAt(item[at], retentionDays) };
+        }),
+    };
+};
+
+// ─── Restore ──────────────────────────────────────────────────────────────────
+
+/**
+ * Take an item out of the bin. Restoring a lead re-activates the deals that
+ * were deleted along with it; a deal whose lead is archived cannot be restored
+ * alone. Restored activities note the restore in their history.
+ * @param {Object} user - Acting user document
+ * @returns {Promise<Object>} { item, restoredDeals }
+ */
+const restore = async (type, id, user) => {
+    const { model, filter, at, by } = BIN[type];
+    const query = model.findOne({ _id: id, ...filter });
+    if (type === 'activity') query.select('+history');
+    const item = await query;
+    if (!item) throw notFound(type);
+
+    let restoredDeals = 0;
+
+    if (type === 'lead') {
+        item.isArchived = false;
+        const deals = await Deal.updateMany(
+            { leadId: item._id, isActive: false, deletedWithLead: true },
+            { isActive: true, deletedAt: null, deletedBy: null, deletedWithLead: false }
+        );
+        restoredDeals = deals.modifiedCount;
+    } else if (type === 'deal') {
+        const lead = await Lead.findById(item.leadId).select('isArchived');
+        if (lead?.isArchived) {
+            const err = new Error('This deal belongs to an archived lead. Restore the lead first.');
+            err.statusCode = 400;
+            throw err;
+        }
+        item.isActive = true;
+        item.deletedWithLead = false;
+    } else if (type === 'activity') {
+        item.history.push({ action: 'restore', by: user._id });
+    } else {
+        item.isActive = true;
+    }
+
+    item.set({ [at]: null, [by]: null });
+    await item.save();
+    // Activity-based scoring rules count the restored activity again
+    if (type === 'activity') await scoringService.scoreLead(item.leadId);
+
+    return { item, restoredDeals };
+};
+
+// ─── Purge ────────────────────────────────────────────────────────────────────
+
+/**
+ * Permanently delete leads with their deals, activities, emails and stage history.
+ */
+const purgeLeads = async (leadIds) => {
+    const dealIds = await Deal.distinct('_id', { leadId: { $in: leadIds } });
+    const [activities, deals, leads] = await Promise.all([
+        Activity.deleteMany({ leadId: { $in: leadIds } }),
+        Deal.deleteMany({ leadId: { $in: leadIds } }),
+        Lead.deleteMany({ _id: { $in: leadIds } }),
+        StageTransition.deleteMany({ record: { $in: [...leadIds, ...dealIds] } }),
+        EmailMessage.deleteMany({ leadId: { $in: leadIds } }),
+    ]);
+    return { leads: leads.deletedCount, deals: deals.deletedCount, activities: activities.deletedCount };
+};
+
+/**
+ * Permanently delete deals and the activities, emails and stage history logged against them.
+ */
+const purgeDeals = async (dealIds) => {
+    const [activities, deals] = await Promise.all([
+        Activity.deleteMany({ dealId: { $in: dealIds } }),
+        Deal.deleteMany({ _id: { $in: dealIds } }),
+        StageTransition.deleteMany({ entity: 'deal', record: { $in: dealIds } }),
+        EmailMessage.deleteMany({ dealId: { $in: dealIds } }),
+    ]);
+    return { deals: deals.deletedCount, activities: activities.deletedCount };
+};
+
+/**
+ * Permanently delete users, releasing their leads, accounts, contacts,
+ * assignment-rule seats and saved views. The activities and emails they logged
+ * stay on the leads' timelines without an author; emails still waiting in the
+ * outbox fail. Deals keep their (now empty) owner.
+ */
+const purgeUsers = async (userIds) => {
+    // Their tasks go back to whoever created them (before authors are cleared)
+    await Activity.updateMany({ type: 'task', assignedTo: { $in: userIds } }, [{ $set: { assignedTo: '$userId' } }]);
+    await EmailMessage.updateMany(
+        { userId: { $in: userIds }, status: 'queued' },
+        { status: 'failed', nextAttemptAt: null, lastError: 'Sender was deleted' }
+    );
+
+    const [users] = await Promise.all([
+        User.deleteMany({ _id: { $in: userIds } }),
+        Activity.updateMany({ userId: { $in: userIds } }, { userId: null }),
+        // Tasks they created for themselves
+        Activity.updateMany({ assignedTo: { $in: userIds } }, { assignedTo: null }),
+        EmailMessage.updateMany({ userId: { $in: userIds } }, { userId: null }),
+        Lead.updateMany({ assignedTo: { $in: userIds } }, { assignedTo: null, assignmentRule: null }),
+        Account.updateMany({ owner: { $in: userIds } }, { owner: null }),
+        Contact.updateMany({ owner: { $in: userIds } }, { owner: null }),
+        AssignmentRule.updateMany({}, { $pull: { members: { user: { $in: userIds } } } }),
+        SavedView.deleteMany({ owner: { $in: userIds } }),
+        SavedView.updateMany({}, { $pull: { defaultFor: { $in: userIds } } }),
+    ]);
+    return { users: users.deletedCount };
+};
+
+/**
+ * Permanently delete activities.
+ */
+const purgeActivities = async (activityIds) => {
+    const activities = await Activity.deleteMany({ _id: { $in: activityIds } });
+    return { activities: activities.deletedCount };
+};
+
+const PURGE = { lead: purgeLeads, deal: purgeDeals, user: purgeUsers, activity: purgeActivities };
+
+/**
+ * Permanently delete one item from the bin.
+ * @returns {Promise<Object>} Deleted counts
+ */
+const purge = async (type, id) => {
+    const { model, filter } = BIN[type];
+    const item = await model.findOne({ _id: id, ...filter }).select('_id');
+    if (!item) throw notFound(type);
+    return PURGE[type]([item._id]);
+};
+
+/**
+ * Purge every bin item older than the retention period.
+ * @returns {Promise<Object|null>} Purged counts per type, or null when retention is off
+ */
+const purgeExpired = async () => {
+    const retentionDays = await getRetentionDays();
+    if (!(retentionDays > 0)) return null;
+
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+    const counts = {};
+
+    for (const type of BIN_TYPES) {
+        const { model, filter, at } = BIN[type];
+        const ids = await model.distinct('_id', {
+            ...filter,
+            // Only items with a recorded deletion time; older ones wait for a manual purge
+            [at]: { $lt: cutoff },
+        });
+        counts[type] = ids.length ? await PURGE[type](ids) : null;
+    }
+
+    return counts;
+};
+
+module.exports = {
+    BIN_TYPES,
+    archiveLeads,
+    getRetentionDays,
+    setRetentionDays,
+    listBin,
+    restore,
+    purge,
+    purgeExpired,
+};
@@ -0,0 +1,196 @@
+/**
+ * Reminder Service
+ * Follow-ups that have come due: a lead's follow-up date and the next
+ * follow-up of activities not yet completed, on leads that are still open.
+ * Lists them per user for the dashboard, and emails each assigned user a
+ * reminder (as follow-ups come due, or in a daily digest), marking every
+ * follow-up with the date it was reminded for so it is not sent again.
+ * Follow-ups that fell due more than REMINDER_LOOKBACK_DAYS ago are never
+ * emailed (so the first run does not send a backlog); they stay on the dashboard.
+ */
+
+const JobLock = require('../models/JobLock');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const stageService = require('./stageService');
+const { sendFollowUpReminderEmail } = require('../utils/sendEmail');
+
+const JOB = 'follow-up-reminders';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_LOOKBACK_DAYS = 7;
+
+// Local hour after which daily digests go out
+const DIGEST_HOUR = Number.isInteger(parseInt(process.env.REMINDER_DIGEST_HOUR, 10))
+    ? parseInt(process.env.REMINDER_DIGEST_HOUR, 10)
+    : 8;
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const endOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(23, 59, 59, 999);
+    return d;
+};
+
+// Follow-ups whose current date has not been reminded yet
+const notReminded = (dateField) => ({ $expr: { $ne: ['$followUpRemindedFor', `$${dateField}`] } });
+
+// ─── Due Follow-ups ───────────────────────────────────────────────────────────
+
+/**
+ * Follow-ups due by `until`, oldest first. Each goes to the lead's assignee;
+ * an activity on an unassigned lead goes to whoever logged it. An activity
+ * follow-up on the same date as its lead's is left out (the lead covers it).
+ * @param {Object} options - until (Date), since (Date; no lower bound when
+ *   omitted), user (ID; everyone when omitted), pendingOnly (only follow-ups
+ *   not reminded yet)
+ * @returns {Promise<Array>} { kind: 'lead'|'activity', _id, lead, type, note, dueAt, user, reminded }
+ */
+const findDue = async ({ until, since = null, user = null, pendingOnly = false }) => {
+    const due = { $ne: null, $lte: until, ...(since && { $gte: since }) };
+    const open = {
+        isArchived: false,
+        mergedInto: null,
+        convertedAt: null,
+        $nor: [await stageService.outcomeFilter(['won', 'lost'], 'status')],
+    };
+
+    const [leads, activities] = await Promise.all([
+        Lead.find({
+            ...open,
+            assignedTo: user || { $ne: null },
+            followUpDate: due,
+            ...(pendingOnly && notReminded('followUpDate')),
+        }).select('name company assignedTo followUpDate followUpRemindedFor').lean(),
+        Activity.find({
+            isCompleted: false,
+            deletedAt: null,
+            nextFollowUp: due,
+            ...(pendingOnly && notReminded('nextFollowUp')),
+        }).select('leadId userId type note nextFollowUp followUpRemindedFor').lean(),
+    ]);
+
+    const activityLeads = await Lead.find({ ...open, _id: { $in: activities.map((a) => a.leadId) } })
+        .select('name company assignedTo followUpDate')
+        .lean();
+    const leadsById = new Map(activityLeads.map((l) => [String(l._id), l]));
+
+    const items = leads.map((l) => ({
+        kind: 'lead',
+        _id: l._id,
+        lead: { _id: l._id, name: l.name, company: l.company },
+        type: null,
+        note: null,
+        dueAt: l.followUpDate,
+        user: l.assignedTo,
+        reminded: String(l.followUpRemindedFor) === String(l.followUpDate),
+    }));
+
+    activities.forEach((a) => {
+        const lead = leadsById.get(String(a.leadId));
+        if (!lead || String(lead.followUpDate) === String(a.nextFollowUp)) return;
+        const recipient = lead.assignedTo || a.userId;
+        if (user && String(recipient) !== String(user)) return;
+        items.push({
+            kind: 'activity',
+            _id: a._id,
+            lead: { _id: lead._id, name: lead.name, company: lead.company },
+            type: a.type,
+            note: a.note,
+            dueAt: a.nextFollowUp,
+            user: recipient,
+            reminded: String(a.followUpRemindedFor) === String(a.nextFollowUp),
+        });
+    });
+
+    return items.sort((a, b) => a.dueAt - b.dueAt);
+};
+
+/**
+ * A user's open follow-ups, split into overdue (before today) and due today.
+ * @returns {Promise<Object>} { overdue, dueToday }
+ */
+const getFollowUps = async (userId, now = new Date()) => {
+    const items = await findDue({ until: endOfDay(now), user: userId });
+    const today = startOfDay(now);
+    return {
+        overdue: items.filter((i) => i.dueAt < today),
+        dueToday: items.filter((i) => i.dueAt >= today),
+    };
+};
+
+// ─── Sending ──────────────────────────────────────────────────────────────────
+
+/**
+ * Record that the follow-ups were reminded for their current date. A date
+ * changed in the meantime stays pending.
+ */
+const markReminded = (items) => Promise.all([
+    Lead.bulkWrite(items.filter((i) => i.kind === 'lead').map((i) => ({
+        updateOne: { filter: { _id: i._id, followUpDate: i.dueAt }, update: { $set: { followUpRemindedFor: i.dueAt } } },
+    }))),
+    Activity.bulkWrite(items.filter((i) => i.kind === 'activity').map((i) => ({
+        updateOne: { filter: { _id: i._id, nextFollowUp: i.dueAt }, update: { $set: { followUpRemindedFor: i.dueAt } } },
+    }))),
+]);
+
+/**
+ * Email every user their follow-ups that came due and were not reminded yet.
+ * Users on 'instant' get those due by now; users on 'digest' get everything
+ * due today in one email, once a day after DIGEST_HOUR; users on 'off' get
+ * nothing. Only the instance holding the job lock sends.
+ * @returns {Promise<Object|null>} { emails, followUps } - null when another instance is sending
+ */
+const sendReminders = async (now = new Date()) => {
+    if (!(await JobLock.acquire(JOB, LOCK_TTL_MS))) return null;
+
+    try {
+        const since = startOfDay(new Date(now.getTime() - REMINDER_LOOKBACK_DAYS * DAY_MS));
+        const pending = await findDue({ until: endOfDay(now), since, pendingOnly: true });
+        const recipients = await User.find({ _id: { $in: pending.map((i) => i.user) }, isActive: true })
+            .select('name email reminders')
+            .lean();
+
+        const digestFrom = new Date(now);
+        digestFrom.setHours(DIGEST_HOUR, 0, 0, 0);
+        const result = { emails: 0, followUps: 0 };
+
+        for (const user of recipients) {
+            const mode = user.reminders?.mode || 'instant';
+            const mine = pending.filter((i) => String(i.user) === String(user._id));
+            const digestDue = now >= digestFrom && !(user.reminders?.lastDigestAt >= startOfDay(now));
+
+            let items = [];
+            if (mode === 'instant') items = mine.filter((i) => i.dueAt <= now);
+            else if (mode === 'digest' && digestDue) items = mine;
+            if (!items.length) continue;
+
+            try {
+                await sendFollowUpReminderEmail(user, items, { digest: mode === 'digest' });
+            } catch (err) {
+                // Left pending for the next run
+                console.error(`⏰ Reminder to ${user.email} failed:`, err.message);
+                continue;
+            }
+            await markReminded(items);
+            if (mode === 'digest') await User.updateOne({ _id: user._id }, { 'reminders.lastDigestAt': now });
+
+            result.emails++;
+            result.followUps += items.length;
+        }
+        return result;
+    } finally {
+        await JobLock.release(JOB);
+    }
+};
+
+module.exports = {
+    getFollowUps,
+    sendReminders,
+};
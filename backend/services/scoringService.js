@@ -0,0 +1,173 @@
+/**
+ * Scoring Service
+ * Evaluates the active ScoringRules against a lead and its recent activities,
+ * and stores the resulting score and per-rule breakdown on the lead.
+ */
+
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const ScoringRule = require('../models/ScoringRule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Rule Evaluation ──────────────────────────────────────────────────────────
+
+const isEmpty = (value) =>
+    value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const asList = (value) =>
+    (Array.isArray(value) ? value : String(value).split(',')).map((v) => String(v).trim().toLowerCase());
+
+/**
+ * Compare one lead field against a field rule.
+ * String comparisons are case-insensitive; array fields (tags) match if any element matches.
+ */
+const matchesField = (rule, lead) => {
+    const actual = lead[rule.field];
+    const values = Array.isArray(actual) ? actual : [actual];
+    const strings = values.filter((v) => !isEmpty(v)).map((v) => String(v).toLowerCase());
+
+    switch (rule.operator) {
+        case 'exists':
+            return !isEmpty(actual);
+        case 'notExists':
+            return isEmpty(actual);
+        case 'equals':
+            return strings.includes(String(rule.value).toLowerCase());
+        case 'notEquals':
+            return !strings.includes(String(rule.value).toLowerCase());
+        case 'in': {
+            const allowed = asList(rule.value);
+            return strings.some((v) => allowed.includes(v));
+        }
+        case 'contains':
+            return strings.some((v) => v.includes(String(rule.value).toLowerCase()));
+        case 'gte':
+            return Number(actual) >= Number(rule.value);
+        case 'lte':
+            return Number(actual) <= Number(rule.value);
+        case 'between':
+            return Number(actual) >= Number(rule.value) && Number(actual) <= Number(rule.valueTo);
+        default:
+            return false;
+    }
+};
+
+/**
+ * @param {Object} rule - ScoringRule
+ * @param {Object} lead - Lead document or plain object
+ * @param {Array} activities - The lead's activities, newest first
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const matchesRule = (rule, lead, activities, now) => {
+    if (rule.kind === 'field') return matchesField(rule, lead);
+
+    const since = now - rule.withinDays * DAY_MS;
+    const recent = activities.filter((a) => new Date(a.date) >= since);
+
+    if (rule.kind === 'inactivity') return recent.length === 0;
+
+    return recent.some((a) =>
+        (!rule.activityType || a.type === rule.activityType) &&
+        (!rule.outcome || a.outcome === rule.outcome)
+    );
+};
+
+/**
+ * Score a lead against a set of rules (pure; nothing is saved).
+ * @param {Object} lead
+ * @param {Array} activities - Activities covering at least the longest rule window
+ * @param {Array} rules - Active scoring rules
+ * @returns {{ score: number, breakdown: Array<{rule, name, points}> }}
+ */
+const calculateScore = (lead, activities, rules, now = Date.now()) => {
+    const breakdown = rules
+        .filter((rule) => matchesRule(rule, lead, activities, now))
+        .map((rule) => ({ rule: rule._id, name: rule.name, points: rule.points }));
+
+    return {
+        score: breakdown.reduce((sum, item) => sum + item.points, 0),
+        breakdown,
+    };
+};
+
+// ─── Persistence ──────────────────────────────────────────────────────────────
+
+const getActiveRules = () => ScoringRule.find({ isActive: true }).sort({ createdAt: 1 }).lean();
+
+const activityWindow = (rules) =>
+    Math.max(0, ...rules.filter((r) => r.kind !== 'field').map((r) => r.withinDays || 0));
+
+/**
+ * Recalculate and store one lead's score.
+ * @param {string|Object} leadOrId - Lead document or ID
+ * @param {Array} [rules] - Active rules (loaded when omitted)
+ * @returns {Promise<{score: number, breakdown: Array}|null>}
+ */
+const scoreLead = async (leadOrId, rules) => {
+    const activeRules = rules || (await getActiveRules());
+    const isId = typeof leadOrId === 'string' || leadOrId instanceof mongoose.Types.ObjectId;
+    const lead = isId ? await Lead.findById(leadOrId).lean() : leadOrId;
+    if (!lead) return null;
+
+    const now = Date.now();
+    const windowDays = activityWindow(activeRules);
+    const activities = windowDays > 0
+        ? await Activity.find({ leadId: lead._id, deletedAt: null, date: { $gte: new Date(now - windowDays * DAY_MS) } })
+            .select('type outcome date')
+            .sort({ date: -1 })
+            .lean()
+        : [];
+
+    const result = calculateScore(lead, activities, activeRules, now);
+
+    await Lead.updateOne(
+        { _id: lead._id },
+        { score: result.score, scoreBreakdown: result.breakdown, scoredAt: new Date(now) }
+    );
+
+    // Keep the caller's copy in sync so it can be returned directly
+    const scored = { score: result.score, scoreBreakdown: result.breakdown, scoredAt: new Date(now) };
+    if (typeof lead.set === 'function') lead.set(scored);
+    else Object.assign(lead, scored);
+
+    return result;
+};
+
+/**
+ * Recalculate every active lead (after rules change, or to refresh time-based rules).
+ * @returns {Promise<number>} Number of leads scored
+ */
+const rescoreAllLeads = async () => {
+    const rules = await getActiveRules();
+    const cursor = Lead.find({ isArchived: false }).lean().cursor();
+
+    let count = 0;
+    for await (const lead of cursor) {
+        await scoreLead(lead, rules);
+        count += 1;
+    }
+    return count;
+};
+
+/**
+ * Recalculate the given leads (after a change written to many leads at once).
+ * @param {Array} leadIds - Lead IDs
+ * @returns {Promise<number>} Number of leads scored
+ */
+const rescoreLeads = async (leadIds) => {
+    if (!leadIds.length) return 0;
+    const rules = await getActiveRules();
+    const cursor = Lead.find({ _id: { $in: leadIds } }).lean().cursor();
+
+    let count = 0;
+    for await (const lead of cursor) {
+        await scoreLead(lead, rules);
+        count += 1;
+    }
+    return count;
+};
+
+module.exports = { calculateScore, scoreLead, rescoreLeads, rescoreAllLeads };
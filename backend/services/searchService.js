@@ -0,0 +1,130 @@
+/**
+ * Search Service
+ * Ranked full-text search over leads, deals and activity notes using the
+ * MongoDB text indexes declared on each model. Results respect the same RBAC
+ * as the list endpoints and carry highlighted snippets of the matched fields.
+ */
+
+const Lead = require('../models/Lead');
+const Deal = require('../models/Deal');
+const Activity = require('../models/Activity');
+
+const SEARCH_TYPES = ['lead', 'deal', 'activity'];
+const SNIPPET_RADIUS = 60;
+
+// Fields shown as highlights, in display order
+const HIGHLIGHT_FIELDS = {
+    lead: ['name', 'email', 'company', 'tags', 'description'],
+    deal: ['title', 'description'],
+    activity: ['note'],
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words a user typed, without text-search operators (quotes, negations).
+ */
+const searchTerms = (q) =>
+    q
+        .replace(/"/g, ' ')
+        .split(/\s+/)
+        .filter((t) => t && !t.startsWith('-'))
+        .map((t) => t.toLowerCase());
+
+/**
+ * Split `text` around matched terms into [{ text, match }] fragments,
+ * trimmed to a window around the first match. Text search stems words, so a
+ * term also matches words it prefixes ("call" → "calls", "called").
+ * @returns {Array|null} Fragments, or null when nothing matches
+ */
+const highlight = (text, terms) => {
+    if (!text || !terms.length) return null;
+    const regex = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})[\\w-]*`, 'gi');
+    const first = text.search(regex);
+    if (first === -1) return null;
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    const window = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+    const fragments = [];
+    let last = 0;
+    for (const m of window.matchAll(regex)) {
+        if (m.index > last) fragments.push({ text: window.slice(last, m.index), match: false });
+        fragments.push({ text: m[0], match: true });
+        last = m.index + m[0].length;
+    }
+    if (last < window.length) fragments.push({ text: window.slice(last), match: false });
+    return fragments;
+};
+
+const buildHighlights = (type, doc, terms) =>
+    HIGHLIGHT_FIELDS[type]
+        .map((field) => {
+            const value = Array.isArray(doc[field]) ? doc[field].join(', ') : doc[field];
+            const fragments = highlight(value, terms);
+            return fragments && { field, fragments };
+        })
+        .filter(Boolean);
+
+/**
+ * RBAC-scoped base filters, mirroring the list endpoints.
+ */
+const scopeFilters = async (user) => {
+    if (user.role !== 'sales') {
+        return { lead: { isArchived: false }, deal: { isActive: true }, activity: { deletedAt: null } };
+    }
+    const ownLeadIds = await Lead.distinct('_id', { assignedTo: user._id });
+    return {
+        lead: { isArchived: false, assignedTo: user._id },
+        deal: { isActive: true, createdBy: user._id },
+        activity: { leadId: { $in: ownLeadIds }, deletedAt: null },
+    };
+};
+
+const QUERIES = {
+    lead: (filter) => Lead.find(filter).select('name email company status tags description score'),
+    deal: (filter) => Deal.find(filter).select('title description stage value leadId').populate('leadId', 'name'),
+    activity: (filter) => Activity.find(filter).select('type note date leadId dealId').populate('leadId', 'name'),
+};
+const MODELS = { lead: Lead, deal: Deal, activity: Activity };
+
+/**
+ * Search across entity types.
+ * @param {string} q - Search text (MongoDB $text syntax: quotes for phrases, -word to exclude)
+ * @param {Object} user - Acting user document
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Subset of SEARCH_TYPES
+ * @param {number} [options.limit=5] - Max results per type
+ * @returns {Promise<Object>} { lead: { total, results }, deal: {...}, activity: {...} }
+ */
+const search = async (q, user, { types = SEARCH_TYPES, limit = 5 } = {}) => {
+    const terms = searchTerms(q);
+    const scopes = await scopeFilters(user);
+
+    const grouped = await Promise.all(
+        types.map(async (type) => {
+            const filter = { ...scopes[type], $text: { $search: q } };
+            const [docs, total] = await Promise.all([
+                QUERIES[type](filter)
+                    .select({ rank: { $meta: 'textScore' } })
+                    .sort({ rank: { $meta: 'textScore' } })
+                    .limit(limit)
+                    .lean(),
+                MODELS[type].countDocuments(filter),
+            ]);
+
+            // Text relevance is projected as `rank`; leads already have a `score` field
+            const results = docs.map((doc) => ({
+                ...doc,
+                rank: Math.round(doc.rank * 100) / 100,
+                highlights: buildHighlights(type, doc, terms),
+            }));
+            return [type, { total, results }];
+        })
+    );
+
+    return Object.fromEntries(grouped);
+};
+
+module.exports = { search, highlight, SEARCH_TYPES };
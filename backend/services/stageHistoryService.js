@@ -0,0 +1,231 @@
+/**
+ * Stage History Service
+ * Records every stage change of a lead or deal as a StageTransition (next to
+ * the stage-change Activity on the timeline), backfills transitions from the
+ * Activity notes written before they existed, and turns the history into
+ * time-in-stage, stage conversion and rep velocity figures.
+ */
+
+const StageTransition = require('../models/StageTransition');
+const Activity = require('../models/Activity');
+const Lead = require('../models/Lead');
+const Deal = require('../models/Deal');
+const User = require('../models/User');
+const stageService = require('./stageService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ENTITY_MODELS = { lead: Lead, deal: Deal };
+
+let backfilled = false;
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+/**
+ * Store one transition.
+ * @param {Object} data - entity, record (ID), pipeline, from, to, user (ID), at, activity (ID)
+ */
+const recordTransition = ({ entity, record, pipeline = null, from = null, to, user = null, at = new Date(), activity = null }) =>
+    StageTransition.create({ entity, record, pipeline, from, to, user, at, activity });
+
+/**
+ * Log a stage change: the stage-change Activity on the lead's timeline and
+ * the StageTransition behind the analytics.
+ * @param {'lead'|'deal'} entity
+ * @param {Object} record - The lead or deal, already in its new stage
+ * @param {string} from - Stage it left
+ * @param {Object} user - Acting user
+ * @param {Object} [options] - { note } - Activity text (a standard one otherwise)
+ * @returns {Promise<Object>} The Activity
+ */
+const logStageChange = async (entity, record, from, user, { note } = {}) => {
+    const to = entity === 'lead' ? record.status : record.stage;
+    const activity = await Activity.create({
+        userId: user._id,
+        leadId: entity === 'lead' ? record._id : record.leadId?._id || record.leadId,
+        dealId: entity === 'deal' ? record._id : null,
+        type: 'stage-change',
+        note: note || `${entity === 'deal' ? 'Deal stage' : 'Stage'} changed from "${from}" to "${to}"`,
+    });
+    await recordTransition({
+        entity, record: record._id, pipeline: record.pipeline, from, to, user: user._id, at: activity.date, activity: activity._id,
+    });
+    return activity;
+};
+
+// ─── Backfill ─────────────────────────────────────────────────────────────────
+
+// Stage-change notes written before transitions were recorded
+const NOTE_PATTERNS = [
+    { entity: 'deal', pattern: /^Deal stage changed from "(.*)" to "(.*)"$/ },
+    { entity: 'deal', pattern: /^Deal moved from .* pipeline \("(.*)"\) to .* \("(.*)"\)$/ },
+    { entity: 'lead', pattern: /^Stage changed from "(.*)" to "(.*)"$/ },
+];
+
+/**
+ * Create transitions for stage-change Activities that have none. Notes that
+ * do not match a known format are skipped. Safe to run more than once.
+ * @returns {Promise<number>} Transitions created
+ */
+const backfillTransitions = async () => {
+    const recorded = await StageTransition.distinct('activity', { activity: { $ne: null } });
+    const activities = await Activity.find({ type: 'stage-change', _id: { $nin: recorded } })
+        .select('leadId dealId userId note date')
+        .lean();
+
+    const parsed = activities.map((a) => {
+        for (const { entity, pattern } of NOTE_PATTERNS) {
+            const match = a.note.match(pattern);
+            if (match && (entity === 'lead' || a.dealId)) {
+                return { entity, record: entity === 'deal' ? a.dealId : a.leadId, from: match[1], to: match[2], activity: a };
+            }
+        }
+        return null;
+    }).filter(Boolean);
+    if (!parsed.length) return 0;
+
+    // Transitions carry the record's pipeline; the current one is the best guess
+    const pipelines = new Map();
+    for (const [entity, model] of Object.entries(ENTITY_MODELS)) {
+        const ids = parsed.filter((p) => p.entity === entity).map((p) => p.record);
+        const records = await model.find({ _id: { $in: ids } }).select('pipeline').lean();
+        records.forEach((r) => pipelines.set(String(r._id), r.pipeline));
+    }
+
+    try {
+        await StageTransition.insertMany(parsed.map(({ entity, record, from, to, activity }) => ({
+            entity,
+            record,
+            pipeline: pipelines.get(String(record)) || null,
+            from,
+            to,
+            user: activity.userId,
+            at: activity.date,
+            activity: activity._id,
+        })), { ordered: false });
+    } catch (err) {
+        // Another request backfilled some of them first
+        if (err.code !== 11000) throw err;
+    }
+    return parsed.length;
+};
+
+// ─── Analytics ────────────────────────────────────────────────────────────────
+
+const round = (value) => parseFloat(value.toFixed(1));
+const average = (values) => (values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : 0);
+const median = (values) => {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return round(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+/**
+ * Stage analytics for leads or deals over transitions since `since`.
+ * - stages: per stage, days spent there before moving on (average and
+ *   median; the first stage counts from the record's creation), and how many
+ *   of the records that were in it advanced to a later, non-lost stage
+ * - flow: from → to transition counts
+ * - reps: per user who moved records, transitions, wins and the average days
+ *   the record had been in its stage when they moved it
+ * @param {Object} options - entity ('lead'|'deal'), pipeline (ID, optional), since (Date)
+ */
+const getStageAnalytics = async ({ entity = 'lead', pipeline = null, since }) => {
+    if (!backfilled) {
+        await backfillTransitions();
+        backfilled = true;
+    }
+
+    const pipelineId = pipeline ? stageService.toPipelineId(pipeline) : null;
+    const match = { entity, at: { $gte: since } };
+    if (pipelineId) match.pipeline = pipelineId;
+
+    const recordIds = await StageTransition.distinct('record', match);
+    const [history, records, order, pipelines] = await Promise.all([
+        StageTransition.find({ entity, record: { $in: recordIds } }).sort({ record: 1, at: 1 }).lean(),
+        ENTITY_MODELS[entity].find({ _id: { $in: recordIds } }).select('createdAt').lean(),
+        stageService.getStageOrder(pipelineId),
+        pipelineId ? [await stageService.getPipeline(pipelineId)].filter(Boolean) : stageService.getPipelines(),
+    ]);
+    const createdAt = new Map(records.map((r) => [String(r._id), r.createdAt]));
+    const outcomes = new Map(pipelines.flatMap((p) => p.stages.map((s) => [s.name, s.outcome])));
+    const position = (name) => order.indexOf(name);
+
+    const perStage = new Map();
+    const stageEntry = (name) => {
+        if (!perStage.has(name)) perStage.set(name, { days: [], entered: new Set(), advanced: new Set() });
+        return perStage.get(name);
+    };
+    const flow = new Map();
+    const perRep = new Map();
+
+    let previous = null;
+    for (const t of history) {
+        const key = String(t.record);
+        // Time in the stage left: since the record's previous move, or its creation
+        const enteredAt = previous && String(previous.record) === key ? previous.at : createdAt.get(key);
+        previous = t;
+
+        const counted = t.at >= since && (!pipelineId || String(t.pipeline) === String(pipelineId));
+        if (!counted) continue;
+
+        const days = enteredAt ? Math.max(0, (t.at - enteredAt) / DAY_MS) : null;
+        stageEntry(t.to).entered.add(key);
+        if (t.from) {
+            const fromStage = stageEntry(t.from);
+            fromStage.entered.add(key);
+            if (days !== null) fromStage.days.push(days);
+            if (position(t.to) > position(t.from) && outcomes.get(t.to) !== 'lost') fromStage.advanced.add(key);
+
+            const flowKey = `${t.from}\u0000${t.to}`;
+            flow.set(flowKey, (flow.get(flowKey) || 0) + 1);
+        }
+
+        if (t.user) {
+            const rep = perRep.get(String(t.user)) || { user: t.user, transitions: 0, won: 0, days: [] };
+            rep.transitions++;
+            if (outcomes.get(t.to) === 'won') rep.won++;
+            if (days !== null && t.from) rep.days.push(days);
+            perRep.set(String(t.user), rep);
+        }
+    }
+
+    // Pipeline order first, then stages that no longer exist
+    const names = [...perStage.keys()].sort((a, b) =>
+        (position(a) === -1 ? Infinity : position(a)) - (position(b) === -1 ? Infinity : position(b)));
+    const users = await User.find({ _id: { $in: [...perRep.values()].map((r) => r.user) } }).select('name email').lean();
+    const usersById = new Map(users.map((u) => [String(u._id), u]));
+
+    return {
+        stages: names.map((name) => {
+            const s = perStage.get(name);
+            return {
+                stage: name,
+                avgDays: average(s.days),
+                medianDays: median(s.days),
+                exits: s.days.length,
+                entered: s.entered.size,
+                advanced: s.advanced.size,
+                conversionRate: s.entered.size ? round((s.advanced.size / s.entered.size) * 100) : 0,
+            };
+        }),
+        flow: [...flow].map(([key, count]) => {
+            const [from, to] = key.split('\u0000');
+            return { from, to, count };
+        }).sort((a, b) => b.count - a.count),
+        reps: [...perRep.values()].map((r) => ({
+            user: usersById.get(String(r.user)) || { _id: r.user, name: 'Deleted user' },
+            transitions: r.transitions,
+            won: r.won,
+            avgDaysInStage: average(r.days),
+        })).sort((a, b) => b.transitions - a.transitions),
+        totals: { records: recordIds.length, transitions: [...flow.values()].reduce((a, b) => a + b, 0) },
+    };
+};
+
+module.exports = {
+    recordTransition,
+    logStageChange,
+    backfillTransitions,
+    getStageAnalytics,
+};
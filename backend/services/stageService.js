@@ -0,0 +1,486 @@
+/**
+ * Stage Service
+ * Reads the admin-managed pipelines and their stages (cached briefly; the
+ * first read seeds a default pipeline and moves pre-pipeline data into it),
+ * builds outcome filters that respect each pipeline's own stage list, and
+ * migrates leads, deals, saved views and scoring rules when a stage is
+ * renamed or removed.
+ */
+
+const mongoose = require('mongoose');
+const Pipeline = require('../models/Pipeline');
+const Stage = require('../models/Stage');
+const { DEFAULT_STAGES } = require('../models/Stage');
+const SavedView = require('../models/SavedView');
+const ScoringRule = require('../models/ScoringRule');
+const StageTransition = require('../models/StageTransition');
+const { withTransaction } = require('../utils/transaction');
+
+const CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_PIPELINE_NAME = 'Sales Pipeline';
+
+// Record field holding the stage name, per model
+const STAGE_FIELDS = { Lead: 'status', Deal: 'stage' };
+
+let cache = null;
+let migrated = false;
+
+// Lead and Deal validate their stage through this service, so they are
+// looked up lazily instead of required at load time
+const Lead = () => mongoose.model('Lead');
+const Deal = () => mongoose.model('Deal');
+
+const stageError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * A pipeline ID from a query string, or null when none was given.
+ * Aggregations do not cast strings, so the ID is returned as an ObjectId.
+ */
+const toPipelineId = (value) => {
+    if (!value) return null;
+    if (!mongoose.isValidObjectId(value)) throw stageError('Invalid pipeline.', 400);
+    return new mongoose.Types.ObjectId(String(value));
+};
+
+// ─── Setup ────────────────────────────────────────────────────────────────────
+
+/**
+ * Give a pipeline its stages: copies of `stages`, or the standard set.
+ */
+const seedStages = (pipelineId, stages = DEFAULT_STAGES, session = null) =>
+    Stage.insertMany(stages.map(({ name, icon, color, probability, outcome, allowedFrom, requiredFields, bypassRoles }, i) => ({
+        pipeline: pipelineId, name, icon, color, probability, outcome, allowedFrom, requiredFields, bypassRoles, order: i,
+    })), { session });
+
+/**
+ * Make sure a default pipeline exists and that data from before pipelines
+ * (stages, leads and deals without one) belongs to it. Runs once per process.
+ */
+const migrateToPipelines = async () => {
+    let pipeline = await Pipeline.findOne({ isDefault: true });
+    if (!pipeline) pipeline = await Pipeline.findOne().sort({ order: 1, createdAt: 1 });
+    if (!pipeline) {
+        try {
+            pipeline = await Pipeline.create({ name: DEFAULT_PIPELINE_NAME, isDefault: true });
+        } catch (err) {
+            // Another process created it first
+            if (err.code !== 11000) throw err;
+            pipeline = await Pipeline.findOne({ name: DEFAULT_PIPELINE_NAME });
+        }
+    }
+    if (!pipeline.isDefault) await Pipeline.updateOne({ _id: pipeline._id }, { isDefault: true });
+
+    const orphanStages = await Stage.countDocuments({ pipeline: null });
+    if (orphanStages) {
+        // Stage names used to be globally unique; the index is now per pipeline
+        await Stage.updateMany({ pipeline: null }, { $set: { pipeline: pipeline._id } });
+        await Stage.syncIndexes();
+    }
+    if (!(await Stage.exists({ pipeline: pipeline._id }))) {
+        try {
+            await seedStages(pipeline._id);
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+        }
+    }
+
+    await Promise.all([
+        Lead().updateMany({ pipeline: null }, { $set: { pipeline: pipeline._id } }),
+        Deal().updateMany({ pipeline: null }, { $set: { pipeline: pipeline._id } }),
+    ]);
+};
+
+const load = async () => {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+    if (!migrated) {
+        await migrateToPipelines();
+        migrated = true;
+    }
+
+    const [pipelines, stages] = await Promise.all([
+        Pipeline.find().sort({ order: 1, createdAt: 1 }).lean(),
+        Stage.find().sort({ order: 1, createdAt: 1 }).lean(),
+    ]);
+    pipelines.forEach((p) => { p.stages = stages.filter((s) => s.pipeline.equals(p._id)); });
+
+    cache = { pipelines, loadedAt: Date.now() };
+    return cache;
+};
+
+const invalidate = () => { cache = null; };
+
+// ─── Reads ────────────────────────────────────────────────────────────────────
+
+/**
+ * All pipelines in order, each with its `stages` in pipeline order.
+ */
+const getPipelines = async () => (await load()).pipelines;
+
+const getDefaultPipeline = async () => {
+    const pipelines = await getPipelines();
+    return pipelines.find((p) => p.isDefault) || pipelines[0];
+};
+
+/**
+ * A pipeline with its stages; the default pipeline when `pipelineId` is empty.
+ * @returns {Promise<Object|null>} null when the ID matches no pipeline
+ */
+const getPipeline = async (pipelineId = null) => {
+    if (!pipelineId) return getDefaultPipeline();
+    return (await getPipelines()).find((p) => p._id.equals(pipelineId)) || null;
+};
+
+/** Stages of one pipeline (the default one when omitted), in order. */
+const getStages = async (pipelineId = null) => (await getPipeline(pipelineId))?.stages || [];
+
+const getStage = async (pipelineId, name) => (await getStages(pipelineId)).find((s) => s.name === name) || null;
+
+/**
+ * Stage names of one pipeline grouped by outcome, each in pipeline order.
+ * @returns {Promise<Object>} { all, open, won, lost, closed }
+ */
+const getStageGroups = async (pipelineId = null) => {
+    const stages = await getStages(pipelineId);
+    const names = (outcome) => stages.filter((s) => s.outcome === outcome).map((s) => s.name);
+    const won = names('won');
+    const lost = names('lost');
+    return { all: stages.map((s) => s.name), open: names('open'), won, lost, closed: [...won, ...lost] };
+};
+
+/** The stage new records in a pipeline start in: its first open stage. */
+const getDefaultStage = async (pipelineId = null) => {
+    const stages = await getStages(pipelineId);
+    return (stages.find((s) => s.outcome === 'open') || stages[0])?.name;
+};
+
+/**
+ * Stage names for sorting grouped results: one pipeline's stages, or every
+ * pipeline's stages one pipeline after another (a shared name counts once).
+ */
+const getStageOrder = async (pipelineId = null) => {
+    const pipelines = pipelineId ? [await getPipeline(pipelineId)].filter(Boolean) : await getPipelines();
+    return [...new Set(pipelines.flatMap((p) => p.stages.map((s) => s.name)))];
+};
+
+/**
+ * express-validator custom validator for stage fields. Only checks the name
+ * exists in some pipeline; the record's own pipeline is checked on save.
+ */
+const assertStage = async (value) => {
+    const names = await getStageOrder();
+    if (!names.includes(value)) throw new Error(`Stage must be one of: ${names.join(', ')}`);
+    return true;
+};
+
+// ─── Outcome Filters ──────────────────────────────────────────────────────────
+
+const namesWithOutcome = (pipeline, outcomes) =>
+    pipeline.stages.filter((s) => outcomes.includes(s.outcome)).map((s) => s.name);
+
+/**
+ * Query filter for records whose stage has one of `outcomes`. Stage names are
+ * per pipeline, so across pipelines each pipeline's own names are matched.
+ * @param {string[]} outcomes - e.g. ['won'] or ['won', 'lost']
+ * @param {string} field - 'stage' (deals) or 'status' (leads)
+ * @param {Object} [pipelineId] - Limit to one pipeline (callers filter on it themselves)
+ */
+const outcomeFilter = async (outcomes, field, pipelineId = null) => {
+    if (pipelineId) {
+        const pipeline = await getPipeline(pipelineId);
+        return { [field]: { $in: pipeline ? namesWithOutcome(pipeline, outcomes) : [] } };
+    }
+    const pipelines = await getPipelines();
+    return { $or: pipelines.map((p) => ({ pipeline: p._id, [field]: { $in: namesWithOutcome(p, outcomes) } })) };
+};
+
+/**
+ * Aggregation expression version of outcomeFilter (true when the record's
+ * stage has one of `outcomes`).
+ */
+const outcomeExpr = async (outcomes, field, pipelineId = null) => {
+    if (pipelineId) {
+        const pipeline = await getPipeline(pipelineId);
+        return { $in: [`$${field}`, pipeline ? namesWithOutcome(pipeline, outcomes) : []] };
+    }
+    const pipelines = await getPipelines();
+    return {
+        $or: pipelines.map((p) => ({
+            $and: [{ $eq: ['$pipeline', p._id] }, { $in: [`$${field}`, namesWithOutcome(p, outcomes)] }],
+        })),
+    };
+};
+
+// ─── Record Validation ────────────────────────────────────────────────────────
+
+/**
+ * pre('validate') body for leads and deals: fills in the default pipeline and
+ * its first open stage, and rejects a stage that is not in the record's pipeline.
+ * @param {Object} doc - Lead or Deal document
+ */
+const validateRecordStage = async (doc) => {
+    const field = STAGE_FIELDS[doc.constructor.modelName];
+    const pipeline = await getPipeline(doc.pipeline);
+    if (!pipeline) return doc.invalidate('pipeline', 'Pipeline not found');
+    doc.pipeline = pipeline._id;
+
+    if (!doc[field]) {
+        doc[field] = await getDefaultStage(pipeline._id);
+    } else if ((doc.isNew || doc.isModified(field) || doc.isModified('pipeline'))
+        && !pipeline.stages.some((s) => s.name === doc[field])) {
+        doc.invalidate(field, `"${doc[field]}" is not a stage of the ${pipeline.name} pipeline`);
+    }
+};
+
+/**
+ * The stage a record moves to when it changes pipeline: the stage with the
+ * same name, else the one with the same outcome at the same position
+ * (clamped), else the target's first stage.
+ * @returns {Promise<string>} Stage name in the target pipeline
+ */
+const mapStage = async (name, fromPipelineId, toPipelineId) => {
+    const [from, to] = await Promise.all([getStages(fromPipelineId), getStages(toPipelineId)]);
+    if (to.some((s) => s.name === name)) return name;
+
+    const source = from.find((s) => s.name === name);
+    const outcome = source?.outcome || 'open';
+    const peers = from.filter((s) => s.outcome === outcome);
+    const candidates = to.filter((s) => s.outcome === outcome);
+    if (!candidates.length) return to[0].name;
+
+    const position = Math.max(peers.findIndex((s) => s.name === name), 0);
+    return candidates[Math.min(position, candidates.length - 1)].name;
+};
+
+/**
+ * Number of leads and deals (including archived and deleted ones) per stage
+ * name in one pipeline.
+ * @returns {Promise<Object>} { [name]: { leads, deals } }
+ */
+const countRecords = async (pipelineId) => {
+    const [leads, deals] = await Promise.all([
+        Lead().aggregate([{ $match: { pipeline: pipelineId } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+        Deal().aggregate([{ $match: { pipeline: pipelineId } }, { $group: { _id: '$stage', count: { $sum: 1 } } }]),
+    ]);
+
+    const counts = {};
+    const entry = (name) => (counts[name] = counts[name] || { leads: 0, deals: 0 });
+    leads.forEach((l) => { entry(l._id).leads = l.count; });
+    deals.forEach((d) => { entry(d._id).deals = d.count; });
+    return counts;
+};
+
+// ─── Changes ──────────────────────────────────────────────────────────────────
+
+const assertNameFree = async (pipelineId, name, exceptId = null) => {
+    const clash = await Stage.findOne({
+        pipeline: pipelineId,
+        name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' },
+        ...(exceptId && { _id: { $ne: exceptId } }),
+    });
+    if (clash) throw stageError(`This pipeline already has a stage named "${clash.name}".`, 409);
+};
+
+/**
+ * Every pipeline needs at least one open, one won and one lost stage.
+ */
+const assertOutcomeKept = async (stage, nextOutcome = null) => {
+    if (stage.outcome === nextOutcome) return;
+    const others = await Stage.countDocuments({ pipeline: stage.pipeline, outcome: stage.outcome, _id: { $ne: stage._id } });
+    if (!others) throw stageError(`A pipeline needs at least one ${stage.outcome} stage.`, 409);
+};
+
+/**
+ * Transition rules may only name other stages of the same pipeline.
+ */
+const assertAllowedFrom = async (pipelineId, names, selfName = null) => {
+    if (!names) return;
+    const stages = await getStages(pipelineId);
+    const unknown = names.filter((n) => n === selfName || !stages.some((s) => s.name === n));
+    if (unknown.length) {
+        throw stageError(`Previous stages must be other stages of this pipeline: ${unknown.join(', ')}`, 422);
+    }
+};
+
+/**
+ * Point every record of a pipeline in stage `from` at stage `to`. Saved views
+ * on the pipeline follow, as do the pipeline's transition rules, and so do
+ * scoring rules once no pipeline uses `from`.
+ * @returns {Promise<Object>} { leads, deals } - Records moved
+ */
+const moveRecords = async (pipelineId, from, to, session) => {
+    const pipeline = await getPipeline(pipelineId);
+    const viewPipeline = pipeline.isDefault
+        ? { $or: [{ 'query.pipeline': String(pipelineId) }, { 'query.pipeline': { $in: [null, ''] } }] }
+        : { 'query.pipeline': String(pipelineId) };
+    const stillUsed = await Stage.exists({ name: from, pipeline: { $ne: pipelineId } }).session(session);
+
+    // One at a time: a transaction session does not allow parallel operations
+    const leads = await Lead().updateMany({ pipeline: pipelineId, status: from }, { $set: { status: to } }, { session });
+    const deals = await Deal().updateMany({ pipeline: pipelineId, stage: from }, { $set: { stage: to } }, { session });
+    await SavedView.updateMany({ entity: 'lead', 'query.status': from, ...viewPipeline }, { $set: { 'query.status': to } }, { session });
+    await SavedView.updateMany({ entity: 'deal', 'query.stage': from, ...viewPipeline }, { $set: { 'query.stage': to } }, { session });
+    await Stage.updateMany({ pipeline: pipelineId, allowedFrom: from }, { $set: { 'allowedFrom.$': to } }, { session });
+    if (!stillUsed) {
+        await ScoringRule.updateMany(
+            { kind: 'field', field: 'status', operator: { $in: ['equals', 'notEquals'] }, value: from },
+            { $set: { value: to } },
+            { session }
+        );
+    }
+    return { leads: leads.modifiedCount, deals: deals.modifiedCount };
+};
+
+/**
+ * Create a stage, appended to the end of its pipeline unless `order` is given.
+ * @param {Object} data - pipeline, name, color, icon, probability, outcome, order,
+ *   allowedFrom, requiredFields, bypassRoles
+ */
+const createStage = async (data) => {
+    const pipeline = await getPipeline(data.pipeline);
+    if (!pipeline) throw stageError('Pipeline not found.', 404);
+    await assertNameFree(pipeline._id, data.name);
+    await assertAllowedFrom(pipeline._id, data.allowedFrom, data.name);
+
+    let { order } = data;
+    if (order === undefined) {
+        const last = await Stage.findOne({ pipeline: pipeline._id }).sort({ order: -1 }).lean();
+        order = last ? last.order + 1 : 0;
+    }
+
+    const stage = await Stage.create({ ...data, pipeline: pipeline._id, order });
+    invalidate();
+    return stage;
+};
+
+/**
+ * Update a stage. A rename is carried over to the pipeline's leads, deals,
+ * saved views and stage history (and scoring rules) in one transaction where
+ * the database supports transactions.
+ * @returns {Promise<Object>} { stage, moved: { leads, deals } }
+ */
+const updateStage = async (id, data) => {
+    const stage = await Stage.findById(id);
+    if (!stage) throw stageError('Stage not found.', 404);
+
+    if (data.outcome !== undefined) await assertOutcomeKept(stage, data.outcome);
+    const renamed = data.name !== undefined && data.name !== stage.name;
+    if (renamed) await assertNameFree(stage.pipeline, data.name, stage._id);
+    await assertAllowedFrom(stage.pipeline, data.allowedFrom, stage.name);
+
+    const previousName = stage.name;
+    ['name', 'color', 'icon', 'probability', 'outcome', 'allowedFrom', 'requiredFields', 'bypassRoles'].forEach((prop) => {
+        if (data[prop] !== undefined) stage[prop] = data[prop];
+    });
+
+    let moved = { leads: 0, deals: 0 };
+    if (renamed) {
+        await withTransaction(async (session) => {
+            await stage.save({ session });
+            moved = await moveRecords(stage.pipeline, previousName, stage.name, session);
+            await StageTransition.updateMany({ pipeline: stage.pipeline, from: previousName }, { $set: { from: stage.name } }, { session });
+            await StageTransition.updateMany({ pipeline: stage.pipeline, to: previousName }, { $set: { to: stage.name } }, { session });
+        });
+    } else {
+        await stage.save();
+    }
+
+    invalidate();
+    return { stage, moved };
+};
+
+/**
+ * Delete a stage. Records still in it must be moved to `moveTo` (a stage ID
+ * in the same pipeline); without one, a stage that is in use is refused.
+ * Transition rules naming the stage point at `moveTo`, or drop it.
+ * @returns {Promise<Object>} { stage, moved: { leads, deals } }
+ */
+const deleteStage = async (id, moveTo = null) => {
+    const stage = await Stage.findById(id);
+    if (!stage) throw stageError('Stage not found.', 404);
+    await assertOutcomeKept(stage);
+
+    const [leadCount, dealCount] = await Promise.all([
+        Lead().countDocuments({ pipeline: stage.pipeline, status: stage.name }),
+        Deal().countDocuments({ pipeline: stage.pipeline, stage: stage.name }),
+    ]);
+
+    let target = null;
+    if (moveTo) {
+        target = await Stage.findOne({ _id: moveTo, pipeline: stage.pipeline });
+        if (!target || target._id.equals(stage._id)) {
+            throw stageError('Choose another stage of the same pipeline to move records to.', 422);
+        }
+    } else if (leadCount || dealCount) {
+        const err = stageError(
+            `"${stage.name}" still has ${leadCount} lead(s) and ${dealCount} deal(s). Choose a stage to move them to.`,
+            409
+        );
+        err.counts = { leads: leadCount, deals: dealCount };
+        throw err;
+    }
+
+    let moved = { leads: 0, deals: 0 };
+    if (target) {
+        await withTransaction(async (session) => {
+            moved = await moveRecords(stage.pipeline, stage.name, target.name, session);
+            await Stage.deleteOne({ _id: stage._id }, { session });
+        });
+    } else {
+        // Nothing to move
+        await Stage.updateMany({ pipeline: stage.pipeline }, { $pull: { allowedFrom: stage.name } });
+        await Stage.deleteOne({ _id: stage._id });
+    }
+
+    invalidate();
+    return { stage, moved };
+};
+
+/**
+ * Set the order of one pipeline's stages.
+ * @param {string} pipelineId
+ * @param {string[]} ids - Every stage ID of the pipeline, in the new order
+ */
+const reorderStages = async (pipelineId, ids) => {
+    const pipeline = await getPipeline(pipelineId);
+    if (!pipeline) throw stageError('Pipeline not found.', 404);
+
+    const stages = await Stage.find({ pipeline: pipeline._id }).select('_id').lean();
+    const known = new Set(stages.map((s) => String(s._id)));
+    if (ids.length !== known.size || new Set(ids).size !== ids.length || !ids.every((id) => known.has(String(id)))) {
+        throw stageError('The new order must list every stage of the pipeline exactly once.', 422);
+    }
+
+    await Stage.bulkWrite(ids.map((id, order) => ({ updateOne: { filter: { _id: id }, update: { $set: { order } } } })));
+    invalidate();
+    return getStages(pipeline._id);
+};
+
+module.exports = {
+    toPipelineId,
+    seedStages,
+    getPipelines,
+    getDefaultPipeline,
+    getPipeline,
+    getStages,
+    getStage,
+    getStageGroups,
+    getDefaultStage,
+    getStageOrder,
+    assertStage,
+    outcomeFilter,
+    outcomeExpr,
+    validateRecordStage,
+    mapStage,
+    countRecords,
+    createStage,
+    updateStage,
+    deleteStage,
+    reorderStages,
+    invalidate,
+};
@@ -0,0 +1,272 @@
+/**
+ * Tag Service
+ * Keeps lead tags in line with the Tag registry: typed tags are mapped onto
+ * the registered spelling, and a rename, merge or delete is written through
+ * to every lead (and to the contacts, rules and web forms that copy tags).
+ */
+
+const Tag = require('../models/Tag');
+const Lead = require('../models/Lead');
+const Contact = require('../models/Contact');
+const AssignmentRule = require('../models/AssignmentRule');
+const ScoringRule = require('../models/ScoringRule');
+const WebForm = require('../models/WebForm');
+const Setting = require('../models/Setting');
+const scoringService = require('./scoringService');
+const { withTransaction } = require('../utils/transaction');
+const { tagKey } = Tag;
+
+const RESTRICT_SETTING = 'tags.adminOnlyCreate';
+
+// Every tag list a rename, merge or delete rewrites
+const TAGGED = [
+    { model: Lead, path: 'tags' },
+    { model: Contact, path: 'tags' },
+    { model: AssignmentRule, path: 'conditions.tags' },
+    { model: WebForm, path: 'defaults.tags' },
+];
+
+const tagError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches any spelling of a tag key: other case, surrounding spaces
+const keyRegex = (key) => new RegExp(`^\\s*${escapeRegex(key)}\\s*$`, 'i');
+
+const keyExpr = (value) => ({ $toLower: { $trim: { input: value } } });
+
+/**
+ * Query value matching a tag in any spelling, for list filters.
+ */
+const tagMatcher = (name) => keyRegex(tagKey(name));
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+/**
+ * Whether only admins may introduce tags that are not registered yet.
+ */
+const isCreationRestricted = () => Setting.getValue(RESTRICT_SETTING, false);
+
+const setCreationRestricted = (restricted, user) => Setting.setValue(RESTRICT_SETTING, restricted, user);
+
+// ─── Resolve ──────────────────────────────────────────────────────────────────
+
+/**
+ * Map typed tag names onto the registered spellings. Unknown tags are
+ * registered (unless `create` is false, e.g. for a dry run); when creation is
+ * restricted they are refused for everyone but admins.
+ * @param {string[]} names
+ * @param {Object} user - Acting user
+ * @param {Object} [options] - { create }
+ * @returns {Promise<{ tags: string[], errors: Array }>} Tags without repeats
+ */
+const resolveTags = async (names, user, { create = true } = {}) => {
+    const typed = new Map();
+    (names || []).map((n) => String(n).trim()).filter(Boolean).forEach((name) => {
+        if (!typed.has(tagKey(name))) typed.set(tagKey(name), name);
+    });
+    if (typed.size === 0) return { tags: [], errors: [] };
+
+    const registered = await Tag.find({ key: { $in: [...typed.keys()] } }).select('name key').lean();
+    const spelling = new Map(registered.map((t) => [t.key, t.name]));
+    const unknown = [...typed].filter(([key]) => !spelling.has(key)).map(([, name]) => name);
+
+    if (unknown.length) {
+        if (user?.role !== 'admin' && (await isCreationRestricted())) {
+            return {
+                tags: [],
+                errors: [{ field: 'tags', message: `Only admins can add new tags: ${unknown.join(', ')}` }],
+            };
+        }
+        if (create) {
+            try {
+                await Tag.insertMany(unknown.map((name) => ({ name, createdBy: user?._id || null })), { ordered: false });
+            } catch (err) {
+                // Registered by a concurrent request in the meantime
+                if (err.code !== 11000) throw err;
+            }
+        }
+        unknown.forEach((name) => spelling.set(tagKey(name), name));
+    }
+
+    return { tags: [...typed.keys()].map((key) => spelling.get(key)), errors: [] };
+};
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Registered tags by name, each with the number of active leads using it.
+ * Tags found on leads but missing from the registry (typed before it
+ * existed, or imported straight into the database) are registered first.
+ */
+const listTags = async () => {
+    const usage = await Lead.aggregate([
+        { $match: { isArchived: false } },
+        { $unwind: '$tags' },
+        { $group: { _id: keyExpr('$tags'), name: { $first: { $trim: { input: '$tags' } } }, count: { $sum: 1 } } },
+        { $match: { _id: { $ne: '' } } },
+    ]);
+
+    const known = new Set((await Tag.find().select('key').lean()).map((t) => t.key));
+    const missing = usage.filter((u) => !known.has(u._id));
+    if (missing.length) {
+        try {
+            await Tag.insertMany(missing.map((u) => ({ name: u.name })), { ordered: false });
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+        }
+    }
+
+    const counts = new Map(usage.map((u) => [u._id, u.count]));
+    const tags = await Tag.find().sort({ name: 1 }).lean();
+    return tags.map((t) => ({ ...t, leadCount: counts.get(t.key) || 0 }));
+};
+
+// ─── Rewrite ──────────────────────────────────────────────────────────────────
+
+/**
+ * Rewrite every tag list: tags with a key in `fromKeys` become `toName`, or
+ * are removed when `toName` is null. Order is kept and repeats are dropped.
+ * @returns {Promise<number>} Leads changed
+ */
+const rewriteTags = async (fromKeys, toName, session) => {
+    const matches = { $in: [keyExpr('$$t'), fromKeys] };
+
+    // One model at a time: a transaction session does not allow parallel operations
+    let leads = 0;
+    for (const { model, path } of TAGGED) {
+        const current = { $ifNull: [`$${path}`, []] };
+        const mapped = toName === null
+            ? { $filter: { input: current, as: 't', cond: { $not: [matches] } } }
+            : { $map: { input: current, as: 't', in: { $cond: [matches, { $literal: toName }, '$$t'] } } };
+        const deduped = {
+            $reduce: {
+                input: mapped,
+                initialValue: [],
+                in: { $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }] },
+            },
+        };
+        const result = await model.updateMany(
+            { [path]: { $in: fromKeys.map(keyRegex) } },
+            [{ $set: { [path]: deduped } }],
+            { session }
+        );
+        if (model === Lead) leads += result.modifiedCount;
+    }
+
+    // Scoring rules compare one tag at a time
+    if (toName !== null) {
+        await ScoringRule.updateMany(
+            { kind: 'field', field: 'tags', value: { $in: fromKeys.map(keyRegex) } },
+            { $set: { value: toName } },
+            { session }
+        );
+    }
+
+    return leads;
+};
+
+// Leads carrying any of the tags, to rescore once their tags change
+const leadsTagged = (keys) => Lead.distinct('_id', { tags: { $in: keys.map(keyRegex) } });
+
+// ─── Changes ──────────────────────────────────────────────────────────────────
+
+/**
+ * Register a tag. A tag that differs only in case or spacing already exists.
+ * @param {Object} data - name, color
+ */
+const createTag = async ({ name, color }, user) => {
+    if (await Tag.exists({ key: tagKey(name) })) throw tagError(`Tag "${name.trim()}" already exists.`, 409);
+    return Tag.create({ name, color, createdBy: user._id });
+};
+
+/**
+ * Recolor or rename a tag. A rename is written to every lead in one
+ * transaction (where the database supports them); renaming onto another tag's name is a merge and is refused.
+ * @returns {Promise<Object>} { tag, leads } - leads: number of leads rewritten
+ */
+const updateTag = async (id, { name, color }) => {
+    const tag = await Tag.findById(id);
+    if (!tag) throw tagError('Tag not found.', 404);
+
+    if (color !== undefined) tag.color = color;
+    const previousKey = tag.key;
+    const renamed = name !== undefined && name.trim() !== tag.name;
+    if (!renamed) {
+        await tag.save();
+        return { tag, leads: 0 };
+    }
+
+    tag.name = name;
+    if (tagKey(name) !== previousKey && (await Tag.exists({ key: tagKey(name) }))) {
+        throw tagError(`Tag "${name.trim()}" already exists. Merge the tags instead.`, 409);
+    }
+
+    let leads = 0;
+    await withTransaction(async (session) => {
+        await tag.save({ session });
+        // Also normalizes other spellings of the tag
+        leads = await rewriteTags([previousKey], tag.name, session);
+    });
+    return { tag, leads };
+};
+
+/**
+ * Merge tags into `targetId`: every lead with a source tag gets the target
+ * instead, and the source tags are removed from the registry. Those leads
+ * are rescored, as tag-based scoring rules may now match differently.
+ * @param {string[]} sourceIds
+ * @param {string} targetId
+ * @returns {Promise<Object>} { tag, merged, leads }
+ */
+const mergeTags = async (sourceIds, targetId) => {
+    const target = await Tag.findById(targetId);
+    if (!target) throw tagError('Tag to merge into not found.', 404);
+    const sources = await Tag.find({ _id: { $in: sourceIds, $ne: target._id } });
+    if (!sources.length) throw tagError('Choose at least one other tag to merge.', 422);
+
+    const keys = sources.map((t) => t.key);
+    // Leads that already had the target can match rules moved onto it
+    const leadIds = await leadsTagged([...keys, target.key]);
+    let leads = 0;
+    await withTransaction(async (session) => {
+        leads = await rewriteTags(keys, target.name, session);
+        await Tag.deleteMany({ _id: { $in: sources.map((t) => t._id) } }, { session });
+    });
+    await scoringService.rescoreLeads(leadIds);
+    return { tag: target, merged: sources.length, leads };
+};
+
+/**
+ * Remove a tag from the registry and from every lead, rescoring those leads.
+ * @returns {Promise<Object>} { tag, leads }
+ */
+const deleteTag = async (id) => {
+    const tag = await Tag.findById(id);
+    if (!tag) throw tagError('Tag not found.', 404);
+
+    const leadIds = await leadsTagged([tag.key]);
+    let leads = 0;
+    await withTransaction(async (session) => {
+        leads = await rewriteTags([tag.key], null, session);
+        await Tag.deleteOne({ _id: tag._id }, { session });
+    });
+    await scoringService.rescoreLeads(leadIds);
+    return { tag, leads };
+};
+
+module.exports = {
+    tagMatcher,
+    isCreationRestricted,
+    setCreationRestricted,
+    resolveTags,
+    listTags,
+    createTag,
+    updateTag,
+    mergeTags,
+    deleteTag,
+};
@@ -0,0 +1,230 @@
+/**
+ * Task Service
+ * Tasks are Activities of type 'task' with an assignee, due date and
+ * priority, logged against a lead or one of its deals. Builds the task list
+ * views (open, overdue, due today, upcoming, completed), enforces who may see
+ * and change a task, and completes, reopens, reschedules and reassigns them.
+ */
+
+const Activity = require('../models/Activity');
+const Lead = require('../models/Lead');
+const Deal = require('../models/Deal');
+const User = require('../models/User');
+
+const TASK_VIEWS = ['mine', 'overdue', 'today', 'upcoming', 'completed', 'all'];
+
+const TASK_POPULATE = [
+    { path: 'leadId', select: 'name company' },
+    { path: 'dealId', select: 'title' },
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'userId', select: 'name' },
+    { path: 'completedBy', select: 'name' },
+];
+
+let migrated = false;
+
+const taskError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+const dayBounds = (now) => {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(now);
+    end.setHours(23, 59, 59, 999);
+    return { start, end };
+};
+
+/**
+ * Tasks logged before tasks had an assignee belong to their author and are
+ * due at their follow-up. Runs once per process.
+ */
+const migrateTasks = async () => {
+    if (migrated) return;
+    await Activity.updateMany(
+        { type: 'task', assignedTo: null },
+        [{
+            $set: {
+                assignedTo: '$userId',
+                dueDate: { $ifNull: ['$dueDate', '$nextFollowUp'] },
+                priority: { $ifNull: ['$priority', 'medium'] },
+            },
+        }]
+    );
+    migrated = true;
+};
+
+// ─── Access ───────────────────────────────────────────────────────────────────
+
+// Sales users work with tasks assigned to them or that they created
+const visibleTo = (user) => (user.role === 'sales' ? { $or: [{ assignedTo: user._id }, { userId: user._id }] } : {});
+
+/**
+ * Check the assignee of a new or reassigned task: sales can only assign
+ * themselves, admins any active user.
+ * @returns {Promise<ObjectId>} Assignee ID
+ */
+const resolveAssignee = async (assignedTo, user) => {
+    if (!assignedTo || String(assignedTo) === String(user._id)) return user._id;
+    if (user.role === 'sales') throw taskError('Sales users can only assign tasks to themselves.', 403);
+    const assignee = await User.findOne({ _id: assignedTo, isActive: true }).select('_id');
+    if (!assignee) throw taskError('Assignee not found.', 404);
+    return assignee._id;
+};
+
+/**
+ * Load a task the user may change.
+ * @returns {Promise<Object>} The Activity document
+ */
+const getTask = async (id, user) => {
+    const task = await Activity.findOne({ _id: id, type: 'task', deletedAt: null });
+    if (!task) throw taskError('Task not found.', 404);
+    if (user.role === 'sales' && ![task.assignedTo, task.userId].some((u) => String(u) === String(user._id))) {
+        throw taskError('Not authorized to access this task.', 403);
+    }
+    return task;
+};
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Mongo filter for a task list.
+ * - view: mine (open, the default), overdue, today, upcoming, completed, all
+ * - assignee: 'me' (the default), 'all', or a user ID (admins)
+ * - leadId, dealId, priority
+ */
+const buildTaskFilter = (query, user, now = new Date()) => {
+    const { view = 'mine', assignee = 'me', leadId, dealId, priority } = query;
+    const { start, end } = dayBounds(now);
+    const filter = { type: 'task', deletedAt: null, ...visibleTo(user) };
+
+    if (assignee === 'me') filter.assignedTo = user._id;
+    else if (assignee !== 'all') filter.assignedTo = assignee;
+    if (leadId) filter.leadId = leadId;
+    if (dealId) filter.dealId = dealId;
+    if (priority) filter.priority = priority;
+
+    switch (view) {
+        case 'mine': filter.isCompleted = false; break;
+        case 'overdue': Object.assign(filter, { isCompleted: false, dueDate: { $lt: start } }); break;
+        case 'today': Object.assign(filter, { isCompleted: false, dueDate: { $gte: start, $lte: end } }); break;
+        case 'upcoming': Object.assign(filter, { isCompleted: false, dueDate: { $gt: end } }); break;
+        case 'completed': filter.isCompleted = true; break;
+        default: break;
+    }
+    return filter;
+};
+
+/**
+ * A page of tasks: open ones by due date, completed ones latest first.
+ * @returns {Promise<Object>} { tasks, total, page, pages }
+ */
+const listTasks = async (query, user) => {
+    await migrateTasks();
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 25));
+    const filter = buildTaskFilter(query, user);
+    const sort = query.view === 'completed' ? { completedAt: -1 } : { isCompleted: 1, dueDate: 1, createdAt: -1 };
+
+    const [tasks, total] = await Promise.all([
+        Activity.find(filter).populate(TASK_POPULATE).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+        Activity.countDocuments(filter),
+    ]);
+    return { tasks, total, page, pages: Math.ceil(total / limit) };
+};
+
+/**
+ * Open tasks assigned to the user, by due bucket.
+ * @returns {Promise<Object>} { overdue, today, upcoming, open }
+ */
+const getTaskCounts = async (user, now = new Date()) => {
+    await migrateTasks();
+    const [overdue, today, upcoming, open] = await Promise.all(
+        ['overdue', 'today', 'upcoming', 'mine'].map((view) => Activity.countDocuments(buildTaskFilter({ view }, user, now)))
+    );
+    return { overdue, today, upcoming, open };
+};
+
+// ─── Changes ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create a task against a lead or a deal (whose lead it is then logged on).
+ * @param {Object} data - note, leadId | dealId, dueDate, assignedTo, priority
+ */
+const createTask = async ({ note, leadId, dealId, dueDate, assignedTo, priority }, user) => {
+    let deal = null;
+    if (dealId) {
+        deal = await Deal.findOne({ _id: dealId, isActive: true }).select('leadId createdBy');
+        if (!deal) throw taskError('Deal not found.', 404);
+        if (user.role === 'sales' && String(deal.createdBy) !== String(user._id)) {
+            throw taskError('Not authorized to add tasks to this deal.', 403);
+        }
+    }
+
+    const lead = await Lead.findById(deal ? deal.leadId : leadId).select('assignedTo');
+    if (!lead) throw taskError('Lead not found.', 404);
+    if (!deal && user.role === 'sales' && String(lead.assignedTo) !== String(user._id)) {
+        throw taskError('Not authorized to add tasks to this lead.', 403);
+    }
+
+    const task = await Activity.create({
+        userId: user._id,
+        leadId: lead._id,
+        dealId: deal?._id || null,
+        type: 'task',
+        note,
+        dueDate: dueDate || null,
+        assignedTo: await resolveAssignee(assignedTo, user),
+        priority: priority || 'medium',
+    });
+    return task.populate(TASK_POPULATE);
+};
+
+/**
+ * Edit a task's description, priority, due date or assignee.
+ */
+const updateTask = async (id, data, user) => {
+    const task = await getTask(id, user);
+    if (data.note !== undefined) task.note = data.note;
+    if (data.priority !== undefined) task.priority = data.priority;
+    if (data.dueDate !== undefined) task.dueDate = data.dueDate || null;
+    if (data.assignedTo !== undefined) task.assignedTo = await resolveAssignee(data.assignedTo, user);
+    await task.save();
+    return task.populate(TASK_POPULATE);
+};
+
+/**
+ * Mark a task done (or, with `completed` false, open again).
+ */
+const setCompleted = async (id, completed, user) => {
+    const task = await getTask(id, user);
+    if (task.isCompleted !== completed) {
+        task.isCompleted = completed;
+        task.completedAt = completed ? new Date() : null;
+        task.completedBy = completed ? user._id : null;
+        await task.save();
+    }
+    return task.populate(TASK_POPULATE);
+};
+
+/**
+ * Move a task's due date.
+ */
+const rescheduleTask = async (id, dueDate, user) => {
+    const task = await getTask(id, user);
+    task.dueDate = dueDate;
+    await task.save();
+    return task.populate(TASK_POPULATE);
+};
+
+module.exports = {
+    TASK_VIEWS,
+    listTasks,
+    getTaskCounts,
+    createTask,
+    updateTask,
+    setCompleted,
+    rescheduleTask,
+};
@@ -0,0 +1,255 @@
+/**
+ * Template Service
+ * The email template library: shared templates (admin-managed), personal
+ * ones, and overrides of the built-in account emails. Checks merge fields
+ * when a template is saved and renders templates against a real lead (and
+ * its deal, account and the sending user) for preview and compose.
+ */
+
+const EmailTemplate = require('../models/EmailTemplate');
+const Lead = require('../models/Lead');
+const Deal = require('../models/Deal');
+const { SYSTEM_EMAILS } = require('../utils/sendEmail');
+const { mergeFieldsIn, renderTemplate } = require('../utils/mergeFields');
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', { dateStyle: 'medium' }) : null);
+const formatMoney = (value, currency = 'USD') =>
+    value == null ? null : new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(value);
+
+// Merge fields per record, with how each value is written into an email
+const MERGE_FIELDS = {
+    lead: {
+        name: (l) => l.name,
+        email: (l) => l.email,
+        phone: (l) => l.phone,
+        company: (l) => l.company,
+        website: (l) => l.website,
+        status: (l) => l.status,
+        source: (l) => l.source,
+    },
+    deal: {
+        title: (d) => d.title,
+        value: (d) => formatMoney(d.value, d.currency),
+        stage: (d) => d.stage,
+        probability: (d) => (d.probability == null ? null : `${d.probability}%`),
+        closeDate: (d) => formatDate(d.closeDate),
+    },
+    account: {
+        name: (a) => a.name,
+        domain: (a) => a.domain,
+        industry: (a) => a.industry,
+    },
+    user: {
+        name: (u) => u.name,
+        email: (u) => u.email,
+    },
+};
+
+const RECORD_FIELDS = Object.entries(MERGE_FIELDS).flatMap(([record, fields]) => Object.keys(fields).map((f) => `${record}.${f}`));
+const SYSTEM_FIELDS = ['user.name', 'user.email', 'link'];
+
+const templateError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+const pick = (record, doc) =>
+    doc ? Object.fromEntries(Object.entries(MERGE_FIELDS[record]).map(([field, format]) => [field, format(doc) ?? null])) : null;
+
+/**
+ * Refuse merge fields a template cannot fill.
+ */
+const checkFields = ({ subject, body }, allowed) => {
+    const unknown = mergeFieldsIn(subject, body).filter((field) => !allowed.includes(field));
+    if (unknown.length) {
+        throw templateError(`Unknown merge field(s): ${unknown.map((f) => `{{${f}}}`).join(', ')}`, 422);
+    }
+};
+
+// ─── Access ───────────────────────────────────────────────────────────────────
+
+// Everyone sees shared templates and their own personal ones
+const visibleTo = (user) => ({ $or: [{ scope: 'shared' }, { scope: 'personal', owner: user._id }] });
+
+/**
+ * Load a shared or personal template the user may change: admins manage
+ * shared templates, owners their personal ones.
+ */
+const getEditable = async (id, user) => {
+    const template = await EmailTemplate.findOne({ _id: id, scope: { $ne: 'system' } });
+    if (!template) throw templateError('Template not found.', 404);
+    // Other users' personal templates stay invisible
+    if (template.scope === 'personal' && String(template.owner) !== String(user._id)) throw templateError('Template not found.', 404);
+    if (template.scope === 'shared' && user.role !== 'admin') throw templateError('Only admins can change shared templates.', 403);
+    return template;
+};
+
+// ─── Library ──────────────────────────────────────────────────────────────────
+
+/**
+ * Shared templates and the user's personal ones, by name.
+ */
+const listTemplates = (user) =>
+    EmailTemplate.find(visibleTo(user)).populate('owner', 'name').sort({ scope: 1, name: 1 }).lean();
+
+/**
+ * Create a template. Only admins create shared templates.
+ * @param {Object} data - name, subject, body, scope ('shared' | 'personal')
+ */
+const createTemplate = async ({ name, subject, body, scope = 'personal' }, user) => {
+    if (scope === 'shared' && user.role !== 'admin') throw templateError('Only admins can create shared templates.', 403);
+    checkFields({ subject, body }, RECORD_FIELDS);
+    return EmailTemplate.create({
+        name,
+        subject,
+        body,
+        scope,
+        owner: scope === 'personal' ? user._id : null,
+        createdBy: user._id,
+        updatedBy: user._id,
+    });
+};
+
+/**
+ * Edit a template's name, subject or body.
+ */
+const updateTemplate = async (id, changes, user) => {
+    const template = await getEditable(id, user);
+    ['name', 'subject', 'body'].forEach((field) => {
+        if (changes[field] !== undefined) template[field] = changes[field];
+    });
+    checkFields(template, RECORD_FIELDS);
+    template.updatedBy = user._id;
+    return template.save();
+};
+
+const deleteTemplate = async (id, user) => {
+    const template = await getEditable(id, user);
+    await template.deleteOne();
+};
+
+// ─── System Emails ────────────────────────────────────────────────────────────
+
+/**
+ * The built-in account emails, each with its override if one is saved.
+ * @returns {Promise<Array>} { key, label, fields, defaults: { subject, body }, override }
+ */
+const listSystemTemplates = async () => {
+    const overrides = await EmailTemplate.find({ scope: 'system' }).populate('updatedBy', 'name').lean();
+    return Object.entries(SYSTEM_EMAILS).map(([key, { label, subject, body }]) => ({
+        key,
+        label,
+        fields: SYSTEM_FIELDS,
+        defaults: { subject, body },
+        override: overrides.find((t) => t.systemKey === key) || null,
+    }));
+};
+
+/**
+ * Save (create or replace) the override of a built-in email.
+ */
+const saveSystemTemplate = async (key, { subject, body }, user) => {
+    checkFields({ subject, body }, SYSTEM_FIELDS);
+    return EmailTemplate.findOneAndUpdate(
+        { scope: 'system', systemKey: key },
+        {
+            $set: { subject, body, updatedBy: user._id },
+            $setOnInsert: { name: SYSTEM_EMAILS[key].label, createdBy: user._id },
+        },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Drop an override so the built-in email is sent again.
+ * @returns {Promise<boolean>} Whether there was an override
+ */
+const resetSystemTemplate = async (key) => {
+    const { deletedCount } = await EmailTemplate.deleteOne({ scope: 'system', systemKey: key });
+    return deletedCount > 0;
+};
+
+// ─── Render ───────────────────────────────────────────────────────────────────
+
+/**
+ * Merge values from a lead the user can see, one of its deals (the given one,
+ * else its latest open deal), its account and the user.
+ */
+const buildContext = async ({ leadId, dealId }, user) => {
+    const lead = leadId ? await Lead.findById(leadId).populate('account', 'name domain industry').lean() : null;
+    if (leadId && !lead) throw templateError('Lead not found.', 404);
+    if (lead && user.role === 'sales' && String(lead.assignedTo) !== String(user._id)) {
+        throw templateError('Not authorized to use this lead.', 403);
+    }
+
+    let deal = null;
+    if (dealId) {
+        deal = await Deal.findOne({ _id: dealId, isActive: true }).lean();
+        if (!deal || (lead && String(deal.leadId) !== String(lead._id))) throw templateError('Deal not found.', 404);
+    } else if (lead) {
+        deal = await Deal.findOne({ leadId: lead._id, isActive: true }).sort({ createdAt: -1 }).lean();
+    }
+
+    return {
+        lead: pick('lead', lead),
+        deal: pick('deal', deal),
+        account: pick('account', lead?.account),
+        user: pick('user', user),
+    };
+};
+
+/**
+ * Render a template (saved, or as being edited) against a record.
+ * @param {Object} data - templateId | { subject, body, systemKey }, leadId, dealId
+ * @returns {Promise<Object>} { subject, body, html, missing } - `missing` lists fields with no value for this record
+ */
+const previewTemplate = async ({ templateId, subject, body, systemKey, leadId, dealId }, user) => {
+    let source = { subject, body, systemKey };
+    if (templateId) {
+        const scopes = user.role === 'admin' ? [...visibleTo(user).$or, { scope: 'system' }] : visibleTo(user).$or;
+        source = await EmailTemplate.findOne({ _id: templateId, $or: scopes }).lean();
+        if (!source) throw templateError('Template not found.', 404);
+    }
+
+    if (source.systemKey) {
+        if (user.role !== 'admin') throw templateError('Only admins can preview system emails.', 403);
+        // Account emails: the user receiving them and a sample link
+        const context = { user: pick('user', user), link: `${process.env.CLIENT_URL}/preview-link` };
+        return {
+            subject: renderTemplate(source.subject, context),
+            body: renderTemplate(source.body, context, { html: true }),
+            html: true,
+            missing: [],
+        };
+    }
+
+    const context = await buildContext({ leadId, dealId }, user);
+    const missing = mergeFieldsIn(source.subject, source.body).filter((field) => {
+        const [record, key] = field.split('.');
+        return context[record]?.[key] == null;
+    });
+    return {
+        subject: renderTemplate(source.subject, context),
+        body: renderTemplate(source.body, context),
+        html: false,
+        missing,
+    };
+};
+
+/**
+ * Merge fields available to lead email templates and to system templates.
+ */
+const getMergeFields = () => ({ record: RECORD_FIELDS, system: SYSTEM_FIELDS });
+
+module.exports = {
+    listTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    listSystemTemplates,
+    saveSystemTemplate,
+    resetSystemTemplate,
+    previewTemplate,
+    getMergeFields,
+};
@@ -0,0 +1,114 @@
+/**
+ * Web Form Service
+ * Turns a public web-to-lead submission into a lead through the regular lead
+ * service: field mapping, per-form defaults, UTM attribution and custom fields.
+ */
+
+const User = require('../models/User');
+const WebForm = require('../models/WebForm');
+const leadService = require('./leadService');
+const customFieldService = require('./customFieldService');
+
+// Hidden field that real visitors never fill in
+const HONEYPOT_FIELD = '_hp';
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_VALUE_LENGTH = 500;
+
+const clean = (value) => (value == null ? '' : String(Array.isArray(value) ? value.join(', ') : value).trim().slice(0, MAX_VALUE_LENGTH));
+
+/**
+ * True when the honeypot field was filled in (a bot).
+ */
+const isSpam = (body) => clean(body[HONEYPOT_FIELD]) !== '';
+
+/**
+ * Map submitted fields onto lead fields using the form's field map.
+ * Without a map, fields named after lead fields are taken as-is.
+ * @returns {Object} { data, customFields }
+ */
+const mapFields = (form, body) => {
+    const map = form.fieldMap.length
+        ? form.fieldMap
+        : WebForm.WEB_FORM_TARGETS.map((target) => ({ field: target, target }));
+
+    const data = {};
+    const customFields = {};
+    map.forEach(({ field, target }) => {
+        const value = clean(body[field]);
+        if (!value) return;
+        if (target.startsWith('customFields.')) customFields[target.slice('customFields.'.length)] = value;
+        else data[target] = value;
+    });
+    return { data, customFields };
+};
+
+/**
+ * UTM parameters from the body (hidden fields) or the query string, plus referrer.
+ */
+const extractUtm = (body, query, referrer) => {
+    const utm = {};
+    UTM_FIELDS.forEach((key) => {
+        const value = clean(body[`utm_${key}`] || query[`utm_${key}`]);
+        if (value) utm[key] = value;
+    });
+    const ref = clean(body.referrer || referrer);
+    if (ref) utm.referrer = ref;
+    return utm;
+};
+
+/**
+ * The user the form's leads are created as: its creator while active, else any active admin.
+ */
+const resolveActor = async (form) => {
+    const creator = await User.findOne({ _id: form.createdBy, isActive: true });
+    return creator || User.findOne({ role: 'admin', isActive: true }).sort({ createdAt: 1 });
+};
+
+const validationError = (errors) => {
+    const err = new Error('Validation failed');
+    err.statusCode = 422;
+    err.errors = errors;
+    return err;
+};
+
+/**
+ * Create a lead from a form submission.
+ * @param {Object} form - WebForm document
+ * @param {Object} submission - { body, query, referrer }
+ * @returns {Promise<Object>} Created lead document
+ */
+const submit = async (form, { body, query = {}, referrer = '' }) => {
+    const { data, customFields } = mapFields(form, body);
+
+    const errors = [];
+    if (!data.name) errors.push({ field: 'name', message: 'Name is required' });
+    if (!data.email) errors.push({ field: 'email', message: 'Email is required' });
+    if (errors.length) throw validationError(errors);
+
+    const { values, errors: cfErrors } = await customFieldService.validateCustomFields('lead', customFields);
+    if (cfErrors.length) throw validationError(cfErrors);
+
+    const actor = await resolveActor(form);
+    if (!actor) throw Object.assign(new Error('This form is not accepting submissions.'), { statusCode: 503 });
+
+    const lead = await leadService.createLead(
+        {
+            ...data,
+            customFields: values,
+            source: form.defaults.source,
+            priority: form.defaults.priority,
+            tags: form.defaults.tags,
+            assignedTo: form.defaults.assignedTo || undefined,
+            webForm: form._id,
+            utm: extractUtm(body, query, referrer),
+        },
+        actor,
+        { createdNote: `Lead captured from web form "${form.name}"` }
+    );
+
+    await WebForm.updateOne({ _id: form._id }, { $inc: { submissionCount: 1 }, lastSubmissionAt: new Date() });
+
+    return lead;
+};
+
+module.exports = { submit, isSpam, HONEYPOT_FIELD, UTM_FIELDS };
@@ -0,0 +1,74 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parser and writer (quoted fields, escaped quotes, CRLF line endings).
+ */
+
+/**
+ * Parse CSV text into an array of rows (each row an array of strings).
+ * Blank lines are skipped.
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} Parsed rows
+ */
+const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip UTF-8 BOM that spreadsheet exports often prepend
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const pushRow = () => {
+        row.push(field);
+        if (row.some((value) => value.trim() !== '')) rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            pushRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) pushRow();
+
+    return rows;
+};
+
+/**
+ * Serialize one row of values as a CSV line (with trailing CRLF).
+ * Strings that spreadsheets would evaluate as formulas are prefixed with a quote.
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+const toCSVRow = (values) =>
+    values
+        .map((value) => {
+            if (value == null) return '';
+            let str = value instanceof Date ? value.toISOString() : String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+            return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        })
+        .join(',') + '\r\n';
+
+module.exports = { parseCSV, toCSVRow };
@@ -0,0 +1,89 @@
+/**
+ * Export Utility
+ * Streams query results to the client as CSV or XLSX without buffering the whole file.
+ */
+
+const ExcelJS = require('exceljs');
+const { toCSVRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Wait until the response can take more data. Rejects when the client goes
+ * away first, since 'drain' then never comes.
+ */
+const drained = (res) =>
+    new Promise((resolve, reject) => {
+        const settle = (err) => {
+            res.off('drain', settle);
+            res.off('close', onClose);
+            res.off('error', settle);
+            if (err) reject(err);
+            else resolve();
+        };
+        const onClose = () => settle(new Error('Client disconnected'));
+        res.on('drain', settle);
+        res.on('close', onClose);
+        res.on('error', settle);
+    });
+
+/**
+ * Stream a Mongoose cursor as a downloadable spreadsheet.
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.fileName - File name without extension
+ * @param {Array<{header: string, value: Function, width?: number}>} options.columns - Column definitions
+ * @param {Object} options.cursor - Mongoose query cursor
+ */
+const streamExport = async (res, { format, fileName, columns, cursor }) => {
+    const fullName = `${fileName}-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fullName}"`);
+
+    // A client that disconnects mid-download stops the export and frees the cursor
+    const stop = () => cursor.close().catch(() => { });
+    res.once('close', stop);
+
+    try {
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+            const sheet = workbook.addWorksheet(fileName);
+            sheet.columns = columns.map((col, i) => ({ header: col.header, key: String(i), width: col.width || 18 }));
+            sheet.getRow(1).font = { bold: true };
+
+            for await (const doc of cursor) {
+                sheet.addRow(columns.map((col) => col.value(doc) ?? null)).commit();
+            }
+            if (res.destroyed) return;
+
+            sheet.commit();
+            await workbook.commit();
+        } else {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.write('\uFEFF'); // BOM so Excel opens UTF-8 correctly
+            res.write(toCSVRow(columns.map((col) => col.header)));
+
+            for await (const doc of cursor) {
+                // Respect backpressure so large exports do not pile up in memory
+                if (!res.write(toCSVRow(columns.map((col) => col.value(doc))))) {
+                    await drained(res);
+                }
+            }
+            if (res.destroyed) return;
+
+            res.end();
+        }
+    } catch (err) {
+        if (res.destroyed) return; // The client went away
+        // Headers are already sent: the error handler cannot answer, so abort the download
+        console.error('❌ Export failed:', err.message);
+        res.destroy(err);
+    } finally {
+        res.off('close', stop);
+        await stop();
+    }
+};
+
+module.exports = { streamExport, EXPORT_FORMATS };
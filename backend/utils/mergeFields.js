@@ -0,0 +1,31 @@
+/**
+ * Merge Field Utility
+ * Fills `{{path.to.value}}` placeholders in email templates from a context
+ * object, e.g. `{{lead.name}}` from `{ lead: { name: 'Ada' } }`.
+ */
+
+const FIELD_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const escapeHtml = (str) => String(str).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * The distinct merge fields a template uses.
+ * @param {...string} texts - Subject, body, ...
+ * @returns {string[]} e.g. ['lead.name', 'user.name']
+ */
+const mergeFieldsIn = (...texts) => [...new Set(texts.flatMap((text) => [...String(text || '').matchAll(FIELD_PATTERN)].map((m) => m[1])))];
+
+/**
+ * Replace each merge field with its value; missing values become empty.
+ * @param {string} text - Template text
+ * @param {Object} context - Values by path
+ * @param {Object} [options] - { html } - escape values for an HTML template
+ */
+const renderTemplate = (text, context, { html = false } = {}) =>
+    String(text || '').replace(FIELD_PATTERN, (match, path) => {
+        const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+        if (value == null) return '';
+        return html ? escapeHtml(value) : String(value);
+    });
+
+module.exports = { escapeHtml, mergeFieldsIn, renderTemplate };
@@ -0,0 +1,47 @@
+/**
+ * Query Filter Utilities
+ * Turn list query params (strings from the query string or saved views) into
+ * Mongo conditions. Empty values are treated as "not set".
+ */
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Boolean flag from a query param ("true"/"1"/true).
+ */
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * { $gte, $lte } for numeric bounds; null when neither bound is a number.
+ */
+const numberRange = (min, max) => {
+    const range = {};
+    if (isSet(min) && !isNaN(min)) range.$gte = Number(min);
+    if (isSet(max) && !isNaN(max)) range.$lte = Number(max);
+    return Object.keys(range).length ? range : null;
+};
+
+/**
+ * { $gte, $lte } for date bounds; null when neither bound is a valid date.
+ * A date-only upper bound ("2024-05-31") includes that whole day.
+ */
+const dateRange = (from, to) => {
+    const range = {};
+    if (isSet(from) && !isNaN(new Date(from))) range.$gte = new Date(from);
+    if (isSet(to) && !isNaN(new Date(to))) {
+        const end = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) end.setUTCHours(23, 59, 59, 999);
+        range.$lte = end;
+    }
+    return Object.keys(range).length ? range : null;
+};
+
+/**
+ * List param as an array: accepts arrays and comma-separated strings.
+ */
+const asList = (value) =>
+    (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .map((v) => String(v).trim())
+        .filter(Boolean);
+
+module.exports = { isSet, isTrue, numberRange, dateRange, asList };
@@ -1,13 +1,25 @@
 /**
  * Email Utility
  * Sends transactional emails via Nodemailer (SMTP/Gmail).
- * Supports HTML and plain-text templates.
+ * Supports HTML and plain-text templates; the account emails can be
+ * overridden from the UI (see EmailTemplate).
+ * With EMAIL_TRANSPORT=file, messages are written as .eml files to
+ * EMAIL_FILE_DIR instead of being sent (for local development).
  */
 
+const fs = require('fs/promises');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const EmailTemplate = require('../models/EmailTemplate');
+const { escapeHtml, renderTemplate } = require('./mergeFields');
+
+const FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'emails');
 
 // Create reusable transporter
 const createTransporter = () => {
+    if (process.env.EMAIL_TRANSPORT === 'file') {
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
     return nodemailer.createTransport({
         host: process.env.EMAIL_HOST,
         port: parseInt(process.env.EMAIL_PORT, 10) || 587,
@@ -22,20 +34,45 @@ const createTransporter = () => {
     });
 };
 
+const defaultFrom = () => process.env.EMAIL_FROM || `CRM System <${process.env.EMAIL_USER}>`;
+
+/**
+ * The address part of EMAIL_FROM: the mailbox all CRM mail goes out from.
+ */
+const systemAddress = () => {
+    const from = defaultFrom();
+    return (from.match(/<([^>]+)>/) || [null, from])[1].trim();
+};
+
+// File transport: keep the raw message where a mail client can open it
+const saveToFile = async (info) => {
+    await fs.mkdir(FILE_DIR, { recursive: true });
+    const file = path.join(FILE_DIR, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+    await fs.writeFile(file, info.message);
+    console.log(`📧 Email saved: ${file}`);
+};
+
 /**
  * Send an email.
  * @param {Object} options - Email options
- * @param {string} options.to - Recipient email
+ * @param {string|string[]} options.to - Recipient email(s)
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML body
  * @param {string} [options.text] - Plain text fallback
+ * @param {string|Object} [options.from] - Sender (EMAIL_FROM by default)
+ * @param {string} [options.replyTo] - Reply-To address
+ * @param {string|string[]} [options.cc] - CC recipient(s)
+ * @returns {Promise<Object>} Nodemailer info (messageId, ...)
+ * @throws {Error} A generic message, with the transport error as `cause`
  */
-const sendEmail = async ({ to, subject, html, text }) => {
+const sendEmail = async ({ to, subject, html, text, from, replyTo, cc }) => {
     const transporter = createTransporter();
 
     const mailOptions = {
-        from: process.env.EMAIL_FROM || `CRM System <${process.env.EMAIL_USER}>`,
+        from: from || defaultFrom(),
         to,
+        cc,
+        replyTo,
         subject,
         html,
         text: text || html.replace(/<[^>]+>/g, ''), // Strip HTML for plain-text fallback
@@ -43,29 +80,31 @@ const sendEmail = async ({ to, subject, html, text }) => {
 
     try {
         const info = await transporter.sendMail(mailOptions);
-        console.log(`📧 Email sent: ${info.messageId}`);
+        if (info.message) await saveToFile(info);
+        else console.log(`📧 Email sent: ${info.messageId}`);
         return info;
     } catch (error) {
         console.error('❌ Email sending failed:', error.message);
-        throw new Error('Email could not be sent. Please try again later.');
+        throw new Error('Email could not be sent. Please try again later.', { cause: error });
     }
 };
 
-// ─── Email Templates ─────────────────────────────────────────────────────────
+// ─── System Emails ───────────────────────────────────────────────────────────
 
 /**
- * Send Email Verification email.
+ * Built-in account emails. Each can be overridden by a system EmailTemplate
+ * (managed in the UI); these are used when there is none. Merge fields:
+ * `{{user.name}}`, `{{user.email}}` and `{{link}}`.
  */
-const sendVerificationEmail = async (user, token) => {
-    const verifyUrl = `${process.env.CLIENT_URL}/verify-email/${token}`;
-    await sendEmail({
-        to: user.email,
+const SYSTEM_EMAILS = {
+    verification: {
+        label: 'Email verification',
         subject: '✅ Verify Your Email - CRM System',
-        html: `
+        body: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 32px; background: #f9fafb; border-radius: 8px;">
-        <h2 style="color: #1e293b;">Welcome to CRM System, ${user.name}!</h2>
+        <h2 style="color: #1e293b;">Welcome to CRM System, {{user.name}}!</h2>
         <p style="color: #475569;">Please verify your email address to activate your account.</p>
-        <a href="${verifyUrl}" 
+        <a href="{{link}}" 
            style="display: inline-block; padding: 12px 28px; background: #6366f1; color: white; border-radius: 6px; text-decoration: none; font-weight: bold; margin: 16px 0;">
           Verify Email
         </a>
@@ -74,22 +113,15 @@ const sendVerificationEmail = async (user, token) => {
         <p style="color: #cbd5e1; font-size: 12px;">CRM & Sales Management System</p>
       </div>
     `,
-    });
-};
-
-/**
- * Send Password Reset email.
- */
-const sendPasswordResetEmail = async (user, token) => {
-    const resetUrl = `${process.env.CLIENT_URL}/reset-password/${token}`;
-    await sendEmail({
-        to: user.email,
+    },
+    'password-reset': {
+        label: 'Password reset',
         subject: '🔑 Password Reset Request - CRM System',
-        html: `
+        body: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 32px; background: #f9fafb; border-radius: 8px;">
         <h2 style="color: #1e293b;">Reset Your Password</h2>
-        <p style="color: #475569;">Hi ${user.name}, you requested a password reset.</p>
-        <a href="${resetUrl}" 
+        <p style="color: #475569;">Hi {{user.name}}, you requested a password reset.</p>
+        <a href="{{link}}" 
            style="display: inline-block; padding: 12px 28px; background: #ef4444; color: white; border-radius: 6px; text-decoration: none; font-weight: bold; margin: 16px 0;">
           Reset Password
         </a>
@@ -98,24 +130,95 @@ const sendPasswordResetEmail = async (user, token) => {
         <p style="color: #cbd5e1; font-size: 12px;">CRM & Sales Management System</p>
       </div>
     `,
+    },
+    welcome: {
+        label: 'Welcome',
+        subject: '🎉 Welcome to CRM System!',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 32px; background: #f9fafb; border-radius: 8px;">
+        <h2 style="color: #1e293b;">You're all set, {{user.name}}! 🚀</h2>
+        <p style="color: #475569;">Your account has been verified. Start managing your leads and deals today.</p>
+        <a href="{{link}}" 
+           style="display: inline-block; padding: 12px 28px; background: #22c55e; color: white; border-radius: 6px; text-decoration: none; font-weight: bold; margin: 16px 0;">
+          Go to Dashboard
+        </a>
+        <hr style="border: none; border-top: 1px solid #e2e8f0; margin: 24px 0;">
+        <p style="color: #cbd5e1; font-size: 12px;">CRM & Sales Management System</p>
+      </div>
+    `,
+    },
+};
+
+/**
+ * Send a system email to a user, from its override template when an admin
+ * has saved one.
+ * @param {string} key - SYSTEM_EMAILS key
+ * @param {Object} user - Recipient
+ * @param {string} link - The action link (verify, reset, dashboard)
+ */
+const sendSystemEmail = async (key, user, link) => {
+    // A failed lookup falls back to the built-in rather than blocking the email
+    const override = await EmailTemplate.findOne({ scope: 'system', systemKey: key }).lean().catch(() => null);
+    const { subject, body } = override || SYSTEM_EMAILS[key];
+    const context = { user: { name: user.name, email: user.email }, link };
+
+    await sendEmail({
+        to: user.email,
+        subject: renderTemplate(subject, context),
+        html: renderTemplate(body, context, { html: true }),
     });
 };
 
+/**
+ * Send Email Verification email.
+ */
+const sendVerificationEmail = (user, token) =>
+    sendSystemEmail('verification', user, `${process.env.CLIENT_URL}/verify-email/${token}`);
+
+/**
+ * Send Password Reset email.
+ */
+const sendPasswordResetEmail = (user, token) =>
+    sendSystemEmail('password-reset', user, `${process.env.CLIENT_URL}/reset-password/${token}`);
+
 /**
  * Send Welcome email after email verification.
  */
-const sendWelcomeEmail = async (user) => {
+const sendWelcomeEmail = (user) => sendSystemEmail('welcome', user, `${process.env.CLIENT_URL}/dashboard`);
+
+// ─── Notifications ───────────────────────────────────────────────────────────
+
+/**
+ * Send follow-up reminders: one email listing the follow-ups that came due
+ * (or, as a daily digest, everything due today).
+ * @param {Object} user - Recipient
+ * @param {Array} items - Follow-ups from the reminder service
+ * @param {Object} [options] - { digest }
+ */
+const sendFollowUpReminderEmail = async (user, items, { digest = false } = {}) => {
+    const rows = items.map((item) => `
+        <li style="margin-bottom: 8px;">
+          <a href="${process.env.CLIENT_URL}/leads/${item.lead._id}" style="color: #6366f1; font-weight: bold;">${escapeHtml(item.lead.name)}</a>
+          ${item.lead.company ? `<span style="color: #64748b;">(${escapeHtml(item.lead.company)})</span>` : ''}
+          <span style="color: #94a3b8;">— due ${item.dueAt.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}</span>
+          ${item.note ? `<div style="color: #475569; font-size: 13px;">${escapeHtml(item.type)}: ${escapeHtml(item.note)}</div>` : ''}
+        </li>`).join('');
+
     await sendEmail({
         to: user.email,
-        subject: '🎉 Welcome to CRM System!',
+        subject: digest
+            ? `📅 Your follow-ups for today (${items.length}) - CRM System`
+            : `⏰ ${items.length === 1 ? `Follow up with ${items[0].lead.name}` : `${items.length} follow-ups due`} - CRM System`,
         html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 32px; background: #f9fafb; border-radius: 8px;">
-        <h2 style="color: #1e293b;">You're all set, ${user.name}! 🚀</h2>
-        <p style="color: #475569;">Your account has been verified. Start managing your leads and deals today.</p>
-        <a href="${process.env.CLIENT_URL}/dashboard" 
-           style="display: inline-block; padding: 12px 28px; background: #22c55e; color: white; border-radius: 6px; text-decoration: none; font-weight: bold; margin: 16px 0;">
-          Go to Dashboard
+        <h2 style="color: #1e293b;">${digest ? 'Today\'s follow-ups' : 'Follow-ups due'}</h2>
+        <p style="color: #475569;">Hi ${escapeHtml(user.name)}, these follow-ups are due:</p>
+        <ul style="padding-left: 20px;">${rows}</ul>
+        <a href="${process.env.CLIENT_URL}/dashboard"
+           style="display: inline-block; padding: 12px 28px; background: #6366f1; color: white; border-radius: 6px; text-decoration: none; font-weight: bold; margin: 16px 0;">
+          Open Dashboard
         </a>
+        <p style="color: #94a3b8; font-size: 12px;">Change how you get reminders on your profile page.</p>
         <hr style="border: none; border-top: 1px solid #e2e8f0; margin: 24px 0;">
         <p style="color: #cbd5e1; font-size: 12px;">CRM & Sales Management System</p>
       </div>
@@ -123,4 +226,12 @@ const sendWelcomeEmail = async (user) => {
     });
 };
 
-module.exports = { sendEmail, sendVerificationEmail, sendPasswordResetEmail, sendWelcomeEmail };
+module.exports = {
+    SYSTEM_EMAILS,
+    sendEmail,
+    systemAddress,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendWelcomeEmail,
+    sendFollowUpReminderEmail,
+};
@@ -0,0 +1,42 @@
+/**
+ * Transaction Utility
+ * Runs related writes in a transaction where the deployment supports one.
+ * A standalone MongoDB (like the default local MONGO_URI) refuses
+ * transactions; the writes then run in order without a session.
+ */
+
+const mongoose = require('mongoose');
+
+// Unknown until the first attempt, then remembered for the process
+let supported = null;
+
+const isUnsupported = (err) =>
+    err?.codeName === 'IllegalOperation' ||
+    err?.code === 20 ||
+    /Transaction numbers are only allowed on a replica set/i.test(err?.message || '');
+
+/**
+ * Run `work(session)` in a transaction, or with a null session when the
+ * server does not support transactions. Nothing is written by the refused
+ * attempt, so `work` runs at most once outside a transaction.
+ * @param {Function} work - async (session) => result; pass `session` to every read and write
+ * @returns {Promise<*>} What `work` returned
+ */
+const withTransaction = async (work) => {
+    let result;
+    if (supported !== false) {
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                result = await work(session);
+            });
+            supported = true;
+            return result;
+        } catch (err) {
+            if (!isUnsupported(err)) throw err;
+            supported = false;
+        }
+    }
+    return work(null);
+};
+
+module.exports = { withTransaction };
@@ -6,6 +6,7 @@ import React from 'react'
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom'
 import { Toaster } from 'react-hot-toast'
 import { AuthProvider, useAuth } from './context/AuthContext'
+import { StageProvider } from './context/StageContext'
 
 // Pages
 import LoginPage from './pages/LoginPage'
@@ -17,10 +18,23 @@ import DashboardPage from './pages/DashboardPage'
 import LeadsPage from './pages/LeadsPage'
 import LeadDetailPage from './pages/LeadDetailPage'
 import DealsPage from './pages/DealsPage'
+import AccountsPage from './pages/AccountsPage'
+import AccountDetailPage from './pages/AccountDetailPage'
 import PipelinePage from './pages/PipelinePage'
 import AdminUsersPage from './pages/AdminUsersPage'
 import AdminAnalyticsPage from './pages/AdminAnalyticsPage'
+import AdminDuplicatesPage from './pages/AdminDuplicatesPage'
+import AdminScoringPage from './pages/AdminScoringPage'
+import AdminAssignmentPage from './pages/AdminAssignmentPage'
+import AdminCustomFieldsPage from './pages/AdminCustomFieldsPage'
+import AdminRecycleBinPage from './pages/AdminRecycleBinPage'
+import AdminWebFormsPage from './pages/AdminWebFormsPage'
+import AdminStagesPage from './pages/AdminStagesPage'
+import AdminTagsPage from './pages/AdminTagsPage'
 import ProfilePage from './pages/ProfilePage'
+import TasksPage from './pages/TasksPage'
+import ActivityFeedPage from './pages/ActivityFeedPage'
+import EmailTemplatesPage from './pages/EmailTemplatesPage'
 import Layout from './components/Layout'
 
 // ── Protected Route ───────────────────────────────────────────────────────────
@@ -67,12 +81,25 @@ function AppRoutes() {
                 <Route path="leads" element={<LeadsPage />} />
                 <Route path="leads/:id" element={<LeadDetailPage />} />
                 <Route path="deals" element={<DealsPage />} />
+                <Route path="accounts" element={<AccountsPage />} />
+                <Route path="accounts/:id" element={<AccountDetailPage />} />
                 <Route path="pipeline" element={<PipelinePage />} />
+                <Route path="tasks" element={<TasksPage />} />
+                <Route path="activity" element={<ActivityFeedPage />} />
+                <Route path="email-templates" element={<EmailTemplatesPage />} />
                 <Route path="profile" element={<ProfilePage />} />
 
                 {/* Admin only */}
                 <Route path="admin/users" element={<ProtectedRoute adminOnly><AdminUsersPage /></ProtectedRoute>} />
                 <Route path="admin/analytics" element={<ProtectedRoute adminOnly><AdminAnalyticsPage /></ProtectedRoute>} />
+                <Route path="admin/duplicates" element={<ProtectedRoute adminOnly><AdminDuplicatesPage /></ProtectedRoute>} />
+                <Route path="admin/scoring" element={<ProtectedRoute adminOnly><AdminScoringPage /></ProtectedRoute>} />
+                <Route path="admin/assignment" element={<ProtectedRoute adminOnly><AdminAssignmentPage /></ProtectedRoute>} />
+                <Route path="admin/custom-fields" element={<ProtectedRoute adminOnly><AdminCustomFieldsPage /></ProtectedRoute>} />
+                <Route path="admin/recycle-bin" element={<ProtectedRoute adminOnly><AdminRecycleBinPage /></ProtectedRoute>} />
+                <Route path="admin/web-forms" element={<ProtectedRoute adminOnly><AdminWebFormsPage /></ProtectedRoute>} />
+                <Route path="admin/stages" element={<ProtectedRoute adminOnly><AdminStagesPage /></ProtectedRoute>} />
+                <Route path="admin/tags" element={<ProtectedRoute adminOnly><AdminTagsPage /></ProtectedRoute>} />
             </Route>
 
             {/* Fallback */}
@@ -84,24 +111,26 @@ function AppRoutes() {
 export default function App() {
     return (
         <AuthProvider>
-            <BrowserRouter>
-                <AppRoutes />
-                <Toaster
-                    position="top-right"
-                    toastOptions={{
-                        duration: 3500,
-                        style: {
-                            background: '#1a1d27',
-                            color: '#e2e8f0',
-                            border: '1px solid #2d3154',
-                            borderRadius: '10px',
-                            fontSize: '14px',
-                        },
-                        success: { iconTheme: { primary: '#22c55e', secondary: '#1a1d27' } },
-                        error: { iconTheme: { primary: '#ef4444', secondary: '#1a1d27' } },
-                    }}
-                />
-            </BrowserRouter>
+            <StageProvider>
+                <BrowserRouter>
+                    <AppRoutes />
+                    <Toaster
+                        position="top-right"
+                        toastOptions={{
+                            duration: 3500,
+                            style: {
+                                background: '#1a1d27',
+                                color: '#e2e8f0',
+                                border: '1px solid #2d3154',
+                                borderRadius: '10px',
+                                fontSize: '14px',
+                            },
+                            success: { iconTheme: { primary: '#22c55e', secondary: '#1a1d27' } },
+                            error: { iconTheme: { primary: '#ef4444', secondary: '#1a1d27' } },
+                        }}
+                    />
+                </BrowserRouter>
+            </StageProvider>
         </AuthProvider>
     )
 }
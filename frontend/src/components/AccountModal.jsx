@@ -0,0 +1,120 @@
+/**
+ * AccountModal
+ * Create/edit form for a customer account, shared by the accounts list and detail pages.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { accountAPI, adminAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import toast from 'react-hot-toast'
+
+export const ACCOUNT_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1001-5000', '5000+']
+
+export default function AccountModal({ account, onClose, onSaved }) {
+    const { isAdmin } = useAuth()
+    const isEdit = !!account
+    const [form, setForm] = useState({
+        name: account?.name || '',
+        domain: account?.domain || '',
+        industry: account?.industry || '',
+        size: account?.size || '',
+        parent: account?.parent?._id || account?.parent || '',
+        owner: account?.owner?._id || account?.owner || '',
+        description: account?.description || '',
+    })
+    const [parents, setParents] = useState([])
+    const [users, setUsers] = useState([])
+    const [loading, setLoading] = useState(false)
+
+    useEffect(() => {
+        accountAPI.getAll({ limit: 100 })
+            .then(({ data }) => setParents(data.accounts.filter((a) => a._id !== account?._id)))
+            .catch(() => { })
+        if (isAdmin) adminAPI.getUsers({ isActive: true, limit: 100 }).then(({ data }) => setUsers(data.users)).catch(() => { })
+    }, [])
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = isEdit ? await accountAPI.update(account._id, form) : await accountAPI.create(form)
+            toast.success(isEdit ? 'Account updated!' : 'Account created!')
+            if (data.linkedLeads) toast.success(`Linked ${data.linkedLeads} matching lead(s)`)
+            onSaved(data.account)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? 'Edit Account' : 'New Account'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Company Name *</label>
+                            <input className="form-input" value={form.name} required
+                                onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Domain</label>
+                            <input className="form-input" placeholder="acme.com" value={form.domain}
+                                onChange={(e) => setForm({ ...form, domain: e.target.value })} />
+                        </div>
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Industry</label>
+                            <input className="form-input" placeholder="e.g. Software" value={form.industry}
+                                onChange={(e) => setForm({ ...form, industry: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Company Size</label>
+                            <select className="form-select" value={form.size} onChange={(e) => setForm({ ...form, size: e.target.value })}>
+                                <option value="">Unknown</option>
+                                {ACCOUNT_SIZES.map((s) => <option key={s} value={s}>{s} employees</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Parent Account</label>
+                            <select className="form-select" value={form.parent} onChange={(e) => setForm({ ...form, parent: e.target.value })}>
+                                <option value="">None</option>
+                                {parents.map((a) => <option key={a._id} value={a._id}>{a.name}</option>)}
+                            </select>
+                        </div>
+                        {isAdmin && (
+                            <div className="form-group">
+                                <label className="form-label">Owner</label>
+                                <select className="form-select" value={form.owner} onChange={(e) => setForm({ ...form, owner: e.target.value })}>
+                                    <option value="">Unowned</option>
+                                    {users.map((u) => <option key={u._id} value={u._id}>{u.name}</option>)}
+                                </select>
+                            </div>
+                        )}
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Description</label>
+                        <textarea className="form-textarea" maxLength={500} value={form.description}
+                            onChange={(e) => setForm({ ...form, description: e.target.value })} />
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Account' : 'Create Account')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,174 @@
+/**
+ * ActivityTimeline
+ * A lead's activities, latest first, with a type filter and "load more".
+ * Authors can edit or delete what they logged within the edit window; admins
+ * any activity users log. Bump `refreshKey` to reload from the first page.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react'
+import { activityAPI, taskAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { formatDate } from '../utils/helpers'
+import toast from 'react-hot-toast'
+
+export const EDITABLE_TYPES = ['note', 'call', 'email', 'meeting', 'task']
+export const TYPE_ICONS = { note: '📝', call: '📞', email: '✉️', meeting: '🤝', task: '✅', 'stage-change': '🔄', conversion: '🎉' }
+export const OUTCOME_COLORS = { positive: 'var(--color-success)', neutral: 'var(--color-text-muted)', negative: 'var(--color-danger)' }
+
+const PAGE_SIZE = 20
+const FILTERS = ['', ...EDITABLE_TYPES, 'stage-change', 'conversion']
+const LINK = { background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', fontSize: 'inherit', padding: 0 }
+
+export default function ActivityTimeline({ leadId, refreshKey, children }) {
+    const { user, isAdmin } = useAuth()
+    const [activities, setActivities] = useState([])
+    const [type, setType] = useState('')
+    const [page, setPage] = useState(1)
+    const [pages, setPages] = useState(1)
+    const [loading, setLoading] = useState(true)
+    const [editWindow, setEditWindow] = useState(null)
+    const [editing, setEditing] = useState(null)
+    const [saving, setSaving] = useState(false)
+
+    const fetchPage = useCallback(async (nextPage) => {
+        setLoading(true)
+        try {
+            const { data } = await activityAPI.getAll({ leadId, type: type || undefined, page: nextPage, limit: PAGE_SIZE })
+            setActivities((prev) => (nextPage === 1 ? data.activities : [...prev, ...data.activities]))
+            setPage(data.page)
+            setPages(data.pages)
+        } catch {
+            toast.error('Failed to load activities')
+        } finally {
+            setLoading(false)
+        }
+    }, [leadId, type])
+
+    useEffect(() => { fetchPage(1) }, [fetchPage, refreshKey])
+
+    useEffect(() => {
+        activityAPI.getSettings().then(({ data }) => setEditWindow(data.editWindowMinutes)).catch(() => { })
+    }, [])
+
+    // Mirrors the server's rule; the server has the final say
+    const canModify = (a) => {
+        if (!EDITABLE_TYPES.includes(a.type)) return false
+        if (isAdmin) return true
+        if (a.userId?._id !== user?._id || editWindow === null) return false
+        return editWindow === 0 || Date.now() - new Date(a.createdAt).getTime() <= editWindow * 60 * 1000
+    }
+
+    const toggleTask = async (task) => {
+        try {
+            const { data } = task.isCompleted ? await taskAPI.reopen(task._id) : await taskAPI.complete(task._id)
+            toast.success(data.message)
+            fetchPage(1)
+        } catch (err) { toast.error(err.response?.data?.message || 'Update failed') }
+    }
+
+    const handleSave = async (e) => {
+        e.preventDefault()
+        setSaving(true)
+        try {
+            const { type: newType, note, outcome } = editing
+            await activityAPI.update(editing._id, { type: newType, note, outcome: outcome || null })
+            toast.success('Activity updated')
+            setEditing(null)
+            fetchPage(1)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Update failed')
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    const handleDelete = async (a) => {
+        if (!window.confirm('Delete this activity? Admins can restore it from the recycle bin.')) return
+        try {
+            await activityAPI.delete(a._id)
+            toast.success('Activity deleted')
+            setActivities((prev) => prev.filter((x) => x._id !== a._id))
+        } catch (err) { toast.error(err.response?.data?.message || 'Delete failed') }
+    }
+
+    return (
+        <div className="card">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', gap: '0.5rem' }}>
+                <h3>📅 Activity Timeline</h3>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <select className="form-select" style={{ width: 'auto' }} value={type} onChange={(e) => setType(e.target.value)}>
+                        {FILTERS.map((t) => <option key={t} value={t}>{t ? `${TYPE_ICONS[t]} ${t}` : 'All types'}</option>)}
+                    </select>
+                    {children}
+                </div>
+            </div>
+            {!loading && activities.length === 0 ? (
+                <div className="empty-state" style={{ padding: '1.5rem' }}>
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                        {type ? `No ${type} activities` : 'No activities logged yet'}
+                    </p>
+                </div>
+            ) : (
+                <div className="activity-feed" style={{ maxHeight: 400, overflowY: 'auto' }}>
+                    {activities.map((a) => (
+                        <div key={a._id} className="activity-item">
+                            <div className="activity-dot" style={{ background: a.type === 'stage-change' ? 'var(--color-warning)' : undefined }} />
+                            {editing?._id === a._id ? (
+                                <form className="activity-content" onSubmit={handleSave} style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                        <select className="form-select" value={editing.type} onChange={(e) => setEditing({ ...editing, type: e.target.value })}>
+                                            {EDITABLE_TYPES.map((t) => <option key={t} value={t}>{TYPE_ICONS[t]} {t}</option>)}
+                                        </select>
+                                        <select className="form-select" value={editing.outcome || ''} onChange={(e) => setEditing({ ...editing, outcome: e.target.value })}>
+                                            <option value="">No outcome</option>
+                                            <option value="positive">Positive</option>
+                                            <option value="neutral">Neutral</option>
+                                            <option value="negative">Negative</option>
+                                        </select>
+                                    </div>
+                                    <textarea className="form-textarea" rows={2} required maxLength={1000} value={editing.note}
+                                        onChange={(e) => setEditing({ ...editing, note: e.target.value })} />
+                                    <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+                                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditing(null)}>Cancel</button>
+                                        <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+                                    </div>
+                                </form>
+                            ) : (
+                                <div className="activity-content">
+                                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.25rem' }}>
+                                        {a.type === 'task'
+                                            ? <input type="checkbox" checked={a.isCompleted} title={a.isCompleted ? 'Reopen' : 'Complete'} onChange={() => toggleTask(a)} />
+                                            : <span>{TYPE_ICONS[a.type]}</span>}
+                                        <span className="activity-note" style={{ textDecoration: a.isCompleted ? 'line-through' : 'none' }}>{a.note}</span>
+                                    </div>
+                                    <div className="activity-meta">
+                                        <span>👤 {a.userId?.name || 'System'}</span>
+                                        <span>{formatDate(a.date)}</span>
+                                        {a.editedAt && <span title={`Edited ${formatDate(a.editedAt, true)}`}>(edited)</span>}
+                                        {a.outcome && <span style={{ color: OUTCOME_COLORS[a.outcome] }}>● {a.outcome}</span>}
+                                        {a.type === 'task' && a.assignedTo && <span>➡️ {a.assignedTo.name}</span>}
+                                        {a.type === 'task' && a.dueDate && <span>⏰ Due {formatDate(a.dueDate)}</span>}
+                                        {canModify(a) && (
+                                            <>
+                                                <button style={LINK} onClick={() => setEditing({ _id: a._id, type: a.type, note: a.note, outcome: a.outcome })}>Edit</button>
+                                                <button style={{ ...LINK, color: 'var(--color-danger)' }} onClick={() => handleDelete(a)}>Delete</button>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                    {loading && <div className="loading-center" style={{ padding: '1rem' }}><div className="spinner spinner-sm" /></div>}
+                    {!loading && page < pages && (
+                        <button className="btn btn-secondary btn-sm" style={{ alignSelf: 'center', marginTop: '0.75rem' }} onClick={() => fetchPage(page + 1)}>
+                            Load more
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,89 @@
+/**
+ * Bulk Action Bar
+ * Applies one operation (stage, priority, assign, tags, follow-up, archive) to the selected leads.
+ */
+
+import React, { useState } from 'react'
+import { useStages } from '../context/StageContext'
+
+const PRIORITIES = ['low', 'medium', 'high']
+
+const OPERATIONS = [
+    { value: 'status', label: 'Change stage' },
+    { value: 'priority', label: 'Change priority' },
+    { value: 'assign', label: 'Assign to', adminOnly: true },
+    { value: 'addTags', label: 'Add tags' },
+    { value: 'removeTags', label: 'Remove tags' },
+    { value: 'followUp', label: 'Set follow-up date' },
+    { value: 'archive', label: 'Archive', adminOnly: true },
+]
+
+export default function BulkActionBar({ count, pipeline, users, isAdmin, loading, onApply, onClear }) {
+    // Stages of the filtered pipeline; leads in other pipelines are reported as failed
+    const { stageNames } = useStages(pipeline)
+    const [operation, setOperation] = useState('status')
+    const [value, setValue] = useState('')
+
+    const changeOperation = (op) => {
+        setOperation(op)
+        setValue('')
+    }
+
+    const handleApply = () => {
+        let payload = value
+        if (operation === 'addTags' || operation === 'removeTags') {
+            payload = value.split(',').map((t) => t.trim()).filter(Boolean)
+        } else if (operation === 'followUp') {
+            payload = value ? new Date(value).toISOString() : null
+        }
+        onApply(operation, payload)
+    }
+
+    const needsValue = !['archive', 'followUp'].includes(operation)
+
+    return (
+        <div className="card" style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap', marginBottom: '1rem', padding: '0.75rem 1rem', borderColor: 'var(--color-primary)' }}>
+            <strong>{count} selected</strong>
+            <select className="form-select" style={{ width: 'auto' }} value={operation} onChange={(e) => changeOperation(e.target.value)}>
+                {OPERATIONS.filter((o) => isAdmin || !o.adminOnly).map((o) => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+            </select>
+
+            {operation === 'status' && (
+                <select className="form-select" style={{ width: 'auto' }} value={value} onChange={(e) => setValue(e.target.value)}>
+                    <option value="">Select stage</option>
+                    {stageNames.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+            )}
+            {operation === 'priority' && (
+                <select className="form-select" style={{ width: 'auto' }} value={value} onChange={(e) => setValue(e.target.value)}>
+                    <option value="">Select priority</option>
+                    {PRIORITIES.map((p) => <option key={p} value={p}>{p.charAt(0).toUpperCase() + p.slice(1)}</option>)}
+                </select>
+            )}
+            {operation === 'assign' && (
+                <select className="form-select" style={{ width: 'auto' }} value={value} onChange={(e) => setValue(e.target.value)}>
+                    <option value="">Select user</option>
+                    {users.filter((u) => u.isActive).map((u) => <option key={u._id} value={u._id}>{u.name}</option>)}
+                </select>
+            )}
+            {(operation === 'addTags' || operation === 'removeTags') && (
+                <input className="form-input" style={{ width: 220 }} placeholder="tag1, tag2" value={value}
+                    onChange={(e) => setValue(e.target.value)} />
+            )}
+            {operation === 'followUp' && (
+                <input className="form-input" style={{ width: 'auto' }} type="date" value={value}
+                    onChange={(e) => setValue(e.target.value)} title="Leave empty to clear the follow-up date" />
+            )}
+
+            <button
+                className={`btn btn-sm ${operation === 'archive' ? 'btn-danger' : 'btn-primary'}`}
+                disabled={loading || (needsValue && !value.trim())}
+                onClick={handleApply}>
+                {loading ? <><span className="spinner spinner-sm" /> Applying...</> : 'Apply'}
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={onClear}>Clear selection</button>
+        </div>
+    )
+}
@@ -0,0 +1,36 @@
+/**
+ * Column Picker
+ * Dropdown of checkboxes that chooses which optional list columns are shown.
+ * An empty selection means the page's default columns.
+ */
+
+import React, { useState } from 'react'
+
+export default function ColumnPicker({ options, value, defaults, onChange }) {
+    const [open, setOpen] = useState(false)
+    const visible = value.length ? value : defaults
+
+    const toggle = (key) => {
+        const next = visible.includes(key) ? visible.filter((k) => k !== key) : [...visible, key]
+        // Keep the page's column order
+        const ordered = options.map((o) => o.key).filter((k) => next.includes(k))
+        onChange(JSON.stringify(ordered) === JSON.stringify(defaults) ? [] : ordered)
+    }
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <button className="btn btn-secondary btn-sm" onClick={() => setOpen(!open)}>▦ Columns</button>
+            {open && (
+                <div className="card" style={{ position: 'absolute', right: 0, top: '110%', zIndex: 20, minWidth: 200, padding: '0.75rem', display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+                    {options.map((o) => (
+                        <label key={o.key} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.85rem', cursor: 'pointer' }}>
+                            <input type="checkbox" checked={visible.includes(o.key)} onChange={() => toggle(o.key)} />
+                            {o.label}
+                        </label>
+                    ))}
+                    <button className="btn btn-secondary btn-sm" onClick={() => { onChange([]); setOpen(false) }}>Reset</button>
+                </div>
+            )}
+        </div>
+    )
+}
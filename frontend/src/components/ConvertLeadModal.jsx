@@ -0,0 +1,158 @@
+/**
+ * ConvertLeadModal
+ * Converts a qualified lead into a contact at an account, optionally creating
+ * a deal prefilled from the lead's expected value.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { leadAPI, accountAPI, customFieldAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import CustomFieldInputs from './CustomFieldInputs'
+import { useStages } from '../context/StageContext'
+
+const DEFAULT_CLOSE_DAYS = 30
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+
+export default function ConvertLeadModal({ lead, onClose, onConverted }) {
+    // The deal goes into the lead's pipeline
+    const { stageNames, openStages, defaultStage, getStage } = useStages(lead.pipeline)
+    const dealStage = openStages.includes(lead.status) ? lead.status : defaultStage
+    const linkedAccount = lead.account?._id || ''
+    const [accountMode, setAccountMode] = useState(linkedAccount ? 'existing' : 'new')
+    const [accountId, setAccountId] = useState(linkedAccount)
+    const [accountName, setAccountName] = useState(lead.company || '')
+    const [accounts, setAccounts] = useState([])
+    const [jobTitle, setJobTitle] = useState('')
+    const [createDeal, setCreateDeal] = useState(true)
+    const [deal, setDeal] = useState({
+        title: `${lead.account?.name || lead.company || lead.name} — ${lead.name}`,
+        value: lead.expectedValue || 0,
+        stage: dealStage,
+        probability: getStage(dealStage).probability,
+        closeDate: inDays(DEFAULT_CLOSE_DAYS),
+        customFields: {},
+    })
+    const [dealFields, setDealFields] = useState([])
+    const [loading, setLoading] = useState(false)
+
+    useEffect(() => {
+        accountAPI.getAll({ limit: 100 }).then(({ data }) => setAccounts(data.accounts)).catch(() => { })
+        customFieldAPI.getAll({ entity: 'deal' }).then(({ data }) => setDealFields(data.fields)).catch(() => { })
+    }, [])
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const payload = {
+                jobTitle,
+                createDeal,
+                ...(accountMode === 'existing' ? { accountId } : { accountName }),
+                ...(createDeal && { deal }),
+            }
+            const { data } = await leadAPI.convert(lead._id, payload)
+            toast.success(data.message)
+            if (data.accountCreated) toast.success(`Account "${data.account.name}" created`)
+            onConverted(data)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Conversion failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">Convert “{lead.name}”</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Account</label>
+                            <select className="form-select" value={accountMode} onChange={(e) => setAccountMode(e.target.value)}>
+                                <option value="existing">Existing account</option>
+                                <option value="new">New account</option>
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">{accountMode === 'existing' ? 'Pick Account *' : 'Account Name *'}</label>
+                            {accountMode === 'existing' ? (
+                                <select className="form-select" value={accountId} onChange={(e) => setAccountId(e.target.value)} required>
+                                    <option value="">Select an account</option>
+                                    {linkedAccount && !accounts.some((a) => a._id === linkedAccount) && (
+                                        <option value={linkedAccount}>{lead.account.name}</option>
+                                    )}
+                                    {accounts.map((a) => <option key={a._id} value={a._id}>{a.name}</option>)}
+                                </select>
+                            ) : (
+                                <input className="form-input" value={accountName} required maxLength={100}
+                                    onChange={(e) => setAccountName(e.target.value)} />
+                            )}
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Contact Job Title</label>
+                        <input className="form-input" placeholder="e.g. Head of Operations" value={jobTitle}
+                            onChange={(e) => setJobTitle(e.target.value)} />
+                    </div>
+
+                    <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.875rem', cursor: 'pointer' }}>
+                        <input type="checkbox" checked={createDeal} onChange={(e) => setCreateDeal(e.target.checked)} />
+                        Create a deal
+                    </label>
+
+                    {createDeal && (
+                        <>
+                            <div className="form-group">
+                                <label className="form-label">Deal Title</label>
+                                <input className="form-input" value={deal.title} maxLength={120}
+                                    onChange={(e) => setDeal({ ...deal, title: e.target.value })} />
+                            </div>
+                            <div className="grid-2">
+                                <div className="form-group">
+                                    <label className="form-label">Value ($)</label>
+                                    <input className="form-input" type="number" min="0" value={deal.value}
+                                        onChange={(e) => setDeal({ ...deal, value: e.target.value })} />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Stage</label>
+                                    <select className="form-select" value={deal.stage}
+                                        onChange={(e) => setDeal({ ...deal, stage: e.target.value, probability: getStage(e.target.value).probability })}>
+                                        {stageNames.map((s) => <option key={s} value={s}>{s}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="grid-2">
+                                <div className="form-group">
+                                    <label className="form-label">Win Probability ({deal.probability}%)</label>
+                                    <input className="form-input" type="range" min="0" max="100" value={deal.probability}
+                                        onChange={(e) => setDeal({ ...deal, probability: parseInt(e.target.value) })} />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Close Date</label>
+                                    <input className="form-input" type="date" value={deal.closeDate}
+                                        onChange={(e) => setDeal({ ...deal, closeDate: e.target.value })} />
+                                </div>
+                            </div>
+                            <CustomFieldInputs fields={dealFields} values={deal.customFields}
+                                onChange={(values) => setDeal({ ...deal, customFields: values })} />
+                        </>
+                    )}
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Converting...</> : '✅ Convert Lead'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
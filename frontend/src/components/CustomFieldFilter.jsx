@@ -0,0 +1,56 @@
+/**
+ * Custom Field Filter
+ * Lets a list page filter on one custom field. Emits the `cf` query object
+ * understood by the list endpoints ({ key: value } or { key: { min, max } }).
+ */
+
+import React from 'react'
+
+export default function CustomFieldFilter({ fields, value = {}, onChange }) {
+    if (!fields.length) return null
+
+    const [key] = Object.keys(value)
+    const field = fields.find((f) => f.key === key)
+    const condition = key ? value[key] : ''
+    const isRange = field && ['number', 'date'].includes(field.type)
+
+    const setCondition = (next) => onChange(key ? { [key]: next } : {})
+
+    return (
+        <>
+            <select className="form-select" style={{ width: 'auto' }} value={key || ''}
+                onChange={(e) => onChange(e.target.value ? { [e.target.value]: '' } : {})}>
+                <option value="">Custom field…</option>
+                {fields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+            </select>
+
+            {field && isRange && ['min', 'max'].map((bound) => (
+                <input key={bound} className="form-input" style={{ width: 140 }}
+                    type={field.type === 'date' ? 'date' : 'number'}
+                    placeholder={bound === 'min' ? 'From' : 'To'}
+                    value={condition?.[bound] || ''}
+                    onChange={(e) => setCondition({ ...(typeof condition === 'object' ? condition : {}), [bound]: e.target.value })} />
+            ))}
+
+            {field && ['select', 'multi-select'].includes(field.type) && (
+                <select className="form-select" style={{ width: 'auto' }} value={condition} onChange={(e) => setCondition(e.target.value)}>
+                    <option value="">Any</option>
+                    {field.options.map((o) => <option key={o} value={o}>{o}</option>)}
+                </select>
+            )}
+
+            {field && field.type === 'boolean' && (
+                <select className="form-select" style={{ width: 'auto' }} value={condition} onChange={(e) => setCondition(e.target.value)}>
+                    <option value="">Any</option>
+                    <option value="true">Yes</option>
+                    <option value="false">No</option>
+                </select>
+            )}
+
+            {field && field.type === 'text' && (
+                <input className="form-input" style={{ width: 160 }} placeholder="Exact value" value={condition}
+                    onChange={(e) => setCondition(e.target.value)} />
+            )}
+        </>
+    )
+}
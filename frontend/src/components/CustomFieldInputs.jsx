@@ -0,0 +1,72 @@
+/**
+ * Custom Field Inputs
+ * Renders form inputs for admin-defined custom fields (text, number, date,
+ * select, multi-select, boolean) and reports the updated values object.
+ */
+
+import React from 'react'
+
+export default function CustomFieldInputs({ fields, values = {}, onChange }) {
+    if (!fields.length) return null
+
+    const set = (key, value) => onChange({ ...values, [key]: value })
+
+    const renderInput = (field) => {
+        const value = values[field.key]
+
+        switch (field.type) {
+            case 'number':
+                return <input className="form-input" type="number" value={value ?? ''} required={field.required}
+                    onChange={(e) => set(field.key, e.target.value)} />
+            case 'date':
+                return <input className="form-input" type="date" required={field.required}
+                    value={value ? new Date(value).toISOString().split('T')[0] : ''}
+                    onChange={(e) => set(field.key, e.target.value)} />
+            case 'select':
+                return (
+                    <select className="form-select" value={value ?? ''} required={field.required}
+                        onChange={(e) => set(field.key, e.target.value)}>
+                        <option value="">—</option>
+                        {field.options.map((o) => <option key={o} value={o}>{o}</option>)}
+                    </select>
+                )
+            case 'multi-select': {
+                const selected = value || []
+                return (
+                    <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+                        {field.options.map((o) => (
+                            <label key={o} style={{ display: 'flex', gap: '0.35rem', alignItems: 'center', fontSize: '0.85rem', cursor: 'pointer' }}>
+                                <input type="checkbox" checked={selected.includes(o)}
+                                    onChange={() => set(field.key, selected.includes(o) ? selected.filter((s) => s !== o) : [...selected, o])} />
+                                {o}
+                            </label>
+                        ))}
+                    </div>
+                )
+            }
+            case 'boolean':
+                return (
+                    <select className="form-select" value={value == null ? '' : String(value)} required={field.required}
+                        onChange={(e) => set(field.key, e.target.value === '' ? null : e.target.value === 'true')}>
+                        <option value="">—</option>
+                        <option value="true">Yes</option>
+                        <option value="false">No</option>
+                    </select>
+                )
+            default:
+                return <input className="form-input" value={value ?? ''} required={field.required}
+                    onChange={(e) => set(field.key, e.target.value)} />
+        }
+    }
+
+    return (
+        <div className="grid-2">
+            {fields.map((field) => (
+                <div key={field.key} className="form-group">
+                    <label className="form-label">{field.label}{field.required && ' *'}</label>
+                    {renderInput(field)}
+                </div>
+            ))}
+        </div>
+    )
+}
@@ -0,0 +1,127 @@
+/**
+ * EmailComposeModal
+ * Write and send an email to a lead, optionally about one of its deals.
+ * It goes out under the user's name with replies to them, and is logged on
+ * the lead's timeline once sent. If delivery fails it waits in the outbox
+ * for a retry. Picking a template fills in the subject and message with the
+ * lead's (and chosen deal's) merge fields.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { emailAPI, templateAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+// "a@x.com, b@y.com" → ['a@x.com', 'b@y.com']
+const parseAddresses = (value) => value.split(/[,;\s]+/).map((a) => a.trim()).filter(Boolean)
+
+export default function EmailComposeModal({ lead, deals = [], onClose, onSent }) {
+    const [form, setForm] = useState({ to: lead.email || '', cc: '', dealId: '', subject: '', body: '' })
+    const [sending, setSending] = useState(false)
+    const [templates, setTemplates] = useState([])
+    const [templateId, setTemplateId] = useState('')
+
+    useEffect(() => {
+        templateAPI.getAll().then(({ data }) => setTemplates(data.templates)).catch(() => { /* compose without templates */ })
+    }, [])
+
+    const applyTemplate = async (id) => {
+        setTemplateId(id)
+        if (!id) return
+        try {
+            const { data } = await templateAPI.preview({ templateId: id, leadId: lead._id, dealId: form.dealId || undefined })
+            setForm((f) => ({ ...f, subject: data.preview.subject, body: data.preview.body }))
+            if (data.preview.missing.length) {
+                toast(`No value for ${data.preview.missing.map((f) => `{{${f}}}`).join(', ')} — check the message before sending`, { icon: '⚠️' })
+            }
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to apply template')
+        }
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setSending(true)
+        try {
+            const { data } = await emailAPI.send({
+                leadId: lead._id,
+                dealId: form.dealId || undefined,
+                to: parseAddresses(form.to),
+                cc: parseAddresses(form.cc),
+                subject: form.subject,
+                body: form.body,
+            })
+            if (data.email.status === 'sent') toast.success(data.message)
+            else toast.error(data.message)
+            onSent()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Failed to send email')
+        } finally {
+            setSending(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal" style={{ maxWidth: 640 }}>
+                <div className="modal-header">
+                    <h2 className="modal-title">✉️ Email {lead.name}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">To</label>
+                            <input className="form-input" value={form.to} required placeholder="name@company.com"
+                                onChange={(e) => setForm({ ...form, to: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Cc</label>
+                            <input className="form-input" value={form.cc} placeholder="Optional, comma-separated"
+                                onChange={(e) => setForm({ ...form, cc: e.target.value })} />
+                        </div>
+                    </div>
+                    <div className="grid-2">
+                        {deals.length > 0 && (
+                            <div className="form-group">
+                                <label className="form-label">About Deal (optional)</label>
+                                <select className="form-select" value={form.dealId} onChange={(e) => setForm({ ...form, dealId: e.target.value })}>
+                                    <option value="">No deal</option>
+                                    {deals.map((d) => <option key={d._id} value={d._id}>{d.title}</option>)}
+                                </select>
+                            </div>
+                        )}
+                        {templates.length > 0 && (
+                            <div className="form-group">
+                                <label className="form-label">Template</label>
+                                <select className="form-select" value={templateId} onChange={(e) => applyTemplate(e.target.value)}>
+                                    <option value="">No template</option>
+                                    {templates.map((t) => (
+                                        <option key={t._id} value={t._id}>{t.name}{t.scope === 'shared' ? ' (shared)' : ''}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Subject</label>
+                        <input className="form-input" value={form.subject} required maxLength={200}
+                            onChange={(e) => setForm({ ...form, subject: e.target.value })} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Message</label>
+                        <textarea className="form-textarea" rows={10} value={form.body} required maxLength={20000}
+                            onChange={(e) => setForm({ ...form, body: e.target.value })} />
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={sending}>
+                            {sending ? <><span className="spinner spinner-sm" /> Sending...</> : '📤 Send'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,41 @@
+/**
+ * Export Button
+ * Downloads the current list as CSV or XLSX through an export endpoint.
+ */
+
+import React, { useState } from 'react'
+import toast from 'react-hot-toast'
+import { downloadBlob } from '../utils/helpers'
+
+export default function ExportButton({ exportFn, params = {}, fileName }) {
+    const [exporting, setExporting] = useState(false)
+
+    const handleExport = async (format) => {
+        if (!format) return
+        setExporting(true)
+        try {
+            // Drop empty filters so the export matches what the list shows
+            const cleanParams = Object.fromEntries(Object.entries(params).filter(([, v]) => v !== '' && v != null))
+            const { data } = await exportFn({ ...cleanParams, format })
+            downloadBlob(data, `${fileName}-${new Date().toISOString().split('T')[0]}.${format}`)
+        } catch {
+            toast.error('Export failed')
+        } finally {
+            setExporting(false)
+        }
+    }
+
+    return (
+        <select
+            className="form-select"
+            style={{ width: 'auto' }}
+            value=""
+            disabled={exporting}
+            onChange={(e) => handleExport(e.target.value)}
+        >
+            <option value="">{exporting ? 'Exporting...' : '⬇️ Export'}</option>
+            <option value="csv">CSV (.csv)</option>
+            <option value="xlsx">Excel (.xlsx)</option>
+        </select>
+    )
+}
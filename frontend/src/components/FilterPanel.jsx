@@ -0,0 +1,71 @@
+/**
+ * Filter Panel
+ * Collapsible panel of extra list filters (ranges, dates, flags) driven by a
+ * field config. Every field reads and writes plain query-param keys on `filters`.
+ *
+ * Field types:
+ *   { type: 'range', label, min, max, input: 'number'|'date' } - two keys
+ *   { type: 'select', label, key, options: [{ value, label }] }
+ *   { type: 'text', label, key, placeholder }
+ *   { type: 'number', label, key, placeholder }
+ *   { type: 'flag', label, key } - checkbox sending "true"
+ */
+
+import React from 'react'
+
+// Number of keys with a value among the panel's fields
+export const countActiveFilters = (fields, filters) =>
+    fields.flatMap((f) => (f.type === 'range' ? [f.min, f.max] : [f.key])).filter((key) => filters[key]).length
+
+export default function FilterPanel({ fields, filters, onChange }) {
+    const set = (key, value) => onChange({ ...filters, [key]: value })
+
+    const renderField = (field) => {
+        switch (field.type) {
+            case 'range':
+                return (
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        {[field.min, field.max].map((key, i) => (
+                            <input key={key} className="form-input" type={field.input || 'number'}
+                                placeholder={i === 0 ? 'From' : 'To'}
+                                value={filters[key] || ''}
+                                onChange={(e) => set(key, e.target.value)} />
+                        ))}
+                    </div>
+                )
+            case 'select':
+                return (
+                    <select className="form-select" value={filters[field.key] || ''} onChange={(e) => set(field.key, e.target.value)}>
+                        {field.options.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                )
+            case 'flag':
+                return (
+                    <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', cursor: 'pointer', minHeight: 38 }}>
+                        <input type="checkbox" checked={filters[field.key] === 'true'}
+                            onChange={(e) => set(field.key, e.target.checked ? 'true' : '')} />
+                        {field.hint || 'Yes'}
+                    </label>
+                )
+            default:
+                return (
+                    <input className="form-input" type={field.type === 'number' ? 'number' : 'text'} min={field.type === 'number' ? 1 : undefined}
+                        placeholder={field.placeholder} value={filters[field.key] || ''}
+                        onChange={(e) => set(field.key, e.target.value)} />
+                )
+        }
+    }
+
+    return (
+        <div className="card" style={{ marginBottom: '1.25rem', padding: '1rem 1.25rem' }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: '1rem' }}>
+                {fields.map((field) => (
+                    <div key={field.key || field.min} className="form-group" style={{ margin: 0 }}>
+                        <label className="form-label">{field.label}</label>
+                        {renderField(field)}
+                    </div>
+                ))}
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,112 @@
+/**
+ * Global Search
+ * Topbar search box: ranked lead, deal and activity-note matches grouped by
+ * type, with the matched words highlighted.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { searchAPI } from '../services/api'
+import { formatCurrency, formatDate } from '../utils/helpers'
+
+const GROUPS = [
+    { type: 'lead', label: 'Leads', icon: '👥' },
+    { type: 'deal', label: 'Deals', icon: '💰' },
+    { type: 'activity', label: 'Activity Notes', icon: '📝' },
+]
+
+// Renders [{ text, match }] fragments with matches marked
+function Highlight({ fragments }) {
+    return fragments.map((f, i) => (f.match
+        ? <mark key={i} style={{ background: 'rgba(99,102,241,0.3)', color: 'inherit', borderRadius: 2 }}>{f.text}</mark>
+        : <span key={i}>{f.text}</span>))
+}
+
+export default function GlobalSearch() {
+    const navigate = useNavigate()
+    const [q, setQ] = useState('')
+    const [results, setResults] = useState(null)
+    const [loading, setLoading] = useState(false)
+    const [open, setOpen] = useState(false)
+
+    useEffect(() => {
+        if (q.trim().length < 2) { setResults(null); return }
+        let stale = false
+        const timer = setTimeout(async () => {
+            setLoading(true)
+            try {
+                const { data } = await searchAPI.search({ q: q.trim(), limit: 5 })
+                if (!stale) setResults(data.results)
+            } catch {
+                if (!stale) setResults(null)
+            } finally {
+                if (!stale) setLoading(false)
+            }
+        }, 300)
+        return () => { stale = true; clearTimeout(timer) }
+    }, [q])
+
+    const go = (path) => {
+        setOpen(false)
+        setQ('')
+        navigate(path)
+    }
+
+    const describe = (type, item) => {
+        if (type === 'lead') return { title: item.name, meta: [item.company, item.status].filter(Boolean).join(' · '), path: `/leads/${item._id}` }
+        if (type === 'deal') return { title: item.title, meta: `${formatCurrency(item.value)} · ${item.stage}${item.leadId ? ` · ${item.leadId.name}` : ''}`, path: item.leadId ? `/leads/${item.leadId._id}` : '/deals' }
+        return { title: item.leadId?.name || 'Activity', meta: `${item.type} · ${formatDate(item.date)}`, path: item.leadId ? `/leads/${item.leadId._id}` : '/leads' }
+    }
+
+    const total = results ? GROUPS.reduce((sum, g) => sum + (results[g.type]?.total || 0), 0) : 0
+
+    return (
+        <div className="search-input-wrapper" style={{ maxWidth: 420, margin: '0 1.5rem' }}>
+            <span className="search-icon">🔍</span>
+            <input
+                id="global-search"
+                className="form-input"
+                placeholder="Search leads, deals, notes..."
+                value={q}
+                onChange={(e) => { setQ(e.target.value); setOpen(true) }}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setTimeout(() => setOpen(false), 150)}
+                onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+            />
+            {open && q.trim().length >= 2 && (
+                <div style={{
+                    position: 'absolute', top: '110%', left: 0, right: 0, zIndex: 50, maxHeight: 480, overflowY: 'auto',
+                    background: 'var(--color-surface)', border: '1px solid var(--color-border)', borderRadius: 'var(--radius-lg)', boxShadow: 'var(--shadow-md)',
+                }}>
+                    {loading && !results ? (
+                        <div style={{ padding: '1rem', textAlign: 'center' }}><span className="spinner spinner-sm" /></div>
+                    ) : total === 0 ? (
+                        <div style={{ padding: '1rem', color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No matches for “{q.trim()}”</div>
+                    ) : GROUPS.filter((g) => results[g.type]?.results.length).map((g) => (
+                        <div key={g.type}>
+                            <div style={{ padding: '0.5rem 0.75rem', fontSize: '0.7rem', fontWeight: 700, textTransform: 'uppercase', color: 'var(--color-text-faint)' }}>
+                                {g.icon} {g.label} ({results[g.type].total})
+                            </div>
+                            {results[g.type].results.map((item) => {
+                                const { title, meta, path } = describe(g.type, item)
+                                return (
+                                    <button key={item._id} onMouseDown={(e) => e.preventDefault()} onClick={() => go(path)}
+                                        style={{ display: 'block', width: '100%', textAlign: 'left', padding: '0.5rem 0.75rem', background: 'none', border: 'none', borderTop: '1px solid var(--color-border)', cursor: 'pointer', color: 'inherit' }}>
+                                        <div style={{ fontWeight: 600, fontSize: '0.875rem' }}>{title}</div>
+                                        <div style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>{meta}</div>
+                                        {item.highlights.map((h) => (
+                                            <div key={h.field} style={{ fontSize: '0.75rem', marginTop: '0.2rem' }}>
+                                                <span style={{ color: 'var(--color-text-faint)' }}>{h.field}: </span>
+                                                <Highlight fragments={h.fragments} />
+                                            </div>
+                                        ))}
+                                    </button>
+                                )
+                            })}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
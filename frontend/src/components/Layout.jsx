@@ -1,22 +1,37 @@
 /**
  * Layout Component
  * Provides persistent sidebar + topbar shell for all authenticated pages.
+ * The My Tasks item shows how many open tasks are overdue or due today.
  */
 
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import { Outlet, NavLink, useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
+import GlobalSearch from './GlobalSearch'
+import { taskAPI } from '../services/api'
 
 const NAV_ITEMS = [
     { path: '/dashboard', icon: '📊', label: 'Dashboard' },
     { path: '/pipeline', icon: '🔄', label: 'Pipeline' },
     { path: '/leads', icon: '👥', label: 'Leads' },
     { path: '/deals', icon: '💰', label: 'Deals' },
+    { path: '/tasks', icon: '✅', label: 'My Tasks' },
+    { path: '/activity', icon: '📰', label: 'Activity Feed' },
+    { path: '/email-templates', icon: '📝', label: 'Email Templates' },
+    { path: '/accounts', icon: '🏢', label: 'Accounts' },
 ]
 
 const ADMIN_NAV_ITEMS = [
     { path: '/admin/users', icon: '🛠️', label: 'User Management' },
     { path: '/admin/analytics', icon: '📈', label: 'Analytics' },
+    { path: '/admin/duplicates', icon: '🧬', label: 'Duplicates' },
+    { path: '/admin/scoring', icon: '★', label: 'Lead Scoring' },
+    { path: '/admin/assignment', icon: '🔀', label: 'Lead Assignment' },
+    { path: '/admin/custom-fields', icon: '🧩', label: 'Custom Fields' },
+    { path: '/admin/stages', icon: '🪜', label: 'Pipelines & Stages' },
+    { path: '/admin/tags', icon: '🏷️', label: 'Tags' },
+    { path: '/admin/web-forms', icon: '📨', label: 'Web Forms' },
+    { path: '/admin/recycle-bin', icon: '🗑️', label: 'Recycle Bin' },
 ]
 
 export default function Layout() {
@@ -24,6 +39,17 @@ export default function Layout() {
     const navigate = useNavigate()
     const location = useLocation()
     const [sidebarOpen, setSidebarOpen] = useState(false)
+    const [taskCounts, setTaskCounts] = useState(null)
+
+    // Refreshed on navigation and whenever the tasks page changes a task
+    useEffect(() => {
+        const fetchCounts = () => taskAPI.getCounts().then(({ data }) => setTaskCounts(data.counts)).catch(() => { })
+        fetchCounts()
+        window.addEventListener('tasks-changed', fetchCounts)
+        return () => window.removeEventListener('tasks-changed', fetchCounts)
+    }, [location.pathname])
+
+    const dueTasks = taskCounts ? taskCounts.overdue + taskCounts.today : 0
 
     const handleLogout = () => {
         logout()
@@ -36,8 +62,20 @@ export default function Layout() {
         if (path.includes('pipeline')) return 'Sales Pipeline'
         if (path.includes('leads')) return 'Lead Management'
         if (path.includes('deals')) return 'Deals'
+        if (path.includes('accounts')) return 'Accounts'
+        if (path.includes('tasks')) return 'My Tasks'
+        if (path.includes('activity')) return 'Activity Feed'
+        if (path.includes('email-templates')) return 'Email Templates'
         if (path.includes('admin/users')) return 'User Management'
         if (path.includes('admin/analytics')) return 'Analytics'
+        if (path.includes('admin/duplicates')) return 'Duplicate Leads'
+        if (path.includes('admin/scoring')) return 'Lead Scoring'
+        if (path.includes('admin/assignment')) return 'Lead Assignment'
+        if (path.includes('admin/custom-fields')) return 'Custom Fields'
+        if (path.includes('admin/recycle-bin')) return 'Recycle Bin'
+        if (path.includes('admin/web-forms')) return 'Web Forms'
+        if (path.includes('admin/stages')) return 'Pipelines & Stages'
+        if (path.includes('admin/tags')) return 'Tags'
         if (path.includes('profile')) return 'My Profile'
         return 'CRM Pro'
     }
@@ -70,6 +108,15 @@ export default function Layout() {
                         >
                             <span className="nav-icon">{item.icon}</span>
                             {item.label}
+                            {item.path === '/tasks' && dueTasks > 0 && (
+                                <span className="badge" title={`${taskCounts.overdue} overdue, ${taskCounts.today} due today`} style={{
+                                    marginLeft: 'auto',
+                                    background: taskCounts.overdue ? 'rgba(239, 68, 68, 0.2)' : 'rgba(245, 158, 11, 0.2)',
+                                    color: taskCounts.overdue ? '#f87171' : '#fbbf24',
+                                }}>
+                                    {dueTasks}
+                                </span>
+                            )}
                         </NavLink>
                     ))}
 
@@ -126,6 +173,7 @@ export default function Layout() {
                         </button>
                         <h1 className="topbar-title">{getPageTitle()}</h1>
                     </div>
+                    <GlobalSearch />
                     <div className="topbar-actions">
                         <span className={`badge badge-${user?.role}`}>{user?.role}</span>
                         <div className="user-avatar" style={{ cursor: 'pointer' }} onClick={() => navigate('/profile')}>
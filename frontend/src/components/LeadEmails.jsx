@@ -0,0 +1,91 @@
+/**
+ * LeadEmails
+ * Emails sent to a lead from the CRM, including ones still in the outbox:
+ * queued for a retry (with the last error) or failed for good. The sender
+ * or an admin can retry or cancel those. Bump `refreshKey` to reload.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react'
+import { emailAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { formatDate } from '../utils/helpers'
+import toast from 'react-hot-toast'
+
+const MUTED = { color: 'var(--color-text-muted)', fontSize: '0.75rem' }
+
+export default function LeadEmails({ leadId, refreshKey, onChanged }) {
+    const { user, isAdmin } = useAuth()
+    const [emails, setEmails] = useState([])
+    const [total, setTotal] = useState(0)
+    const [expanded, setExpanded] = useState(null)
+    const [busy, setBusy] = useState(null)
+
+    const fetchEmails = useCallback(async () => {
+        try {
+            const { data } = await emailAPI.getAll({ leadId, limit: 10 })
+            setEmails(data.emails)
+            setTotal(data.total)
+        } catch { /* the card stays empty */ }
+    }, [leadId])
+
+    useEffect(() => { fetchEmails() }, [fetchEmails, refreshKey])
+
+    const act = async (email, action) => {
+        setBusy(email._id)
+        try {
+            const { data } = action === 'retry' ? await emailAPI.retry(email._id) : await emailAPI.cancel(email._id)
+            if (action === 'retry' && data.email.status !== 'sent') toast.error(data.message)
+            else toast.success(data.message)
+            fetchEmails()
+            onChanged?.()
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setBusy(null)
+        }
+    }
+
+    if (!emails.length) return null
+
+    return (
+        <div className="card" style={{ marginTop: '1.5rem' }}>
+            <h3 style={{ marginBottom: '1rem' }}>✉️ Emails ({total})</h3>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+                {emails.map((email) => {
+                    const canAct = ['queued', 'failed'].includes(email.status) && (isAdmin || email.userId?._id === user?._id)
+                    return (
+                        <div key={email._id} style={{ borderBottom: '1px solid var(--color-border)', paddingBottom: '0.75rem' }}>
+                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', justifyContent: 'space-between' }}>
+                                <button style={{ background: 'none', border: 'none', color: 'var(--color-text)', cursor: 'pointer', fontWeight: 600, textAlign: 'left', padding: 0 }}
+                                    onClick={() => setExpanded(expanded === email._id ? null : email._id)}>
+                                    {email.subject}
+                                </button>
+                                <span className={`badge badge-${email.status}`}>{email.status}</span>
+                            </div>
+                            <div style={MUTED}>
+                                {email.userId?.name} → {email.to.join(', ')}{email.cc.length ? ` (cc ${email.cc.join(', ')})` : ''}
+                                {' · '}{formatDate(email.sentAt || email.createdAt, true)}
+                                {email.dealId && ` · 💰 ${email.dealId.title}`}
+                            </div>
+                            {email.status !== 'sent' && email.lastError && (
+                                <div style={{ ...MUTED, color: 'var(--color-danger)' }}>
+                                    {email.lastError} · attempt {email.attempts}
+                                    {email.status === 'queued' && email.nextAttemptAt && ` · next try ${formatDate(email.nextAttemptAt, true)}`}
+                                </div>
+                            )}
+                            {expanded === email._id && (
+                                <p style={{ whiteSpace: 'pre-wrap', fontSize: '0.875rem', marginTop: '0.5rem' }}>{email.body}</p>
+                            )}
+                            {canAct && (
+                                <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                                    <button className="btn btn-secondary btn-sm" disabled={busy === email._id} onClick={() => act(email, 'retry')}>↻ Retry now</button>
+                                    <button className="btn btn-danger btn-sm" disabled={busy === email._id} onClick={() => act(email, 'cancel')}>Cancel</button>
+                                </div>
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,276 @@
+/**
+ * Lead Import Modal
+ * CSV import wizard: upload → map columns → dry-run → commit.
+ * Also lists recent import batches with rollback.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { importAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { formatDate } from '../utils/helpers'
+
+const FIELD_LABELS = {
+    name: 'Name *',
+    email: 'Email *',
+    phone: 'Phone',
+    company: 'Company',
+    source: 'Source',
+    tags: 'Tags',
+    expectedValue: 'Expected Value',
+    assignedTo: 'Assigned To (email or name)',
+}
+
+const DUPLICATE_STRATEGIES = [
+    { value: 'skip', label: 'Skip rows whose email already exists' },
+    { value: 'update', label: 'Update the existing lead' },
+    { value: 'create', label: 'Create a new lead anyway' },
+]
+
+export default function LeadImportModal({ onClose, onImported }) {
+    const [step, setStep] = useState('upload')
+    const [batch, setBatch] = useState(null)
+    const [fields, setFields] = useState([])
+    const [preview, setPreview] = useState([])
+    const [mapping, setMapping] = useState({})
+    const [duplicateStrategy, setDuplicateStrategy] = useState('skip')
+    const [dryRun, setDryRun] = useState(null)
+    const [result, setResult] = useState(null)
+    const [history, setHistory] = useState([])
+    const [loading, setLoading] = useState(null) // 'upload' | 'dry-run' | 'commit'
+
+    const fetchHistory = () => {
+        importAPI.getAll().then(({ data }) => setHistory(data.batches)).catch(() => { })
+    }
+
+    useEffect(() => { fetchHistory() }, [])
+
+    const showError = (err, fallback) => toast.error(err.response?.data?.message || fallback)
+
+    const handleFile = (e) => {
+        const file = e.target.files[0]
+        if (!file) return
+        const reader = new FileReader()
+        reader.onload = async () => {
+            setLoading('upload')
+            try {
+                const { data } = await importAPI.upload(reader.result, file.name)
+                setBatch(data.batch)
+                setFields(data.fields)
+                setPreview(data.preview)
+                setMapping(data.batch.mapping || {})
+                setDryRun(null)
+                setStep('map')
+            } catch (err) {
+                showError(err, 'Failed to read CSV')
+            } finally {
+                setLoading(null)
+            }
+        }
+        reader.readAsText(file)
+    }
+
+    const handleDryRun = async () => {
+        setLoading('dry-run')
+        try {
+            const { data } = await importAPI.dryRun(batch._id, mapping)
+            setDryRun(data)
+        } catch (err) {
+            showError(err, 'Dry run failed')
+        } finally {
+            setLoading(null)
+        }
+    }
+
+    const handleCommit = async () => {
+        setLoading('commit')
+        try {
+            const { data } = await importAPI.commit(batch._id, { mapping, duplicateStrategy })
+            setResult(data)
+            setStep('result')
+            toast.success(`Imported ${data.summary.created + data.summary.updated} leads`)
+            onImported()
+        } catch (err) {
+            showError(err, 'Import failed')
+        } finally {
+            setLoading(null)
+        }
+    }
+
+    const handleRollback = async (id) => {
+        if (!window.confirm('Roll back this import? Created leads will be archived and updated leads restored.')) return
+        try {
+            const { data } = await importAPI.rollback(id)
+            toast.success(`Rolled back: ${data.archived} archived, ${data.restored} restored`)
+            fetchHistory()
+            setStep('upload')
+            onImported()
+        } catch (err) {
+            showError(err, 'Rollback failed')
+        }
+    }
+
+    const problemRows = dryRun ? dryRun.rows.filter((r) => r.errors.length > 0 || r.existingLeadId || r.duplicateOfRow) : []
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal" style={{ maxWidth: 760 }}>
+                <div className="modal-header">
+                    <h2 className="modal-title">Import Leads from CSV</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+
+                {/* Step 1: Upload */}
+                {step === 'upload' && (
+                    <div className="modal-form">
+                        <div className="form-group">
+                            <label className="form-label">CSV File (first row must contain column headers)</label>
+                            <input className="form-input" type="file" accept=".csv,text/csv" onChange={handleFile} disabled={!!loading} />
+                        </div>
+                        {loading === 'upload' && <div className="loading-center" style={{ padding: '1rem' }}><div className="spinner" /></div>}
+
+                        {history.length > 0 && (
+                            <div>
+                                <h3 style={{ fontSize: '1rem', margin: '1rem 0 0.75rem' }}>Recent Imports</h3>
+                                <div className="table-wrapper">
+                                    <table>
+                                        <thead>
+                                            <tr>
+                                                <th>File</th>
+                                                <th>Date</th>
+                                                <th>Status</th>
+                                                <th>Created</th>
+                                                <th>Updated</th>
+                                                <th>Failed</th>
+                                                <th></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {history.map((b) => (
+                                                <tr key={b._id}>
+                                                    <td>{b.fileName}</td>
+                                                    <td style={{ color: 'var(--color-text-muted)' }}>{formatDate(b.createdAt, true)}</td>
+                                                    <td>{b.status}</td>
+                                                    <td>{b.summary?.created ?? 0}</td>
+                                                    <td>{b.summary?.updated ?? 0}</td>
+                                                    <td>{b.summary?.failed ?? 0}</td>
+                                                    <td>
+                                                        {['completed', 'failed'].includes(b.status) && (
+                                                            <button className="btn btn-danger btn-sm" onClick={() => handleRollback(b._id)}>Roll back</button>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Step 2: Mapping + Dry Run */}
+                {step === 'map' && batch && (
+                    <div className="modal-form">
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                            {batch.fileName} — {batch.total} rows. Map each lead field to a CSV column.
+                        </p>
+                        <div className="grid-2">
+                            {fields.map((field) => (
+                                <div key={field} className="form-group">
+                                    <label className="form-label">{FIELD_LABELS[field] || field}</label>
+                                    <select className="form-select" value={mapping[field] || ''}
+                                        onChange={(e) => { setMapping({ ...mapping, [field]: e.target.value }); setDryRun(null) }}>
+                                        <option value="">— Not imported —</option>
+                                        {batch.headers.map((h) => <option key={h} value={h}>{h}</option>)}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+
+                        {preview.length > 0 && (
+                            <div className="table-wrapper">
+                                <table>
+                                    <thead>
+                                        <tr>{batch.headers.map((h) => <th key={h}>{h}</th>)}</tr>
+                                    </thead>
+                                    <tbody>
+                                        {preview.map((row, i) => (
+                                            <tr key={i}>{batch.headers.map((h, j) => <td key={h}>{row[j]}</td>)}</tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        <div className="form-group">
+                            <label className="form-label">When a row's email already exists</label>
+                            <select className="form-select" value={duplicateStrategy} onChange={(e) => setDuplicateStrategy(e.target.value)}>
+                                {DUPLICATE_STRATEGIES.map((s) => <option key={s.value} value={s.value}>{s.label}</option>)}
+                            </select>
+                        </div>
+
+                        {dryRun && (
+                            <div className="card" style={{ padding: '1rem' }}>
+                                <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', fontSize: '0.875rem' }}>
+                                    <span>✅ {dryRun.summary.valid} valid</span>
+                                    <span style={{ color: 'var(--color-danger)' }}>⛔ {dryRun.summary.invalid} invalid</span>
+                                    <span style={{ color: 'var(--color-warning)' }}>♻️ {dryRun.summary.existing} already exist</span>
+                                    <span style={{ color: 'var(--color-warning)' }}>🔁 {dryRun.summary.duplicatesInFile} repeated in file</span>
+                                </div>
+                                {problemRows.length > 0 && (
+                                    <div style={{ maxHeight: 220, overflowY: 'auto', marginTop: '0.75rem', fontSize: '0.8rem' }}>
+                                        {problemRows.map((r) => (
+                                            <div key={r.row} style={{ padding: '0.35rem 0', borderBottom: '1px solid var(--color-border)' }}>
+                                                <strong>Row {r.row}</strong> {r.email && <span style={{ color: 'var(--color-text-muted)' }}>({r.email})</span>}
+                                                {r.errors.map((e, i) => (
+                                                    <div key={i} style={{ color: 'var(--color-danger)' }}>{e.field ? `${e.field}: ` : ''}{e.message}</div>
+                                                ))}
+                                                {r.existingLeadId && <div style={{ color: 'var(--color-warning)' }}>Email matches an existing lead</div>}
+                                                {r.duplicateOfRow && <div style={{ color: 'var(--color-warning)' }}>Same email as row {r.duplicateOfRow}</div>}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={() => setStep('upload')}>Back</button>
+                            <button type="button" className="btn btn-secondary" onClick={handleDryRun} disabled={!!loading}>
+                                {loading === 'dry-run' ? <><span className="spinner spinner-sm" /> Checking...</> : 'Run Dry Run'}
+                            </button>
+                            <button type="button" className="btn btn-primary" onClick={handleCommit} disabled={!!loading || !dryRun || dryRun.summary.valid === 0}>
+                                {loading === 'commit' ? <><span className="spinner spinner-sm" /> Importing...</> : 'Import Leads'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Step 3: Result */}
+                {step === 'result' && result && (
+                    <div className="modal-form">
+                        <div className="stats-grid">
+                            {['created', 'updated', 'skipped', 'failed'].map((key) => (
+                                <div key={key} className="stat-card">
+                                    <div className="stat-value">{result.summary[key]}</div>
+                                    <div className="stat-label">{key.charAt(0).toUpperCase() + key.slice(1)}</div>
+                                </div>
+                            ))}
+                        </div>
+                        {result.rows.filter((r) => r.action === 'failed').map((r) => (
+                            <div key={r.row} style={{ fontSize: '0.8rem', color: 'var(--color-danger)' }}>
+                                Row {r.row}: {r.errors.map((e) => e.message).join(', ')}
+                            </div>
+                        ))}
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-danger" onClick={() => handleRollback(result.batchId)}>
+                                Roll Back This Import
+                            </button>
+                            <button type="button" className="btn btn-primary" onClick={onClose}>Done</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
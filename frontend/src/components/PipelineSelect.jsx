@@ -0,0 +1,28 @@
+/**
+ * Pipeline Select
+ * Picks one of the configured pipelines, or (with `allLabel`) all of them.
+ * Hidden while there is only one pipeline to choose from.
+ */
+
+import React from 'react'
+import { useStages } from '../context/StageContext'
+
+export default function PipelineSelect({ value, onChange, allLabel, style }) {
+    const { pipelines } = useStages()
+    if (pipelines.length < 2) return null
+
+    return (
+        <select className="form-select" style={{ width: 'auto', ...style }} value={value || ''} onChange={(e) => onChange(e.target.value)}>
+            {allLabel && <option value="">{allLabel}</option>}
+            {pipelines.map((p) => (
+                <option key={p._id} value={p._id}>{p.name}{p.isDefault && !allLabel ? ' (default)' : ''}</option>
+            ))}
+        </select>
+    )
+}
+
+/** Name of a pipeline by ID, for tables that mix pipelines. */
+export function PipelineName({ id }) {
+    const { pipelines } = useStages()
+    return pipelines.find((p) => p._id === id)?.name || '—'
+}
@@ -0,0 +1,20 @@
+/**
+ * StageBadge
+ * Pipeline stage pill in the stage's configured color. Pass the record's
+ * `pipeline` so stages with the same name in other pipelines are told apart.
+ */
+
+import React from 'react'
+import { useStages } from '../context/StageContext'
+import { stageBadgeStyle } from '../utils/helpers'
+
+export default function StageBadge({ stage, pipeline, showIcon = false, style }) {
+    const { getStage } = useStages(pipeline)
+    const config = getStage(stage)
+
+    return (
+        <span className="badge" style={{ ...stageBadgeStyle(config.color), ...style }}>
+            {showIcon && config.icon && `${config.icon} `}{stage}
+        </span>
+    )
+}
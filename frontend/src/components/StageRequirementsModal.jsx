@@ -0,0 +1,85 @@
+/**
+ * StageRequirementsModal
+ * Shown when a stage move is refused by the stage's transition rules. Asks
+ * for the missing fields it can collect here, lists the problems it cannot,
+ * and retries the move with the filled-in values.
+ */
+
+import React, { useState } from 'react'
+import toast from 'react-hot-toast'
+
+// Fields the server may report missing that can be filled in right here
+const FIELD_INPUTS = {
+    lossReason: { label: 'Loss Reason', type: 'text', maxLength: 300 },
+    expectedValue: { label: 'Expected Value ($)', type: 'number' },
+    value: { label: 'Deal Value ($)', type: 'number' },
+    followUpDate: { label: 'Follow-Up Date', type: 'date' },
+    closeDate: { label: 'Close Date', type: 'date' },
+}
+
+export default function StageRequirementsModal({ stage, errors: initialErrors, onSubmit, onClose }) {
+    const [errors, setErrors] = useState(initialErrors)
+    const [values, setValues] = useState({})
+    const [loading, setLoading] = useState(false)
+
+    // One input per field, even when several rules ask for it
+    const fillable = errors.filter((e, i) => FIELD_INPUTS[e.field] && errors.findIndex((o) => o.field === e.field) === i)
+    const blocking = errors.filter((e) => !FIELD_INPUTS[e.field])
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const payload = Object.fromEntries(Object.entries(values).map(([field, value]) => (
+                [field, FIELD_INPUTS[field].type === 'number' ? Number(value) : value]
+            )))
+            await onSubmit(payload)
+        } catch (err) {
+            // Still refused: show what is left to fix
+            const next = err.response?.data?.errors
+            if (next) setErrors(next)
+            else toast.error(err.response?.data?.message || 'Failed to move')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">Before moving to “{stage}”</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    {blocking.length > 0 && (
+                        <ul style={{ color: 'var(--color-danger)', fontSize: '0.875rem', paddingLeft: '1.25rem' }}>
+                            {blocking.map((e) => <li key={e.message}>{e.message}</li>)}
+                        </ul>
+                    )}
+                    {fillable.map(({ field, message }) => {
+                        const input = FIELD_INPUTS[field]
+                        return (
+                            <div key={field} className="form-group">
+                                <label className="form-label">{input.label} *</label>
+                                <input className="form-input" type={input.type} required maxLength={input.maxLength}
+                                    min={input.type === 'number' ? 0 : undefined}
+                                    value={values[field] ?? ''}
+                                    onChange={(e) => setValues({ ...values, [field]: e.target.value })} />
+                                <span style={{ color: 'var(--color-text-muted)', fontSize: '0.75rem' }}>{message}</span>
+                            </div>
+                        )
+                    })}
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        {fillable.length > 0 && (
+                            <button type="submit" className="btn btn-primary" disabled={loading}>
+                                {loading ? <><span className="spinner spinner-sm" /> Saving...</> : `Move to ${stage}`}
+                            </button>
+                        )}
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,90 @@
+/**
+ * TagInput
+ * Chip editor for a lead's tags with autocomplete from the tag registry.
+ * Enter or comma adds the typed tag; a tag matching a registered one (in any
+ * case) takes its spelling. When `canCreate` is false only registered tags
+ * can be added.
+ */
+
+import React, { useId, useState } from 'react'
+import { stageBadgeStyle } from '../utils/helpers'
+
+const tagKey = (name) => name.trim().toLowerCase()
+
+// Registered tag for a name, if any
+export const findTag = (tags, name) => tags.find((t) => t.key === tagKey(name))
+
+/**
+ * One tag pill in its registry color; clickable and/or removable.
+ */
+export function TagChip({ name, tags = [], onClick, onRemove, title }) {
+    const color = findTag(tags, name)?.color
+    return (
+        <span className="badge" title={title}
+            style={{ ...stageBadgeStyle(color), cursor: onClick ? 'pointer' : undefined, gap: '0.25rem' }}
+            onClick={onClick}>
+            {name}
+            {onRemove && (
+                <button type="button" onClick={(e) => { e.stopPropagation(); onRemove() }}
+                    style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0, lineHeight: 1 }}>
+                    ✕
+                </button>
+            )}
+        </span>
+    )
+}
+
+export default function TagInput({ value = [], onChange, tags = [], canCreate = true }) {
+    const listId = useId()
+    const [text, setText] = useState('')
+    const [error, setError] = useState('')
+
+    const add = (raw) => {
+        const name = raw.trim()
+        setText('')
+        if (!name) return
+        const registered = findTag(tags, name)
+        if (!registered && !canCreate) {
+            setError(`"${name}" is not an existing tag. Ask an admin to add it.`)
+            return
+        }
+        setError('')
+        if (value.some((t) => tagKey(t) === tagKey(name))) return
+        onChange([...value, registered?.name || name])
+    }
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault()
+            add(text)
+        } else if (e.key === 'Backspace' && !text && value.length) {
+            onChange(value.slice(0, -1))
+        }
+    }
+
+    const suggestions = tags.filter((t) => !value.some((v) => tagKey(v) === t.key))
+
+    return (
+        <div>
+            <div className="form-input" style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem', alignItems: 'center', minHeight: 40 }}>
+                {value.map((name) => (
+                    <TagChip key={name} name={name} tags={tags} onRemove={() => onChange(value.filter((t) => t !== name))} />
+                ))}
+                <input list={listId} value={text} placeholder={value.length ? '' : 'Add tags…'}
+                    style={{ flex: 1, minWidth: 100, border: 'none', outline: 'none', background: 'transparent', color: 'inherit' }}
+                    onChange={(e) => {
+                        // Picking a suggestion replaces the text without a typed input type
+                        const picked = !e.nativeEvent.inputType || e.nativeEvent.inputType === 'insertReplacementText'
+                        if (picked && suggestions.some((t) => t.name === e.target.value)) add(e.target.value)
+                        else setText(e.target.value)
+                    }}
+                    onKeyDown={handleKeyDown}
+                    onBlur={() => text && add(text)} />
+                <datalist id={listId}>
+                    {suggestions.map((t) => <option key={t._id} value={t.name}>{t.leadCount} lead(s)</option>)}
+                </datalist>
+            </div>
+            {error && <span style={{ color: 'var(--color-danger)', fontSize: '0.75rem' }}>{error}</span>}
+        </div>
+    )
+}
@@ -0,0 +1,126 @@
+/**
+ * TaskModal
+ * Create or edit a task. A new task is logged against a lead (optionally one
+ * of its deals); pass `leadId` to fix the lead. Admins can assign it to
+ * anyone in `users`; sales users' tasks are their own.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { taskAPI, leadAPI, dealAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+export const TASK_PRIORITIES = ['low', 'medium', 'high']
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().split('T')[0] : '')
+
+export default function TaskModal({ task, leadId, users = [], isAdmin, onClose, onSaved }) {
+    const isEdit = !!task
+    const [form, setForm] = useState({
+        note: task?.note || '',
+        leadId: task?.leadId?._id || leadId || '',
+        dealId: task?.dealId?._id || '',
+        dueDate: toDateInput(task?.dueDate),
+        priority: task?.priority || 'medium',
+        assignedTo: task?.assignedTo?._id || '',
+    })
+    const [leads, setLeads] = useState([])
+    const [deals, setDeals] = useState([])
+    const [loading, setLoading] = useState(false)
+
+    useEffect(() => {
+        if (!isEdit && !leadId) leadAPI.getAll({ limit: 100 }).then(({ data }) => setLeads(data.leads)).catch(() => { })
+    }, [isEdit, leadId])
+
+    useEffect(() => {
+        if (isEdit || !form.leadId) return setDeals([])
+        dealAPI.getAll({ leadId: form.leadId, limit: 50 }).then(({ data }) => setDeals(data.deals)).catch(() => { })
+    }, [isEdit, form.leadId])
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { leadId: lead, dealId, ...changes } = form
+            if (isEdit) {
+                await taskAPI.update(task._id, changes)
+                toast.success('Task updated!')
+            } else {
+                await taskAPI.create({ ...changes, leadId: lead, dealId: dealId || undefined })
+                toast.success('Task created!')
+            }
+            onSaved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? 'Edit Task' : 'New Task'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label className="form-label">Task</label>
+                        <textarea className="form-textarea" rows={3} maxLength={1000} required placeholder="e.g. Send the revised proposal"
+                            value={form.note} onChange={(e) => setForm({ ...form, note: e.target.value })} />
+                    </div>
+                    {!isEdit && !leadId && (
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Lead</label>
+                                <select className="form-select" value={form.leadId} required
+                                    onChange={(e) => setForm({ ...form, leadId: e.target.value, dealId: '' })}>
+                                    <option value="">Select a lead</option>
+                                    {leads.map((l) => <option key={l._id} value={l._id}>{l.name}{l.company ? ` (${l.company})` : ''}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Deal (optional)</label>
+                                <select className="form-select" value={form.dealId} disabled={!deals.length}
+                                    onChange={(e) => setForm({ ...form, dealId: e.target.value })}>
+                                    <option value="">{deals.length ? 'No deal' : 'No deals for this lead'}</option>
+                                    {deals.map((d) => <option key={d._id} value={d._id}>{d.title}</option>)}
+                                </select>
+                            </div>
+                        </div>
+                    )}
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Due Date</label>
+                            <input className="form-input" type="date" value={form.dueDate}
+                                onChange={(e) => setForm({ ...form, dueDate: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Priority</label>
+                            <select className="form-select" value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })}>
+                                {TASK_PRIORITIES.map((p) => <option key={p} value={p}>{p.charAt(0).toUpperCase() + p.slice(1)}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    {isAdmin && (
+                        <div className="form-group">
+                            <label className="form-label">Assigned To</label>
+                            <select className="form-select" value={form.assignedTo} onChange={(e) => setForm({ ...form, assignedTo: e.target.value })}>
+                                <option value="">Me</option>
+                                {users.map((u) => <option key={u._id} value={u._id}>{u.name}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Task' : 'Create Task')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
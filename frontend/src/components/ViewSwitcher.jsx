@@ -0,0 +1,173 @@
+/**
+ * View Switcher
+ * Lists the user's saved views (plus shared ones) for a list page, applies the
+ * default view on load, and saves the current filters/columns as a view.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { savedViewAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import toast from 'react-hot-toast'
+
+// Empty filters are not stored with a view
+const cleanQuery = (query) => Object.fromEntries(
+    Object.entries(query).filter(([, v]) => v !== '' && v != null && !(typeof v === 'object' && !Object.keys(v).length))
+)
+const sortedJSON = (query) => JSON.stringify(Object.entries(cleanQuery(query)).sort(([a], [b]) => a.localeCompare(b)))
+const sameQuery = (a, b) => sortedJSON(a) === sortedJSON(b)
+
+export default function ViewSwitcher({ entity, query, columns, onApply }) {
+    const { isAdmin } = useAuth()
+    const [views, setViews] = useState([])
+    const [activeId, setActiveId] = useState('')
+    const [showSave, setShowSave] = useState(false)
+
+    const fetchViews = async () => {
+        const { data } = await savedViewAPI.getAll(entity)
+        setViews(data.views)
+        return data.views
+    }
+
+    useEffect(() => {
+        fetchViews()
+            .then((loaded) => {
+                const defaultView = loaded.find((v) => v.isDefault)
+                if (defaultView) applyView(defaultView)
+            })
+            .catch(() => { })
+    }, [entity])
+
+    const active = views.find((v) => v._id === activeId)
+    const canEdit = active && (active.isOwn || isAdmin)
+    const isDirty = active && (!sameQuery(query, active.query || {}) || JSON.stringify(columns) !== JSON.stringify(active.columns || []))
+
+    function applyView(view) {
+        setActiveId(view?._id || '')
+        onApply(view ? { query: view.query || {}, columns: view.columns || [] } : { query: {}, columns: [] })
+    }
+
+    const handleUpdate = async () => {
+        try {
+            await savedViewAPI.update(active._id, { query: cleanQuery(query), columns })
+            toast.success('View updated')
+            fetchViews()
+        } catch (err) { toast.error(err.response?.data?.message || 'Failed to update view') }
+    }
+
+    const handleToggleDefault = async () => {
+        try {
+            await savedViewAPI.setDefault(active._id, !active.isDefault)
+            toast.success(active.isDefault ? 'Default view cleared' : `"${active.name}" is now your default view`)
+            fetchViews()
+        } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+    }
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete the view "${active.name}"?`)) return
+        try {
+            await savedViewAPI.delete(active._id)
+            toast.success('View deleted')
+            setActiveId('')
+            fetchViews()
+        } catch (err) { toast.error(err.response?.data?.message || 'Failed to delete view') }
+    }
+
+    const ownViews = views.filter((v) => v.isOwn)
+    const sharedViews = views.filter((v) => !v.isOwn)
+
+    return (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1rem' }}>
+            <select className="form-select" style={{ width: 'auto', minWidth: 200 }} value={activeId}
+                onChange={(e) => applyView(views.find((v) => v._id === e.target.value))}>
+                <option value="">{entity === 'lead' ? 'All leads' : 'All deals'}</option>
+                {ownViews.length > 0 && (
+                    <optgroup label="My views">
+                        {ownViews.map((v) => <option key={v._id} value={v._id}>{v.isDefault ? '★ ' : ''}{v.name}{v.isShared ? ' (shared)' : ''}</option>)}
+                    </optgroup>
+                )}
+                {sharedViews.length > 0 && (
+                    <optgroup label="Shared views">
+                        {sharedViews.map((v) => <option key={v._id} value={v._id}>{v.isDefault ? '★ ' : ''}{v.name} — {v.owner?.name}</option>)}
+                    </optgroup>
+                )}
+            </select>
+
+            {active && isDirty && canEdit && (
+                <button className="btn btn-secondary btn-sm" onClick={handleUpdate}>Update view</button>
+            )}
+            {active && (
+                <button className="btn btn-secondary btn-sm" onClick={handleToggleDefault} title="Open this view by default">
+                    {active.isDefault ? '★ Default' : '☆ Make default'}
+                </button>
+            )}
+            {active && canEdit && (
+                <button className="btn btn-danger btn-sm" onClick={handleDelete}>Delete view</button>
+            )}
+            <button className="btn btn-secondary btn-sm" onClick={() => setShowSave(true)}>💾 Save as view</button>
+
+            {showSave && (
+                <SaveViewModal
+                    entity={entity}
+                    query={cleanQuery(query)}
+                    columns={columns}
+                    onClose={() => setShowSave(false)}
+                    onSaved={(view) => { setShowSave(false); fetchViews(); setActiveId(view._id) }}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Save View Modal ───────────────────────────────────────────────────────────
+function SaveViewModal({ entity, query, columns, onClose, onSaved }) {
+    const [form, setForm] = useState({ name: '', isShared: false, isDefault: false })
+    const [loading, setLoading] = useState(false)
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = await savedViewAPI.create({ ...form, entity, query, columns })
+            toast.success('View saved!')
+            onSaved(data.view)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Failed to save view')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">Save View</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label className="form-label">Name</label>
+                        <input className="form-input" placeholder="e.g. My high priority Proposal leads" value={form.name} required maxLength={60}
+                            onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                    </div>
+                    <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', cursor: 'pointer' }}>
+                        <input type="checkbox" checked={form.isDefault} onChange={(e) => setForm({ ...form, isDefault: e.target.checked })} />
+                        Open this view by default
+                    </label>
+                    <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', cursor: 'pointer' }}>
+                        <input type="checkbox" checked={form.isShared} onChange={(e) => setForm({ ...form, isShared: e.target.checked })} />
+                        Share with the team
+                    </label>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : 'Save View'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
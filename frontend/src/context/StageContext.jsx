@@ -0,0 +1,71 @@
+/**
+ * Stage Context
+ * Provides the admin-managed pipelines and their stages (order, color, icon,
+ * outcome) to every page once the user is signed in.
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react'
+import { pipelineAPI } from '../services/api'
+import { useAuth } from './AuthContext'
+
+const StageContext = createContext(null)
+
+// Used for records whose stage no longer exists
+const FALLBACK_STAGE = { color: '#64748b', icon: '', outcome: 'open', probability: 0 }
+
+export const StageProvider = ({ children }) => {
+    const { user } = useAuth()
+    const [pipelines, setPipelines] = useState([])
+
+    const refreshStages = useCallback(async () => {
+        try {
+            const { data } = await pipelineAPI.getAll()
+            setPipelines(data.pipelines)
+        } catch {
+            // Pages fall back to showing raw stage names
+        }
+    }, [])
+
+    useEffect(() => {
+        if (user) refreshStages()
+        else setPipelines([])
+    }, [user, refreshStages])
+
+    const value = useMemo(() => ({
+        pipelines,
+        defaultPipeline: pipelines.find((p) => p.isDefault) || pipelines[0] || null,
+        refreshStages,
+    }), [pipelines, refreshStages])
+
+    return <StageContext.Provider value={value}>{children}</StageContext.Provider>
+}
+
+/**
+ * Stages of one pipeline (the default pipeline when `pipelineId` is empty),
+ * plus the pipeline list itself.
+ */
+export const useStages = (pipelineId = null) => {
+    const ctx = useContext(StageContext)
+    if (!ctx) throw new Error('useStages must be used within StageProvider')
+    const { pipelines, defaultPipeline } = ctx
+
+    return useMemo(() => {
+        const pipeline = pipelines.find((p) => p._id === pipelineId) || defaultPipeline
+        const stages = pipeline?.stages || []
+        const byName = Object.fromEntries(stages.map((s) => [s.name, s]))
+        // Stage names are per pipeline; an unknown name may still be another pipeline's stage
+        const anyPipeline = (name) => pipelines.flatMap((p) => p.stages).find((s) => s.name === name)
+        const names = (outcome) => stages.filter((s) => s.outcome === outcome).map((s) => s.name)
+        return {
+            ...ctx,
+            pipeline,
+            stages,
+            stageNames: stages.map((s) => s.name),
+            openStages: names('open'),
+            wonStages: names('won'),
+            lostStages: names('lost'),
+            defaultStage: names('open')[0] || stages[0]?.name || '',
+            getStage: (name) => byName[name] || anyPipeline(name) || { ...FALLBACK_STAGE, name },
+        }
+    }, [ctx, pipelines, defaultPipeline, pipelineId])
+}
@@ -0,0 +1,277 @@
+/**
+ * Account Detail Page
+ * One customer company: its contacts, leads and deals (including child accounts),
+ * pipeline and revenue rollups, and the combined activity timeline.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { accountAPI, leadAPI, dealAPI, contactAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import toast from 'react-hot-toast'
+import { formatDate, formatCurrency } from '../utils/helpers'
+import AccountModal from '../components/AccountModal'
+import StageBadge from '../components/StageBadge'
+
+const LIST_LIMIT = 50
+const LINK = { background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', padding: 0, fontSize: 'inherit' }
+const TYPE_ICONS = { note: '📝', call: '📞', email: '✉️', meeting: '🤝', task: '✅', 'stage-change': '🔄', conversion: '🎉' }
+const ROW = {
+    padding: '0.75rem', background: 'var(--color-surface-2)', borderRadius: '8px',
+    marginBottom: '0.75rem', border: '1px solid var(--color-border)',
+}
+
+export default function AccountDetailPage() {
+    const { id } = useParams()
+    const navigate = useNavigate()
+    const { isAdmin } = useAuth()
+    const [data, setData] = useState(null)
+    const [leads, setLeads] = useState({ items: [], total: 0 })
+    const [deals, setDeals] = useState({ items: [], total: 0 })
+    const [contacts, setContacts] = useState({ items: [], total: 0 })
+    const [loading, setLoading] = useState(true)
+    const [showEdit, setShowEdit] = useState(false)
+
+    const fetchAccount = async () => {
+        try {
+            const [accountRes, leadsRes, dealsRes, contactsRes] = await Promise.all([
+                accountAPI.getById(id),
+                leadAPI.getAll({ accountId: id, limit: LIST_LIMIT, sortBy: 'createdAt', sortOrder: 'desc' }),
+                dealAPI.getAll({ accountId: id, limit: LIST_LIMIT, sortBy: 'closeDate', sortOrder: 'asc' }),
+                contactAPI.getAll({ accountId: id, limit: LIST_LIMIT }),
+            ])
+            setData(accountRes.data)
+            setLeads({ items: leadsRes.data.leads, total: leadsRes.data.total })
+            setDeals({ items: dealsRes.data.deals, total: dealsRes.data.total })
+            setContacts({ items: contactsRes.data.contacts, total: contactsRes.data.total })
+        } catch {
+            toast.error('Account not found')
+            navigate('/accounts')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { setLoading(true); fetchAccount() }, [id])
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete "${data.account.name}"? Its leads stay but are no longer linked to an account.`)) return
+        try {
+            await accountAPI.delete(id)
+            toast.success('Account deleted')
+            navigate('/accounts')
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Delete failed')
+        }
+    }
+
+    if (loading) return <div className="loading-center"><div className="spinner" /></div>
+    if (!data) return null
+
+    const { account, children, stats, activities } = data
+    const statItems = [
+        { label: 'Contacts', value: stats.contacts, icon: '🪪', color: '#14b8a6' },
+        { label: 'Open Leads', value: stats.leads, icon: '👥', color: '#3b82f6' },
+        { label: 'Open Deals', value: `${stats.openDeals} / ${stats.deals}`, icon: '🤝', color: '#f59e0b' },
+        { label: 'Open Pipeline', value: formatCurrency(stats.openPipelineValue), icon: '📈', color: '#8b5cf6' },
+        { label: 'Weighted Pipeline', value: formatCurrency(stats.weightedPipelineValue), icon: '⚖️', color: '#6366f1' },
+        { label: 'Won Revenue', value: formatCurrency(stats.wonRevenue), icon: '💰', color: '#22c55e' },
+    ]
+
+    return (
+        <div style={{ maxWidth: 1100 }}>
+            {/* Breadcrumbs */}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1.5rem', fontSize: '0.875rem', color: 'var(--color-text-muted)' }}>
+                <button style={LINK} onClick={() => navigate('/accounts')}>Accounts</button>
+                {account.parent && (
+                    <>
+                        <span>›</span>
+                        <button style={LINK} onClick={() => navigate(`/accounts/${account.parent._id}`)}>{account.parent.name}</button>
+                    </>
+                )}
+                <span>›</span>
+                <span>{account.name}</span>
+            </div>
+
+            {/* Account Header */}
+            <div className="card" style={{ marginBottom: '1.5rem' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', flexWrap: 'wrap', gap: '1rem' }}>
+                    <div>
+                        <h2 style={{ fontSize: '1.5rem', marginBottom: '0.5rem' }}>🏢 {account.name}</h2>
+                        <div style={{ display: 'flex', gap: '1.5rem', color: 'var(--color-text-muted)', fontSize: '0.875rem', flexWrap: 'wrap' }}>
+                            {account.domain && <span>🌐 {account.domain}</span>}
+                            {account.industry && <span>🏷️ {account.industry}</span>}
+                            {account.size && <span>👥 {account.size} employees</span>}
+                            {account.owner && <span>👤 {account.owner.name}</span>}
+                            <span>📅 Added {formatDate(account.createdAt)}</span>
+                        </div>
+                        {children.length > 0 && (
+                            <div style={{ marginTop: '0.75rem', fontSize: '0.875rem' }}>
+                                <span style={{ color: 'var(--color-text-muted)' }}>Child accounts: </span>
+                                {children.map((child, i) => (
+                                    <span key={child._id}>
+                                        {i > 0 && ', '}
+                                        <button style={LINK} onClick={() => navigate(`/accounts/${child._id}`)}>{child.name}</button>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                        {account.description && (
+                            <p style={{ marginTop: '0.75rem', color: 'var(--color-text-muted)', lineHeight: 1.6 }}>{account.description}</p>
+                        )}
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.75rem' }}>
+                        {data.canEdit && <button className="btn btn-secondary btn-sm" onClick={() => setShowEdit(true)}>Edit</button>}
+                        {isAdmin && <button className="btn btn-danger btn-sm" onClick={handleDelete}>Delete</button>}
+                    </div>
+                </div>
+            </div>
+
+            {/* Rollups */}
+            <div className="stats-grid">
+                {statItems.map((item) => (
+                    <div key={item.label} className="stat-card">
+                        <div className="stat-icon" style={{ background: item.color + '22' }}>
+                            <span>{item.icon}</span>
+                        </div>
+                        <div className="stat-value">{item.value}</div>
+                        <div className="stat-label">{item.label}</div>
+                    </div>
+                ))}
+            </div>
+            {stats.childAccounts > 0 && (
+                <p style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem', margin: '-0.75rem 0 1.5rem' }}>
+                    Totals include {stats.childAccounts} child account(s).
+                </p>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1.5rem', marginBottom: '1.5rem' }}>
+                {/* Leads */}
+                <div className="card">
+                    <h3 style={{ marginBottom: '1rem' }}>👥 People ({leads.total})</h3>
+                    {leads.items.length === 0 ? (
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No leads linked to this account</p>
+                    ) : (
+                        leads.items.map((lead) => (
+                            <div key={lead._id} style={ROW}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                                    <button style={{ ...LINK, fontWeight: 600 }} onClick={() => navigate(`/leads/${lead._id}`)}>{lead.name}</button>
+                                    <StageBadge stage={lead.status} pipeline={lead.pipeline} />
+                                </div>
+                                <div style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem', marginTop: '0.3rem' }}>
+                                    {lead.email}
+                                    {lead.account && String(lead.account._id) !== id && ` · ${lead.account.name}`}
+                                    {lead.assignedTo && ` · 👤 ${lead.assignedTo.name}`}
+                                </div>
+                            </div>
+                        ))
+                    )}
+                    {leads.total > leads.items.length && (
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>Showing the latest {leads.items.length}</p>
+                    )}
+                </div>
+
+                {/* Deals */}
+                <div className="card">
+                    <h3 style={{ marginBottom: '1rem' }}>💼 Deals ({deals.total})</h3>
+                    {deals.items.length === 0 ? (
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No deals at this account yet</p>
+                    ) : (
+                        deals.items.map((deal) => (
+                            <div key={deal._id} style={ROW}>
+                                <div style={{ fontWeight: 600, fontSize: '0.9rem' }}>{deal.title}</div>
+                                <div style={{ display: 'flex', gap: '1rem', marginTop: '0.3rem', flexWrap: 'wrap' }}>
+                                    <span style={{ color: 'var(--color-success)', fontWeight: 700 }}>{formatCurrency(deal.value)}</span>
+                                    <StageBadge stage={deal.stage} pipeline={deal.pipeline} />
+                                    <span style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>Close: {formatDate(deal.closeDate)}</span>
+                                    {deal.leadId && <span style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>{deal.leadId.name}</span>}
+                                </div>
+                            </div>
+                        ))
+                    )}
+                    {deals.total > deals.items.length && (
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>Showing the first {deals.items.length} by close date</p>
+                    )}
+                </div>
+            </div>
+
+            {/* Contacts */}
+            <div className="card" style={{ marginBottom: '1.5rem' }}>
+                <h3 style={{ marginBottom: '1rem' }}>🪪 Contacts ({contacts.total})</h3>
+                {contacts.items.length === 0 ? (
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No contacts yet — convert a qualified lead to add one</p>
+                ) : (
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Job Title</th>
+                                    <th>Email</th>
+                                    <th>Phone</th>
+                                    <th>Owner</th>
+                                    <th>Converted From</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {contacts.items.map((contact) => (
+                                    <tr key={contact._id}>
+                                        <td style={{ fontWeight: 600 }}>
+                                            {contact.name}
+                                            {String(contact.account?._id) !== id && <span style={{ color: 'var(--color-text-muted)', fontWeight: 400 }}> · {contact.account?.name}</span>}
+                                        </td>
+                                        <td>{contact.jobTitle || '—'}</td>
+                                        <td>{contact.email}</td>
+                                        <td>{contact.phone || '—'}</td>
+                                        <td>{contact.owner?.name || '—'}</td>
+                                        <td>
+                                            {contact.sourceLead
+                                                ? <button style={LINK} onClick={() => navigate(`/leads/${contact.sourceLead._id}`)}>{contact.sourceLead.name}</button>
+                                                : '—'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Combined Activity Timeline */}
+            <div className="card">
+                <h3 style={{ marginBottom: '1rem' }}>📅 Activity Timeline</h3>
+                {activities.length === 0 ? (
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No activities logged yet</p>
+                ) : (
+                    <div className="activity-feed" style={{ maxHeight: 500, overflowY: 'auto' }}>
+                        {activities.map((a) => (
+                            <div key={a._id} className="activity-item">
+                                <div className="activity-dot" style={{ background: a.type === 'stage-change' ? 'var(--color-warning)' : undefined }} />
+                                <div className="activity-content">
+                                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.25rem' }}>
+                                        <span>{TYPE_ICONS[a.type]}</span>
+                                        <span className="activity-note">{a.note}</span>
+                                    </div>
+                                    <div className="activity-meta">
+                                        {a.leadId && <button style={LINK} onClick={() => navigate(`/leads/${a.leadId._id}`)}>{a.leadId.name}</button>}
+                                        {a.dealId && <span>💼 {a.dealId.title}</span>}
+                                        <span>👤 {a.userId?.name || 'System'}</span>
+                                        <span>{formatDate(a.date)}</span>
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {showEdit && (
+                <AccountModal
+                    account={account}
+                    onClose={() => setShowEdit(false)}
+                    onSaved={() => { setShowEdit(false); fetchAccount() }}
+                />
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,150 @@
+/**
+ * Accounts Page
+ * Customer companies with their lead counts; admins can auto-link unlinked leads.
+ */
+
+import React, { useEffect, useState, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { accountAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import toast from 'react-hot-toast'
+import AccountModal, { ACCOUNT_SIZES } from '../components/AccountModal'
+
+const MUTED = { color: 'var(--color-text-muted)' }
+const LINK = { background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', fontWeight: 600, fontSize: '0.875rem', textAlign: 'left' }
+
+export default function AccountsPage() {
+    const { isAdmin } = useAuth()
+    const navigate = useNavigate()
+    const [accounts, setAccounts] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
+    const [filters, setFilters] = useState({ search: '', size: '' })
+    const [showModal, setShowModal] = useState(false)
+    const [linking, setLinking] = useState(false)
+
+    const fetchAccounts = useCallback(async (page = 1) => {
+        setLoading(true)
+        try {
+            const { data } = await accountAPI.getAll({ page, limit: 20, ...filters })
+            setAccounts(data.accounts)
+            setPagination({ page: data.page, pages: data.pages, total: data.total })
+        } catch {
+            toast.error('Failed to load accounts')
+        } finally {
+            setLoading(false)
+        }
+    }, [filters])
+
+    useEffect(() => { fetchAccounts(1) }, [fetchAccounts])
+
+    const handleAutoLink = async () => {
+        if (!window.confirm('Link every lead without an account to the account matching its email domain or company name?')) return
+        const createMissing = window.confirm('Also create accounts for companies that do not have one yet?')
+        setLinking(true)
+        try {
+            const { data } = await accountAPI.autoLink({ createMissing })
+            toast.success(data.message)
+            fetchAccounts(1)
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Auto-link failed')
+        } finally {
+            setLinking(false)
+        }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Accounts</h2>
+                    <p>{pagination.total} total accounts</p>
+                </div>
+                <div style={{ display: 'flex', gap: '0.75rem' }}>
+                    {isAdmin && (
+                        <button className="btn btn-secondary" disabled={linking} onClick={handleAutoLink}>
+                            {linking ? <><span className="spinner spinner-sm" /> Linking...</> : '🔗 Auto-link Leads'}
+                        </button>
+                    )}
+                    <button className="btn btn-primary" onClick={() => setShowModal(true)}>＋ New Account</button>
+                </div>
+            </div>
+
+            <div className="filters-bar">
+                <div className="search-input-wrapper">
+                    <span className="search-icon">🔍</span>
+                    <input className="form-input" placeholder="Search name or domain..." value={filters.search}
+                        onChange={(e) => setFilters({ ...filters, search: e.target.value })} />
+                </div>
+                <select className="form-select" style={{ width: 'auto' }} value={filters.size}
+                    onChange={(e) => setFilters({ ...filters, size: e.target.value })}>
+                    <option value="">All Sizes</option>
+                    {ACCOUNT_SIZES.map((s) => <option key={s} value={s}>{s} employees</option>)}
+                </select>
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : accounts.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">🏢</div>
+                    <h3>No accounts found</h3>
+                    <p>Create an account to group the leads and deals at one company</p>
+                    <button className="btn btn-primary" onClick={() => setShowModal(true)}>New Account</button>
+                </div>
+            ) : (
+                <>
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Domain</th>
+                                    <th>Industry</th>
+                                    <th>Size</th>
+                                    <th>Parent</th>
+                                    <th>Owner</th>
+                                    <th>Leads</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {accounts.map((account) => (
+                                    <tr key={account._id}>
+                                        <td><button style={LINK} onClick={() => navigate(`/accounts/${account._id}`)}>{account.name}</button></td>
+                                        <td style={MUTED}>{account.domain || '—'}</td>
+                                        <td style={MUTED}>{account.industry || '—'}</td>
+                                        <td style={MUTED}>{account.size || '—'}</td>
+                                        <td>
+                                            {account.parent
+                                                ? <button style={{ ...LINK, fontWeight: 400 }} onClick={() => navigate(`/accounts/${account.parent._id}`)}>{account.parent.name}</button>
+                                                : <span style={MUTED}>—</span>}
+                                        </td>
+                                        <td style={MUTED}>{account.owner?.name || '—'}</td>
+                                        <td>{account.leadCount}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {pagination.pages > 1 && (
+                        <div className="pagination">
+                            <button disabled={pagination.page === 1} onClick={() => fetchAccounts(pagination.page - 1)}>←</button>
+                            {Array.from({ length: pagination.pages }, (_, i) => i + 1).map((p) => (
+                                <button key={p} className={pagination.page === p ? 'active' : ''} onClick={() => fetchAccounts(p)}>{p}</button>
+                            ))}
+                            <button disabled={pagination.page === pagination.pages} onClick={() => fetchAccounts(pagination.page + 1)}>→</button>
+                        </div>
+                    )}
+                </>
+            )}
+
+            {showModal && (
+                <AccountModal
+                    onClose={() => setShowModal(false)}
+                    onSaved={(account) => { setShowModal(false); navigate(`/accounts/${account._id}`) }}
+                />
+            )}
+        </div>
+    )
+}
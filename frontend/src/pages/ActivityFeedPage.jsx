@@ -0,0 +1,154 @@
+/**
+ * Activity Feed Page
+ * Everything logged across the team (sales users: on their own leads), latest
+ * first, filtered by date range, type, outcome and (admins) user. Loads more
+ * as you scroll; each entry links back to its lead.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { activityAPI, adminAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { formatDate } from '../utils/helpers'
+import { EDITABLE_TYPES, TYPE_ICONS, OUTCOME_COLORS } from '../components/ActivityTimeline'
+import toast from 'react-hot-toast'
+
+const MUTED = { color: 'var(--color-text-muted)' }
+const LINK = { background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', fontWeight: 600, fontSize: 'inherit', padding: 0 }
+
+const RANGES = [
+    { value: 'today', label: 'Today', days: 0 },
+    { value: '7', label: 'Last 7 days', days: 7 },
+    { value: '30', label: 'Last 30 days', days: 30 },
+    { value: 'all', label: 'All time' },
+]
+
+// Start of the range in local time; "today" starts at midnight
+const rangeStart = (range) => {
+    const { days } = RANGES.find((r) => r.value === range)
+    if (days === undefined) return undefined
+    const from = new Date()
+    from.setHours(0, 0, 0, 0)
+    from.setDate(from.getDate() - days)
+    return from.toISOString()
+}
+
+export default function ActivityFeedPage() {
+    const { isAdmin } = useAuth()
+    const navigate = useNavigate()
+    const [activities, setActivities] = useState([])
+    const [nextCursor, setNextCursor] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [users, setUsers] = useState([])
+    const [filters, setFilters] = useState({ range: 'today', type: '', outcome: '', userId: '' })
+    const sentinel = useRef(null)
+
+    const fetchFeed = useCallback(async (cursor) => {
+        setLoading(true)
+        try {
+            const { range, ...rest } = filters
+            const params = Object.fromEntries(Object.entries(rest).filter(([, v]) => v))
+            const { data } = await activityAPI.getFeed({ ...params, from: rangeStart(range), cursor, limit: 25 })
+            setActivities((prev) => (cursor ? [...prev, ...data.activities] : data.activities))
+            setNextCursor(data.nextCursor)
+        } catch {
+            toast.error('Failed to load activity feed')
+        } finally {
+            setLoading(false)
+        }
+    }, [filters])
+
+    useEffect(() => { fetchFeed() }, [fetchFeed])
+
+    useEffect(() => {
+        if (isAdmin) adminAPI.getUsers({ limit: 50 }).then(({ data }) => setUsers(data.users)).catch(() => { })
+    }, [isAdmin])
+
+    // Infinite scroll: fetch the next page when the bottom of the list comes into view
+    useEffect(() => {
+        if (!nextCursor || loading || !sentinel.current) return undefined
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) fetchFeed(nextCursor)
+        }, { rootMargin: '200px' })
+        observer.observe(sentinel.current)
+        return () => observer.disconnect()
+    }, [nextCursor, loading, fetchFeed])
+
+    const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }))
+
+    return (
+        <div style={{ maxWidth: 900 }}>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Activity Feed</h2>
+                    <p>{isAdmin ? 'What the team has been doing' : 'Activity on your leads'}</p>
+                </div>
+            </div>
+
+            <div className="filters-bar">
+                <select className="form-select" style={{ width: 'auto' }} value={filters.range} onChange={(e) => setFilter('range', e.target.value)}>
+                    {RANGES.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+                </select>
+                <select className="form-select" style={{ width: 'auto' }} value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+                    <option value="">All types</option>
+                    {[...EDITABLE_TYPES, 'stage-change', 'conversion'].map((t) => <option key={t} value={t}>{TYPE_ICONS[t]} {t}</option>)}
+                </select>
+                <select className="form-select" style={{ width: 'auto' }} value={filters.outcome} onChange={(e) => setFilter('outcome', e.target.value)}>
+                    <option value="">Any outcome</option>
+                    <option value="positive">Positive</option>
+                    <option value="neutral">Neutral</option>
+                    <option value="negative">Negative</option>
+                </select>
+                {isAdmin && (
+                    <select className="form-select" style={{ width: 'auto' }} value={filters.userId} onChange={(e) => setFilter('userId', e.target.value)}>
+                        <option value="">Everyone</option>
+                        {users.map((u) => <option key={u._id} value={u._id}>{u.name}</option>)}
+                    </select>
+                )}
+            </div>
+
+            {!loading && activities.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">📰</div>
+                    <h3>No activity</h3>
+                    <p>Nothing was logged for these filters</p>
+                </div>
+            ) : (
+                <div className="card">
+                    <div className="activity-feed">
+                        {activities.map((a) => (
+                            <div key={a._id} className="activity-item">
+                                <div className="activity-dot" style={{ background: a.type === 'stage-change' ? 'var(--color-warning)' : undefined }} />
+                                <div className="activity-content">
+                                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.25rem' }}>
+                                        <span>{TYPE_ICONS[a.type]}</span>
+                                        <span className="activity-note" style={{ textDecoration: a.isCompleted ? 'line-through' : 'none' }}>{a.note}</span>
+                                    </div>
+                                    <div className="activity-meta" style={{ flexWrap: 'wrap' }}>
+                                        <span>👤 {a.userId?.name || 'System'}</span>
+                                        <span>{formatDate(a.date, true)}</span>
+                                        {a.leadId && (
+                                            <button style={LINK} onClick={() => navigate(`/leads/${a.leadId._id}`)}>
+                                                {a.leadId.name}{a.leadId.company ? ` · ${a.leadId.company}` : ''}
+                                            </button>
+                                        )}
+                                        {a.dealId && a.leadId && (
+                                            <button style={LINK} title="Open the deal's lead" onClick={() => navigate(`/leads/${a.leadId._id}`)}>💰 {a.dealId.title}</button>
+                                        )}
+                                        {a.outcome && <span style={{ color: OUTCOME_COLORS[a.outcome] }}>● {a.outcome}</span>}
+                                        {a.editedAt && <span style={MUTED}>(edited)</span>}
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <div ref={sentinel} />
+                    {loading && <div className="loading-center" style={{ padding: '1rem' }}><div className="spinner" /></div>}
+                    {!loading && !nextCursor && activities.length > 0 && (
+                        <p style={{ ...MUTED, textAlign: 'center', fontSize: '0.8rem', marginTop: '1rem' }}>You've reached the end</p>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -1,6 +1,8 @@
 /**
  * Admin Analytics Page
- * Charts: activity breakdown, lead sources, win rate, daily revenue.
+ * Charts: activity breakdown, lead sources, win rate, daily revenue, lead conversion,
+ * and time in stage with stage conversion and rep velocity for leads or deals.
+ * Lead and deal figures can be narrowed to one pipeline.
  */
 
 import React, { useEffect, useState } from 'react'
@@ -12,6 +14,7 @@ import {
 import { adminAPI } from '../services/api'
 import toast from 'react-hot-toast'
 import { formatCurrency } from '../utils/helpers'
+import PipelineSelect from '../components/PipelineSelect'
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, ArcElement, Title, Tooltip, Legend, Filler)
 
@@ -27,18 +30,19 @@ export default function AdminAnalyticsPage() {
     const [analytics, setAnalytics] = useState(null)
     const [loading, setLoading] = useState(true)
     const [period, setPeriod] = useState('30')
+    const [pipelineId, setPipelineId] = useState('')
 
     useEffect(() => {
-        adminAPI.getAnalytics(period)
+        adminAPI.getAnalytics(period, pipelineId || undefined)
             .then(({ data }) => setAnalytics(data))
             .catch(() => toast.error('Failed to load analytics'))
             .finally(() => setLoading(false))
-    }, [period])
+    }, [period, pipelineId])
 
     if (loading) return <div className="loading-center"><div className="spinner" /></div>
     if (!analytics) return null
 
-    const { activityByType, leadsBySource, winRate, revenueTrend } = analytics
+    const { activityByType, leadsBySource, winRate, revenueTrend, leadConversion } = analytics
 
     const activityChartData = {
         labels: activityByType.map((a) => a._id?.charAt(0).toUpperCase() + a._id?.slice(1)),
@@ -72,6 +76,16 @@ export default function AdminAnalyticsPage() {
         }],
     }
 
+    const conversionChartData = {
+        labels: leadConversion.trend.map((d) => d._id),
+        datasets: [{
+            label: 'Conversions',
+            data: leadConversion.trend.map((d) => d.count),
+            backgroundColor: '#14b8a6cc',
+            borderRadius: 6,
+        }],
+    }
+
     const commonScales = {
         x: { ticks: { color: '#94a3b8' }, grid: { color: 'rgba(45,49,84,0.5)' } },
         y: { ticks: { color: '#94a3b8' }, grid: { color: 'rgba(45,49,84,0.5)' } },
@@ -84,12 +98,16 @@ export default function AdminAnalyticsPage() {
                     <h2>Analytics</h2>
                     <p>Performance insights for the last {period} days</p>
                 </div>
-                <select className="form-select" style={{ width: 'auto' }} value={period} onChange={(e) => { setPeriod(e.target.value); setLoading(true) }}>
-                    <option value="7">Last 7 Days</option>
-                    <option value="30">Last 30 Days</option>
-                    <option value="90">Last 90 Days</option>
-                    <option value="365">Last Year</option>
-                </select>
+                <div style={{ display: 'flex', gap: '0.75rem' }}>
+                    <PipelineSelect value={pipelineId} allLabel="All Pipelines"
+                        onChange={(id) => { setPipelineId(id); setLoading(true) }} />
+                    <select className="form-select" style={{ width: 'auto' }} value={period} onChange={(e) => { setPeriod(e.target.value); setLoading(true) }}>
+                        <option value="7">Last 7 Days</option>
+                        <option value="30">Last 30 Days</option>
+                        <option value="90">Last 90 Days</option>
+                        <option value="365">Last Year</option>
+                    </select>
+                </div>
             </div>
 
             {/* Win Rate KPI */}
@@ -116,6 +134,25 @@ export default function AdminAnalyticsPage() {
                 </div>
             </div>
 
+            {/* Lead Conversion KPIs */}
+            <div className="stats-grid" style={{ marginBottom: '1.5rem' }}>
+                <div className="stat-card">
+                    <div className="stat-icon" style={{ background: 'rgba(20,184,166,0.15)' }}>🎉</div>
+                    <div className="stat-value">{leadConversion.rate}%</div>
+                    <div className="stat-label">Lead Conversion Rate ({leadConversion.converted} / {leadConversion.total})</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-icon" style={{ background: 'rgba(20,184,166,0.15)' }}>✅</div>
+                    <div className="stat-value">{leadConversion.convertedThisPeriod}</div>
+                    <div className="stat-label">Converted This Period</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-icon" style={{ background: 'rgba(139,92,246,0.15)' }}>⏱️</div>
+                    <div className="stat-value">{leadConversion.avgDaysToConvert ?? '—'}</div>
+                    <div className="stat-label">Avg. Days to Convert</div>
+                </div>
+            </div>
+
             <div className="charts-grid">
                 {/* Activity Breakdown */}
                 <div className="card">
@@ -173,6 +210,179 @@ export default function AdminAnalyticsPage() {
                     )}
                 </div>
             </div>
+
+            <div className="charts-grid" style={{ marginTop: '1.5rem' }}>
+                {/* Conversion Trend */}
+                <div className="card">
+                    <h3 style={{ marginBottom: '1.5rem' }}>🎉 Daily Lead Conversions</h3>
+                    <div style={{ height: 280 }}>
+                        {leadConversion.trend.length > 0 ? (
+                            <Bar data={conversionChartData} options={{
+                                responsive: true, maintainAspectRatio: false,
+                                plugins: { legend: { display: false }, tooltip: { ...tooltipStyles } },
+                                scales: commonScales,
+                            }} />
+                        ) : (
+                            <div className="empty-state" style={{ padding: '2rem' }}>
+                                <p style={{ color: 'var(--color-text-muted)' }}>No leads converted in this period</p>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                {/* Conversion by Source */}
+                <div className="card">
+                    <h3 style={{ marginBottom: '1.5rem' }}>🌐 Conversion by Source</h3>
+                    {leadConversion.bySource.length > 0 ? (
+                        <div className="table-wrapper">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Source</th>
+                                        <th>Leads</th>
+                                        <th>Converted</th>
+                                        <th>Rate</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {leadConversion.bySource.map((s) => (
+                                        <tr key={s.source}>
+                                            <td style={{ textTransform: 'capitalize' }}>{s.source}</td>
+                                            <td>{s.total}</td>
+                                            <td>{s.converted}</td>
+                                            <td style={{ fontWeight: 600 }}>{s.rate}%</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <div className="empty-state" style={{ padding: '2rem' }}>
+                            <p style={{ color: 'var(--color-text-muted)' }}>No lead source data</p>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <StageAnalytics period={period} pipelineId={pipelineId} commonScales={commonScales} />
         </div>
     )
 }
+
+// ── Stage Analytics ───────────────────────────────────────────────────────────
+function StageAnalytics({ period, pipelineId, commonScales }) {
+    const [entity, setEntity] = useState('lead')
+    const [data, setData] = useState(null)
+
+    useEffect(() => {
+        adminAPI.getStageAnalytics({ entity, period, pipeline: pipelineId || undefined })
+            .then(({ data }) => setData(data))
+            .catch(() => toast.error('Failed to load stage analytics'))
+    }, [entity, period, pipelineId])
+
+    const stages = data?.stages || []
+    const chartData = {
+        labels: stages.map((s) => s.stage),
+        datasets: [
+            { label: 'Average days', data: stages.map((s) => s.avgDays), backgroundColor: '#6366f1cc', borderRadius: 6 },
+            { label: 'Median days', data: stages.map((s) => s.medianDays), backgroundColor: '#14b8a6cc', borderRadius: 6 },
+        ],
+    }
+
+    return (
+        <>
+            <div className="card" style={{ marginTop: '1.5rem' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+                    <h3>⏳ Time in Stage</h3>
+                    <select className="form-select" style={{ width: 'auto' }} value={entity} onChange={(e) => setEntity(e.target.value)}>
+                        <option value="lead">Leads</option>
+                        <option value="deal">Deals</option>
+                    </select>
+                </div>
+                <div style={{ height: 300 }}>
+                    {stages.some((s) => s.exits > 0) ? (
+                        <Bar data={chartData} options={{
+                            responsive: true, maintainAspectRatio: false,
+                            plugins: { legend: { labels: { color: '#94a3b8' } }, tooltip: { ...tooltipStyles } },
+                            scales: commonScales,
+                        }} />
+                    ) : (
+                        <div className="empty-state" style={{ padding: '2rem' }}>
+                            <p style={{ color: 'var(--color-text-muted)' }}>No stage changes in this period</p>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <div className="charts-grid" style={{ marginTop: '1.5rem' }}>
+                {/* Stage Conversion */}
+                <div className="card">
+                    <h3 style={{ marginBottom: '1.5rem' }}>🔀 Stage Conversion</h3>
+                    {stages.length > 0 ? (
+                        <div className="table-wrapper">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Stage</th>
+                                        <th>{entity === 'deal' ? 'Deals' : 'Leads'}</th>
+                                        <th>Advanced</th>
+                                        <th>Rate</th>
+                                        <th>Median Days</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {stages.map((s) => (
+                                        <tr key={s.stage}>
+                                            <td>{s.stage}</td>
+                                            <td>{s.entered}</td>
+                                            <td>{s.advanced}</td>
+                                            <td style={{ fontWeight: 600 }}>{s.conversionRate}%</td>
+                                            <td>{s.exits ? s.medianDays : '—'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <div className="empty-state" style={{ padding: '2rem' }}>
+                            <p style={{ color: 'var(--color-text-muted)' }}>No stage changes in this period</p>
+                        </div>
+                    )}
+                </div>
+
+                {/* Rep Velocity */}
+                <div className="card">
+                    <h3 style={{ marginBottom: '1.5rem' }}>🏃 Rep Velocity</h3>
+                    {data?.reps.length > 0 ? (
+                        <div className="table-wrapper">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Rep</th>
+                                        <th>Stage Moves</th>
+                                        <th>Won</th>
+                                        <th>Avg. Days in Stage</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {data.reps.map((r) => (
+                                        <tr key={r.user._id}>
+                                            <td>{r.user.name}</td>
+                                            <td>{r.transitions}</td>
+                                            <td>{r.won}</td>
+                                            <td style={{ fontWeight: 600 }}>{r.avgDaysInStage}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ) : (
+                        <div className="empty-state" style={{ padding: '2rem' }}>
+                            <p style={{ color: 'var(--color-text-muted)' }}>No stage changes in this period</p>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </>
+    )
+}
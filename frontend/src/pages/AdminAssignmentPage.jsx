@@ -0,0 +1,335 @@
+/**
+ * Admin Assignment Page
+ * Manage automatic lead assignment rules and review how leads were distributed.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { adminAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+const SOURCES = ['website', 'referral', 'cold-call', 'email', 'social-media', 'other']
+const STRATEGY_LABELS = { 'round-robin': 'Round-robin', weighted: 'Weighted' }
+const PERIODS = [7, 30, 90]
+
+const describeConditions = ({ sources = [], tags = [], minValue, maxValue } = {}) => {
+    const parts = []
+    if (sources.length) parts.push(`source: ${sources.join(', ')}`)
+    if (tags.length) parts.push(`tags: ${tags.join(', ')}`)
+    if (minValue != null) parts.push(`value ≥ ${minValue}`)
+    if (maxValue != null) parts.push(`value ≤ ${maxValue}`)
+    return parts.length ? parts.join(' · ') : 'All leads'
+}
+
+export default function AdminAssignmentPage() {
+    const [rules, setRules] = useState([])
+    const [salesUsers, setSalesUsers] = useState([])
+    const [stats, setStats] = useState({ distribution: [], unassigned: 0 })
+    const [days, setDays] = useState(30)
+    const [loading, setLoading] = useState(true)
+    const [showModal, setShowModal] = useState(false)
+    const [editRule, setEditRule] = useState(null)
+
+    const fetchRules = async () => {
+        try {
+            const { data } = await adminAPI.getAssignmentRules()
+            setRules(data.rules)
+        } catch {
+            toast.error('Failed to load assignment rules')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchRules()
+        adminAPI.getUsers({ role: 'sales', limit: 100 })
+            .then(({ data }) => setSalesUsers(data.users.filter((u) => u.isActive)))
+            .catch(() => { })
+    }, [])
+
+    useEffect(() => {
+        adminAPI.getAssignmentStats(days).then(({ data }) => setStats(data)).catch(() => { })
+    }, [days, rules])
+
+    const handleToggleActive = async (rule) => {
+        try {
+            await adminAPI.updateAssignmentRule(rule._id, {
+                ...rule,
+                members: rule.members.filter((m) => m.user?.isActive).map((m) => ({ user: m.user._id, weight: m.weight })),
+                isActive: !rule.isActive,
+            })
+            toast.success(`Rule ${rule.isActive ? 'disabled' : 'enabled'}`)
+            fetchRules()
+        } catch (err) { toast.error(err.response?.data?.message || 'Operation failed') }
+    }
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}"?`)) return
+        try {
+            await adminAPI.deleteAssignmentRule(rule._id)
+            toast.success('Rule deleted')
+            fetchRules()
+        } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+    }
+
+    const statsFor = (ruleId) => stats.distribution.find((d) => d._id === ruleId)
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Lead Assignment</h2>
+                    <p>New leads without an owner go to the first matching rule · {stats.unassigned} leads currently unassigned</p>
+                </div>
+                <div style={{ display: 'flex', gap: '0.75rem' }}>
+                    <select className="form-select" style={{ width: 'auto' }} value={days} onChange={(e) => setDays(Number(e.target.value))}>
+                        {PERIODS.map((p) => <option key={p} value={p}>Last {p} days</option>)}
+                    </select>
+                    <button className="btn btn-primary" onClick={() => { setEditRule(null); setShowModal(true) }}>
+                        ＋ Add Rule
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : rules.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">🔀</div>
+                    <h3>No assignment rules yet</h3>
+                    <p>Leads created without an assignee stay unassigned until a rule matches</p>
+                    <button className="btn btn-primary" onClick={() => setShowModal(true)}>Add Rule</button>
+                </div>
+            ) : (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                    {rules.map((rule) => {
+                        const ruleStats = statsFor(rule._id)
+                        return (
+                            <div key={rule._id} className="card" style={{ opacity: rule.isActive ? 1 : 0.6 }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem', flexWrap: 'wrap' }}>
+                                    <div>
+                                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.4rem' }}>
+                                            <span style={{ color: 'var(--color-text-faint)', fontSize: '0.8rem' }}>#{rule.order}</span>
+                                            <h3>{rule.name}</h3>
+                                            <span className="badge badge-contacted">{STRATEGY_LABELS[rule.strategy]}</span>
+                                            {!rule.isActive && <span className="badge badge-lost">Disabled</span>}
+                                        </div>
+                                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.85rem' }}>{describeConditions(rule.conditions)}</p>
+                                    </div>
+                                    <div style={{ display: 'flex', gap: '0.4rem' }}>
+                                        <button className="btn btn-secondary btn-sm" onClick={() => { setEditRule(rule); setShowModal(true) }}>Edit</button>
+                                        <button className="btn btn-secondary btn-sm" onClick={() => handleToggleActive(rule)}>
+                                            {rule.isActive ? 'Disable' : 'Enable'}
+                                        </button>
+                                        <button className="btn btn-danger btn-sm" onClick={() => handleDelete(rule)}>Delete</button>
+                                    </div>
+                                </div>
+
+                                <div className="table-wrapper" style={{ marginTop: '1rem' }}>
+                                    <table>
+                                        <thead>
+                                            <tr>
+                                                <th>Member</th>
+                                                {rule.strategy === 'weighted' && <th>Weight</th>}
+                                                <th>Assigned (last {days} days)</th>
+                                                <th>Share</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {rule.members.map((m) => {
+                                                const count = ruleStats?.users.find((u) => u._id === m.user?._id)?.count || 0
+                                                const share = ruleStats?.total ? Math.round((count / ruleStats.total) * 100) : 0
+                                                return (
+                                                    <tr key={m.user?._id}>
+                                                        <td>
+                                                            <span style={{ fontWeight: 600 }}>{m.user?.name || 'Deleted user'}</span>
+                                                            {m.user && !m.user.isActive && <span className="badge badge-lost" style={{ marginLeft: '0.5rem' }}>inactive · skipped</span>}
+                                                        </td>
+                                                        {rule.strategy === 'weighted' && <td>{m.weight}</td>}
+                                                        <td>{count}</td>
+                                                        <td style={{ minWidth: 160 }}>
+                                                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                                                <div style={{ flex: 1, height: 6, borderRadius: 3, background: 'var(--color-border)' }}>
+                                                                    <div style={{ width: `${share}%`, height: '100%', borderRadius: 3, background: 'var(--color-primary)' }} />
+                                                                </div>
+                                                                <span style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>{share}%</span>
+                                                            </div>
+                                                        </td>
+                                                    </tr>
+                                                )
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+
+            {showModal && (
+                <RuleModal
+                    rule={editRule}
+                    salesUsers={salesUsers}
+                    nextOrder={rules.length ? Math.max(...rules.map((r) => r.order)) + 1 : 0}
+                    onClose={() => setShowModal(false)}
+                    onSaved={() => { setShowModal(false); fetchRules() }}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Rule Modal ────────────────────────────────────────────────────────────────
+function RuleModal({ rule, salesUsers, nextOrder, onClose, onSaved }) {
+    const isEdit = !!rule
+    const [form, setForm] = useState({
+        name: rule?.name || '',
+        order: rule?.order ?? nextOrder,
+        strategy: rule?.strategy || 'round-robin',
+        sources: rule?.conditions?.sources || [],
+        tags: (rule?.conditions?.tags || []).join(', '),
+        minValue: rule?.conditions?.minValue ?? '',
+        maxValue: rule?.conditions?.maxValue ?? '',
+        isActive: rule?.isActive !== false,
+    })
+    // userId → weight for the selected members (inactive members are dropped on save)
+    const [members, setMembers] = useState(
+        Object.fromEntries((rule?.members || []).filter((m) => m.user?.isActive).map((m) => [m.user._id, m.weight]))
+    )
+    const [loading, setLoading] = useState(false)
+
+    const toggleSource = (source) => setForm({
+        ...form,
+        sources: form.sources.includes(source) ? form.sources.filter((s) => s !== source) : [...form.sources, source],
+    })
+
+    const toggleMember = (userId) => {
+        const next = { ...members }
+        if (userId in next) delete next[userId]
+        else next[userId] = 1
+        setMembers(next)
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        if (Object.keys(members).length === 0) { toast.error('Pick at least one sales user'); return }
+        setLoading(true)
+        try {
+            const payload = {
+                name: form.name,
+                order: Number(form.order) || 0,
+                strategy: form.strategy,
+                isActive: form.isActive,
+                conditions: {
+                    sources: form.sources,
+                    tags: form.tags.split(',').map((t) => t.trim()).filter(Boolean),
+                    minValue: form.minValue === '' ? null : Number(form.minValue),
+                    maxValue: form.maxValue === '' ? null : Number(form.maxValue),
+                },
+                members: Object.entries(members).map(([user, weight]) => ({ user, weight: Number(weight) || 1 })),
+            }
+            if (isEdit) {
+                await adminAPI.updateAssignmentRule(rule._id, payload)
+                toast.success('Rule updated!')
+            } else {
+                await adminAPI.createAssignmentRule(payload)
+                toast.success('Rule created!')
+            }
+            onSaved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal" style={{ maxWidth: 640 }}>
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? 'Edit Assignment Rule' : 'Add Assignment Rule'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Rule Name</label>
+                            <input className="form-input" placeholder="e.g. Enterprise referrals" value={form.name}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Order (lower runs first)</label>
+                            <input className="form-input" type="number" value={form.order}
+                                onChange={(e) => setForm({ ...form, order: e.target.value })} />
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Only leads from source (none = any)</label>
+                        <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+                            {SOURCES.map((s) => (
+                                <label key={s} style={{ display: 'flex', gap: '0.35rem', alignItems: 'center', fontSize: '0.85rem', cursor: 'pointer' }}>
+                                    <input type="checkbox" checked={form.sources.includes(s)} onChange={() => toggleSource(s)} />
+                                    {s}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">With any of these tags (comma separated)</label>
+                        <input className="form-input" value={form.tags} onChange={(e) => setForm({ ...form, tags: e.target.value })} />
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Min Expected Value</label>
+                            <input className="form-input" type="number" min="0" value={form.minValue}
+                                onChange={(e) => setForm({ ...form, minValue: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Max Expected Value</label>
+                            <input className="form-input" type="number" min="0" value={form.maxValue}
+                                onChange={(e) => setForm({ ...form, maxValue: e.target.value })} />
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Distribution</label>
+                        <select className="form-select" value={form.strategy} onChange={(e) => setForm({ ...form, strategy: e.target.value })}>
+                            <option value="round-robin">Round-robin (take turns)</option>
+                            <option value="weighted">Weighted (by share)</option>
+                        </select>
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Sales Users</label>
+                        {salesUsers.length === 0 ? (
+                            <p style={{ color: 'var(--color-text-muted)', fontSize: '0.85rem' }}>No active sales users</p>
+                        ) : salesUsers.map((u) => (
+                            <div key={u._id} style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.4rem' }}>
+                                <label style={{ flex: 1, display: 'flex', gap: '0.5rem', alignItems: 'center', cursor: 'pointer' }}>
+                                    <input type="checkbox" checked={u._id in members} onChange={() => toggleMember(u._id)} />
+                                    {u.name} <span style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>{u.email}</span>
+                                </label>
+                                {form.strategy === 'weighted' && u._id in members && (
+                                    <input className="form-input" type="number" min="1" max="100" style={{ width: 90 }}
+                                        value={members[u._id]} title="Weight"
+                                        onChange={(e) => setMembers({ ...members, [u._id]: e.target.value })} />
+                                )}
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Rule' : 'Create Rule')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
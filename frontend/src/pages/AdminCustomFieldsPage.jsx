@@ -0,0 +1,238 @@
+/**
+ * Admin Custom Fields Page
+ * Declare extra fields for leads and deals.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { customFieldAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+const ENTITIES = [
+    { value: 'lead', label: 'Lead Fields' },
+    { value: 'deal', label: 'Deal Fields' },
+]
+const TYPE_LABELS = {
+    text: 'Text', number: 'Number', date: 'Date', select: 'Select', 'multi-select': 'Multi-select', boolean: 'Yes / No',
+}
+
+// "Employee Count" → "employee_count"
+const toKey = (label) => label.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').replace(/^(\d)/, 'f_$1').slice(0, 40)
+
+export default function AdminCustomFieldsPage() {
+    const [entity, setEntity] = useState('lead')
+    const [fields, setFields] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [showModal, setShowModal] = useState(false)
+    const [editField, setEditField] = useState(null)
+
+    const fetchFields = async () => {
+        setLoading(true)
+        try {
+            const { data } = await customFieldAPI.getAll({ entity, includeInactive: true })
+            setFields(data.fields)
+        } catch {
+            toast.error('Failed to load custom fields')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { fetchFields() }, [entity])
+
+    const handleToggleActive = async (field) => {
+        try {
+            await customFieldAPI.update(field._id, { isActive: !field.isActive })
+            toast.success(`Field ${field.isActive ? 'hidden' : 'shown'}`)
+            fetchFields()
+        } catch { toast.error('Operation failed') }
+    }
+
+    const handleDelete = async (field) => {
+        if (!window.confirm(`Delete "${field.label}"? Its values will be removed from every ${field.entity}.`)) return
+        try {
+            const { data } = await customFieldAPI.delete(field._id)
+            toast.success(data.message)
+            fetchFields()
+        } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Custom Fields</h2>
+                    <p>Extra fields shown on lead and deal forms, filters and detail views</p>
+                </div>
+                <div style={{ display: 'flex', gap: '0.75rem' }}>
+                    <select className="form-select" style={{ width: 'auto' }} value={entity} onChange={(e) => setEntity(e.target.value)}>
+                        {ENTITIES.map((e) => <option key={e.value} value={e.value}>{e.label}</option>)}
+                    </select>
+                    <button className="btn btn-primary" onClick={() => { setEditField(null); setShowModal(true) }}>
+                        ＋ Add Field
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : fields.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">🧩</div>
+                    <h3>No custom {entity} fields</h3>
+                    <p>Add fields like industry, employee count or renewal date</p>
+                    <button className="btn btn-primary" onClick={() => setShowModal(true)}>Add Field</button>
+                </div>
+            ) : (
+                <div className="table-wrapper">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Order</th>
+                                <th>Label</th>
+                                <th>Key</th>
+                                <th>Type</th>
+                                <th>Required</th>
+                                <th>Options</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fields.map((field) => (
+                                <tr key={field._id} style={{ opacity: field.isActive ? 1 : 0.6 }}>
+                                    <td style={{ color: 'var(--color-text-muted)' }}>{field.order}</td>
+                                    <td style={{ fontWeight: 600 }}>{field.label}</td>
+                                    <td><code>{field.key}</code></td>
+                                    <td>{TYPE_LABELS[field.type]}</td>
+                                    <td>{field.required ? '✅' : '—'}</td>
+                                    <td style={{ color: 'var(--color-text-muted)' }}>{field.options?.join(', ') || '—'}</td>
+                                    <td>
+                                        <span style={{
+                                            padding: '0.2rem 0.6rem', borderRadius: '99px', fontSize: '0.75rem', fontWeight: 600,
+                                            background: field.isActive ? 'rgba(34,197,94,0.15)' : 'rgba(239,68,68,0.15)',
+                                            color: field.isActive ? 'var(--color-success)' : 'var(--color-danger)',
+                                        }}>{field.isActive ? 'Active' : 'Hidden'}</span>
+                                    </td>
+                                    <td>
+                                        <div style={{ display: 'flex', gap: '0.4rem' }}>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => { setEditField(field); setShowModal(true) }}>Edit</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleToggleActive(field)}>
+                                                {field.isActive ? 'Hide' : 'Show'}
+                                            </button>
+                                            <button className="btn btn-danger btn-sm" onClick={() => handleDelete(field)}>Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {showModal && (
+                <FieldModal
+                    field={editField}
+                    entity={entity}
+                    nextOrder={fields.length ? Math.max(...fields.map((f) => f.order)) + 1 : 0}
+                    onClose={() => setShowModal(false)}
+                    onSaved={() => { setShowModal(false); fetchFields() }}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Field Modal ───────────────────────────────────────────────────────────────
+function FieldModal({ field, entity, nextOrder, onClose, onSaved }) {
+    const isEdit = !!field
+    const [form, setForm] = useState({
+        label: field?.label || '',
+        key: field?.key || '',
+        type: field?.type || 'text',
+        required: field?.required || false,
+        options: (field?.options || []).join(', '),
+        order: field?.order ?? nextOrder,
+    })
+    const [keyTouched, setKeyTouched] = useState(isEdit)
+    const [loading, setLoading] = useState(false)
+
+    const hasOptions = ['select', 'multi-select'].includes(form.type)
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const options = hasOptions ? form.options.split(',').map((o) => o.trim()).filter(Boolean) : []
+            if (isEdit) {
+                await customFieldAPI.update(field._id, { label: form.label, required: form.required, order: Number(form.order) || 0, options })
+                toast.success('Field updated!')
+            } else {
+                await customFieldAPI.create({ entity, ...form, order: Number(form.order) || 0, options })
+                toast.success('Field created!')
+            }
+            onSaved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? 'Edit Custom Field' : `Add ${entity === 'lead' ? 'Lead' : 'Deal'} Field`}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Label</label>
+                            <input className="form-input" placeholder="e.g. Employee Count" value={form.label} required
+                                onChange={(e) => setForm({ ...form, label: e.target.value, key: keyTouched ? form.key : toKey(e.target.value) })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Key</label>
+                            <input className="form-input" value={form.key} required disabled={isEdit}
+                                onChange={(e) => { setKeyTouched(true); setForm({ ...form, key: e.target.value }) }} />
+                        </div>
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Type</label>
+                            <select className="form-select" value={form.type} disabled={isEdit}
+                                onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                                {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Order</label>
+                            <input className="form-input" type="number" value={form.order}
+                                onChange={(e) => setForm({ ...form, order: e.target.value })} />
+                        </div>
+                    </div>
+                    {hasOptions && (
+                        <div className="form-group">
+                            <label className="form-label">Options (comma separated)</label>
+                            <input className="form-input" placeholder="e.g. SaaS, Retail, Healthcare" value={form.options} required
+                                onChange={(e) => setForm({ ...form, options: e.target.value })} />
+                        </div>
+                    )}
+                    <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', cursor: 'pointer' }}>
+                        <input type="checkbox" checked={form.required} onChange={(e) => setForm({ ...form, required: e.target.checked })} />
+                        Required on create and cannot be cleared
+                    </label>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Field' : 'Create Field')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
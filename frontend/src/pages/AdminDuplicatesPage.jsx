@@ -0,0 +1,223 @@
+/**
+ * Admin Duplicates Page
+ * Lists clusters of likely duplicate leads and merges them field-by-field.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { adminAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { formatCurrency, formatDate } from '../utils/helpers'
+import StageBadge from '../components/StageBadge'
+
+const REASON_LABELS = { email: 'Same email', phone: 'Same phone', 'name+company': 'Same name & company' }
+
+export default function AdminDuplicatesPage() {
+    const navigate = useNavigate()
+    const [groups, setGroups] = useState([])
+    const [mergeFields, setMergeFields] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [mergeGroup, setMergeGroup] = useState(null)
+
+    const fetchDuplicates = async () => {
+        setLoading(true)
+        try {
+            const { data } = await adminAPI.getDuplicates()
+            setGroups(data.groups)
+            setMergeFields(data.mergeFields)
+        } catch {
+            toast.error('Failed to load duplicates')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { fetchDuplicates() }, [])
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Duplicate Leads</h2>
+                    <p>{groups.length} groups of likely duplicates (matched on email, phone or name + company)</p>
+                </div>
+                <button className="btn btn-secondary" onClick={fetchDuplicates}>↻ Rescan</button>
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : groups.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">🧬</div>
+                    <h3>No duplicates found</h3>
+                    <p>Every active lead looks unique</p>
+                </div>
+            ) : (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                    {groups.map((group) => (
+                        <div key={group.leads[0]._id} className="card">
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                    {group.reasons.map((r) => (
+                                        <span key={r} className="badge badge-proposal">{REASON_LABELS[r] || r}</span>
+                                    ))}
+                                </div>
+                                <button className="btn btn-primary btn-sm" onClick={() => setMergeGroup(group)}>Merge…</button>
+                            </div>
+                            <div className="table-wrapper">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Name</th>
+                                            <th>Email</th>
+                                            <th>Phone</th>
+                                            <th>Company</th>
+                                            <th>Stage</th>
+                                            <th>Value</th>
+                                            <th>Assigned To</th>
+                                            <th>Created</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {group.leads.map((lead) => (
+                                            <tr key={lead._id}>
+                                                <td>
+                                                    <button
+                                                        style={{ background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', fontWeight: 600, fontSize: '0.875rem', textAlign: 'left' }}
+                                                        onClick={() => navigate(`/leads/${lead._id}`)}>
+                                                        {lead.name}
+                                                    </button>
+                                                </td>
+                                                <td style={{ color: 'var(--color-text-muted)' }}>{lead.email}</td>
+                                                <td style={{ color: 'var(--color-text-muted)' }}>{lead.phone || '—'}</td>
+                                                <td style={{ color: 'var(--color-text-muted)' }}>{lead.company || '—'}</td>
+                                                <td><StageBadge stage={lead.status} pipeline={lead.pipeline} /></td>
+                                                <td>{formatCurrency(lead.expectedValue)}</td>
+                                                <td style={{ color: 'var(--color-text-muted)' }}>{lead.assignedTo?.name || '—'}</td>
+                                                <td style={{ color: 'var(--color-text-muted)' }}>{formatDate(lead.createdAt)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {mergeGroup && (
+                <MergeModal
+                    group={mergeGroup}
+                    mergeFields={mergeFields}
+                    onClose={() => setMergeGroup(null)}
+                    onMerged={() => { setMergeGroup(null); fetchDuplicates() }}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Merge Modal ───────────────────────────────────────────────────────────────
+function MergeModal({ group, mergeFields, onClose, onMerged }) {
+    const [survivorId, setSurvivorId] = useState(group.leads[0]._id)
+    const [loserId, setLoserId] = useState(group.leads[1]._id)
+    const [fields, setFields] = useState({})
+    const [loading, setLoading] = useState(false)
+
+    const survivor = group.leads.find((l) => l._id === survivorId)
+    const loser = group.leads.find((l) => l._id === loserId)
+
+    const display = (lead, field) => {
+        const value = lead?.[field]
+        if (value == null || value === '') return '—'
+        if (field === 'assignedTo') return value.name || '—'
+        if (field === 'followUpDate') return formatDate(value)
+        if (field === 'expectedValue') return formatCurrency(value)
+        return String(value)
+    }
+
+    const handleMerge = async () => {
+        if (survivorId === loserId) { toast.error('Pick two different leads'); return }
+        if (!window.confirm(`Merge "${loser.name}" into "${survivor.name}"? The duplicate will be archived.`)) return
+        setLoading(true)
+        try {
+            await adminAPI.mergeDuplicates({ survivorId, loserId, fields })
+            toast.success('Leads merged!')
+            onMerged()
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Merge failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal" style={{ maxWidth: 720 }}>
+                <div className="modal-header">
+                    <h2 className="modal-title">Merge Duplicate Leads</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <div className="modal-form">
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Keep (surviving lead)</label>
+                            <select className="form-select" value={survivorId} onChange={(e) => { setSurvivorId(e.target.value); setFields({}) }}>
+                                {group.leads.map((l) => <option key={l._id} value={l._id}>{l.name} — {l.email}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Merge & archive</label>
+                            <select className="form-select" value={loserId} onChange={(e) => { setLoserId(e.target.value); setFields({}) }}>
+                                {group.leads.map((l) => <option key={l._id} value={l._id}>{l.name} — {l.email}</option>)}
+                            </select>
+                        </div>
+                    </div>
+
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>
+                        Choose which value to keep for each field. Tags are combined; activities and deals move to the surviving lead.
+                    </p>
+
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Field</th>
+                                    <th>Surviving lead</th>
+                                    <th>Duplicate</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {mergeFields.filter((f) => f in survivor || f in loser).map((field) => (
+                                    <tr key={field}>
+                                        <td style={{ fontWeight: 600 }}>{field}</td>
+                                        {['survivor', 'loser'].map((side) => (
+                                            <td key={side}>
+                                                <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', cursor: 'pointer' }}>
+                                                    <input
+                                                        type="radio"
+                                                        name={field}
+                                                        checked={(fields[field] || 'survivor') === side}
+                                                        onChange={() => setFields({ ...fields, [field]: side })}
+                                                    />
+                                                    {display(side === 'survivor' ? survivor : loser, field)}
+                                                </label>
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="button" className="btn btn-primary" onClick={handleMerge} disabled={loading || survivorId === loserId}>
+                            {loading ? <><span className="spinner spinner-sm" /> Merging...</> : 'Merge Leads'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,239 @@
+/**
+ * Admin Recycle Bin Page
+ * Archived leads, deleted deals, deactivated users and deleted activities:
+ * restore, purge, retention, and how long authors may edit their activities.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { adminAPI, activityAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { formatCurrency, formatDate, truncate } from '../utils/helpers'
+
+const TYPES = [
+    { value: 'lead', label: 'Archived Leads' },
+    { value: 'deal', label: 'Deleted Deals' },
+    { value: 'user', label: 'Deactivated Users' },
+    { value: 'activity', label: 'Deleted Activities' },
+]
+
+// Name and detail columns per item type
+const describe = (type, item) => {
+    if (type === 'lead') return { name: item.name, detail: [item.company, item.email].filter(Boolean).join(' · ') }
+    if (type === 'deal') {
+        const lead = item.leadId ? `${item.leadId.name}${item.leadId.isArchived ? ' (archived)' : ''}` : '—'
+        return { name: item.title, detail: `${formatCurrency(item.value)} · ${item.stage} · ${lead}` }
+    }
+    if (type === 'activity') {
+        const lead = item.leadId ? `${item.leadId.name}${item.leadId.isArchived ? ' (archived)' : ''}` : '—'
+        return { name: truncate(item.note, 60), detail: `${item.type} · ${formatDate(item.date)} · ${lead} · by ${item.userId?.name || '—'}` }
+    }
+    return { name: item.name, detail: `${item.email} · ${item.role}` }
+}
+
+export default function AdminRecycleBinPage() {
+    const [type, setType] = useState('lead')
+    const [items, setItems] = useState([])
+    const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
+    const [loading, setLoading] = useState(true)
+    const [busy, setBusy] = useState(null)
+    const [retentionDays, setRetentionDays] = useState('')
+    const [savingRetention, setSavingRetention] = useState(false)
+    const [editWindow, setEditWindow] = useState('')
+    const [savingEditWindow, setSavingEditWindow] = useState(false)
+
+    const fetchItems = async (page = 1) => {
+        setLoading(true)
+        try {
+            const { data } = await adminAPI.getRecycleBin({ type, page })
+            setItems(data.items)
+            setPagination({ page: data.page, pages: data.pages, total: data.total })
+        } catch {
+            toast.error('Failed to load recycle bin')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { fetchItems(1) }, [type])
+
+    useEffect(() => {
+        adminAPI.getRecycleBinSettings().then(({ data }) => setRetentionDays(data.retentionDays)).catch(() => { })
+        activityAPI.getSettings().then(({ data }) => setEditWindow(data.editWindowMinutes)).catch(() => { })
+    }, [])
+
+    const handleRestore = async (item) => {
+        setBusy(item._id)
+        try {
+            const { data } = await adminAPI.restoreBinItem(type, item._id)
+            toast.success(data.message)
+            fetchItems(pagination.page)
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Restore failed')
+        } finally {
+            setBusy(null)
+        }
+    }
+
+    const handlePurge = async (item) => {
+        const { name } = describe(type, item)
+        const dependents = { lead: ' with its deals and activities', deal: ' with its activities', user: ' with their saved views (their activities stay on the leads)' }[type] || ''
+        if (!window.confirm(`Permanently delete "${name}"${dependents}? This cannot be undone.`)) return
+        setBusy(item._id)
+        try {
+            await adminAPI.purgeBinItem(type, item._id)
+            toast.success('Permanently deleted')
+            fetchItems(pagination.page)
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Delete failed')
+        } finally {
+            setBusy(null)
+        }
+    }
+
+    const handleSaveRetention = async (e) => {
+        e.preventDefault()
+        setSavingRetention(true)
+        try {
+            const { data } = await adminAPI.updateRecycleBinSettings({ retentionDays: Number(retentionDays) })
+            toast.success(data.message)
+            fetchItems(pagination.page)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Failed to save')
+        } finally {
+            setSavingRetention(false)
+        }
+    }
+
+    const handleSaveEditWindow = async (e) => {
+        e.preventDefault()
+        setSavingEditWindow(true)
+        try {
+            const { data } = await activityAPI.updateSettings({ editWindowMinutes: Number(editWindow) })
+            toast.success(data.message)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Failed to save')
+        } finally {
+            setSavingEditWindow(false)
+        }
+    }
+
+    const handlePurgeExpired = async () => {
+        if (!window.confirm(`Permanently delete everything in the bin older than ${retentionDays} days?`)) return
+        try {
+            const { data } = await adminAPI.purgeExpiredBinItems()
+            toast.success(data.message)
+            fetchItems(1)
+        } catch (err) { toast.error(err.response?.data?.message || 'Purge failed') }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Recycle Bin</h2>
+                    <p>{pagination.total} {TYPES.find((t) => t.value === type).label.toLowerCase()}</p>
+                </div>
+                <select className="form-select" style={{ width: 'auto' }} value={type} onChange={(e) => setType(e.target.value)}>
+                    {TYPES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+                </select>
+            </div>
+
+            {/* Retention */}
+            <form className="card" onSubmit={handleSaveRetention}
+                style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1.5rem', padding: '1rem 1.25rem' }}>
+                <span style={{ fontWeight: 600 }}>Auto-purge after</span>
+                <input className="form-input" type="number" min="0" max="3650" style={{ width: 100 }} value={retentionDays}
+                    onChange={(e) => setRetentionDays(e.target.value)} required />
+                <span style={{ color: 'var(--color-text-muted)' }}>days (0 keeps items forever)</span>
+                <button type="submit" className="btn btn-secondary btn-sm" disabled={savingRetention}>
+                    {savingRetention ? 'Saving...' : 'Save'}
+                </button>
+                {Number(retentionDays) > 0 && (
+                    <button type="button" className="btn btn-danger btn-sm" onClick={handlePurgeExpired}>Purge expired now</button>
+                )}
+            </form>
+
+            {type === 'activity' && (
+                <form className="card" onSubmit={handleSaveEditWindow}
+                    style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1.5rem', padding: '1rem 1.25rem' }}>
+                    <span style={{ fontWeight: 600 }}>Authors can edit or delete activities for</span>
+                    <input className="form-input" type="number" min="0" max="525600" style={{ width: 100 }} value={editWindow}
+                        onChange={(e) => setEditWindow(e.target.value)} required />
+                    <span style={{ color: 'var(--color-text-muted)' }}>minutes after logging (0 = no limit; admins always can)</span>
+                    <button type="submit" className="btn btn-secondary btn-sm" disabled={savingEditWindow}>
+                        {savingEditWindow ? 'Saving...' : 'Save'}
+                    </button>
+                </form>
+            )}
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : items.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">🗑️</div>
+                    <h3>Nothing here</h3>
+                    <p>Deleted items show up here until they are restored or purged</p>
+                </div>
+            ) : (
+                <>
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Details</th>
+                                    <th>Deleted By</th>
+                                    <th>Deleted</th>
+                                    <th>Auto-purge</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {items.map((item) => {
+                                    const { name, detail } = describe(type, item)
+                                    return (
+                                        <tr key={item._id}>
+                                            <td style={{ fontWeight: 600 }}>
+                                                {name}
+                                                {item.deletedWithLead && (
+                                                    <div style={{ fontSize: '0.75rem', fontWeight: 400, color: 'var(--color-text-muted)' }}>Deleted with its lead</div>
+                                                )}
+                                            </td>
+                                            <td style={{ color: 'var(--color-text-muted)' }}>{detail}</td>
+                                            <td style={{ color: 'var(--color-text-muted)' }}>{item.deletedBy?.name || '—'}</td>
+                                            <td style={{ color: 'var(--color-text-muted)' }}>{formatDate(item.deletedAt)}</td>
+                                            <td style={{ color: 'var(--color-text-muted)' }}>{item.expiresAt ? formatDate(item.expiresAt) : 'Never'}</td>
+                                            <td>
+                                                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                                    <button className="btn btn-secondary btn-sm" disabled={busy === item._id} onClick={() => handleRestore(item)}>
+                                                        ↩ Restore
+                                                    </button>
+                                                    <button className="btn btn-danger btn-sm" disabled={busy === item._id} onClick={() => handlePurge(item)}>
+                                                        Delete forever
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    )
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                    {pagination.pages > 1 && (
+                        <div className="pagination">
+                            <button disabled={pagination.page === 1} onClick={() => fetchItems(pagination.page - 1)}>←</button>
+                            {Array.from({ length: pagination.pages }, (_, i) => i + 1).map((p) => (
+                                <button key={p} className={pagination.page === p ? 'active' : ''} onClick={() => fetchItems(p)}>{p}</button>
+                            ))}
+                            <button disabled={pagination.page === pagination.pages} onClick={() => fetchItems(pagination.page + 1)}>→</button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
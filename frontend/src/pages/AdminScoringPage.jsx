@@ -0,0 +1,328 @@
+/**
+ * Admin Scoring Page
+ * Manage the rules that produce each lead's score.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { adminAPI } from '../services/api'
+import toast from 'react-hot-toast'
+
+const KINDS = [
+    { value: 'field', label: 'Lead field' },
+    { value: 'activity', label: 'Recent activity' },
+    { value: 'inactivity', label: 'No activity' },
+]
+const OPERATOR_LABELS = {
+    equals: 'equals', notEquals: 'does not equal', in: 'is one of', contains: 'contains',
+    exists: 'is set', notExists: 'is empty', gte: '≥', lte: '≤', between: 'between',
+}
+const VALUELESS_OPERATORS = ['exists', 'notExists']
+const ACTIVITY_TYPES = ['note', 'call', 'email', 'meeting', 'task', 'stage-change']
+
+const describeRule = (rule) => {
+    if (rule.kind === 'inactivity') return `No activity in the last ${rule.withinDays} days`
+    if (rule.kind === 'activity') {
+        const what = [rule.outcome, rule.activityType || 'activity'].filter(Boolean).join(' ')
+        return `Has a ${what} in the last ${rule.withinDays} days`
+    }
+    const op = OPERATOR_LABELS[rule.operator] || rule.operator
+    if (VALUELESS_OPERATORS.includes(rule.operator)) return `${rule.field} ${op}`
+    if (rule.operator === 'between') return `${rule.field} between ${rule.value} and ${rule.valueTo}`
+    const value = Array.isArray(rule.value) ? rule.value.join(', ') : rule.value
+    return `${rule.field} ${op} ${value}`
+}
+
+export default function AdminScoringPage() {
+    const [rules, setRules] = useState([])
+    const [meta, setMeta] = useState({ fields: [], operators: [] })
+    const [loading, setLoading] = useState(true)
+    const [recalculating, setRecalculating] = useState(false)
+    const [showModal, setShowModal] = useState(false)
+    const [editRule, setEditRule] = useState(null)
+
+    const fetchRules = async () => {
+        try {
+            const { data } = await adminAPI.getScoringRules()
+            setRules(data.rules)
+            setMeta({ fields: data.fields, operators: data.operators })
+        } catch {
+            toast.error('Failed to load scoring rules')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { fetchRules() }, [])
+
+    const handleToggleActive = async (rule) => {
+        try {
+            await adminAPI.updateScoringRule(rule._id, { ...rule, isActive: !rule.isActive })
+            toast.success(`Rule ${rule.isActive ? 'disabled' : 'enabled'}`)
+            fetchRules()
+        } catch { toast.error('Operation failed') }
+    }
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}"? All leads will be rescored.`)) return
+        try {
+            await adminAPI.deleteScoringRule(rule._id)
+            toast.success('Rule deleted')
+            fetchRules()
+        } catch (err) { toast.error(err.response?.data?.message || 'Failed') }
+    }
+
+    const handleRecalculate = async () => {
+        setRecalculating(true)
+        try {
+            const { data } = await adminAPI.recalculateScores()
+            toast.success(data.message)
+        } catch {
+            toast.error('Recalculation failed')
+        } finally {
+            setRecalculating(false)
+        }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Lead Scoring</h2>
+                    <p>Each matching rule adds its points to a lead's score</p>
+                </div>
+                <div style={{ display: 'flex', gap: '0.75rem' }}>
+                    <button className="btn btn-secondary" onClick={handleRecalculate} disabled={recalculating}>
+                        {recalculating ? <><span className="spinner spinner-sm" /> Rescoring...</> : '↻ Recalculate All'}
+                    </button>
+                    <button className="btn btn-primary" onClick={() => { setEditRule(null); setShowModal(true) }}>
+                        ＋ Add Rule
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : rules.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">★</div>
+                    <h3>No scoring rules yet</h3>
+                    <p>Add rules like "source equals referral +20" to rank your leads</p>
+                    <button className="btn btn-primary" onClick={() => setShowModal(true)}>Add Rule</button>
+                </div>
+            ) : (
+                <div className="table-wrapper">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Rule</th>
+                                <th>Condition</th>
+                                <th>Points</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rules.map((rule) => (
+                                <tr key={rule._id}>
+                                    <td style={{ fontWeight: 600 }}>{rule.name}</td>
+                                    <td style={{ color: 'var(--color-text-muted)' }}>{describeRule(rule)}</td>
+                                    <td>
+                                        <span className={`badge ${rule.points >= 0 ? 'badge-won' : 'badge-lost'}`}>
+                                            {rule.points >= 0 ? `+${rule.points}` : rule.points}
+                                        </span>
+                                    </td>
+                                    <td>
+                                        <span style={{
+                                            padding: '0.2rem 0.6rem', borderRadius: '99px', fontSize: '0.75rem', fontWeight: 600,
+                                            background: rule.isActive ? 'rgba(34,197,94,0.15)' : 'rgba(239,68,68,0.15)',
+                                            color: rule.isActive ? 'var(--color-success)' : 'var(--color-danger)',
+                                        }}>{rule.isActive ? 'Active' : 'Disabled'}</span>
+                                    </td>
+                                    <td>
+                                        <div style={{ display: 'flex', gap: '0.4rem' }}>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => { setEditRule(rule); setShowModal(true) }}>Edit</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleToggleActive(rule)}>
+                                                {rule.isActive ? 'Disable' : 'Enable'}
+                                            </button>
+                                            <button className="btn btn-danger btn-sm" onClick={() => handleDelete(rule)}>Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {showModal && (
+                <RuleModal
+                    rule={editRule}
+                    fields={meta.fields}
+                    operators={meta.operators}
+                    onClose={() => setShowModal(false)}
+                    onSaved={() => { setShowModal(false); fetchRules() }}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Rule Modal ────────────────────────────────────────────────────────────────
+function RuleModal({ rule, fields, operators, onClose, onSaved }) {
+    const isEdit = !!rule
+    const [form, setForm] = useState({
+        name: rule?.name || '',
+        kind: rule?.kind || 'field',
+        points: rule?.points ?? 10,
+        field: rule?.field || fields[0] || 'source',
+        operator: rule?.operator || 'equals',
+        value: Array.isArray(rule?.value) ? rule.value.join(', ') : (rule?.value ?? ''),
+        valueTo: rule?.valueTo ?? '',
+        activityType: rule?.activityType || '',
+        outcome: rule?.outcome || '',
+        withinDays: rule?.withinDays || 30,
+        isActive: rule?.isActive !== false,
+    })
+    const [loading, setLoading] = useState(false)
+
+    const buildPayload = () => {
+        const payload = { name: form.name, kind: form.kind, points: Number(form.points), isActive: form.isActive }
+        if (form.kind === 'field') {
+            payload.field = form.field
+            payload.operator = form.operator
+            if (form.operator === 'in') payload.value = form.value.split(',').map((v) => v.trim()).filter(Boolean)
+            else if (!VALUELESS_OPERATORS.includes(form.operator)) payload.value = form.value
+            if (form.operator === 'between') payload.valueTo = Number(form.valueTo)
+        } else {
+            payload.withinDays = Number(form.withinDays)
+            if (form.kind === 'activity') {
+                payload.activityType = form.activityType || null
+                payload.outcome = form.outcome || null
+            }
+        }
+        return payload
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            if (isEdit) {
+                await adminAPI.updateScoringRule(rule._id, buildPayload())
+                toast.success('Rule updated — leads rescored')
+            } else {
+                await adminAPI.createScoringRule(buildPayload())
+                toast.success('Rule created — leads rescored')
+            }
+            onSaved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? 'Edit Scoring Rule' : 'Add Scoring Rule'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label className="form-label">Rule Name</label>
+                        <input className="form-input" placeholder="e.g. Referral lead" value={form.name}
+                            onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Type</label>
+                            <select className="form-select" value={form.kind} onChange={(e) => setForm({ ...form, kind: e.target.value })}>
+                                {KINDS.map((k) => <option key={k.value} value={k.value}>{k.label}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Points (negative to subtract)</label>
+                            <input className="form-input" type="number" step="1" value={form.points}
+                                onChange={(e) => setForm({ ...form, points: e.target.value })} required />
+                        </div>
+                    </div>
+
+                    {form.kind === 'field' ? (
+                        <>
+                            <div className="grid-2">
+                                <div className="form-group">
+                                    <label className="form-label">Field</label>
+                                    <select className="form-select" value={form.field} onChange={(e) => setForm({ ...form, field: e.target.value })}>
+                                        {fields.map((f) => <option key={f} value={f}>{f}</option>)}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Condition</label>
+                                    <select className="form-select" value={form.operator} onChange={(e) => setForm({ ...form, operator: e.target.value })}>
+                                        {operators.map((o) => <option key={o} value={o}>{OPERATOR_LABELS[o] || o}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            {!VALUELESS_OPERATORS.includes(form.operator) && (
+                                <div className="grid-2">
+                                    <div className="form-group">
+                                        <label className="form-label">{form.operator === 'between' ? 'From' : 'Value'}</label>
+                                        <input className="form-input" value={form.value}
+                                            placeholder={form.operator === 'in' ? 'Comma separated, e.g. referral, website' : ''}
+                                            onChange={(e) => setForm({ ...form, value: e.target.value })} required />
+                                    </div>
+                                    {form.operator === 'between' && (
+                                        <div className="form-group">
+                                            <label className="form-label">To</label>
+                                            <input className="form-input" type="number" value={form.valueTo}
+                                                onChange={(e) => setForm({ ...form, valueTo: e.target.value })} required />
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+                        </>
+                    ) : (
+                        <div className="grid-2">
+                            {form.kind === 'activity' && (
+                                <>
+                                    <div className="form-group">
+                                        <label className="form-label">Activity Type</label>
+                                        <select className="form-select" value={form.activityType} onChange={(e) => setForm({ ...form, activityType: e.target.value })}>
+                                            <option value="">Any</option>
+                                            {ACTIVITY_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+                                        </select>
+                                    </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Outcome</label>
+                                        <select className="form-select" value={form.outcome} onChange={(e) => setForm({ ...form, outcome: e.target.value })}>
+                                            <option value="">Any</option>
+                                            <option value="positive">Positive</option>
+                                            <option value="neutral">Neutral</option>
+                                            <option value="negative">Negative</option>
+                                        </select>
+                                    </div>
+                                </>
+                            )}
+                            <div className="form-group">
+                                <label className="form-label">Within the last (days)</label>
+                                <input className="form-input" type="number" min="1" value={form.withinDays}
+                                    onChange={(e) => setForm({ ...form, withinDays: e.target.value })} required />
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Rule' : 'Create Rule')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
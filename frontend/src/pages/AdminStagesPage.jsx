@@ -0,0 +1,548 @@
+/**
+ * Admin Stages Page
+ * Manage pipelines, and define, order and retire each pipeline's stages.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { stageAPI, pipelineAPI } from '../services/api'
+import { useStages } from '../context/StageContext'
+import { stageBadgeStyle } from '../utils/helpers'
+import toast from 'react-hot-toast'
+
+const OUTCOME_LABELS = { open: 'Open', won: 'Won (closed)', lost: 'Lost (closed)' }
+
+export default function AdminStagesPage() {
+    const { refreshStages } = useStages()
+    const [pipelines, setPipelines] = useState([])
+    const [pipelineId, setPipelineId] = useState('')
+    const [stages, setStages] = useState([])
+    const [rules, setRules] = useState({ requirements: {}, roles: [] })
+    const [loading, setLoading] = useState(true)
+    const [showModal, setShowModal] = useState(false)
+    const [editStage, setEditStage] = useState(null)
+    const [deleteStage, setDeleteStage] = useState(null)
+    const [pipelineModal, setPipelineModal] = useState(null)
+    const [deletePipeline, setDeletePipeline] = useState(null)
+
+    const pipeline = pipelines.find((p) => p._id === pipelineId)
+
+    const fetchPipelines = async () => {
+        try {
+            const { data } = await pipelineAPI.getAll({ counts: true })
+            setPipelines(data.pipelines)
+            // Keep the selected pipeline unless it was deleted
+            setPipelineId((current) => (data.pipelines.some((p) => p._id === current)
+                ? current
+                : (data.pipelines.find((p) => p.isDefault) || data.pipelines[0])?._id || ''))
+        } catch {
+            toast.error('Failed to load pipelines')
+        }
+    }
+
+    const fetchStages = async () => {
+        if (!pipelineId) return
+        try {
+            const { data } = await stageAPI.getAll({ pipeline: pipelineId, counts: true })
+            setStages(data.stages)
+            setRules({ requirements: data.requirements, roles: data.roles })
+        } catch {
+            toast.error('Failed to load stages')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { fetchPipelines() }, [])
+    useEffect(() => { fetchStages() }, [pipelineId])
+
+    // Reload this page and the stages every other page uses
+    const afterChange = () => {
+        fetchPipelines()
+        fetchStages()
+        refreshStages()
+    }
+
+    const handleMove = async (index, direction) => {
+        const ids = stages.map((s) => s._id)
+        const target = index + direction
+        ;[ids[index], ids[target]] = [ids[target], ids[index]]
+        try {
+            await stageAPI.reorder(pipelineId, ids)
+            afterChange()
+        } catch (err) { toast.error(err.response?.data?.message || 'Reorder failed') }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Pipelines & Stages</h2>
+                    <p>Each pipeline has its own stages that its leads and deals move through</p>
+                </div>
+                <button className="btn btn-primary" onClick={() => setPipelineModal({})}>
+                    ＋ New Pipeline
+                </button>
+            </div>
+
+            {pipeline && (
+                <div className="filters-bar">
+                    <select className="form-select" style={{ width: 'auto' }} value={pipelineId} onChange={(e) => setPipelineId(e.target.value)}>
+                        {pipelines.map((p) => <option key={p._id} value={p._id}>{p.name}{p.isDefault ? ' (default)' : ''}</option>)}
+                    </select>
+                    <span style={{ color: 'var(--color-text-muted)', fontSize: '0.85rem' }}>
+                        {pipeline.records?.leads ?? 0} lead(s) · {pipeline.records?.deals ?? 0} deal(s)
+                    </span>
+                    <button className="btn btn-secondary" onClick={() => setPipelineModal(pipeline)}>Edit Pipeline</button>
+                    {!pipeline.isDefault && (
+                        <button className="btn btn-danger" onClick={() => setDeletePipeline(pipeline)}>Delete Pipeline</button>
+                    )}
+                    <button className="btn btn-primary" style={{ marginLeft: 'auto' }} onClick={() => { setEditStage(null); setShowModal(true) }}>
+                        ＋ Add Stage
+                    </button>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : (
+                <div className="table-wrapper">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Order</th>
+                                <th>Stage</th>
+                                <th>Outcome</th>
+                                <th>Default Probability</th>
+                                <th>Leads</th>
+                                <th>Deals</th>
+                                <th>Rules</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {stages.map((stage, i) => (
+                                <tr key={stage._id}>
+                                    <td>
+                                        <div style={{ display: 'flex', gap: '0.25rem' }}>
+                                            <button className="btn btn-secondary btn-sm" disabled={i === 0} onClick={() => handleMove(i, -1)}>↑</button>
+                                            <button className="btn btn-secondary btn-sm" disabled={i === stages.length - 1} onClick={() => handleMove(i, 1)}>↓</button>
+                                        </div>
+                                    </td>
+                                    <td>
+                                        <span className="badge" style={stageBadgeStyle(stage.color)}>
+                                            {stage.icon && `${stage.icon} `}{stage.name}
+                                        </span>
+                                    </td>
+                                    <td>{OUTCOME_LABELS[stage.outcome]}</td>
+                                    <td>{stage.probability}%</td>
+                                    <td>{stage.records?.leads ?? 0}</td>
+                                    <td>{stage.records?.deals ?? 0}</td>
+                                    <td style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                                        <StageRules stage={stage} requirements={rules.requirements} />
+                                    </td>
+                                    <td>
+                                        <div style={{ display: 'flex', gap: '0.4rem' }}>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => { setEditStage(stage); setShowModal(true) }}>Edit</button>
+                                            <button className="btn btn-danger btn-sm" onClick={() => setDeleteStage(stage)}>Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {showModal && (
+                <StageModal
+                    stage={editStage}
+                    stages={stages}
+                    rules={rules}
+                    pipelineId={pipelineId}
+                    onClose={() => setShowModal(false)}
+                    onSaved={() => { setShowModal(false); afterChange() }}
+                />
+            )}
+            {deleteStage && (
+                <DeleteStageModal
+                    stage={deleteStage}
+                    stages={stages}
+                    onClose={() => setDeleteStage(null)}
+                    onDeleted={() => { setDeleteStage(null); afterChange() }}
+                />
+            )}
+            {pipelineModal && (
+                <PipelineModal
+                    pipeline={pipelineModal._id ? pipelineModal : null}
+                    pipelines={pipelines}
+                    onClose={() => setPipelineModal(null)}
+                    onSaved={(saved) => { setPipelineModal(null); setPipelineId(saved._id); afterChange() }}
+                />
+            )}
+            {deletePipeline && (
+                <DeletePipelineModal
+                    pipeline={deletePipeline}
+                    pipelines={pipelines}
+                    onClose={() => setDeletePipeline(null)}
+                    onDeleted={() => { setDeletePipeline(null); afterChange() }}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Stage Rules ───────────────────────────────────────────────────────────────
+function StageRules({ stage, requirements }) {
+    const { allowedFrom = [], requiredFields = [], bypassRoles = [] } = stage
+    if (!allowedFrom.length && !requiredFields.length) return '—'
+    return (
+        <>
+            {allowedFrom.length > 0 && <div>From: {allowedFrom.join(', ')}</div>}
+            {requiredFields.length > 0 && <div>Requires: {requiredFields.map((key) => requirements[key] || key).join(', ')}</div>}
+            {bypassRoles.length > 0 && <div>Bypass: {bypassRoles.join(', ')}</div>}
+        </>
+    )
+}
+
+// Toggle `value` in the list stored under `key`
+const toggleIn = (form, key, value) => ({
+    ...form,
+    [key]: form[key].includes(value) ? form[key].filter((v) => v !== value) : [...form[key], value],
+})
+
+const checkboxLabel = { display: 'flex', gap: '0.4rem', alignItems: 'center', fontSize: '0.85rem', cursor: 'pointer' }
+
+// ── Stage Modal ───────────────────────────────────────────────────────────────
+function StageModal({ stage, stages, rules, pipelineId, onClose, onSaved }) {
+    const isEdit = !!stage
+    const [form, setForm] = useState({
+        name: stage?.name || '',
+        icon: stage?.icon || '',
+        color: stage?.color || '#6366f1',
+        probability: stage?.probability ?? 10,
+        outcome: stage?.outcome || 'open',
+        allowedFrom: stage?.allowedFrom || [],
+        requiredFields: stage?.requiredFields || [],
+        bypassRoles: stage?.bypassRoles || [],
+    })
+    const [loading, setLoading] = useState(false)
+    const others = stages.filter((s) => s._id !== stage?._id)
+
+    const records = (stage?.records?.leads || 0) + (stage?.records?.deals || 0)
+    const renaming = isEdit && form.name.trim() !== stage.name
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        if (renaming && records && !window.confirm(`Rename "${stage.name}" to "${form.name.trim()}"? ${records} lead(s) and deal(s) will move with it.`)) return
+        setLoading(true)
+        try {
+            const payload = { ...form, probability: Number(form.probability), ...(!isEdit && { pipeline: pipelineId }) }
+            const { data } = isEdit ? await stageAPI.update(stage._id, payload) : await stageAPI.create(payload)
+            toast.success(data.message || 'Stage created!')
+            onSaved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? `Edit "${stage.name}"` : 'Add Stage'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Name</label>
+                            <input className="form-input" placeholder="e.g. Qualified" value={form.name} required maxLength={40}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Outcome</label>
+                            <select className="form-select" value={form.outcome} onChange={(e) => setForm({ ...form, outcome: e.target.value })}>
+                                {Object.entries(OUTCOME_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Icon</label>
+                            <input className="form-input" placeholder="e.g. ✅" value={form.icon} maxLength={8}
+                                onChange={(e) => setForm({ ...form, icon: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Color</label>
+                            <input className="form-input" type="color" value={form.color} style={{ height: 40, padding: '0.25rem' }}
+                                onChange={(e) => setForm({ ...form, color: e.target.value })} />
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Default Win Probability ({form.probability}%)</label>
+                        <input className="form-input" type="range" min="0" max="100" value={form.probability}
+                            onChange={(e) => setForm({ ...form, probability: parseInt(e.target.value) })} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Can Be Reached From</label>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem 1rem' }}>
+                            {others.map((s) => (
+                                <label key={s._id} style={checkboxLabel}>
+                                    <input type="checkbox" checked={form.allowedFrom.includes(s.name)}
+                                        onChange={() => setForm(toggleIn(form, 'allowedFrom', s.name))} />
+                                    {s.name}
+                                </label>
+                            ))}
+                        </div>
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.75rem', marginTop: '0.25rem' }}>
+                            Leave all unticked to allow moves from any stage.
+                        </p>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Required Before Entering</label>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem 1rem' }}>
+                            {Object.entries(rules.requirements).map(([key, label]) => (
+                                <label key={key} style={checkboxLabel}>
+                                    <input type="checkbox" checked={form.requiredFields.includes(key)}
+                                        onChange={() => setForm(toggleIn(form, 'requiredFields', key))} />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Roles That Skip These Rules</label>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem 1rem' }}>
+                            {rules.roles.map((role) => (
+                                <label key={role} style={{ ...checkboxLabel, textTransform: 'capitalize' }}>
+                                    <input type="checkbox" checked={form.bypassRoles.includes(role)}
+                                        onChange={() => setForm(toggleIn(form, 'bypassRoles', role))} />
+                                    {role}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    {renaming && records > 0 && (
+                        <p style={{ color: 'var(--color-warning)', fontSize: '0.8rem' }}>
+                            {stage.records.leads} lead(s) and {stage.records.deals} deal(s) will be moved to the new name.
+                        </p>
+                    )}
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Stage' : 'Create Stage')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
+
+// ── Delete Stage Modal ────────────────────────────────────────────────────────
+function DeleteStageModal({ stage, stages, onClose, onDeleted }) {
+    const others = stages.filter((s) => s._id !== stage._id)
+    const inUse = (stage.records?.leads || 0) + (stage.records?.deals || 0) > 0
+    const [moveTo, setMoveTo] = useState('')
+    const [loading, setLoading] = useState(false)
+
+    const handleDelete = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = await stageAPI.delete(stage._id, moveTo || undefined)
+            toast.success(data.message)
+            onDeleted()
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Delete failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">Delete "{stage.name}"</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleDelete}>
+                    {inUse ? (
+                        <>
+                            <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                                {stage.records.leads} lead(s) and {stage.records.deals} deal(s) are in this stage.
+                                Choose where they should move before the stage is removed.
+                            </p>
+                            <div className="form-group">
+                                <label className="form-label">Move records to</label>
+                                <select className="form-select" value={moveTo} required onChange={(e) => setMoveTo(e.target.value)}>
+                                    <option value="">Select a stage</option>
+                                    {others.map((s) => <option key={s._id} value={s._id}>{s.name}</option>)}
+                                </select>
+                            </div>
+                        </>
+                    ) : (
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No leads or deals use this stage.</p>
+                    )}
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-danger" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Deleting...</> : 'Delete Stage'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
+
+// ── Pipeline Modal ────────────────────────────────────────────────────────────
+function PipelineModal({ pipeline, pipelines, onClose, onSaved }) {
+    const isEdit = !!pipeline
+    const [form, setForm] = useState({
+        name: pipeline?.name || '',
+        description: pipeline?.description || '',
+        isDefault: pipeline?.isDefault || false,
+        copyFrom: '',
+    })
+    const [loading, setLoading] = useState(false)
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { copyFrom, ...fields } = form
+            const { data } = isEdit
+                ? await pipelineAPI.update(pipeline._id, fields)
+                : await pipelineAPI.create({ ...fields, copyFrom: copyFrom || undefined })
+            toast.success(isEdit ? 'Pipeline updated!' : 'Pipeline created!')
+            onSaved(data.pipeline)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? `Edit "${pipeline.name}"` : 'New Pipeline'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label className="form-label">Name</label>
+                        <input className="form-input" placeholder="e.g. Renewals" value={form.name} required maxLength={60}
+                            onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Description</label>
+                        <textarea className="form-textarea" value={form.description} maxLength={300}
+                            onChange={(e) => setForm({ ...form, description: e.target.value })} />
+                    </div>
+                    {!isEdit && (
+                        <div className="form-group">
+                            <label className="form-label">Stages</label>
+                            <select className="form-select" value={form.copyFrom} onChange={(e) => setForm({ ...form, copyFrom: e.target.value })}>
+                                <option value="">Standard stages</option>
+                                {pipelines.map((p) => <option key={p._id} value={p._id}>Copy from {p.name}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    {!pipeline?.isDefault && (
+                        <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.875rem', cursor: 'pointer' }}>
+                            <input type="checkbox" checked={form.isDefault} onChange={(e) => setForm({ ...form, isDefault: e.target.checked })} />
+                            Default pipeline for new leads and deals
+                        </label>
+                    )}
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Pipeline' : 'Create Pipeline')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
+
+// ── Delete Pipeline Modal ─────────────────────────────────────────────────────
+function DeletePipelineModal({ pipeline, pipelines, onClose, onDeleted }) {
+    const others = pipelines.filter((p) => p._id !== pipeline._id)
+    const inUse = (pipeline.records?.leads || 0) + (pipeline.records?.deals || 0) > 0
+    const [moveTo, setMoveTo] = useState('')
+    const [stageMap, setStageMap] = useState({})
+    const [loading, setLoading] = useState(false)
+    const target = others.find((p) => p._id === moveTo)
+
+    const handleDelete = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = await pipelineAPI.delete(pipeline._id, { moveTo: moveTo || undefined, stageMap })
+            toast.success(data.message)
+            onDeleted()
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Delete failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">Delete "{pipeline.name}"</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleDelete}>
+                    {inUse ? (
+                        <>
+                            <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                                {pipeline.records.leads} lead(s) and {pipeline.records.deals} deal(s) are in this pipeline.
+                                Choose where they should move before it is removed.
+                            </p>
+                            <div className="form-group">
+                                <label className="form-label">Move records to</label>
+                                <select className="form-select" value={moveTo} required
+                                    onChange={(e) => { setMoveTo(e.target.value); setStageMap({}) }}>
+                                    <option value="">Select a pipeline</option>
+                                    {others.map((p) => <option key={p._id} value={p._id}>{p.name}</option>)}
+                                </select>
+                            </div>
+                            {target && pipeline.stages.map((stage) => (
+                                <div key={stage._id} className="grid-2" style={{ alignItems: 'center' }}>
+                                    <span style={{ fontSize: '0.875rem' }}>{stage.name} →</span>
+                                    <select className="form-select" value={stageMap[stage.name] || ''}
+                                        onChange={(e) => setStageMap({ ...stageMap, [stage.name]: e.target.value || undefined })}>
+                                        <option value="">Closest match</option>
+                                        {target.stages.map((s) => <option key={s._id} value={s.name}>{s.name}</option>)}
+                                    </select>
+                                </div>
+                            ))}
+                        </>
+                    ) : (
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No leads or deals use this pipeline.</p>
+                    )}
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-danger" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Deleting...</> : 'Delete Pipeline'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,201 @@
+/**
+ * Admin Tags Page
+ * Registry of lead tags: colors, renames and merges (written through to every
+ * lead), deletion, and whether sales users may add new tags.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { tagAPI } from '../services/api'
+import { TagChip } from '../components/TagInput'
+import toast from 'react-hot-toast'
+
+export default function AdminTagsPage() {
+    const [tags, setTags] = useState([])
+    const [adminOnlyCreate, setAdminOnlyCreate] = useState(false)
+    const [loading, setLoading] = useState(true)
+    const [modalTag, setModalTag] = useState(null)
+    const [selected, setSelected] = useState([])
+    const [mergeTarget, setMergeTarget] = useState('')
+
+    const fetchTags = async () => {
+        try {
+            const { data } = await tagAPI.getAll()
+            setTags(data.tags)
+            setAdminOnlyCreate(data.adminOnlyCreate)
+            setSelected((current) => current.filter((id) => data.tags.some((t) => t._id === id)))
+        } catch {
+            toast.error('Failed to load tags')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { fetchTags() }, [])
+
+    const toggleSelect = (id) => setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id])
+
+    const handleRestrict = async (checked) => {
+        try {
+            const { data } = await tagAPI.updateSettings({ adminOnlyCreate: checked })
+            setAdminOnlyCreate(data.adminOnlyCreate)
+            toast.success(data.message)
+        } catch (err) { toast.error(err.response?.data?.message || 'Update failed') }
+    }
+
+    const handleMerge = async () => {
+        const target = tags.find((t) => t._id === mergeTarget)
+        const sources = selected.filter((id) => id !== mergeTarget)
+        if (!target || !window.confirm(`Merge ${sources.length} tag(s) into "${target.name}"? Their leads get "${target.name}" instead.`)) return
+        try {
+            const { data } = await tagAPI.merge(sources, target._id)
+            toast.success(data.message)
+            setSelected([])
+            setMergeTarget('')
+            fetchTags()
+        } catch (err) { toast.error(err.response?.data?.message || 'Merge failed') }
+    }
+
+    const handleDelete = async (tag) => {
+        if (!window.confirm(`Delete "${tag.name}"? It is removed from ${tag.leadCount} lead(s).`)) return
+        try {
+            const { data } = await tagAPI.delete(tag._id)
+            toast.success(data.message)
+            fetchTags()
+        } catch (err) { toast.error(err.response?.data?.message || 'Delete failed') }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Tags</h2>
+                    <p>Renaming or merging a tag updates every lead that has it</p>
+                </div>
+                <button className="btn btn-primary" onClick={() => setModalTag({})}>＋ New Tag</button>
+            </div>
+
+            <div className="filters-bar">
+                <label style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.875rem', cursor: 'pointer' }}>
+                    <input type="checkbox" checked={adminOnlyCreate} onChange={(e) => handleRestrict(e.target.checked)} />
+                    Only admins can add new tags
+                </label>
+                {selected.length > 1 && (
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginLeft: 'auto' }}>
+                        <span style={{ fontSize: '0.875rem' }}>Merge {selected.length} tags into</span>
+                        <select className="form-select" style={{ width: 'auto' }} value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)}>
+                            <option value="">Select a tag</option>
+                            {tags.filter((t) => selected.includes(t._id)).map((t) => <option key={t._id} value={t._id}>{t.name}</option>)}
+                        </select>
+                        <button className="btn btn-primary" disabled={!mergeTarget} onClick={handleMerge}>Merge</button>
+                    </div>
+                )}
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : tags.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">🏷️</div>
+                    <h3>No tags yet</h3>
+                    <p>Tags added to leads show up here</p>
+                </div>
+            ) : (
+                <div className="table-wrapper">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 36 }} />
+                                <th>Tag</th>
+                                <th>Leads</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {tags.map((tag) => (
+                                <tr key={tag._id}>
+                                    <td><input type="checkbox" checked={selected.includes(tag._id)} onChange={() => toggleSelect(tag._id)} /></td>
+                                    <td><TagChip name={tag.name} tags={tags} /></td>
+                                    <td>{tag.leadCount}</td>
+                                    <td>
+                                        <div style={{ display: 'flex', gap: '0.4rem' }}>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => setModalTag(tag)}>Edit</button>
+                                            <button className="btn btn-danger btn-sm" onClick={() => handleDelete(tag)}>Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {modalTag && (
+                <TagModal
+                    tag={modalTag._id ? modalTag : null}
+                    onClose={() => setModalTag(null)}
+                    onSaved={() => { setModalTag(null); fetchTags() }}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Tag Modal ─────────────────────────────────────────────────────────────────
+function TagModal({ tag, onClose, onSaved }) {
+    const isEdit = !!tag
+    const [form, setForm] = useState({ name: tag?.name || '', color: tag?.color || '#6366f1' })
+    const [loading, setLoading] = useState(false)
+    const renaming = isEdit && form.name.trim() !== tag.name
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = isEdit ? await tagAPI.update(tag._id, form) : await tagAPI.create(form)
+            toast.success(data.message || 'Tag created!')
+            onSaved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? `Edit "${tag.name}"` : 'New Tag'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Name</label>
+                            <input className="form-input" placeholder="e.g. enterprise" value={form.name} required maxLength={40}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Color</label>
+                            <input className="form-input" type="color" value={form.color} style={{ height: 40, padding: '0.25rem' }}
+                                onChange={(e) => setForm({ ...form, color: e.target.value })} />
+                        </div>
+                    </div>
+                    {renaming && tag.leadCount > 0 && (
+                        <p style={{ color: 'var(--color-warning)', fontSize: '0.8rem' }}>
+                            {tag.leadCount} lead(s) will be renamed to the new tag.
+                        </p>
+                    )}
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Tag' : 'Create Tag')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,370 @@
+/**
+ * Admin Web Forms Page
+ * Public web-to-lead forms: field mapping, lead defaults, thank-you handling,
+ * and an embeddable HTML snippet for the marketing site.
+ */
+
+import React, { useEffect, useState } from 'react'
+import api, { adminAPI, customFieldAPI } from '../services/api'
+import toast from 'react-hot-toast'
+import { formatDate } from '../utils/helpers'
+
+const SOURCES = ['website', 'referral', 'cold-call', 'email', 'social-media', 'other']
+const PRIORITIES = ['low', 'medium', 'high']
+const TARGET_LABELS = { name: 'Name', email: 'Email', phone: 'Phone', company: 'Company', website: 'Website', description: 'Message / Notes' }
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content']
+
+const submitUrl = (form) => `${new URL(api.defaults.baseURL, window.location.origin).href.replace(/\/$/, '')}/public/forms/${form.key}`
+
+/**
+ * Plain HTML form that posts to the public endpoint, with the honeypot and
+ * a small script that fills UTM parameters and the referrer.
+ */
+const buildSnippet = (form, honeypotField, customFields) => {
+    const map = form.fieldMap.length ? form.fieldMap : Object.keys(TARGET_LABELS).map((t) => ({ field: t, target: t }))
+    const labelFor = (target) => TARGET_LABELS[target] || customFields.find((f) => `customFields.${f.key}` === target)?.label || target
+    const inputs = map.map(({ field, target }) => {
+        if (target === 'description') return `  <textarea name="${field}" placeholder="${labelFor(target)}"></textarea>`
+        const type = target === 'email' ? 'email' : target === 'phone' ? 'tel' : 'text'
+        const required = ['name', 'email'].includes(target) ? ' required' : ''
+        return `  <input type="${type}" name="${field}" placeholder="${labelFor(target)}"${required}>`
+    })
+
+    return [
+        `<form action="${submitUrl(form)}" method="POST">`,
+        ...inputs,
+        `  <div style="position:absolute;left:-5000px" aria-hidden="true"><input type="text" name="${honeypotField}" tabindex="-1" autocomplete="off"></div>`,
+        ...[...UTM_FIELDS, 'referrer'].map((name) => `  <input type="hidden" name="${name}">`),
+        '  <button type="submit">Send</button>',
+        '</form>',
+        '<script>',
+        '(function () {',
+        '  var form = document.currentScript.previousElementSibling, params = new URLSearchParams(location.search);',
+        `  ${JSON.stringify(UTM_FIELDS)}.forEach(function (k) { if (params.get(k)) form.elements[k].value = params.get(k); });`,
+        '  form.elements.referrer.value = document.referrer || location.href;',
+        '})();',
+        '</script>',
+    ].join('\n')
+}
+
+export default function AdminWebFormsPage() {
+    const [forms, setForms] = useState([])
+    const [honeypotField, setHoneypotField] = useState('_hp')
+    const [loading, setLoading] = useState(true)
+    const [users, setUsers] = useState([])
+    const [customFields, setCustomFields] = useState([])
+    const [showModal, setShowModal] = useState(false)
+    const [editForm, setEditForm] = useState(null)
+    const [embedForm, setEmbedForm] = useState(null)
+
+    const fetchForms = async () => {
+        setLoading(true)
+        try {
+            const { data } = await adminAPI.getWebForms()
+            setForms(data.forms)
+            setHoneypotField(data.honeypotField)
+        } catch {
+            toast.error('Failed to load web forms')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchForms()
+        adminAPI.getUsers({ isActive: true, limit: 100 }).then(({ data }) => setUsers(data.users)).catch(() => { })
+        customFieldAPI.getAll({ entity: 'lead' }).then(({ data }) => setCustomFields(data.fields)).catch(() => { })
+    }, [])
+
+    const handleToggleActive = async (form) => {
+        try {
+            await adminAPI.updateWebForm(form._id, { name: form.name, isActive: !form.isActive })
+            toast.success(`Form ${form.isActive ? 'paused' : 'activated'}`)
+            fetchForms()
+        } catch { toast.error('Operation failed') }
+    }
+
+    const handleRotate = async (form) => {
+        if (!window.confirm(`Issue a new key for "${form.name}"? Pages embedding the current form will stop working until updated.`)) return
+        try {
+            const { data } = await adminAPI.rotateWebFormKey(form._id)
+            toast.success(data.message)
+            fetchForms()
+        } catch { toast.error('Failed to rotate key') }
+    }
+
+    const handleDelete = async (form) => {
+        if (!window.confirm(`Delete "${form.name}"? Embedded copies will stop accepting submissions.`)) return
+        try {
+            await adminAPI.deleteWebForm(form._id)
+            toast.success('Web form deleted')
+            fetchForms()
+        } catch { toast.error('Failed to delete') }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Web Forms</h2>
+                    <p>Capture leads straight from your website</p>
+                </div>
+                <button className="btn btn-primary" onClick={() => { setEditForm(null); setShowModal(true) }}>
+                    ＋ New Form
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : forms.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">📨</div>
+                    <h3>No web forms yet</h3>
+                    <p>Create a form and paste its snippet into your marketing site</p>
+                    <button className="btn btn-primary" onClick={() => setShowModal(true)}>New Form</button>
+                </div>
+            ) : (
+                <div className="table-wrapper">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Defaults</th>
+                                <th>Submissions</th>
+                                <th>Last Submission</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {forms.map((form) => (
+                                <tr key={form._id} style={{ opacity: form.isActive ? 1 : 0.6 }}>
+                                    <td style={{ fontWeight: 600 }}>{form.name}</td>
+                                    <td style={{ color: 'var(--color-text-muted)', fontSize: '0.85rem' }}>
+                                        {form.defaults.source} · {form.defaults.priority}
+                                        {form.defaults.tags?.length > 0 && ` · ${form.defaults.tags.join(', ')}`}
+                                        {form.defaults.assignedTo && ` · → ${form.defaults.assignedTo.name}`}
+                                    </td>
+                                    <td>{form.submissionCount}</td>
+                                    <td style={{ color: 'var(--color-text-muted)' }}>{form.lastSubmissionAt ? formatDate(form.lastSubmissionAt) : '—'}</td>
+                                    <td>
+                                        <span style={{
+                                            padding: '0.2rem 0.6rem', borderRadius: '99px', fontSize: '0.75rem', fontWeight: 600,
+                                            background: form.isActive ? 'rgba(34,197,94,0.15)' : 'rgba(239,68,68,0.15)',
+                                            color: form.isActive ? 'var(--color-success)' : 'var(--color-danger)',
+                                        }}>{form.isActive ? 'Active' : 'Paused'}</span>
+                                    </td>
+                                    <td>
+                                        <div style={{ display: 'flex', gap: '0.4rem', flexWrap: 'wrap' }}>
+                                            <button className="btn btn-primary btn-sm" onClick={() => setEmbedForm(form)}>&lt;/&gt; Embed</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => { setEditForm(form); setShowModal(true) }}>Edit</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleToggleActive(form)}>
+                                                {form.isActive ? 'Pause' : 'Activate'}
+                                            </button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleRotate(form)}>New Key</button>
+                                            <button className="btn btn-danger btn-sm" onClick={() => handleDelete(form)}>Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {showModal && (
+                <WebFormModal
+                    form={editForm}
+                    users={users}
+                    customFields={customFields}
+                    onClose={() => setShowModal(false)}
+                    onSaved={() => { setShowModal(false); fetchForms() }}
+                />
+            )}
+
+            {embedForm && (
+                <EmbedModal
+                    form={embedForm}
+                    snippet={buildSnippet(embedForm, honeypotField, customFields)}
+                    onClose={() => setEmbedForm(null)}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Create/Edit Modal ─────────────────────────────────────────────────────────
+function WebFormModal({ form, users, customFields, onClose, onSaved }) {
+    const isEdit = !!form
+    const [data, setData] = useState({
+        name: form?.name || '',
+        source: form?.defaults.source || 'website',
+        priority: form?.defaults.priority || 'medium',
+        tags: (form?.defaults.tags || []).join(', '),
+        assignedTo: form?.defaults.assignedTo?._id || '',
+        redirectUrl: form?.redirectUrl || '',
+        thankYouMessage: form?.thankYouMessage || 'Thanks! We will be in touch shortly.',
+    })
+    const [fieldMap, setFieldMap] = useState(form?.fieldMap?.length ? form.fieldMap : [
+        { field: 'name', target: 'name' },
+        { field: 'email', target: 'email' },
+    ])
+    const [loading, setLoading] = useState(false)
+
+    const targets = [
+        ...Object.entries(TARGET_LABELS).map(([value, label]) => ({ value, label })),
+        ...customFields.map((f) => ({ value: `customFields.${f.key}`, label: `${f.label} (custom)` })),
+    ]
+
+    const setRow = (i, patch) => setFieldMap(fieldMap.map((row, idx) => (idx === i ? { ...row, ...patch } : row)))
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const payload = {
+                name: data.name,
+                fieldMap: fieldMap.filter((row) => row.field.trim()),
+                defaults: {
+                    source: data.source,
+                    priority: data.priority,
+                    tags: data.tags.split(',').map((t) => t.trim()).filter(Boolean),
+                    assignedTo: data.assignedTo,
+                },
+                redirectUrl: data.redirectUrl,
+                thankYouMessage: data.thankYouMessage,
+            }
+            if (isEdit) {
+                await adminAPI.updateWebForm(form._id, payload)
+                toast.success('Form updated!')
+            } else {
+                await adminAPI.createWebForm(payload)
+                toast.success('Form created!')
+            }
+            onSaved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal" style={{ maxWidth: 640 }}>
+                <div className="modal-header">
+                    <h2 className="modal-title">{isEdit ? 'Edit Web Form' : 'New Web Form'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label className="form-label">Form Name</label>
+                        <input className="form-input" placeholder="e.g. Pricing page contact form" value={data.name} required
+                            onChange={(e) => setData({ ...data, name: e.target.value })} />
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Field Mapping (form field → lead field)</label>
+                        {fieldMap.map((row, i) => (
+                            <div key={i} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                                <input className="form-input" placeholder="Form field name" value={row.field}
+                                    onChange={(e) => setRow(i, { field: e.target.value })} />
+                                <select className="form-select" value={row.target} onChange={(e) => setRow(i, { target: e.target.value })}>
+                                    {targets.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+                                </select>
+                                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setFieldMap(fieldMap.filter((_, idx) => idx !== i))}>✕</button>
+                            </div>
+                        ))}
+                        <button type="button" className="btn btn-secondary btn-sm"
+                            onClick={() => setFieldMap([...fieldMap, { field: '', target: 'phone' }])}>＋ Add field</button>
+                    </div>
+
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Lead Source</label>
+                            <select className="form-select" value={data.source} onChange={(e) => setData({ ...data, source: e.target.value })}>
+                                {SOURCES.map((s) => <option key={s} value={s}>{s}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Priority</label>
+                            <select className="form-select" value={data.priority} onChange={(e) => setData({ ...data, priority: e.target.value })}>
+                                {PRIORITIES.map((p) => <option key={p} value={p}>{p}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Tags (comma separated)</label>
+                            <input className="form-input" placeholder="e.g. inbound, pricing" value={data.tags}
+                                onChange={(e) => setData({ ...data, tags: e.target.value })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Assign To</label>
+                            <select className="form-select" value={data.assignedTo} onChange={(e) => setData({ ...data, assignedTo: e.target.value })}>
+                                <option value="">Use assignment rules</option>
+                                {users.map((u) => <option key={u._id} value={u._id}>{u.name}</option>)}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div className="form-group">
+                        <label className="form-label">Redirect URL (optional)</label>
+                        <input className="form-input" type="url" placeholder="https://example.com/thank-you" value={data.redirectUrl}
+                            onChange={(e) => setData({ ...data, redirectUrl: e.target.value })} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Thank-you Message (shown when there is no redirect)</label>
+                        <input className="form-input" maxLength={300} value={data.thankYouMessage}
+                            onChange={(e) => setData({ ...data, thankYouMessage: e.target.value })} />
+                    </div>
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit ? 'Update Form' : 'Create Form')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
+
+// ── Embed Snippet Modal ───────────────────────────────────────────────────────
+function EmbedModal({ form, snippet, onClose }) {
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(snippet)
+            toast.success('Snippet copied')
+        } catch {
+            toast.error('Copy failed — select the text and copy it manually')
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal" style={{ maxWidth: 720 }}>
+                <div className="modal-header">
+                    <h2 className="modal-title">Embed “{form.name}”</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <div className="modal-form">
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                        Paste this into any page. Style the inputs to match your site; keep the hidden fields.
+                        Scripts can also <code>POST</code> JSON to <code>{submitUrl(form)}</code>.
+                    </p>
+                    <textarea className="form-input" readOnly rows={16} value={snippet}
+                        style={{ fontFamily: 'monospace', fontSize: '0.75rem', whiteSpace: 'pre' }}
+                        onFocus={(e) => e.target.select()} />
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Close</button>
+                        <button type="button" className="btn btn-primary" onClick={handleCopy}>📋 Copy Snippet</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    )
+}
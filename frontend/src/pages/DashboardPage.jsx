@@ -2,9 +2,12 @@
  * Dashboard Page
  * Admin view: stats, charts, top performers, recent activities.
  * Sales view: personal leads, deals, and activity summary.
+ * Both can be narrowed to one pipeline, and both show the user's overdue and
+ * due-today follow-ups.
  */
 
 import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
 import {
     Chart as ChartJS,
     CategoryScale, LinearScale, BarElement, LineElement, PointElement,
@@ -13,7 +16,9 @@ import {
 import { Bar, Doughnut, Line } from 'react-chartjs-2'
 import { adminAPI, leadAPI, dealAPI } from '../services/api'
 import { useAuth } from '../context/AuthContext'
+import { useStages } from '../context/StageContext'
 import { formatCurrency, formatDate } from '../utils/helpers'
+import PipelineSelect from '../components/PipelineSelect'
 
 ChartJS.register(
     CategoryScale, LinearScale, BarElement, LineElement, PointElement,
@@ -43,17 +48,19 @@ export default function DashboardPage() {
     const { isAdmin, user } = useAuth()
     const [stats, setStats] = useState(null)
     const [loading, setLoading] = useState(true)
+    const [pipelineId, setPipelineId] = useState('')
 
     useEffect(() => {
         const fetchData = async () => {
+            const params = { pipeline: pipelineId || undefined }
             try {
                 if (isAdmin) {
-                    const { data } = await adminAPI.getStats()
+                    const { data } = await adminAPI.getStats(params)
                     setStats(data)
                 } else {
                     const [leadsRes, dealsRes] = await Promise.all([
-                        leadAPI.getAll({ page: 1, limit: 5 }),
-                        dealAPI.getMetrics(),
+                        leadAPI.getAll({ page: 1, limit: 5, ...params }),
+                        dealAPI.getMetrics(params),
                     ])
                     setStats({ leads: leadsRes.data, deals: dealsRes.data })
                 }
@@ -64,35 +71,91 @@ export default function DashboardPage() {
             }
         }
         fetchData()
-    }, [isAdmin])
+    }, [isAdmin, pipelineId])
 
     if (loading) {
         return <div className="loading-center"><div className="spinner" /></div>
     }
 
-    if (isAdmin && stats) {
-        return <AdminDashboard stats={stats} />
-    }
+    return (
+        <>
+            <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+                <PipelineSelect value={pipelineId} allLabel="All Pipelines" style={{ marginBottom: '1rem' }}
+                    onChange={(id) => { setLoading(true); setPipelineId(id) }} />
+            </div>
+            <FollowUps />
+            {isAdmin && stats
+                ? <AdminDashboard stats={stats} pipelineId={pipelineId} />
+                : <SalesDashboard stats={stats} user={user} pipelineId={pipelineId} />}
+        </>
+    )
+}
+
+// ── Follow-ups ────────────────────────────────────────────────────────────────
+function FollowUps() {
+    const navigate = useNavigate()
+    const [followUps, setFollowUps] = useState(null)
 
-    return <SalesDashboard stats={stats} user={user} />
+    useEffect(() => {
+        leadAPI.getFollowUps()
+            .then(({ data }) => setFollowUps(data))
+            .catch((err) => console.error(err))
+    }, [])
+
+    if (!followUps || (followUps.overdue.length === 0 && followUps.dueToday.length === 0)) return null
+
+    const groups = [
+        { key: 'overdue', title: '⚠️ Overdue', items: followUps.overdue, color: 'var(--color-danger)' },
+        { key: 'dueToday', title: '📅 Due Today', items: followUps.dueToday, color: 'var(--color-warning)' },
+    ]
+
+    return (
+        <div className="charts-grid" style={{ marginBottom: '1.5rem' }}>
+            {groups.map((group) => (
+                <div key={group.key} className="card">
+                    <h3 style={{ marginBottom: '1rem' }}>
+                        {group.title} <span style={{ color: group.color }}>({group.items.length})</span>
+                    </h3>
+                    {group.items.length === 0 ? (
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>Nothing here</p>
+                    ) : (
+                        <div className="activity-feed" style={{ maxHeight: 260, overflowY: 'auto' }}>
+                            {group.items.map((item) => (
+                                <div key={item._id} className="activity-item" style={{ cursor: 'pointer' }}
+                                    onClick={() => navigate(`/leads/${item.lead._id}`)}>
+                                    <div className="activity-dot" style={{ background: group.color }} />
+                                    <div className="activity-content">
+                                        <div className="activity-note">
+                                            {item.lead.name}{item.lead.company ? ` · ${item.lead.company}` : ''}
+                                        </div>
+                                        <div className="activity-meta">
+                                            <span>{item.kind === 'activity' ? `${item.type}: ${item.note}` : 'Lead follow-up'}</span>
+                                            <span>{formatDate(item.dueAt, item.kind === 'activity')}</span>
+                                        </div>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    )
 }
 
 // ── Admin Dashboard ───────────────────────────────────────────────────────────
-function AdminDashboard({ stats }) {
+function AdminDashboard({ stats, pipelineId }) {
+    const navigate = useNavigate()
     const { stats: s, pipeline, dealStages, monthlyRevenue, recentActivities, topPerformers } = stats
-
-    const STAGE_COLORS = {
-        New: '#64748b', Contacted: '#3b82f6', Demo: '#8b5cf6',
-        Proposal: '#f59e0b', Won: '#22c55e', Lost: '#ef4444'
-    }
+    const { getStage } = useStages(pipelineId)
 
     const pipelineChartData = {
         labels: pipeline.map((p) => p._id),
         datasets: [{
             label: 'Leads',
             data: pipeline.map((p) => p.count),
-            backgroundColor: pipeline.map((p) => STAGE_COLORS[p._id] + '99'),
-            borderColor: pipeline.map((p) => STAGE_COLORS[p._id]),
+            backgroundColor: pipeline.map((p) => getStage(p._id).color + '99'),
+            borderColor: pipeline.map((p) => getStage(p._id).color),
             borderWidth: 2,
             borderRadius: 6,
         }],
@@ -116,8 +179,8 @@ function AdminDashboard({ stats }) {
         labels: dealStages.map((d) => d._id),
         datasets: [{
             data: dealStages.map((d) => d.revenue),
-            backgroundColor: dealStages.map((d) => STAGE_COLORS[d._id] + 'cc'),
-            borderColor: dealStages.map((d) => STAGE_COLORS[d._id]),
+            backgroundColor: dealStages.map((d) => getStage(d._id).color + 'cc'),
+            borderColor: dealStages.map((d) => getStage(d._id).color),
             borderWidth: 2,
         }],
     }
@@ -223,7 +286,10 @@ function AdminDashboard({ stats }) {
 
             {/* Recent Activities */}
             <div className="card" style={{ marginTop: '1.5rem' }}>
-                <h3 style={{ marginBottom: '1.5rem' }}>🕐 Recent Activities</h3>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+                    <h3>🕐 Recent Activities</h3>
+                    <button className="btn btn-secondary btn-sm" onClick={() => navigate('/activity')}>View feed →</button>
+                </div>
                 {recentActivities.length === 0 ? (
                     <div className="empty-state" style={{ padding: '1rem' }}>
                         <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No activities yet</p>
@@ -251,21 +317,18 @@ function AdminDashboard({ stats }) {
 }
 
 // ── Sales Dashboard ───────────────────────────────────────────────────────────
-function SalesDashboard({ stats, user }) {
+function SalesDashboard({ stats, user, pipelineId }) {
     const leads = stats?.leads
     const metrics = stats?.deals
 
     const t = metrics?.totals || {}
-    const stageColors = {
-        New: '#64748b', Contacted: '#3b82f6', Demo: '#8b5cf6',
-        Proposal: '#f59e0b', Won: '#22c55e', Lost: '#ef4444'
-    }
+    const { getStage } = useStages(pipelineId)
 
     const doughnutData = {
         labels: (metrics?.summary || []).map((s) => s._id),
         datasets: [{
             data: (metrics?.summary || []).map((s) => s.totalValue),
-            backgroundColor: (metrics?.summary || []).map((s) => (stageColors[s._id] || '#6366f1') + 'cc'),
+            backgroundColor: (metrics?.summary || []).map((s) => getStage(s._id).color + 'cc'),
             borderWidth: 2,
         }],
     }
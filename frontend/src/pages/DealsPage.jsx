@@ -1,32 +1,99 @@
 /**
  * Deals Page
- * Manage deals: create, update stage, view metrics.
+ * Manage deals: create, update stage, move between pipelines, view metrics.
  */
 
 import React, { useEffect, useState, useCallback } from 'react'
-import { dealAPI, leadAPI } from '../services/api'
+import { dealAPI, leadAPI, customFieldAPI } from '../services/api'
 import { useAuth } from '../context/AuthContext'
 import toast from 'react-hot-toast'
-import { formatCurrency, formatDate } from '../utils/helpers'
+import { formatCurrency, formatDate, formatCustomValue } from '../utils/helpers'
+import ExportButton from '../components/ExportButton'
+import CustomFieldInputs from '../components/CustomFieldInputs'
+import CustomFieldFilter from '../components/CustomFieldFilter'
+import ViewSwitcher from '../components/ViewSwitcher'
+import ColumnPicker from '../components/ColumnPicker'
+import FilterPanel, { countActiveFilters } from '../components/FilterPanel'
+import StageBadge from '../components/StageBadge'
+import PipelineSelect, { PipelineName } from '../components/PipelineSelect'
+import { useStages } from '../context/StageContext'
 
-const STAGES = ['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost']
+const DEFAULT_FILTERS = {
+    pipeline: '', stage: '', cf: {}, sortBy: 'createdAt', sortOrder: 'desc',
+    minValue: '', maxValue: '', closeFrom: '', closeTo: '', minProbability: '', maxProbability: '', closeOverdue: '',
+}
+
+// Filters in the collapsible panel
+const DEAL_FILTER_FIELDS = [
+    { type: 'range', label: 'Value', min: 'minValue', max: 'maxValue' },
+    { type: 'range', label: 'Close date', min: 'closeFrom', max: 'closeTo', input: 'date' },
+    { type: 'range', label: 'Probability (%)', min: 'minProbability', max: 'maxProbability' },
+    { type: 'flag', label: 'Close date overdue', key: 'closeOverdue', hint: 'Open deals past their close date' },
+]
+const MUTED = { color: 'var(--color-text-muted)' }
+
+// Optional table columns; custom fields are added as `cf.<key>`
+const DEAL_COLUMNS = [
+    { key: 'leadId', label: 'Lead', style: () => MUTED, render: (deal) => deal.leadId?.name || '—' },
+    { key: 'value', label: 'Value', style: () => ({ color: 'var(--color-success)', fontWeight: 700 }), render: (deal) => formatCurrency(deal.value) },
+    { key: 'pipeline', label: 'Pipeline', style: () => MUTED, render: (deal) => <PipelineName id={deal.pipeline} /> },
+    { key: 'stage', label: 'Stage', render: (deal) => <StageBadge stage={deal.stage} pipeline={deal.pipeline} /> },
+    {
+        key: 'probability', label: 'Probability',
+        render: (deal) => (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <div style={{ flex: 1, height: 6, borderRadius: 3, background: 'var(--color-border)' }}>
+                    <div style={{ width: `${deal.probability}%`, height: '100%', borderRadius: 3, background: 'var(--color-primary)' }} />
+                </div>
+                <span style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>{deal.probability}%</span>
+            </div>
+        ),
+    },
+    { key: 'closeDate', label: 'Close Date', style: () => MUTED, render: (deal) => formatDate(deal.closeDate) },
+    { key: 'createdBy', label: 'Owner', style: () => MUTED, render: (deal) => deal.createdBy?.name || '—' },
+    { key: 'createdAt', label: 'Created', style: () => MUTED, render: (deal) => formatDate(deal.createdAt) },
+]
+const DEFAULT_COLUMNS = ['leadId', 'value', 'stage', 'probability', 'closeDate', 'createdBy']
 
 export default function DealsPage() {
     const { isAdmin } = useAuth()
+    const [filters, setFilters] = useState(DEFAULT_FILTERS)
+    const { stageNames, pipelines } = useStages(filters.pipeline)
     const [deals, setDeals] = useState([])
     const [metrics, setMetrics] = useState(null)
     const [loading, setLoading] = useState(true)
     const [showModal, setShowModal] = useState(false)
     const [editDeal, setEditDeal] = useState(null)
-    const [filters, setFilters] = useState({ stage: '' })
+    const [moveDeal, setMoveDeal] = useState(null)
     const [pagination, setPagination] = useState({ page: 1, pages: 1 })
+    const [customFields, setCustomFields] = useState([])
+    const [columns, setColumns] = useState([])
+    const [showFilterPanel, setShowFilterPanel] = useState(false)
+
+    const activeFilterCount = countActiveFilters(DEAL_FILTER_FIELDS, filters)
+
+    // Across all pipelines, any pipeline's stage can be filtered on
+    const stageOptions = filters.pipeline
+        ? stageNames
+        : [...new Set(pipelines.flatMap((p) => p.stages.map((s) => s.name)))]
+
+    const columnOptions = [
+        ...DEAL_COLUMNS,
+        ...customFields.map((f) => ({
+            key: `cf.${f.key}`, label: f.label, style: () => MUTED,
+            render: (deal) => formatCustomValue(f, deal.customFields?.[f.key]),
+        })),
+    ]
+    const visibleColumns = (columns.length ? columns : DEFAULT_COLUMNS)
+        .map((key) => columnOptions.find((c) => c.key === key))
+        .filter(Boolean)
 
     const fetchDeals = useCallback(async (page = 1) => {
         setLoading(true)
         try {
             const [dealsRes, metricsRes] = await Promise.all([
                 dealAPI.getAll({ page, limit: 10, ...filters }),
-                dealAPI.getMetrics(),
+                dealAPI.getMetrics({ pipeline: filters.pipeline || undefined }),
             ])
             setDeals(dealsRes.data.deals)
             setPagination({ page: dealsRes.data.page, pages: dealsRes.data.pages, total: dealsRes.data.total })
@@ -40,6 +107,10 @@ export default function DealsPage() {
 
     useEffect(() => { fetchDeals(1) }, [fetchDeals])
 
+    useEffect(() => {
+        customFieldAPI.getAll({ entity: 'deal' }).then(({ data }) => setCustomFields(data.fields)).catch(() => { })
+    }, [])
+
     const handleDelete = async (id) => {
         if (!window.confirm('Delete this deal?')) return
         try {
@@ -58,9 +129,12 @@ export default function DealsPage() {
                     <h2>Deals</h2>
                     <p>Track and manage your sales deals</p>
                 </div>
-                <button id="add-deal-btn" className="btn btn-primary" onClick={() => { setEditDeal(null); setShowModal(true) }}>
-                    ＋ New Deal
-                </button>
+                <div style={{ display: 'flex', gap: '0.75rem' }}>
+                    <ExportButton exportFn={dealAPI.export} params={filters} fileName="deals" />
+                    <button id="add-deal-btn" className="btn btn-primary" onClick={() => { setEditDeal(null); setShowModal(true) }}>
+                        ＋ New Deal
+                    </button>
+                </div>
             </div>
 
             {/* Metrics */}
@@ -87,15 +161,42 @@ export default function DealsPage() {
                 </div>
             </div>
 
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.75rem', alignItems: 'flex-start' }}>
+                <ViewSwitcher
+                    entity="deal"
+                    query={filters}
+                    columns={columns}
+                    onApply={(view) => { setFilters({ ...DEFAULT_FILTERS, ...view.query }); setColumns(view.columns) }}
+                />
+                <ColumnPicker options={columnOptions} value={columns} defaults={DEFAULT_COLUMNS} onChange={setColumns} />
+            </div>
+
             {/* Filter */}
             <div className="filters-bar">
+                <PipelineSelect value={filters.pipeline} allLabel="All Pipelines"
+                    onChange={(pipeline) => setFilters({ ...filters, pipeline, stage: '' })} />
                 <select className="form-select" style={{ width: 'auto' }} value={filters.stage}
                     onChange={(e) => setFilters({ ...filters, stage: e.target.value })}>
                     <option value="">All Stages</option>
-                    {STAGES.map((s) => <option key={s} value={s}>{s}</option>)}
+                    {stageOptions.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+                <select className="form-select" style={{ width: 'auto' }} value={`${filters.sortBy}:${filters.sortOrder}`}
+                    onChange={(e) => { const [sortBy, sortOrder] = e.target.value.split(':'); setFilters({ ...filters, sortBy, sortOrder }) }}>
+                    <option value="createdAt:desc">Newest first</option>
+                    <option value="value:desc">Highest value</option>
+                    <option value="closeDate:asc">Closing soonest</option>
+                    {customFields.filter((f) => f.type !== 'multi-select').flatMap((f) => [
+                        <option key={`${f.key}:desc`} value={`customFields.${f.key}:desc`}>{f.label} ↓</option>,
+                        <option key={`${f.key}:asc`} value={`customFields.${f.key}:asc`}>{f.label} ↑</option>,
+                    ])}
                 </select>
-                <button className="btn btn-secondary" onClick={() => setFilters({ stage: '' })}>Clear</button>
+                <CustomFieldFilter fields={customFields} value={filters.cf} onChange={(cf) => setFilters({ ...filters, cf })} />
+                <button className="btn btn-secondary" onClick={() => setShowFilterPanel(!showFilterPanel)}>
+                    ⚙️ More filters{activeFilterCount > 0 && ` (${activeFilterCount})`} {showFilterPanel ? '▴' : '▾'}
+                </button>
+                <button className="btn btn-secondary" onClick={() => setFilters(DEFAULT_FILTERS)}>Clear</button>
             </div>
+            {showFilterPanel && <FilterPanel fields={DEAL_FILTER_FIELDS} filters={filters} onChange={setFilters} />}
 
             {/* Table */}
             {loading ? (
@@ -114,35 +215,33 @@ export default function DealsPage() {
                             <thead>
                                 <tr>
                                     <th>Title</th>
-                                    <th>Lead</th>
-                                    <th>Value</th>
-                                    <th>Stage</th>
-                                    <th>Probability</th>
-                                    <th>Close Date</th>
-                                    <th>Owner</th>
+                                    {visibleColumns.map((col) => <th key={col.key}>{col.label}</th>)}
                                     <th>Actions</th>
                                 </tr>
                             </thead>
                             <tbody>
                                 {deals.map((deal) => (
                                     <tr key={deal._id}>
-                                        <td style={{ fontWeight: 600 }}>{deal.title}</td>
-                                        <td style={{ color: 'var(--color-text-muted)' }}>{deal.leadId?.name || '—'}</td>
-                                        <td style={{ color: 'var(--color-success)', fontWeight: 700 }}>{formatCurrency(deal.value)}</td>
-                                        <td><span className={`badge badge-${deal.stage?.toLowerCase()}`}>{deal.stage}</span></td>
                                         <td>
-                                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                                                <div style={{ flex: 1, height: 6, borderRadius: 3, background: 'var(--color-border)' }}>
-                                                    <div style={{ width: `${deal.probability}%`, height: '100%', borderRadius: 3, background: 'var(--color-primary)' }} />
+                                            <div style={{ fontWeight: 600 }}>{deal.title}</div>
+                                            {customFields.length > 0 && (
+                                                <div style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)', marginTop: '0.2rem' }}>
+                                                    {customFields
+                                                        .filter((f) => deal.customFields?.[f.key] != null)
+                                                        .map((f) => `${f.label}: ${formatCustomValue(f, deal.customFields[f.key])}`)
+                                                        .join(' · ')}
                                                 </div>
-                                                <span style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>{deal.probability}%</span>
-                                            </div>
+                                            )}
                                         </td>
-                                        <td style={{ color: 'var(--color-text-muted)' }}>{formatDate(deal.closeDate)}</td>
-                                        <td style={{ color: 'var(--color-text-muted)' }}>{deal.createdBy?.name || '—'}</td>
+                                        {visibleColumns.map((col) => (
+                                            <td key={col.key} style={col.style?.(deal)}>{col.render(deal)}</td>
+                                        ))}
                                         <td>
                                             <div style={{ display: 'flex', gap: '0.5rem' }}>
                                                 <button className="btn btn-secondary btn-sm" onClick={() => { setEditDeal(deal); setShowModal(true) }}>Edit</button>
+                                                {pipelines.length > 1 && (
+                                                    <button className="btn btn-secondary btn-sm" onClick={() => setMoveDeal(deal)}>Move</button>
+                                                )}
                                                 {isAdmin && <button className="btn btn-danger btn-sm" onClick={() => handleDelete(deal._id)}>Del</button>}
                                             </div>
                                         </td>
@@ -166,39 +265,66 @@ export default function DealsPage() {
             {showModal && (
                 <DealModal
                     deal={editDeal}
+                    pipelineId={filters.pipeline}
+                    customFields={customFields}
                     onClose={() => setShowModal(false)}
                     onSaved={() => { setShowModal(false); fetchDeals(pagination.page) }}
                 />
             )}
+            {moveDeal && (
+                <MoveDealModal
+                    deal={moveDeal}
+                    onClose={() => setMoveDeal(null)}
+                    onMoved={() => { setMoveDeal(null); fetchDeals(pagination.page) }}
+                />
+            )}
         </div>
     )
 }
 
 // ── Deal Modal ────────────────────────────────────────────────────────────────
-function DealModal({ deal, onClose, onSaved }) {
+function DealModal({ deal, pipelineId, customFields, onClose, onSaved }) {
     const isEdit = !!deal
+    const { pipelines, defaultPipeline } = useStages()
+    const initialPipeline = deal?.pipeline || pipelineId || defaultPipeline?._id || ''
+    const { defaultStage, getStage } = useStages(initialPipeline)
     const [form, setForm] = useState({
         title: deal?.title || '',
         leadId: deal?.leadId?._id || deal?.leadId || '',
         value: deal?.value || '',
-        stage: deal?.stage || 'New',
-        probability: deal?.probability || 10,
+        pipeline: initialPipeline,
+        stage: deal?.stage || defaultStage,
+        probability: deal?.probability ?? getStage(defaultStage).probability,
         closeDate: deal?.closeDate ? new Date(deal.closeDate).toISOString().split('T')[0] : '',
         description: deal?.description || '',
+        lossReason: deal?.lossReason || '',
+        customFields: deal?.customFields || {},
     })
     const [leads, setLeads] = useState([])
     const [loading, setLoading] = useState(false)
+    const { stageNames: pipelineStageNames, stages } = useStages(form.pipeline)
+    const selectedStage = stages.find((s) => s.name === form.stage)
+    const asksLossReason = selectedStage?.outcome === 'lost' || selectedStage?.requiredFields?.includes('lossReason')
 
     useEffect(() => {
-        leadAPI.getAll({ limit: 100 }).then(({ data }) => setLeads(data.leads)).catch(() => { })
+        leadAPI.getAll({ limit: 100, converted: 'all' }).then(({ data }) => setLeads(data.leads)).catch(() => { })
     }, [])
 
+    // A new pipeline starts the deal in that pipeline's first open stage
+    const changePipeline = (id) => {
+        const target = pipelines.find((p) => p._id === id)
+        const stage = target?.stages.find((s) => s.outcome === 'open') || target?.stages[0]
+        setForm({ ...form, pipeline: id, stage: stage?.name || '', probability: stage?.probability ?? form.probability })
+    }
+
     const handleSubmit = async (e) => {
         e.preventDefault()
         setLoading(true)
         try {
             if (isEdit) {
-                await dealAPI.update(deal._id, form)
+                // Pipeline moves go through the Move action
+                const { pipeline, ...changes } = form
+                await dealAPI.update(deal._id, changes)
                 toast.success('Deal updated!')
             } else {
                 await dealAPI.create(form)
@@ -233,6 +359,12 @@ function DealModal({ deal, onClose, onSaved }) {
                             {leads.map((l) => <option key={l._id} value={l._id}>{l.name} {l.company ? `(${l.company})` : ''}</option>)}
                         </select>
                     </div>
+                    {!isEdit && pipelines.length > 1 && (
+                        <div className="form-group">
+                            <label className="form-label">Pipeline</label>
+                            <PipelineSelect value={form.pipeline} onChange={changePipeline} style={{ width: '100%' }} />
+                        </div>
+                    )}
                     <div className="grid-2">
                         <div className="form-group">
                             <label className="form-label">Value ($) *</label>
@@ -240,8 +372,10 @@ function DealModal({ deal, onClose, onSaved }) {
                         </div>
                         <div className="form-group">
                             <label className="form-label">Stage</label>
-                            <select className="form-select" value={form.stage} onChange={(e) => setForm({ ...form, stage: e.target.value })}>
-                                {STAGES.map((s) => <option key={s} value={s}>{s}</option>)}
+                            {/* Picking a stage applies its default win probability */}
+                            <select className="form-select" value={form.stage}
+                                onChange={(e) => setForm({ ...form, stage: e.target.value, probability: stages.find((s) => s.name === e.target.value)?.probability ?? form.probability })}>
+                                {pipelineStageNames.map((s) => <option key={s} value={s}>{s}</option>)}
                             </select>
                         </div>
                     </div>
@@ -256,6 +390,15 @@ function DealModal({ deal, onClose, onSaved }) {
                             <input className="form-input" type="date" value={form.closeDate} onChange={(e) => setForm({ ...form, closeDate: e.target.value })} required />
                         </div>
                     </div>
+                    {asksLossReason && (
+                        <div className="form-group">
+                            <label className="form-label">Loss Reason</label>
+                            <input className="form-input" value={form.lossReason} maxLength={300} placeholder="e.g. Budget cut"
+                                onChange={(e) => setForm({ ...form, lossReason: e.target.value })} />
+                        </div>
+                    )}
+                    <CustomFieldInputs fields={customFields} values={form.customFields}
+                        onChange={(values) => setForm({ ...form, customFields: values })} />
                     <div className="form-group">
                         <label className="form-label">Notes</label>
                         <textarea className="form-textarea" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
@@ -271,3 +414,70 @@ function DealModal({ deal, onClose, onSaved }) {
         </div>
     )
 }
+
+// ── Move Deal Modal ───────────────────────────────────────────────────────────
+function MoveDealModal({ deal, onClose, onMoved }) {
+    const { pipelines } = useStages()
+    const targets = pipelines.filter((p) => p._id !== deal.pipeline)
+    const [pipeline, setPipeline] = useState(targets[0]?._id || '')
+    const [stage, setStage] = useState('')
+    const [loading, setLoading] = useState(false)
+    const { stages } = useStages(pipeline)
+
+    const handleMove = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = await dealAPI.move(deal._id, { pipeline, stage: stage || undefined })
+            toast.success(`Moved to ${targets.find((p) => p._id === pipeline)?.name} · ${data.deal.stage}`)
+            onMoved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Move failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title">Move "{deal.title}"</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleMove}>
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                        Currently in <PipelineName id={deal.pipeline} /> at stage "{deal.stage}".
+                    </p>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Pipeline</label>
+                            <select className="form-select" value={pipeline} required
+                                onChange={(e) => { setPipeline(e.target.value); setStage('') }}>
+                                {targets.map((p) => <option key={p._id} value={p._id}>{p.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Stage</label>
+                            <select className="form-select" value={stage} onChange={(e) => setStage(e.target.value)}>
+                                <option value="">Closest match</option>
+                                {stages.map((s) => <option key={s._id} value={s.name}>{s.name}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>
+                        The deal takes the new stage's default win probability.
+                    </p>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading || !pipeline}>
+                            {loading ? <><span className="spinner spinner-sm" /> Moving...</> : 'Move Deal'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
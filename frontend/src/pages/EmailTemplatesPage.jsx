@@ -0,0 +1,305 @@
+/**
+ * Email Templates Page
+ * The template library: shared templates (managed by admins) and your own
+ * personal ones, with merge fields such as {{lead.name}}, {{deal.value}} and
+ * {{user.name}}, previewed against a real lead. Admins can also override the
+ * built-in verification, password reset and welcome emails.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { templateAPI, leadAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { formatDate } from '../utils/helpers'
+import toast from 'react-hot-toast'
+
+const MUTED = { color: 'var(--color-text-muted)', fontSize: '0.75rem' }
+
+export default function EmailTemplatesPage() {
+    const { user, isAdmin } = useAuth()
+    const [templates, setTemplates] = useState([])
+    const [systemTemplates, setSystemTemplates] = useState([])
+    const [fields, setFields] = useState({ record: [], system: [] })
+    const [loading, setLoading] = useState(true)
+    const [editing, setEditing] = useState(null)
+
+    const fetchTemplates = async () => {
+        try {
+            const [{ data }, system] = await Promise.all([
+                templateAPI.getAll(),
+                isAdmin ? templateAPI.getSystem() : Promise.resolve(null),
+            ])
+            setTemplates(data.templates)
+            if (system) setSystemTemplates(system.data.templates)
+        } catch {
+            toast.error('Failed to load templates')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        fetchTemplates()
+        templateAPI.getMergeFields().then(({ data }) => setFields(data.fields)).catch(() => { })
+    }, [])
+
+    const canEdit = (t) => (t.scope === 'shared' ? isAdmin : t.owner?._id === user?._id)
+
+    const handleDelete = async (template) => {
+        if (!window.confirm(`Delete the template "${template.name}"?`)) return
+        try {
+            const { data } = await templateAPI.delete(template._id)
+            toast.success(data.message)
+            fetchTemplates()
+        } catch (err) { toast.error(err.response?.data?.message || 'Delete failed') }
+    }
+
+    const handleReset = async (system) => {
+        if (!window.confirm(`Reset "${system.label}" to the built-in email?`)) return
+        try {
+            const { data } = await templateAPI.resetSystem(system.key)
+            toast.success(data.message)
+            fetchTemplates()
+        } catch (err) { toast.error(err.response?.data?.message || 'Reset failed') }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>Email Templates</h2>
+                    <p>Pick a template when emailing a lead; merge fields are filled in from the lead, its deal and account, and you</p>
+                </div>
+                <button className="btn btn-primary" onClick={() => setEditing({ template: null })}>＋ New Template</button>
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : templates.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">📝</div>
+                    <h3>No templates yet</h3>
+                    <p>Save the emails you send often as templates</p>
+                </div>
+            ) : (
+                <div className="table-wrapper">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Template</th>
+                                <th>Subject</th>
+                                <th>Scope</th>
+                                <th>Updated</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {templates.map((t) => (
+                                <tr key={t._id}>
+                                    <td style={{ fontWeight: 600 }}>{t.name}</td>
+                                    <td>{t.subject}</td>
+                                    <td>{t.scope === 'shared' ? '🌐 Shared' : `👤 ${t.owner?.name || 'Personal'}`}</td>
+                                    <td>{formatDate(t.updatedAt)}</td>
+                                    <td>
+                                        {canEdit(t) && (
+                                            <div style={{ display: 'flex', gap: '0.4rem' }}>
+                                                <button className="btn btn-secondary btn-sm" onClick={() => setEditing({ template: t })}>Edit</button>
+                                                <button className="btn btn-danger btn-sm" onClick={() => handleDelete(t)}>Delete</button>
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {isAdmin && systemTemplates.length > 0 && (
+                <div className="card" style={{ marginTop: '1.5rem' }}>
+                    <h3 style={{ marginBottom: '0.25rem' }}>⚙️ System Emails</h3>
+                    <p style={{ ...MUTED, marginBottom: '1rem' }}>
+                        Account emails sent by the CRM. A custom version replaces the built-in one until it is reset.
+                    </p>
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Email</th>
+                                    <th>Subject</th>
+                                    <th>Version</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {systemTemplates.map((s) => (
+                                    <tr key={s.key}>
+                                        <td style={{ fontWeight: 600 }}>{s.label}</td>
+                                        <td>{(s.override || s.defaults).subject}</td>
+                                        <td>
+                                            {s.override
+                                                ? <>Custom <span style={MUTED}>· {s.override.updatedBy?.name} · {formatDate(s.override.updatedAt)}</span></>
+                                                : 'Built-in'}
+                                        </td>
+                                        <td>
+                                            <div style={{ display: 'flex', gap: '0.4rem' }}>
+                                                <button className="btn btn-secondary btn-sm" onClick={() => setEditing({ system: s })}>Edit</button>
+                                                {s.override && <button className="btn btn-danger btn-sm" onClick={() => handleReset(s)}>Reset</button>}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {editing && (
+                <TemplateModal
+                    template={editing.template}
+                    system={editing.system}
+                    fields={editing.system ? editing.system.fields : fields.record}
+                    onClose={() => setEditing(null)}
+                    onSaved={() => { setEditing(null); fetchTemplates() }}
+                />
+            )}
+        </div>
+    )
+}
+
+// ── Template Modal ────────────────────────────────────────────────────────────
+// Edits a library template, or (with `system`) the override of a system email
+function TemplateModal({ template, system, fields, onClose, onSaved }) {
+    const { isAdmin } = useAuth()
+    const isEdit = !!template
+    const start = system ? (system.override || system.defaults) : template
+    const [form, setForm] = useState({
+        name: template?.name || '',
+        scope: template?.scope || 'personal',
+        subject: start?.subject || '',
+        body: start?.body || '',
+    })
+    const [loading, setLoading] = useState(false)
+    const [leads, setLeads] = useState([])
+    const [leadId, setLeadId] = useState('')
+    const [preview, setPreview] = useState(null)
+
+    useEffect(() => {
+        if (!system) leadAPI.getAll({ limit: 100 }).then(({ data }) => setLeads(data.leads)).catch(() => { })
+    }, [system])
+
+    const insertField = (field) => setForm({ ...form, body: `${form.body}{{${field}}}` })
+
+    const handlePreview = async () => {
+        try {
+            const { data } = await templateAPI.preview({
+                subject: form.subject,
+                body: form.body,
+                systemKey: system?.key,
+                leadId: leadId || undefined,
+            })
+            setPreview(data.preview)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Preview failed')
+        }
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = system
+                ? await templateAPI.saveSystem(system.key, { subject: form.subject, body: form.body })
+                : isEdit
+                    ? await templateAPI.update(template._id, { name: form.name, subject: form.subject, body: form.body })
+                    : await templateAPI.create(form)
+            toast.success(data.message)
+            onSaved()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Operation failed')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div className="modal" style={{ maxWidth: 720 }}>
+                <div className="modal-header">
+                    <h2 className="modal-title">{system ? `Edit "${system.label}" Email` : isEdit ? `Edit "${template.name}"` : 'New Template'}</h2>
+                    <button className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <form className="modal-form" onSubmit={handleSubmit}>
+                    {!system && (
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Name</label>
+                                <input className="form-input" placeholder="e.g. Intro call follow-up" value={form.name} required maxLength={100}
+                                    onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Visible to</label>
+                                <select className="form-select" value={form.scope} disabled={isEdit || !isAdmin}
+                                    onChange={(e) => setForm({ ...form, scope: e.target.value })}>
+                                    <option value="personal">Only me</option>
+                                    <option value="shared">Everyone (shared)</option>
+                                </select>
+                            </div>
+                        </div>
+                    )}
+                    <div className="form-group">
+                        <label className="form-label">Subject</label>
+                        <input className="form-input" value={form.subject} required maxLength={200}
+                            onChange={(e) => setForm({ ...form, subject: e.target.value })} />
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">{system ? 'Body (HTML)' : 'Message'}</label>
+                        <textarea className="form-textarea" rows={system ? 12 : 8} value={form.body} required maxLength={20000}
+                            style={system ? { fontFamily: 'monospace', fontSize: '0.8rem' } : undefined}
+                            onChange={(e) => setForm({ ...form, body: e.target.value })} />
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.3rem', marginTop: '0.4rem', alignItems: 'center' }}>
+                            <span style={MUTED}>Insert:</span>
+                            {fields.map((f) => (
+                                <button key={f} type="button" className="btn btn-secondary btn-sm" onClick={() => insertField(f)}>{`{{${f}}}`}</button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                        {!system && (
+                            <select className="form-select" value={leadId} onChange={(e) => setLeadId(e.target.value)}>
+                                <option value="">Preview with lead...</option>
+                                {leads.map((l) => <option key={l._id} value={l._id}>{l.name}{l.company ? ` (${l.company})` : ''}</option>)}
+                            </select>
+                        )}
+                        <button type="button" className="btn btn-secondary" onClick={handlePreview}>👁️ Preview</button>
+                    </div>
+                    {preview && (
+                        <div style={{ border: '1px solid var(--color-border)', borderRadius: 8, padding: '0.75rem' }}>
+                            <div style={{ fontWeight: 600, marginBottom: '0.5rem' }}>{preview.subject}</div>
+                            {preview.html
+                                ? <iframe title="Preview" sandbox="" srcDoc={preview.body} style={{ width: '100%', height: 280, border: 'none', background: '#fff' }} />
+                                : <p style={{ whiteSpace: 'pre-wrap', fontSize: '0.875rem' }}>{preview.body}</p>}
+                            {preview.missing.length > 0 && (
+                                <div style={{ ...MUTED, color: 'var(--color-warning)', marginTop: '0.5rem' }}>
+                                    No value for {preview.missing.map((f) => `{{${f}}}`).join(', ')} — left blank
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? <><span className="spinner spinner-sm" /> Saving...</> : (isEdit || system ? 'Save Template' : 'Create Template')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    )
+}
@@ -1,29 +1,43 @@
 /**
  * Lead Detail Page
- * Shows lead info, associated deals, and full activity timeline.
+ * Shows lead info, associated deals, the activity timeline and emails sent
+ * to the lead, with compose-and-send.
  */
 
 import React, { useEffect, useState } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
-import { leadAPI, dealAPI } from '../services/api'
+import { leadAPI, dealAPI, activityAPI, customFieldAPI, adminAPI } from '../services/api'
 import { useAuth } from '../context/AuthContext'
 import toast from 'react-hot-toast'
-import { formatDate, formatCurrency } from '../utils/helpers'
-
-const ACTIVITY_TYPES = ['note', 'call', 'email', 'meeting', 'task']
-const STAGES = ['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost']
+import { formatDate, formatCurrency, scoreBadge, formatCustomValue } from '../utils/helpers'
+import ExportButton from '../components/ExportButton'
+import ConvertLeadModal from '../components/ConvertLeadModal'
+import StageBadge from '../components/StageBadge'
+import StageRequirementsModal from '../components/StageRequirementsModal'
+import TaskModal from '../components/TaskModal'
+import ActivityTimeline, { EDITABLE_TYPES } from '../components/ActivityTimeline'
+import EmailComposeModal from '../components/EmailComposeModal'
+import LeadEmails from '../components/LeadEmails'
+import { useStages } from '../context/StageContext'
 
 export default function LeadDetailPage() {
     const { id } = useParams()
     const navigate = useNavigate()
-    const { user } = useAuth()
+    const { user, isAdmin } = useAuth()
     const [lead, setLead] = useState(null)
-    const [activities, setActivities] = useState([])
+    const { stages, lostStages, getStage } = useStages(lead?.pipeline)
+    const [timelineKey, setTimelineKey] = useState(0)
     const [deals, setDeals] = useState([])
     const [loading, setLoading] = useState(true)
     const [showActivityForm, setShowActivityForm] = useState(false)
     const [activityForm, setActivityForm] = useState({ type: 'note', note: '', outcome: '', nextFollowUp: '' })
     const [activityLoading, setActivityLoading] = useState(false)
+    const [customFields, setCustomFields] = useState([])
+    const [showConvert, setShowConvert] = useState(false)
+    const [pendingMove, setPendingMove] = useState(null)
+    const [showTaskModal, setShowTaskModal] = useState(false)
+    const [showCompose, setShowCompose] = useState(false)
+    const [users, setUsers] = useState([])
 
     const fetchLead = async () => {
         try {
@@ -32,7 +46,7 @@ export default function LeadDetailPage() {
                 dealAPI.getAll({ leadId: id }),
             ])
             setLead(leadRes.data.lead)
-            setActivities(leadRes.data.activities || [])
+            setTimelineKey((k) => k + 1)
             setDeals(dealsRes.data.deals || [])
         } catch (err) {
             toast.error('Lead not found')
@@ -44,14 +58,30 @@ export default function LeadDetailPage() {
 
     useEffect(() => { fetchLead() }, [id])
 
+    useEffect(() => {
+        customFieldAPI.getAll({ entity: 'lead' }).then(({ data }) => setCustomFields(data.fields)).catch(() => { })
+    }, [])
+
+    useEffect(() => {
+        if (isAdmin) adminAPI.getUsers({ limit: 50 }).then(({ data }) => setUsers(data.users)).catch(() => { })
+    }, [isAdmin])
+
+    const moveStage = async (newStatus, fields = {}) => {
+        const { data } = await leadAPI.update(id, { ...fields, status: newStatus })
+        setLead(data.lead)
+        setPendingMove(null)
+        toast.success(`Stage updated to ${newStatus}`)
+        fetchLead()
+    }
+
     const handleStatusChange = async (newStatus) => {
         try {
-            const { data } = await leadAPI.update(id, { status: newStatus })
-            setLead(data.lead)
-            toast.success(`Stage updated to ${newStatus}`)
-            fetchLead()
-        } catch {
-            toast.error('Failed to update stage')
+            await moveStage(newStatus)
+        } catch (err) {
+            // The stage's rules were not met: ask for what is missing
+            const errors = err.response?.data?.errors
+            if (errors) setPendingMove({ stage: newStatus, errors })
+            else toast.error(err.response?.data?.message || 'Failed to update stage')
         }
     }
 
@@ -75,7 +105,12 @@ export default function LeadDetailPage() {
     if (loading) return <div className="loading-center"><div className="spinner" /></div>
     if (!lead) return null
 
-    const STAGE_NEXT = { New: 'Contacted', Contacted: 'Demo', Demo: 'Proposal', Proposal: 'Won' }
+    // Open leads move to the following stage in the pipeline, skipping lost stages
+    const currentStage = getStage(lead.status)
+    const currentIdx = stages.findIndex((s) => s.name === lead.status)
+    const nextStage = currentStage.outcome === 'open'
+        ? stages.slice(currentIdx + 1).find((s) => s.outcome !== 'lost')?.name
+        : null
 
     return (
         <div style={{ maxWidth: 1100 }}>
@@ -86,17 +121,43 @@ export default function LeadDetailPage() {
                 <span>{lead.name}</span>
             </div>
 
+            {lead.mergedInto && (
+                <div className="card" style={{ marginBottom: '1.5rem', borderColor: 'var(--color-warning)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>🧬 This lead was merged into another lead on {formatDate(lead.mergedAt)}.</span>
+                    <button className="btn btn-secondary btn-sm" onClick={() => navigate(`/leads/${lead.mergedInto}`)}>View merged lead →</button>
+                </div>
+            )}
+
+            {lead.convertedAt && (
+                <div className="card" style={{ marginBottom: '1.5rem', borderColor: 'var(--color-success)', display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.75rem' }}>
+                    <span>
+                        🎉 Converted on {formatDate(lead.convertedAt)}{lead.convertedBy && ` by ${lead.convertedBy.name}`}
+                        {lead.contact && ` — contact ${lead.contact.name}`}
+                        {lead.convertedDeal && `, deal "${lead.convertedDeal.title}" (${formatCurrency(lead.convertedDeal.value)})`}
+                    </span>
+                    {lead.account && (
+                        <button className="btn btn-secondary btn-sm" onClick={() => navigate(`/accounts/${lead.account._id}`)}>View account →</button>
+                    )}
+                </div>
+            )}
+
             {/* Lead Header */}
             <div className="card" style={{ marginBottom: '1.5rem' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', flexWrap: 'wrap', gap: '1rem' }}>
                     <div>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem' }}>
                             <h2 style={{ fontSize: '1.5rem' }}>{lead.name}</h2>
-                            <span className={`badge badge-${lead.status?.toLowerCase()}`}>{lead.status}</span>
+                            <StageBadge stage={lead.status} pipeline={lead.pipeline} />
                             <span className={`badge badge-${lead.priority}`}>{lead.priority}</span>
+                            <span className={`badge ${scoreBadge(lead.score)}`} title="Lead score">★ {lead.score ?? 0}</span>
                         </div>
                         <div style={{ display: 'flex', gap: '1.5rem', color: 'var(--color-text-muted)', fontSize: '0.875rem', flexWrap: 'wrap' }}>
-                            {lead.company && <span>🏢 {lead.company}</span>}
+                            {lead.account ? (
+                                <button style={{ background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', padding: 0, fontSize: 'inherit' }}
+                                    onClick={() => navigate(`/accounts/${lead.account._id}`)}>
+                                    🏢 {lead.account.name}
+                                </button>
+                            ) : lead.company && <span>🏢 {lead.company}</span>}
                             <span>✉️ {lead.email}</span>
                             {lead.phone && <span>📞 {lead.phone}</span>}
                             {lead.assignedTo && <span>👤 {lead.assignedTo.name}</span>}
@@ -107,41 +168,68 @@ export default function LeadDetailPage() {
                                 💰 Expected: {formatCurrency(lead.expectedValue)}
                             </div>
                         )}
+                        {lead.lossReason && (
+                            <div style={{ marginTop: '0.5rem', color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                                Loss reason: {lead.lossReason}
+                            </div>
+                        )}
+                        {customFields.length > 0 && (
+                            <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', marginTop: '0.75rem', fontSize: '0.875rem' }}>
+                                {customFields.map((f) => (
+                                    <span key={f.key}>
+                                        <span style={{ color: 'var(--color-text-muted)' }}>{f.label}: </span>
+                                        {formatCustomValue(f, lead.customFields?.[f.key])}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                        {lead.webForm && (
+                            <div style={{ marginTop: '0.75rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                                📨 Web form: {lead.webForm.name}
+                                {['source', 'medium', 'campaign', 'term', 'content'].filter((k) => lead.utm?.[k]).map((k) => (
+                                    <span key={k}> · utm_{k}={lead.utm[k]}</span>
+                                ))}
+                                {lead.utm?.referrer && <span> · from {lead.utm.referrer}</span>}
+                            </div>
+                        )}
                     </div>
                     <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
-                        {STAGE_NEXT[lead.status] && (
-                            <button className="btn btn-primary" onClick={() => handleStatusChange(STAGE_NEXT[lead.status])}>
-                                ⬆️ Move to {STAGE_NEXT[lead.status]}
+                        {nextStage && (
+                            <button className="btn btn-primary" onClick={() => handleStatusChange(nextStage)}>
+                                ⬆️ Move to {nextStage}
                             </button>
                         )}
-                        {lead.status !== 'Lost' && (
-                            <button className="btn btn-danger btn-sm" onClick={() => handleStatusChange('Lost')}>Mark Lost</button>
+                        {currentStage.outcome !== 'lost' && lostStages[0] && (
+                            <button className="btn btn-danger btn-sm" onClick={() => handleStatusChange(lostStages[0])}>Mark {lostStages[0]}</button>
                         )}
                         <button className="btn btn-success btn-sm" onClick={() => setShowActivityForm(!showActivityForm)}>
                             + Log Activity
                         </button>
+                        {!lead.isArchived && (
+                            <button className="btn btn-secondary btn-sm" onClick={() => setShowCompose(true)}>✉️ Email</button>
+                        )}
+                        {!lead.convertedAt && !lead.isArchived && !lead.mergedInto && (
+                            <button className="btn btn-secondary btn-sm" onClick={() => setShowConvert(true)}>✅ Convert</button>
+                        )}
                     </div>
                 </div>
 
                 {/* Pipeline Progress */}
                 <div style={{ marginTop: '1.5rem' }}>
                     <div style={{ display: 'flex', gap: '0.25rem' }}>
-                        {STAGES.map((stage) => {
-                            const idx = STAGES.indexOf(stage)
-                            const currentIdx = STAGES.indexOf(lead.status)
-                            const isActive = stage === lead.status
-                            const isPast = idx < currentIdx && lead.status !== 'Lost'
-                            const stageColors = { New: '#64748b', Contacted: '#3b82f6', Demo: '#8b5cf6', Proposal: '#f59e0b', Won: '#22c55e', Lost: '#ef4444' }
+                        {stages.map((stage, idx) => {
+                            const isActive = stage.name === lead.status
+                            const isPast = idx < currentIdx && currentStage.outcome !== 'lost'
                             return (
-                                <div key={stage} style={{ flex: 1, textAlign: 'center' }}>
+                                <div key={stage.name} style={{ flex: 1, textAlign: 'center' }}>
                                     <div style={{
                                         height: 6, borderRadius: 3, marginBottom: '0.4rem',
-                                        background: isActive || isPast ? (stageColors[stage] || 'var(--color-primary)') : 'var(--color-border)',
+                                        background: isActive || isPast ? stage.color : 'var(--color-border)',
                                         opacity: isActive ? 1 : isPast ? 0.6 : 0.3,
                                         transition: 'background 0.3s',
                                     }} />
-                                    <span style={{ fontSize: '0.7rem', color: isActive ? stageColors[stage] : 'var(--color-text-faint)', fontWeight: isActive ? 700 : 400 }}>
-                                        {stage}
+                                    <span style={{ fontSize: '0.7rem', color: isActive ? stage.color : 'var(--color-text-faint)', fontWeight: isActive ? 700 : 400 }}>
+                                        {stage.name}
                                     </span>
                                 </div>
                             )
@@ -160,7 +248,7 @@ export default function LeadDetailPage() {
                                 <label className="form-label">Activity Type</label>
                                 <select className="form-select" value={activityForm.type}
                                     onChange={(e) => setActivityForm({ ...activityForm, type: e.target.value })}>
-                                    {ACTIVITY_TYPES.map((t) => <option key={t} value={t}>{t.charAt(0).toUpperCase() + t.slice(1)}</option>)}
+                                    {EDITABLE_TYPES.map((t) => <option key={t} value={t}>{t.charAt(0).toUpperCase() + t.slice(1)}</option>)}
                                 </select>
                             </div>
                             <div className="form-group">
@@ -195,6 +283,28 @@ export default function LeadDetailPage() {
                 </div>
             )}
 
+            {/* Score Breakdown */}
+            <div className="card" style={{ marginBottom: '1.5rem' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                    <h3>★ Score Breakdown</h3>
+                    <span style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>
+                        {lead.scoredAt ? `Last scored ${formatDate(lead.scoredAt, true)}` : 'Not scored yet'}
+                    </span>
+                </div>
+                {!lead.scoreBreakdown?.length ? (
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No scoring rules match this lead</p>
+                ) : (
+                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                        {lead.scoreBreakdown.map((item) => (
+                            <span key={item.rule} className={`badge ${item.points >= 0 ? 'badge-won' : 'badge-lost'}`}>
+                                {item.name} {item.points >= 0 ? `+${item.points}` : item.points}
+                            </span>
+                        ))}
+                        <span className="badge badge-new" style={{ fontWeight: 700 }}>= {lead.score}</span>
+                    </div>
+                )}
+            </div>
+
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1.5rem' }}>
                 {/* Associated Deals */}
                 <div className="card">
@@ -212,7 +322,7 @@ export default function LeadDetailPage() {
                                 <div style={{ fontWeight: 600, fontSize: '0.9rem' }}>{deal.title}</div>
                                 <div style={{ display: 'flex', gap: '1rem', marginTop: '0.3rem' }}>
                                     <span style={{ color: 'var(--color-success)', fontWeight: 700 }}>{formatCurrency(deal.value)}</span>
-                                    <span className={`badge badge-${deal.stage?.toLowerCase()}`}>{deal.stage}</span>
+                                    <StageBadge stage={deal.stage} pipeline={deal.pipeline} />
                                     <span style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>Close: {formatDate(deal.closeDate)}</span>
                                 </div>
                             </div>
@@ -221,45 +331,53 @@ export default function LeadDetailPage() {
                 </div>
 
                 {/* Activity Timeline */}
-                <div className="card">
-                    <h3 style={{ marginBottom: '1rem' }}>📅 Activity Timeline</h3>
-                    {activities.length === 0 ? (
-                        <div className="empty-state" style={{ padding: '1.5rem' }}>
-                            <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No activities logged yet</p>
-                        </div>
-                    ) : (
-                        <div className="activity-feed" style={{ maxHeight: 400, overflowY: 'auto' }}>
-                            {activities.map((a) => {
-                                const typeIcons = { note: '📝', call: '📞', email: '✉️', meeting: '🤝', task: '✅', 'stage-change': '🔄' }
-                                const outcomeColors = { positive: 'var(--color-success)', neutral: 'var(--color-text-muted)', negative: 'var(--color-danger)' }
-                                return (
-                                    <div key={a._id} className="activity-item">
-                                        <div className="activity-dot" style={{ background: a.type === 'stage-change' ? 'var(--color-warning)' : undefined }} />
-                                        <div className="activity-content">
-                                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.25rem' }}>
-                                                <span>{typeIcons[a.type]}</span>
-                                                <span className="activity-note">{a.note}</span>
-                                            </div>
-                                            <div className="activity-meta">
-                                                <span>👤 {a.userId?.name || 'System'}</span>
-                                                <span>{formatDate(a.date)}</span>
-                                                {a.outcome && <span style={{ color: outcomeColors[a.outcome] }}>● {a.outcome}</span>}
-                                            </div>
-                                        </div>
-                                    </div>
-                                )
-                            })}
-                        </div>
-                    )}
-                </div>
+                <ActivityTimeline leadId={id} refreshKey={timelineKey}>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setShowTaskModal(true)}>＋ Task</button>
+                    <ExportButton exportFn={activityAPI.export} params={{ leadId: id }} fileName="activities" />
+                </ActivityTimeline>
             </div>
 
+            <LeadEmails leadId={id} refreshKey={timelineKey} onChanged={() => setTimelineKey((k) => k + 1)} />
+
             {lead.description && (
                 <div className="card" style={{ marginTop: '1.5rem' }}>
                     <h3 style={{ marginBottom: '0.75rem' }}>📌 Description</h3>
                     <p style={{ color: 'var(--color-text-muted)', lineHeight: 1.7 }}>{lead.description}</p>
                 </div>
             )}
+
+            {showConvert && (
+                <ConvertLeadModal
+                    lead={lead}
+                    onClose={() => setShowConvert(false)}
+                    onConverted={() => { setShowConvert(false); fetchLead() }}
+                />
+            )}
+            {showCompose && (
+                <EmailComposeModal
+                    lead={lead}
+                    deals={deals.filter((d) => d.isActive !== false)}
+                    onClose={() => setShowCompose(false)}
+                    onSent={() => { setShowCompose(false); fetchLead() }}
+                />
+            )}
+            {showTaskModal && (
+                <TaskModal
+                    leadId={id}
+                    users={users}
+                    isAdmin={isAdmin}
+                    onClose={() => setShowTaskModal(false)}
+                    onSaved={() => { setShowTaskModal(false); fetchLead() }}
+                />
+            )}
+            {pendingMove && (
+                <StageRequirementsModal
+                    stage={pendingMove.stage}
+                    errors={pendingMove.errors}
+                    onSubmit={(fields) => moveStage(pendingMove.stage, fields)}
+                    onClose={() => setPendingMove(null)}
+                />
+            )}
         </div>
     )
 }
@@ -5,26 +5,129 @@
 
 import React, { useEffect, useState, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { leadAPI, adminAPI } from '../services/api'
+import { leadAPI, adminAPI, customFieldAPI, accountAPI, tagAPI } from '../services/api'
 import { useAuth } from '../context/AuthContext'
 import toast from 'react-hot-toast'
-import { formatDate, stageBadge } from '../utils/helpers'
+import { formatDate, scoreBadge, formatCustomValue } from '../utils/helpers'
+import { useStages } from '../context/StageContext'
+import LeadImportModal from '../components/LeadImportModal'
+import ExportButton from '../components/ExportButton'
+import BulkActionBar from '../components/BulkActionBar'
+import CustomFieldInputs from '../components/CustomFieldInputs'
+import CustomFieldFilter from '../components/CustomFieldFilter'
+import ViewSwitcher from '../components/ViewSwitcher'
+import ColumnPicker from '../components/ColumnPicker'
+import FilterPanel, { countActiveFilters } from '../components/FilterPanel'
+import StageBadge from '../components/StageBadge'
+import PipelineSelect from '../components/PipelineSelect'
+import TagInput, { TagChip } from '../components/TagInput'
 
-const STAGES = ['New', 'Contacted', 'Demo', 'Proposal', 'Won', 'Lost']
 const PRIORITIES = ['low', 'medium', 'high']
 const SOURCES = ['website', 'referral', 'cold-call', 'email', 'social-media', 'other']
+const DEFAULT_FILTERS = {
+    search: '', pipeline: '', status: '', priority: '', minScore: '', cf: {}, sortBy: 'createdAt', sortOrder: 'desc',
+    source: '', tags: '', tagMode: '', minValue: '', maxValue: '', createdFrom: '', createdTo: '',
+    followUpFrom: '', followUpTo: '', followUpOverdue: '', inactiveDays: '', unassigned: '', converted: '',
+}
+
+// Filters in the collapsible panel
+const LEAD_FILTER_FIELDS = [
+    { type: 'select', label: 'Source', key: 'source', options: [{ value: '', label: 'All sources' }, ...SOURCES.map((s) => ({ value: s, label: s }))] },
+    { type: 'text', label: 'Tags (comma separated)', key: 'tags', placeholder: 'e.g. vip, enterprise' },
+    { type: 'select', label: 'Tag match', key: 'tagMode', options: [{ value: '', label: 'Any of the tags' }, { value: 'all', label: 'All of the tags' }] },
+    { type: 'range', label: 'Expected value', min: 'minValue', max: 'maxValue' },
+    { type: 'range', label: 'Created', min: 'createdFrom', max: 'createdTo', input: 'date' },
+    { type: 'range', label: 'Follow-up date', min: 'followUpFrom', max: 'followUpTo', input: 'date' },
+    { type: 'number', label: 'No activity for (days)', key: 'inactiveDays', placeholder: 'e.g. 14' },
+    { type: 'select', label: 'Conversion', key: 'converted', options: [{ value: '', label: 'Active leads' }, { value: 'true', label: 'Converted only' }, { value: 'all', label: 'Active and converted' }] },
+    { type: 'flag', label: 'Follow-up overdue', key: 'followUpOverdue', hint: 'Open leads past their follow-up date' },
+    { type: 'flag', label: 'Unassigned', key: 'unassigned', hint: 'No owner yet', adminOnly: true },
+]
+const MUTED = { color: 'var(--color-text-muted)' }
+
+// Optional table columns; custom fields are added as `cf.<key>`
+const LEAD_COLUMNS = [
+    { key: 'company', label: 'Company', style: () => MUTED, render: (lead) => lead.account?.name || lead.company || '—' },
+    { key: 'email', label: 'Email', style: () => MUTED, render: (lead) => lead.email },
+    {
+        key: 'status', label: 'Stage', render: (lead) => (
+            <>
+                <StageBadge stage={lead.status} pipeline={lead.pipeline} />
+                {lead.convertedAt && <span className="badge badge-won" style={{ marginLeft: '0.35rem' }}>🎉 converted</span>}
+            </>
+        ),
+    },
+    { key: 'priority', label: 'Priority', render: (lead) => <span className={`badge badge-${lead.priority}`}>{lead.priority}</span> },
+    { key: 'score', label: 'Score', render: (lead) => <span className={`badge ${scoreBadge(lead.score)}`}>{lead.score ?? 0}</span> },
+    { key: 'assignedTo', label: 'Assigned To', style: () => MUTED, render: (lead) => lead.assignedTo?.name || '—' },
+    {
+        key: 'followUpDate', label: 'Follow Up',
+        style: (lead) => ({ color: lead.followUpDate && new Date(lead.followUpDate) < new Date() ? 'var(--color-danger)' : 'var(--color-text-muted)' }),
+        render: (lead) => (lead.followUpDate ? formatDate(lead.followUpDate) : '—'),
+    },
+    { key: 'source', label: 'Source', style: () => MUTED, render: (lead) => lead.source },
+    { key: 'createdAt', label: 'Created', style: () => MUTED, render: (lead) => formatDate(lead.createdAt) },
+]
+const DEFAULT_COLUMNS = ['company', 'email', 'status', 'priority', 'score', 'assignedTo', 'followUpDate', 'tags']
+
+const splitTags = (value) => (value ? value.split(',').map((t) => t.trim()).filter(Boolean) : [])
 
 export default function LeadsPage() {
     const { isAdmin } = useAuth()
+    const [filters, setFilters] = useState(DEFAULT_FILTERS)
+    const { stageNames, pipelines } = useStages(filters.pipeline)
     const navigate = useNavigate()
     const [leads, setLeads] = useState([])
     const [loading, setLoading] = useState(true)
     const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
-    const [filters, setFilters] = useState({ search: '', status: '', priority: '' })
     const [showModal, setShowModal] = useState(false)
     const [editLead, setEditLead] = useState(null)
     const [users, setUsers] = useState([])
     const [deleting, setDeleting] = useState(null)
+    const [showImport, setShowImport] = useState(false)
+    const [selected, setSelected] = useState([])
+    const [allMatching, setAllMatching] = useState(false)
+    const [bulkLoading, setBulkLoading] = useState(false)
+    const [customFields, setCustomFields] = useState([])
+    const [columns, setColumns] = useState([])
+    const [showFilterPanel, setShowFilterPanel] = useState(false)
+    const [tagRegistry, setTagRegistry] = useState({ tags: [], adminOnlyCreate: false })
+
+    const filterFields = LEAD_FILTER_FIELDS.filter((f) => isAdmin || !f.adminOnly)
+    const activeFilterCount = countActiveFilters(filterFields, filters)
+
+    // Across all pipelines, any pipeline's stage can be filtered on
+    const stageOptions = filters.pipeline
+        ? stageNames
+        : [...new Set(pipelines.flatMap((p) => p.stages.map((s) => s.name)))]
+
+    // Clicking a tag adds it to the tag filter, or takes it out again
+    const filterTags = splitTags(filters.tags)
+    const toggleTagFilter = (name) => {
+        const active = filterTags.some((t) => t.toLowerCase() === name.toLowerCase())
+        const next = active ? filterTags.filter((t) => t.toLowerCase() !== name.toLowerCase()) : [...filterTags, name]
+        setFilters({ ...filters, tags: next.join(', ') })
+    }
+
+    const columnOptions = [
+        ...LEAD_COLUMNS,
+        {
+            key: 'tags', label: 'Tags', render: (lead) => (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem' }}>
+                    {(lead.tags || []).map((tag) => (
+                        <TagChip key={tag} name={tag} tags={tagRegistry.tags} title="Filter by this tag" onClick={() => toggleTagFilter(tag)} />
+                    ))}
+                </div>
+            ),
+        },
+        ...customFields.map((f) => ({
+            key: `cf.${f.key}`, label: f.label, style: () => MUTED,
+            render: (lead) => formatCustomValue(f, lead.customFields?.[f.key]),
+        })),
+    ]
+    const visibleColumns = (columns.length ? columns : DEFAULT_COLUMNS)
+        .map((key) => columnOptions.find((c) => c.key === key))
+        .filter(Boolean)
 
     const fetchLeads = useCallback(async (page = 1) => {
         setLoading(true)
@@ -33,6 +136,8 @@ export default function LeadsPage() {
             const { data } = await leadAPI.getAll(params)
             setLeads(data.leads)
             setPagination({ page: data.page, pages: data.pages, total: data.total })
+            setSelected([])
+            setAllMatching(false)
         } catch (err) {
             toast.error('Failed to load leads')
         } finally {
@@ -42,6 +147,14 @@ export default function LeadsPage() {
 
     useEffect(() => { fetchLeads(1) }, [fetchLeads])
 
+    useEffect(() => {
+        customFieldAPI.getAll({ entity: 'lead' }).then(({ data }) => setCustomFields(data.fields)).catch(() => { })
+    }, [])
+
+    useEffect(() => {
+        tagAPI.getAll().then(({ data }) => setTagRegistry({ tags: data.tags, adminOnlyCreate: data.adminOnlyCreate })).catch(() => { })
+    }, [])
+
     useEffect(() => {
         if (isAdmin) {
             adminAPI.getUsers({ limit: 50 }).then(({ data }) => setUsers(data.users)).catch(() => { })
@@ -59,6 +172,44 @@ export default function LeadsPage() {
         finally { setDeleting(null) }
     }
 
+    const pageIds = leads.map((l) => l._id)
+    const allOnPageSelected = pageIds.length > 0 && pageIds.every((id) => selected.includes(id))
+
+    const toggleSelect = (id) => {
+        setAllMatching(false)
+        setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id])
+    }
+
+    const toggleSelectPage = () => {
+        setAllMatching(false)
+        setSelected(allOnPageSelected ? [] : pageIds)
+    }
+
+    const clearSelection = () => {
+        setSelected([])
+        setAllMatching(false)
+    }
+
+    const handleBulk = async (operation, value) => {
+        const count = allMatching ? pagination.total : selected.length
+        if (operation === 'archive' && !window.confirm(`Archive ${count} leads?`)) return
+        setBulkLoading(true)
+        try {
+            // "Select all matching" sends the list filter instead of IDs
+            const target = allMatching ? { filter: filters } : { ids: selected }
+            const { data } = await leadAPI.bulk({ operation, value, ...target })
+            if (data.failed > 0) toast.error(`${data.succeeded} updated, ${data.failed} failed`)
+            else toast.success(`${data.succeeded} leads updated`)
+            fetchLeads(pagination.page)
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Bulk update failed')
+        } finally {
+            setBulkLoading(false)
+        }
+    }
+
     return (
         <div>
             <div className="page-header">
@@ -66,9 +217,25 @@ export default function LeadsPage() {
                     <h2>Lead Management</h2>
                     <p>{pagination.total} total leads</p>
                 </div>
-                <button id="add-lead-btn" className="btn btn-primary" onClick={() => { setEditLead(null); setShowModal(true) }}>
-                    ＋ Add Lead
-                </button>
+                <div style={{ display: 'flex', gap: '0.75rem' }}>
+                    <ExportButton exportFn={leadAPI.export} params={filters} fileName="leads" />
+                    <button id="import-leads-btn" className="btn btn-secondary" onClick={() => setShowImport(true)}>
+                        ⬆️ Import CSV
+                    </button>
+                    <button id="add-lead-btn" className="btn btn-primary" onClick={() => { setEditLead(null); setShowModal(true) }}>
+                        ＋ Add Lead
+                    </button>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.75rem', alignItems: 'flex-start' }}>
+                <ViewSwitcher
+                    entity="lead"
+                    query={filters}
+                    columns={columns}
+                    onApply={(view) => { setFilters({ ...DEFAULT_FILTERS, ...view.query }); setColumns(view.columns) }}
+                />
+                <ColumnPicker options={columnOptions} value={columns} defaults={DEFAULT_COLUMNS} onChange={setColumns} />
             </div>
 
             {/* Filters */}
@@ -77,25 +244,65 @@ export default function LeadsPage() {
                     <span className="search-icon">🔍</span>
                     <input
                         className="form-input"
-                        placeholder="Search by name, email, company..."
+                        placeholder="Search name, email, company, tags, description..."
                         value={filters.search}
-                        onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+                        onChange={(e) => {
+                            const search = e.target.value
+                            // Relevance only ranks within a text search
+                            const sort = !search && filters.sortBy === 'relevance' ? { sortBy: 'createdAt', sortOrder: 'desc' } : {}
+                            setFilters({ ...filters, search, ...sort })
+                        }}
                     />
                 </div>
+                <PipelineSelect value={filters.pipeline} allLabel="All Pipelines"
+                    onChange={(pipeline) => setFilters({ ...filters, pipeline, status: '' })} />
                 <select className="form-select" style={{ width: 'auto' }} value={filters.status}
                     onChange={(e) => setFilters({ ...filters, status: e.target.value })}>
                     <option value="">All Stages</option>
-                    {STAGES.map((s) => <option key={s} value={s}>{s}</option>)}
+                    {stageOptions.map((s) => <option key={s} value={s}>{s}</option>)}
                 </select>
                 <select className="form-select" style={{ width: 'auto' }} value={filters.priority}
                     onChange={(e) => setFilters({ ...filters, priority: e.target.value })}>
                     <option value="">All Priorities</option>
                     {PRIORITIES.map((p) => <option key={p} value={p}>{p.charAt(0).toUpperCase() + p.slice(1)}</option>)}
                 </select>
-                <button className="btn btn-secondary" onClick={() => setFilters({ search: '', status: '', priority: '' })}>
+                <input
+                    className="form-input"
+                    type="number"
+                    style={{ width: 130 }}
+                    placeholder="Min score"
+                    value={filters.minScore}
+                    onChange={(e) => setFilters({ ...filters, minScore: e.target.value })}
+                />
+                <select className="form-select" style={{ width: 'auto' }} value={`${filters.sortBy}:${filters.sortOrder}`}
+                    onChange={(e) => { const [sortBy, sortOrder] = e.target.value.split(':'); setFilters({ ...filters, sortBy, sortOrder }) }}>
+                    {filters.search && <option value="relevance:desc">Best match</option>}
+                    <option value="createdAt:desc">Newest first</option>
+                    <option value="createdAt:asc">Oldest first</option>
+                    <option value="score:desc">Highest score</option>
+                    <option value="score:asc">Lowest score</option>
+                    {customFields.filter((f) => f.type !== 'multi-select').flatMap((f) => [
+                        <option key={`${f.key}:desc`} value={`customFields.${f.key}:desc`}>{f.label} ↓</option>,
+                        <option key={`${f.key}:asc`} value={`customFields.${f.key}:asc`}>{f.label} ↑</option>,
+                    ])}
+                </select>
+                <CustomFieldFilter fields={customFields} value={filters.cf} onChange={(cf) => setFilters({ ...filters, cf })} />
+                <button className="btn btn-secondary" onClick={() => setShowFilterPanel(!showFilterPanel)}>
+                    ⚙️ More filters{activeFilterCount > 0 && ` (${activeFilterCount})`} {showFilterPanel ? '▴' : '▾'}
+                </button>
+                <button className="btn btn-secondary" onClick={() => setFilters(DEFAULT_FILTERS)}>
                     Clear
                 </button>
             </div>
+            {filterTags.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem', alignItems: 'center', marginBottom: '1rem', fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                    Tagged ({filters.tagMode === 'all' ? 'all of' : 'any of'}):
+                    {filterTags.map((tag) => (
+                        <TagChip key={tag} name={tag} tags={tagRegistry.tags} onRemove={() => toggleTagFilter(tag)} />
+                    ))}
+                </div>
+            )}
+            {showFilterPanel && <FilterPanel fields={filterFields} filters={filters} onChange={setFilters} />}
 
             {/* Table */}
             {loading ? (
@@ -109,23 +316,51 @@ export default function LeadsPage() {
                 </div>
             ) : (
                 <>
+                    {selected.length > 0 && (
+                        <>
+                            <BulkActionBar
+                                count={allMatching ? pagination.total : selected.length}
+                                pipeline={filters.pipeline}
+                                users={users}
+                                isAdmin={isAdmin}
+                                loading={bulkLoading}
+                                onApply={handleBulk}
+                                onClear={clearSelection}
+                            />
+                            {allOnPageSelected && pagination.total > pageIds.length && (
+                                <div style={{ marginBottom: '1rem', fontSize: '0.875rem', color: 'var(--color-text-muted)' }}>
+                                    {allMatching ? (
+                                        <>All {pagination.total} matching leads are selected. </>
+                                    ) : (
+                                        <>All {pageIds.length} leads on this page are selected. </>
+                                    )}
+                                    <button
+                                        style={{ background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', fontWeight: 600 }}
+                                        onClick={() => (allMatching ? clearSelection() : setAllMatching(true))}>
+                                        {allMatching ? 'Clear selection' : `Select all ${pagination.total} matching leads`}
+                                    </button>
+                                </div>
+                            )}
+                        </>
+                    )}
                     <div className="table-wrapper">
                         <table>
                             <thead>
                                 <tr>
+                                    <th style={{ width: 36 }}>
+                                        <input type="checkbox" checked={allOnPageSelected} onChange={toggleSelectPage} title="Select page" />
+                                    </th>
                                     <th>Name</th>
-                                    <th>Company</th>
-                                    <th>Email</th>
-                                    <th>Stage</th>
-                                    <th>Priority</th>
-                                    <th>Assigned To</th>
-                                    <th>Follow Up</th>
+                                    {visibleColumns.map((col) => <th key={col.key}>{col.label}</th>)}
                                     <th>Actions</th>
                                 </tr>
                             </thead>
                             <tbody>
                                 {leads.map((lead) => (
                                     <tr key={lead._id}>
+                                        <td>
+                                            <input type="checkbox" checked={selected.includes(lead._id)} onChange={() => toggleSelect(lead._id)} />
+                                        </td>
                                         <td>
                                             <button
                                                 style={{ background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', fontWeight: 600, fontSize: '0.875rem', textAlign: 'left' }}
@@ -133,14 +368,9 @@ export default function LeadsPage() {
                                                 {lead.name}
                                             </button>
                                         </td>
-                                        <td style={{ color: 'var(--color-text-muted)' }}>{lead.company || '—'}</td>
-                                        <td style={{ color: 'var(--color-text-muted)' }}>{lead.email}</td>
-                                        <td><span className={`badge badge-${lead.status?.toLowerCase()}`}>{lead.status}</span></td>
-                                        <td><span className={`badge badge-${lead.priority}`}>{lead.priority}</span></td>
-                                        <td style={{ color: 'var(--color-text-muted)' }}>{lead.assignedTo?.name || '—'}</td>
-                                        <td style={{ color: lead.followUpDate && new Date(lead.followUpDate) < new Date() ? 'var(--color-danger)' : 'var(--color-text-muted)' }}>
-                                            {lead.followUpDate ? formatDate(lead.followUpDate) : '—'}
-                                        </td>
+                                        {visibleColumns.map((col) => (
+                                            <td key={col.key} style={col.style?.(lead)}>{col.render(lead)}</td>
+                                        ))}
                                         <td>
                                             <div style={{ display: 'flex', gap: '0.5rem' }}>
                                                 <button className="btn btn-secondary btn-sm" onClick={() => { setEditLead(lead); setShowModal(true) }}>Edit</button>
@@ -176,32 +406,56 @@ export default function LeadsPage() {
                     lead={editLead}
                     users={users}
                     isAdmin={isAdmin}
+                    customFields={customFields}
+                    tagRegistry={tagRegistry}
                     onClose={() => setShowModal(false)}
                     onSaved={() => { setShowModal(false); fetchLeads(pagination.page) }}
                 />
             )}
+
+            {/* CSV Import Wizard */}
+            {showImport && (
+                <LeadImportModal
+                    onClose={() => setShowImport(false)}
+                    onImported={() => fetchLeads(1)}
+                />
+            )}
         </div>
     )
 }
 
 // ── Lead Create/Edit Modal ────────────────────────────────────────────────────
-function LeadModal({ lead, users, isAdmin, onClose, onSaved }) {
+function LeadModal({ lead, users, isAdmin, customFields, tagRegistry, onClose, onSaved }) {
     const isEdit = !!lead
+    const { defaultStage, defaultPipeline, pipelines } = useStages(lead?.pipeline)
     const [form, setForm] = useState({
+        pipeline: lead?.pipeline || defaultPipeline?._id || '',
         name: lead?.name || '',
         email: lead?.email || '',
         phone: lead?.phone || '',
         company: lead?.company || '',
+        account: lead?.account?._id || lead?.account || '',
         website: lead?.website || '',
         source: lead?.source || 'other',
-        status: lead?.status || 'New',
+        status: lead?.status || defaultStage,
         priority: lead?.priority || 'medium',
         expectedValue: lead?.expectedValue || '',
+        lossReason: lead?.lossReason || '',
+        tags: lead?.tags || [],
         description: lead?.description || '',
         followUpDate: lead?.followUpDate ? new Date(lead.followUpDate).toISOString().split('T')[0] : '',
         assignedTo: lead?.assignedTo?._id || lead?.assignedTo || '',
+        customFields: lead?.customFields || {},
     })
+    const [accounts, setAccounts] = useState([])
     const [loading, setLoading] = useState(false)
+    const { stageNames, getStage } = useStages(form.pipeline)
+    const selectedStage = getStage(form.status)
+    const asksLossReason = selectedStage.outcome === 'lost' || selectedStage.requiredFields?.includes('lossReason')
+
+    useEffect(() => {
+        accountAPI.getAll({ limit: 100 }).then(({ data }) => setAccounts(data.accounts)).catch(() => { })
+    }, [])
 
     const handleSubmit = async (e) => {
         e.preventDefault()
@@ -209,14 +463,18 @@ function LeadModal({ lead, users, isAdmin, onClose, onSaved }) {
         try {
             const payload = { ...form }
             if (!payload.assignedTo) delete payload.assignedTo
+            if (!payload.account && !isEdit) delete payload.account
             if (!payload.followUpDate) delete payload.followUpDate
+            // Left empty after a pipeline change: the server picks the matching stage
+            if (!payload.status) delete payload.status
 
             if (isEdit) {
                 await leadAPI.update(lead._id, payload)
                 toast.success('Lead updated!')
             } else {
-                await leadAPI.create(payload)
+                const { data } = await leadAPI.create(payload)
                 toast.success('Lead created!')
+                if (data.duplicates?.length) toast(data.warning, { icon: '⚠️', duration: 6000 })
             }
             onSaved()
         } catch (err) {
@@ -256,11 +514,29 @@ function LeadModal({ lead, users, isAdmin, onClose, onSaved }) {
                             <input className="form-input" value={form.company} onChange={(e) => setForm({ ...form, company: e.target.value })} />
                         </div>
                     </div>
+                    <div className="form-group">
+                        <label className="form-label">Account</label>
+                        <select className="form-select" value={form.account} onChange={(e) => setForm({ ...form, account: e.target.value })}>
+                            <option value="">Match automatically (email domain / company)</option>
+                            {lead?.account?._id && !accounts.some((a) => a._id === lead.account._id) && (
+                                <option value={lead.account._id}>{lead.account.name}</option>
+                            )}
+                            {accounts.map((a) => <option key={a._id} value={a._id}>{a.name}</option>)}
+                        </select>
+                    </div>
+                    {pipelines.length > 1 && (
+                        <div className="form-group">
+                            <label className="form-label">Pipeline</label>
+                            <PipelineSelect value={form.pipeline} style={{ width: '100%' }}
+                                onChange={(pipeline) => setForm({ ...form, pipeline, status: '' })} />
+                        </div>
+                    )}
                     <div className="grid-2">
                         <div className="form-group">
                             <label className="form-label">Stage</label>
                             <select className="form-select" value={form.status} onChange={(e) => setForm({ ...form, status: e.target.value })}>
-                                {STAGES.map((s) => <option key={s} value={s}>{s}</option>)}
+                                {!form.status && <option value="">{isEdit ? 'Closest match' : 'First open stage'}</option>}
+                                {stageNames.map((s) => <option key={s} value={s}>{s}</option>)}
                             </select>
                         </div>
                         <div className="form-group">
@@ -297,6 +573,20 @@ function LeadModal({ lead, users, isAdmin, onClose, onSaved }) {
                             </div>
                         )}
                     </div>
+                    <div className="form-group">
+                        <label className="form-label">Tags</label>
+                        <TagInput value={form.tags} tags={tagRegistry.tags} canCreate={isAdmin || !tagRegistry.adminOnlyCreate}
+                            onChange={(tags) => setForm({ ...form, tags })} />
+                    </div>
+                    {asksLossReason && (
+                        <div className="form-group">
+                            <label className="form-label">Loss Reason</label>
+                            <input className="form-input" value={form.lossReason} maxLength={300} placeholder="e.g. Went with a competitor"
+                                onChange={(e) => setForm({ ...form, lossReason: e.target.value })} />
+                        </div>
+                    )}
+                    <CustomFieldInputs fields={customFields} values={form.customFields}
+                        onChange={(values) => setForm({ ...form, customFields: values })} />
                     <div className="form-group">
                         <label className="form-label">Description</label>
                         <textarea className="form-textarea" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} placeholder="Notes about this lead..." />
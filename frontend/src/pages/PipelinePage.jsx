@@ -1,69 +1,70 @@
 /**
  * Pipeline Page
- * Kanban-style board showing leads grouped by pipeline stage.
+ * Kanban-style board showing one pipeline's leads grouped by its stages.
  */
 
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useMemo, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { leadAPI } from '../services/api'
 import { formatCurrency } from '../utils/helpers'
+import { useStages } from '../context/StageContext'
+import PipelineSelect from '../components/PipelineSelect'
+import StageRequirementsModal from '../components/StageRequirementsModal'
 import toast from 'react-hot-toast'
 
-const STAGES = [
-    { key: 'New', icon: '🆕', color: '#64748b' },
-    { key: 'Contacted', icon: '📞', color: '#3b82f6' },
-    { key: 'Demo', icon: '🖥️', color: '#8b5cf6' },
-    { key: 'Proposal', icon: '📄', color: '#f59e0b' },
-    { key: 'Won', icon: '🏆', color: '#22c55e' },
-    { key: 'Lost', icon: '❌', color: '#ef4444' },
-]
-
 export default function PipelinePage() {
     const navigate = useNavigate()
-    const [leadsByStage, setLeadsByStage] = useState({})
+    const [pipelineId, setPipelineId] = useState('')
+    const { stages, pipeline } = useStages(pipelineId)
+    const [leads, setLeads] = useState([])
     const [pipelineStats, setPipelineStats] = useState([])
     const [loading, setLoading] = useState(true)
+    const [pendingMove, setPendingMove] = useState(null)
 
-    useEffect(() => {
-        const fetchPipeline = async () => {
-            try {
-                const [allLeads, pipelineRes] = await Promise.all([
-                    leadAPI.getAll({ limit: 200 }),
-                    leadAPI.getPipeline(),
-                ])
-                // Group by stage
-                const grouped = {}
-                STAGES.forEach((s) => { grouped[s.key] = [] })
-                allLeads.data.leads.forEach((lead) => {
-                    if (grouped[lead.status]) grouped[lead.status].push(lead)
-                })
-                setLeadsByStage(grouped)
-                setPipelineStats(pipelineRes.data.pipeline)
-            } catch {
-                toast.error('Failed to load pipeline')
-            } finally {
-                setLoading(false)
-            }
+    const fetchPipeline = async () => {
+        if (!pipeline) return
+        try {
+            const [allLeads, pipelineRes] = await Promise.all([
+                leadAPI.getAll({ limit: 200, pipeline: pipeline._id }),
+                leadAPI.getPipeline({ pipeline: pipeline._id }),
+            ])
+            setLeads(allLeads.data.leads)
+            setPipelineStats(pipelineRes.data.pipeline)
+        } catch {
+            toast.error('Failed to load pipeline')
+        } finally {
+            setLoading(false)
         }
+    }
+
+    useEffect(() => { fetchPipeline() }, [pipeline?._id])
+
+    // Group by stage
+    const leadsByStage = useMemo(() => {
+        const grouped = {}
+        stages.forEach((s) => { grouped[s.name] = [] })
+        leads.forEach((lead) => {
+            if (grouped[lead.status]) grouped[lead.status].push(lead)
+        })
+        return grouped
+    }, [stages, leads])
+
+    const moveLead = async (leadId, newStage, fields = {}) => {
+        await leadAPI.update(leadId, { ...fields, status: newStage })
+        toast.success(`Moved to ${newStage}`)
+        setPendingMove(null)
+        setLoading(true)
         fetchPipeline()
-    }, [])
+    }
 
     const handleMoveStage = async (leadId, newStage) => {
         try {
-            await leadAPI.update(leadId, { status: newStage })
-            toast.success(`Moved to ${newStage}`)
-            // Refresh
-            setLoading(true)
-            const allLeads = await leadAPI.getAll({ limit: 200 })
-            const grouped = {}
-            STAGES.forEach((s) => { grouped[s.key] = [] })
-            allLeads.data.leads.forEach((lead) => {
-                if (grouped[lead.status]) grouped[lead.status].push(lead)
-            })
-            setLeadsByStage(grouped)
-            setLoading(false)
-        } catch {
-            toast.error('Failed to move lead')
+            await moveLead(leadId, newStage)
+        } catch (err) {
+            // The stage's rules were not met: ask for what is missing
+            const errors = err.response?.data?.errors
+            if (errors) setPendingMove({ leadId, stage: newStage, errors })
+            else toast.error(err.response?.data?.message || 'Failed to move lead')
         }
     }
 
@@ -73,22 +74,23 @@ export default function PipelinePage() {
         <div>
             <div className="page-header">
                 <div className="page-header-left">
-                    <h2>Sales Pipeline</h2>
+                    <h2>{pipeline?.name || 'Sales Pipeline'}</h2>
                     <p>Visual Kanban board of your lead stages</p>
                 </div>
+                <PipelineSelect value={pipeline?._id} onChange={(id) => { setLoading(true); setPipelineId(id) }} />
             </div>
 
             {/* Pipeline Summary */}
             <div className="stats-grid" style={{ marginBottom: '1.5rem' }}>
-                {STAGES.map((stage) => {
-                    const stat = pipelineStats.find((p) => p._id === stage.key) || { count: 0, totalValue: 0 }
+                {stages.map((stage) => {
+                    const stat = pipelineStats.find((p) => p._id === stage.name) || { count: 0, totalValue: 0 }
                     return (
-                        <div key={stage.key} className="stat-card" style={{ borderTop: `3px solid ${stage.color}` }}>
+                        <div key={stage.name} className="stat-card" style={{ borderTop: `3px solid ${stage.color}` }}>
                             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                                 <span>{stage.icon}</span>
                                 <span style={{ fontWeight: 800, fontSize: '1.5rem' }}>{stat.count}</span>
                             </div>
-                            <div style={{ fontWeight: 600, fontSize: '0.875rem' }}>{stage.key}</div>
+                            <div style={{ fontWeight: 600, fontSize: '0.875rem' }}>{stage.name}</div>
                             {stat.totalValue > 0 && (
                                 <div style={{ color: 'var(--color-success)', fontSize: '0.8rem', fontWeight: 600 }}>
                                     {formatCurrency(stat.totalValue)}
@@ -101,14 +103,14 @@ export default function PipelinePage() {
 
             {/* Kanban Board */}
             <div className="pipeline-board">
-                {STAGES.map((stage) => {
-                    const stageLeads = leadsByStage[stage.key] || []
+                {stages.map((stage) => {
+                    const stageLeads = leadsByStage[stage.name] || []
                     return (
-                        <div key={stage.key} className="pipeline-column">
+                        <div key={stage.name} className="pipeline-column">
                             <div className="pipeline-column-header">
                                 <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
                                     <span>{stage.icon}</span>
-                                    <span className="pipeline-column-title" style={{ color: stage.color }}>{stage.key}</span>
+                                    <span className="pipeline-column-title" style={{ color: stage.color }}>{stage.name}</span>
                                 </div>
                                 <span className="pipeline-column-count">{stageLeads.length}</span>
                             </div>
@@ -139,9 +141,9 @@ export default function PipelinePage() {
                                         )}
                                         {/* Quick move buttons */}
                                         <div style={{ display: 'flex', gap: '0.3rem', marginTop: '0.5rem', flexWrap: 'wrap' }} onClick={(e) => e.stopPropagation()}>
-                                            {STAGES.filter((s) => s.key !== stage.key).slice(0, 2).map((targetStage) => (
+                                            {stages.filter((s) => s.name !== stage.name).slice(0, 2).map((targetStage) => (
                                                 <button
-                                                    key={targetStage.key}
+                                                    key={targetStage.name}
                                                     style={{
                                                         fontSize: '0.65rem', padding: '0.15rem 0.4rem',
                                                         background: targetStage.color + '22',
@@ -149,9 +151,9 @@ export default function PipelinePage() {
                                                         borderRadius: '4px', color: targetStage.color,
                                                         cursor: 'pointer', fontWeight: 600,
                                                     }}
-                                                    onClick={() => handleMoveStage(lead._id, targetStage.key)}
+                                                    onClick={() => handleMoveStage(lead._id, targetStage.name)}
                                                 >
-                                                    → {targetStage.key}
+                                                    → {targetStage.name}
                                                 </button>
                                             ))}
                                         </div>
@@ -162,6 +164,15 @@ export default function PipelinePage() {
                     )
                 })}
             </div>
+
+            {pendingMove && (
+                <StageRequirementsModal
+                    stage={pendingMove.stage}
+                    errors={pendingMove.errors}
+                    onSubmit={(fields) => moveLead(pendingMove.leadId, pendingMove.stage, fields)}
+                    onClose={() => setPendingMove(null)}
+                />
+            )}
         </div>
     )
 }
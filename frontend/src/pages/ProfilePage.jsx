@@ -1,6 +1,7 @@
 /**
  * Profile Page
- * Update name/email and change password.
+ * Update name/email, follow-up reminder emails, sender details for emails
+ * to leads, and change password.
  */
 
 import React, { useState } from 'react'
@@ -10,7 +11,12 @@ import toast from 'react-hot-toast'
 
 export default function ProfilePage() {
     const { user, updateUser } = useAuth()
-    const [profileForm, setProfileForm] = useState({ name: user?.name || '', email: user?.email || '' })
+    const [profileForm, setProfileForm] = useState({
+        name: user?.name || '',
+        email: user?.email || '',
+        reminders: { mode: user?.reminders?.mode || 'instant' },
+        emailSettings: { fromName: user?.emailSettings?.fromName || '', replyTo: user?.emailSettings?.replyTo || '' },
+    })
     const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' })
     const [profileLoading, setProfileLoading] = useState(false)
     const [passwordLoading, setPasswordLoading] = useState(false)
@@ -97,6 +103,27 @@ export default function ProfilePage() {
                                 onChange={(e) => setProfileForm({ ...profileForm, email: e.target.value })} required />
                         </div>
                     </div>
+                    <div className="form-group">
+                        <label className="form-label">Follow-Up Reminder Emails</label>
+                        <select className="form-select" value={profileForm.reminders.mode}
+                            onChange={(e) => setProfileForm({ ...profileForm, reminders: { mode: e.target.value } })}>
+                            <option value="instant">As each follow-up comes due</option>
+                            <option value="digest">Daily digest</option>
+                            <option value="off">Off</option>
+                        </select>
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Sender Name (emails to leads)</label>
+                            <input className="form-input" value={profileForm.emailSettings.fromName} maxLength={60} placeholder={profileForm.name}
+                                onChange={(e) => setProfileForm({ ...profileForm, emailSettings: { ...profileForm.emailSettings, fromName: e.target.value } })} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Replies Go To</label>
+                            <input className="form-input" type="email" value={profileForm.emailSettings.replyTo} placeholder={profileForm.email}
+                                onChange={(e) => setProfileForm({ ...profileForm, emailSettings: { ...profileForm.emailSettings, replyTo: e.target.value } })} />
+                        </div>
+                    </div>
                     <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
                         <button id="update-profile-btn" type="submit" className="btn btn-primary" disabled={profileLoading}>
                             {profileLoading ? <><span className="spinner spinner-sm" /> Saving...</> : '💾 Save Changes'}
@@ -0,0 +1,209 @@
+/**
+ * Tasks Page
+ * My open, overdue, due-today and upcoming tasks (admins can switch to
+ * everyone's or one user's), with complete/reopen, inline reschedule and a
+ * modal to create, edit or reassign.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { taskAPI, adminAPI } from '../services/api'
+import { useAuth } from '../context/AuthContext'
+import { formatDate } from '../utils/helpers'
+import TaskModal from '../components/TaskModal'
+import toast from 'react-hot-toast'
+
+const MUTED = { color: 'var(--color-text-muted)' }
+const LINK = { background: 'none', border: 'none', color: 'var(--color-primary)', cursor: 'pointer', fontWeight: 600, fontSize: '0.875rem', textAlign: 'left' }
+
+const VIEWS = [
+    { key: 'mine', label: 'Open', count: 'open' },
+    { key: 'overdue', label: 'Overdue', count: 'overdue' },
+    { key: 'today', label: 'Today', count: 'today' },
+    { key: 'upcoming', label: 'Upcoming', count: 'upcoming' },
+    { key: 'completed', label: 'Completed' },
+]
+
+const isOverdue = (task) => {
+    if (task.isCompleted || !task.dueDate) return false
+    const today = new Date()
+    today.setHours(0, 0, 0, 0)
+    return new Date(task.dueDate) < today
+}
+
+// Lets the sidebar refresh its task counts
+const notifyTasksChanged = () => window.dispatchEvent(new Event('tasks-changed'))
+
+export default function TasksPage() {
+    const { isAdmin } = useAuth()
+    const navigate = useNavigate()
+    const [tasks, setTasks] = useState([])
+    const [counts, setCounts] = useState({})
+    const [users, setUsers] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [view, setView] = useState('mine')
+    const [assignee, setAssignee] = useState('me')
+    const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
+    const [modalTask, setModalTask] = useState(null)
+
+    const fetchTasks = useCallback(async (page = 1) => {
+        setLoading(true)
+        try {
+            const [{ data }, countsRes] = await Promise.all([
+                taskAPI.getAll({ view, assignee, page, limit: 25 }),
+                taskAPI.getCounts(),
+            ])
+            setTasks(data.tasks)
+            setPagination({ page: data.page, pages: data.pages, total: data.total })
+            setCounts(countsRes.data.counts)
+        } catch {
+            toast.error('Failed to load tasks')
+        } finally {
+            setLoading(false)
+        }
+    }, [view, assignee])
+
+    useEffect(() => { fetchTasks(1) }, [fetchTasks])
+
+    useEffect(() => {
+        if (isAdmin) adminAPI.getUsers({ limit: 50 }).then(({ data }) => setUsers(data.users)).catch(() => { })
+    }, [isAdmin])
+
+    const refresh = () => {
+        notifyTasksChanged()
+        fetchTasks(pagination.page)
+    }
+
+    const toggleComplete = async (task) => {
+        try {
+            const { data } = task.isCompleted ? await taskAPI.reopen(task._id) : await taskAPI.complete(task._id)
+            toast.success(data.message)
+            refresh()
+        } catch (err) { toast.error(err.response?.data?.message || 'Update failed') }
+    }
+
+    const reschedule = async (task, dueDate) => {
+        if (!dueDate) return
+        try {
+            const { data } = await taskAPI.reschedule(task._id, dueDate)
+            toast.success(data.message)
+            refresh()
+        } catch (err) {
+            const errors = err.response?.data?.errors
+            if (errors) errors.forEach((e) => toast.error(e.message))
+            else toast.error(err.response?.data?.message || 'Reschedule failed')
+        }
+    }
+
+    return (
+        <div>
+            <div className="page-header">
+                <div className="page-header-left">
+                    <h2>{assignee === 'me' ? 'My Tasks' : 'Tasks'}</h2>
+                    <p>{pagination.total} task(s)</p>
+                </div>
+                <button className="btn btn-primary" onClick={() => setModalTask({})}>＋ New Task</button>
+            </div>
+
+            <div className="filters-bar">
+                <div style={{ display: 'flex', gap: '0.4rem', flexWrap: 'wrap' }}>
+                    {VIEWS.map((v) => (
+                        <button key={v.key} className={`btn btn-sm ${view === v.key ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setView(v.key)}>
+                            {v.label}{v.count && assignee === 'me' && counts[v.count] !== undefined ? ` (${counts[v.count]})` : ''}
+                        </button>
+                    ))}
+                </div>
+                {isAdmin && (
+                    <select className="form-select" style={{ width: 'auto', marginLeft: 'auto' }} value={assignee} onChange={(e) => setAssignee(e.target.value)}>
+                        <option value="me">Assigned to me</option>
+                        <option value="all">Everyone</option>
+                        {users.map((u) => <option key={u._id} value={u._id}>{u.name}</option>)}
+                    </select>
+                )}
+            </div>
+
+            {loading ? (
+                <div className="loading-center"><div className="spinner" /></div>
+            ) : tasks.length === 0 ? (
+                <div className="empty-state">
+                    <div className="empty-state-icon">✅</div>
+                    <h3>No tasks here</h3>
+                    <p>{view === 'completed' ? 'Completed tasks show up here' : 'You are all caught up'}</p>
+                </div>
+            ) : (
+                <>
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th style={{ width: 36 }} />
+                                    <th>Task</th>
+                                    <th>Lead / Deal</th>
+                                    <th>Priority</th>
+                                    <th>Due</th>
+                                    {assignee !== 'me' && <th>Assigned To</th>}
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {tasks.map((task) => (
+                                    <tr key={task._id} style={{ opacity: task.isCompleted ? 0.6 : 1 }}>
+                                        <td>
+                                            <input type="checkbox" checked={task.isCompleted} title={task.isCompleted ? 'Reopen' : 'Complete'}
+                                                onChange={() => toggleComplete(task)} />
+                                        </td>
+                                        <td style={{ textDecoration: task.isCompleted ? 'line-through' : 'none', maxWidth: 360 }}>
+                                            {task.note}
+                                            {task.isCompleted && (
+                                                <div style={{ ...MUTED, fontSize: '0.75rem' }}>
+                                                    Done {formatDate(task.completedAt)}{task.completedBy ? ` by ${task.completedBy.name}` : ''}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <button style={LINK} onClick={() => navigate(`/leads/${task.leadId?._id}`)}>{task.leadId?.name || '—'}</button>
+                                            {task.dealId && <div style={{ ...MUTED, fontSize: '0.75rem' }}>💰 {task.dealId.title}</div>}
+                                        </td>
+                                        <td><span className={`badge badge-${task.priority}`}>{task.priority}</span></td>
+                                        <td>
+                                            {task.isCompleted ? (
+                                                <span style={MUTED}>{formatDate(task.dueDate)}</span>
+                                            ) : (
+                                                <input className="form-input" type="date" style={{ width: 'auto', color: isOverdue(task) ? 'var(--color-danger)' : undefined }}
+                                                    value={task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : ''}
+                                                    onChange={(e) => reschedule(task, e.target.value)} />
+                                            )}
+                                        </td>
+                                        {assignee !== 'me' && <td style={MUTED}>{task.assignedTo?.name || '—'}</td>}
+                                        <td>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => setModalTask(task)}>Edit</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {pagination.pages > 1 && (
+                        <div className="pagination">
+                            <button disabled={pagination.page === 1} onClick={() => fetchTasks(pagination.page - 1)}>←</button>
+                            {Array.from({ length: pagination.pages }, (_, i) => i + 1).map((p) => (
+                                <button key={p} className={pagination.page === p ? 'active' : ''} onClick={() => fetchTasks(p)}>{p}</button>
+                            ))}
+                            <button disabled={pagination.page === pagination.pages} onClick={() => fetchTasks(pagination.page + 1)}>→</button>
+                        </div>
+                    )}
+                </>
+            )}
+
+            {modalTask && (
+                <TaskModal
+                    task={modalTask._id ? modalTask : null}
+                    users={users}
+                    isAdmin={isAdmin}
+                    onClose={() => setModalTask(null)}
+                    onSaved={() => { setModalTask(null); refresh() }}
+                />
+            )}
+        </div>
+    )
+}
@@ -114,7 +114,105 @@ export const leadAPI = {
     update: (id, data) => api.put(`/leads/${id}`, data),
     delete: (id) => api.delete(`/leads/${id}`),
     addActivity: (id, data) => api.post(`/leads/${id}/activities`, data),
-    getPipeline: () => api.get('/leads/pipeline'),
+    getPipeline: (params) => api.get('/leads/pipeline', { params }),
+    export: (params) => api.get('/leads/export', { params, responseType: 'blob', timeout: 120000 }),
+    bulk: (data) => api.post('/leads/bulk', data, { timeout: 120000 }),
+    convert: (id, data) => api.post(`/leads/${id}/convert`, data),
+    getFollowUps: () => api.get('/leads/follow-ups'),
+}
+
+// ── Task API ──────────────────────────────────────────────────────────────────
+export const taskAPI = {
+    getAll: (params) => api.get('/tasks', { params }),
+    getCounts: () => api.get('/tasks/counts'),
+    create: (data) => api.post('/tasks', data),
+    update: (id, data) => api.put(`/tasks/${id}`, data),
+    complete: (id) => api.put(`/tasks/${id}/complete`),
+    reopen: (id) => api.put(`/tasks/${id}/reopen`),
+    reschedule: (id, dueDate) => api.put(`/tasks/${id}/reschedule`, { dueDate }),
+}
+
+// ── Email API ─────────────────────────────────────────────────────────────────
+export const emailAPI = {
+    getAll: (params) => api.get('/emails', { params }),
+    send: (data) => api.post('/emails', data),
+    retry: (id) => api.post(`/emails/${id}/retry`),
+    cancel: (id) => api.delete(`/emails/${id}`),
+}
+
+// ── Email Template API ────────────────────────────────────────────────────────
+export const templateAPI = {
+    getAll: () => api.get('/email-templates'),
+    getMergeFields: () => api.get('/email-templates/merge-fields'),
+    create: (data) => api.post('/email-templates', data),
+    update: (id, data) => api.put(`/email-templates/${id}`, data),
+    delete: (id) => api.delete(`/email-templates/${id}`),
+    preview: (data) => api.post('/email-templates/preview', data),
+    getSystem: () => api.get('/email-templates/system'),
+    saveSystem: (key, data) => api.put(`/email-templates/system/${key}`, data),
+    resetSystem: (key) => api.delete(`/email-templates/system/${key}`),
+}
+
+// ── Custom Field API ──────────────────────────────────────────────────────────
+export const customFieldAPI = {
+    getAll: (params) => api.get('/custom-fields', { params }),
+    create: (data) => api.post('/custom-fields', data),
+    update: (id, data) => api.put(`/custom-fields/${id}`, data),
+    delete: (id) => api.delete(`/custom-fields/${id}`),
+}
+
+// ── Stage API ─────────────────────────────────────────────────────────────────
+export const stageAPI = {
+    getAll: (params) => api.get('/stages', { params }),
+    create: (data) => api.post('/stages', data),
+    update: (id, data) => api.put(`/stages/${id}`, data),
+    reorder: (pipeline, ids) => api.put('/stages/reorder', { pipeline, ids }),
+    delete: (id, moveTo) => api.delete(`/stages/${id}`, { params: { moveTo } }),
+}
+
+// ── Pipeline API ──────────────────────────────────────────────────────────────
+export const pipelineAPI = {
+    getAll: (params) => api.get('/pipelines', { params }),
+    create: (data) => api.post('/pipelines', data),
+    update: (id, data) => api.put(`/pipelines/${id}`, data),
+    delete: (id, data) => api.delete(`/pipelines/${id}`, { data }),
+}
+
+// ── Tag API ───────────────────────────────────────────────────────────────────
+export const tagAPI = {
+    getAll: () => api.get('/tags'),
+    create: (data) => api.post('/tags', data),
+    update: (id, data) => api.put(`/tags/${id}`, data),
+    merge: (sourceIds, targetId) => api.post('/tags/merge', { sourceIds, targetId }),
+    updateSettings: (data) => api.put('/tags/settings', data),
+    delete: (id) => api.delete(`/tags/${id}`),
+}
+
+// ── Search API ────────────────────────────────────────────────────────────────
+export const searchAPI = {
+    search: (params) => api.get('/search', { params }),
+}
+
+// ── Saved Views API ───────────────────────────────────────────────────────────
+export const savedViewAPI = {
+    getAll: (entity) => api.get('/saved-views', { params: { entity } }),
+    create: (data) => api.post('/saved-views', data),
+    update: (id, data) => api.put(`/saved-views/${id}`, data),
+    setDefault: (id, isDefault) => api.put(`/saved-views/${id}/default`, { isDefault }),
+    delete: (id) => api.delete(`/saved-views/${id}`),
+}
+
+// ── Lead Import API ───────────────────────────────────────────────────────────
+export const importAPI = {
+    upload: (csvText, fileName) => api.post('/leads/import', csvText, {
+        headers: { 'Content-Type': 'text/csv' },
+        params: { fileName },
+    }),
+    getAll: () => api.get('/leads/import'),
+    // Large files take longer than the default 15s timeout
+    dryRun: (id, mapping) => api.post(`/leads/import/${id}/dry-run`, { mapping }, { timeout: 120000 }),
+    commit: (id, data) => api.post(`/leads/import/${id}/commit`, data, { timeout: 120000 }),
+    rollback: (id) => api.post(`/leads/import/${id}/rollback`),
 }
 
 // ── Deal API ──────────────────────────────────────────────────────────────────
@@ -124,17 +222,71 @@ export const dealAPI = {
     create: (data) => api.post('/deals', data),
     update: (id, data) => api.put(`/deals/${id}`, data),
     delete: (id) => api.delete(`/deals/${id}`),
-    getMetrics: () => api.get('/deals/metrics'),
+    move: (id, data) => api.put(`/deals/${id}/pipeline`, data),
+    getMetrics: (params) => api.get('/deals/metrics', { params }),
+    export: (params) => api.get('/deals/export', { params, responseType: 'blob', timeout: 120000 }),
+}
+
+// ── Account API ───────────────────────────────────────────────────────────────
+export const accountAPI = {
+    getAll: (params) => api.get('/accounts', { params }),
+    getById: (id) => api.get(`/accounts/${id}`),
+    create: (data) => api.post('/accounts', data),
+    update: (id, data) => api.put(`/accounts/${id}`, data),
+    delete: (id) => api.delete(`/accounts/${id}`),
+    autoLink: (data) => api.post('/accounts/auto-link', data, { timeout: 120000 }),
+}
+
+// ── Contact API ───────────────────────────────────────────────────────────────
+export const contactAPI = {
+    getAll: (params) => api.get('/contacts', { params }),
+    getById: (id) => api.get(`/contacts/${id}`),
+}
+
+// ── Activity API ──────────────────────────────────────────────────────────────
+export const activityAPI = {
+    getAll: (params) => api.get('/activities', { params }),
+    getFeed: (params) => api.get('/activities/feed', { params }),
+    update: (id, data) => api.put(`/activities/${id}`, data),
+    delete: (id) => api.delete(`/activities/${id}`),
+    getHistory: (id) => api.get(`/activities/${id}/history`),
+    getSettings: () => api.get('/activities/settings'),
+    updateSettings: (data) => api.put('/activities/settings', data),
+    export: (params) => api.get('/activities/export', { params, responseType: 'blob', timeout: 120000 }),
 }
 
 // ── Admin API ─────────────────────────────────────────────────────────────────
 export const adminAPI = {
-    getStats: () => api.get('/admin/stats'),
-    getAnalytics: (period) => api.get('/admin/analytics', { params: { period } }),
+    getStats: (params) => api.get('/admin/stats', { params }),
+    getAnalytics: (period, pipeline) => api.get('/admin/analytics', { params: { period, pipeline } }),
+    getStageAnalytics: (params) => api.get('/admin/analytics/stages', { params }),
     getUsers: (params) => api.get('/admin/users', { params }),
     createUser: (data) => api.post('/admin/users', data),
     getUserById: (id) => api.get(`/admin/users/${id}`),
     updateUser: (id, data) => api.put(`/admin/users/${id}`, data),
     deleteUser: (id) => api.delete(`/admin/users/${id}`),
     assignLead: (leadId, userId) => api.put(`/admin/leads/${leadId}/assign`, { userId }),
+    getDuplicates: () => api.get('/admin/duplicates'),
+    mergeDuplicates: (data) => api.post('/admin/duplicates/merge', data),
+    getScoringRules: () => api.get('/admin/scoring-rules'),
+    createScoringRule: (data) => api.post('/admin/scoring-rules', data),
+    updateScoringRule: (id, data) => api.put(`/admin/scoring-rules/${id}`, data),
+    deleteScoringRule: (id) => api.delete(`/admin/scoring-rules/${id}`),
+    recalculateScores: () => api.post('/admin/scoring-rules/recalculate', null, { timeout: 120000 }),
+    getAssignmentRules: () => api.get('/admin/assignment-rules'),
+    createAssignmentRule: (data) => api.post('/admin/assignment-rules', data),
+    updateAssignmentRule: (id, data) => api.put(`/admin/assignment-rules/${id}`, data),
+    deleteAssignmentRule: (id) => api.delete(`/admin/assignment-rules/${id}`),
+    getAssignmentStats: (days) => api.get('/admin/assignment-rules/stats', { params: { days } }),
+    getRecycleBin: (params) => api.get('/admin/recycle-bin', { params }),
+    restoreBinItem: (type, id) => api.post(`/admin/recycle-bin/${type}/${id}/restore`),
+    purgeBinItem: (type, id) => api.delete(`/admin/recycle-bin/${type}/${id}`),
+    purgeExpiredBinItems: () => api.post('/admin/recycle-bin/purge-expired', null, { timeout: 120000 }),
+    getRecycleBinSettings: () => api.get('/admin/recycle-bin/settings'),
+    updateRecycleBinSettings: (data) => api.put('/admin/recycle-bin/settings', data),
+    getWebForms: () => api.get('/admin/web-forms'),
+    createWebForm: (data) => api.post('/admin/web-forms', data),
+    updateWebForm: (id, data) => api.put(`/admin/web-forms/${id}`, data),
+    deleteWebForm: (id) => api.delete(`/admin/web-forms/${id}`),
+    rotateWebFormKey: (id) => api.post(`/admin/web-forms/${id}/rotate-key`),
 }
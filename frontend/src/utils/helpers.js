@@ -30,18 +30,33 @@ export const formatDate = (dateStr, includeTime = false) => {
 }
 
 /**
- * Get a CSS class name for a pipeline stage badge.
+ * Inline badge colors for a pipeline stage, from its configured hex color.
  */
-export const stageBadge = (stage) => {
-    const map = {
-        New: 'badge-new',
-        Contacted: 'badge-contacted',
-        Demo: 'badge-demo',
-        Proposal: 'badge-proposal',
-        Won: 'badge-won',
-        Lost: 'badge-lost',
-    }
-    return map[stage] || 'badge-new'
+export const stageBadgeStyle = (color = '#64748b') => ({
+    background: `${color}33`,
+    color,
+})
+
+/**
+ * Get a CSS class name for a lead score badge.
+ */
+export const scoreBadge = (score = 0) => {
+    if (score >= 50) return 'badge-won'
+    if (score >= 20) return 'badge-proposal'
+    if (score < 0) return 'badge-lost'
+    return 'badge-new'
+}
+
+/**
+ * Format a stored custom field value for display.
+ */
+export const formatCustomValue = (field, value) => {
+    if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) return '—'
+    if (field.type === 'date') return formatDate(value)
+    if (field.type === 'boolean') return value ? 'Yes' : 'No'
+    if (field.type === 'multi-select') return value.join(', ')
+    if (field.type === 'number') return Number(value).toLocaleString('en-US')
+    return String(value)
 }
 
 /**
@@ -55,6 +70,20 @@ export const debounce = (fn, delay = 300) => {
     }
 }
 
+/**
+ * Trigger a browser download for a Blob (e.g. an export response).
+ */
+export const downloadBlob = (blob, fileName) => {
+    const url = window.URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    window.URL.revokeObjectURL(url)
+}
+
 /**
  * Truncate text to a given length.
  */